@@ -0,0 +1,374 @@
+#!/usr/bin/env node
+// ===========================
+// KILL SHEET CALCULATOR - COMMAND LINE
+// ===========================
+//
+// Reads a well JSON file (same field names as the web form, e.g.
+// examples/vertical-well.json) and prints or writes the kill sheet. The
+// file's optional "units" key names the unit system its values are in.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+    RESULT_SECTIONS,
+    BULLHEAD_PATHS,
+    VALIDATION_LEVELS,
+    normalizeInputs,
+    calculateKillSheet
+} = require('../calculations');
+const {
+    DEFAULT_UNIT_SYSTEM,
+    getUnitSystem,
+    getUnit,
+    fromOilfield,
+    convertInputsToOilfield
+} = require('../units');
+const { TUBULAR_CATALOGUE, applyCasingRatings } = require('../tubulars');
+
+const USAGE = `Usage: kill-sheet <well.json> [options]
+
+Options:
+  --json             Print the inputs and results as JSON instead of text
+  --units SYSTEM     Report in SYSTEM (oilfield, si, mixed); defaults to
+                     the well file's own "units"
+  -o, --output FILE  Write the kill sheet to FILE instead of stdout
+  -h, --help         Show this help`;
+
+// ===========================
+// ARGUMENT PARSING
+// ===========================
+function parseArgs(argv) {
+    const options = { file: null, json: false, output: null, units: null, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--units') {
+            options.units = argv[++i];
+            if (!options.units) throw new Error('--units needs a unit system');
+        } else if (arg === '-o' || arg === '--output') {
+            options.output = argv[++i];
+            if (!options.output) throw new Error(`${arg} needs a file name`);
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else if (options.file) {
+            throw new Error(`Only one well file can be given (got ${options.file} and ${arg})`);
+        } else {
+            options.file = arg;
+        }
+    }
+
+    return options;
+}
+
+// ===========================
+// TEXT REPORT
+// ===========================
+const MAASP_STATUS_TEXT = {
+    ok: 'OK',
+    warning: 'WARNING - SICP is approaching MAASP',
+    exceeded: 'DANGER - SICP exceeds MAASP'
+};
+
+const SHOE_PRESSURE_STATUS_TEXT = {
+    ok: 'OK',
+    warning: 'WARNING - peak shoe pressure is approaching the fracture pressure',
+    exceeded: 'DANGER - peak shoe pressure exceeds the fracture pressure'
+};
+
+function formatValue(value, decimals) {
+    return isNaN(value) || !isFinite(value) ? '--' : value.toFixed(decimals);
+}
+
+function formatReport(well, results, systemKey) {
+    const lines = [];
+    const title = well.well_name ? `KILL SHEET - ${well.well_name}` : 'KILL SHEET';
+    const pressureUnit = getUnit('pressure', systemKey);
+
+    lines.push(title);
+    lines.push('='.repeat(title.length));
+    const details = [['Rig', well.rig], ['Wellbore', well.wellbore], ['Operator', well.operator],
+        ['Date', [well.sheet_date, well.sheet_time].filter(Boolean).join(' ')], ['Supervisor', well.supervisor]]
+        .filter(([, value]) => value)
+        .map(([label, value]) => `${label}: ${value}`);
+    if (details.length > 0) {
+        lines.push(details.join('   '));
+    }
+    lines.push(`Units: ${getUnitSystem(systemKey).label}`);
+    if (results.sheet_checks.length > 0) {
+        lines.push('Sheet checks:');
+        results.sheet_checks.forEach(issue => {
+            lines.push(`  ${VALIDATION_LEVELS[issue.level].label.toUpperCase()}: ${issue.message}`);
+        });
+    }
+    lines.push(`Kill method: ${results.kill_method_label}`);
+    const policyTerms = results.kill_policy.map(term => {
+        const value = parseFloat(fromOilfield(term.value, term.quantity, systemKey).toPrecision(6));
+        return `${term.label} ${value} ${getUnit(term.quantity, systemKey).symbol}`;
+    });
+    lines.push(`Kill mud policy${well.policy_name ? ` "${well.policy_name}"` : ''}: ` +
+        (policyTerms.length > 0 ? policyTerms.join('; ') : 'none (exactly balanced)'));
+    if (results.kill_pump_name) {
+        lines.push(`Kill pump: ${results.kill_pump_name}`);
+    }
+    if (results.scr_basis) {
+        lines.push(`Kill rate: ${results.kill_rate} spm, slow pump pressure ` +
+            `${formatValue(fromOilfield(results.slow_pump_pressure, 'pressure', systemKey), 1)} ` +
+            `${pressureUnit.symbol} (${results.scr_basis} from SCRs)`);
+    }
+    results.scr_warnings.forEach(warning => lines.push(`  ! ${warning}`));
+
+    if (results.subsea && results.choke_line_friction > 0) {
+        lines.push(`Subsea BOP: choke line friction ` +
+            `${formatValue(fromOilfield(results.choke_line_friction, 'pressure', systemKey), 1)} ${pressureUnit.symbol}` +
+            (results.scr_path === 'choke_line' ? ', taken off the SCR pressure (SCRs taken through the choke line)' : ''));
+    }
+
+    RESULT_SECTIONS.forEach(section => {
+        if (section.subsea && !results.subsea) return;
+        if (section.bullhead && results.bullhead_path === 'none') return;
+
+        lines.push('');
+        lines.push(section.title);
+        lines.push('-'.repeat(section.title.length));
+        section.fields.forEach(field => {
+            const unit = field.quantity ? getUnit(field.quantity, systemKey) : null;
+            const decimals = unit && unit.decimals !== undefined ? unit.decimals : field.decimals;
+            const value = formatValue(fromOilfield(results[field.key], field.quantity, systemKey), decimals);
+            lines.push(`${field.label.padEnd(36)} ${value.padStart(12)} ${unit ? unit.symbol : field.unit}`);
+        });
+    });
+
+    if (results.maasp_status) {
+        lines.push('');
+        lines.push(`SICP vs MAASP: ${MAASP_STATUS_TEXT[results.maasp_status]}`);
+    }
+
+    if (results.shoe_pressure_status) {
+        lines.push(`Predicted shoe pressure vs fracture pressure: ${SHOE_PRESSURE_STATUS_TEXT[results.shoe_pressure_status]}`);
+    }
+
+    if (results.casing_rating_warnings.length > 0) {
+        lines.push('');
+        lines.push('Casing rating:');
+        results.casing_rating_warnings.forEach(warning => lines.push(`  ! ${warning}`));
+    }
+
+    if (results.subsea_warnings.length > 0) {
+        lines.push('');
+        lines.push('Subsea BOP:');
+        results.subsea_warnings.forEach(warning => lines.push(`  ! ${warning}`));
+    }
+
+    if (!isNaN(results.weighting_material_mass) || results.weight_up_warnings.length > 0) {
+        lines.push('');
+        lines.push(`Weighting material: ${results.weighting_material_label}`);
+        results.weight_up_warnings.forEach(warning => lines.push(`  ! ${warning}`));
+    }
+
+    if (results.influx_type_label || results.influx_warnings.length > 0) {
+        lines.push('');
+        lines.push(`Likely influx type: ${results.influx_type_label || '--'}`);
+        results.influx_warnings.forEach(warning => lines.push(`  ! ${warning}`));
+    }
+
+    const depthUnit = getUnit('depth', systemKey).symbol;
+    const volumeUnit = getUnit('volume', systemKey).symbol;
+    const depth = value => fromOilfield(value, 'depth', systemKey).toFixed(1);
+    const volume = value => fromOilfield(value, 'volume', systemKey).toFixed(2);
+
+    lines.push('');
+    lines.push('Drill String Breakdown');
+    lines.push('----------------------');
+    lines.push(`${'Component'.padEnd(20)} ${`Length (${depthUnit})`.padStart(12)} ` +
+        `${`Int. Vol (${volumeUnit})`.padStart(15)} ${'Strokes'.padStart(8)} ` +
+        `${`Ann. Vol (${volumeUnit})`.padStart(15)} ${'Strokes'.padStart(8)}`);
+    results.string_sections.forEach(section => {
+        lines.push(`${section.name.padEnd(20)} ${depth(section.length).padStart(12)} ` +
+            `${volume(section.internal_volume).padStart(15)} ${section.internal_strokes.toFixed(0).padStart(8)} ` +
+            `${volume(section.annular_volume).padStart(15)} ${section.annular_strokes.toFixed(0).padStart(8)}`);
+    });
+
+    lines.push('');
+    lines.push('Drillpipe Pressure Circulating Schedule');
+    lines.push('---------------------------------------');
+    const mudWeightUnit = getUnit('mud_weight', systemKey);
+    const mudWeightDecimals = mudWeightUnit.decimals !== undefined ? mudWeightUnit.decimals : 2;
+    lines.push(`${'Circ.'.padEnd(5)} ${'Stage'.padEnd(32)} ${'Strokes'.padStart(10)} ` +
+        `${`MW (${mudWeightUnit.symbol})`.padStart(12)} ${`Pressure (${pressureUnit.symbol})`.padStart(16)}`);
+    results.pressure_schedule.forEach(point => {
+        const pressure = fromOilfield(point.pressure, 'pressure', systemKey);
+        const mudWeight = fromOilfield(point.mud_weight, 'mud_weight', systemKey);
+        lines.push(`${String(point.circulation).padEnd(5)} ${point.stage.padEnd(32)} ` +
+            `${point.strokes.toFixed(0).padStart(10)} ${mudWeight.toFixed(mudWeightDecimals).padStart(12)} ` +
+            `${pressure.toFixed(2).padStart(16)}`);
+    });
+    const startUp = results.pressure_schedule.find(point => point.casing_pressure !== undefined);
+    if (startUp) {
+        lines.push(`Pump start-up: bring the casing pressure down to ` +
+            `${fromOilfield(startUp.casing_pressure, 'pressure', systemKey).toFixed(0)} ${pressureUnit.symbol} ` +
+            `(SICP less choke line friction) while bringing the pump up to ${results.kill_rate} spm.`);
+    }
+
+    if (results.volumetric_cycles.length > 0 || results.volumetric_warnings.length > 0) {
+        const pressure = value => fromOilfield(value, 'pressure', systemKey).toFixed(0);
+
+        lines.push('');
+        lines.push('Volumetric Control Worksheet');
+        lines.push('----------------------------');
+        lines.push(`${'Cycle'.padEnd(5)} ${`Casing (${pressureUnit.symbol})`.padStart(14)} ` +
+            `${`Bleed (${volumeUnit})`.padStart(14)} ${`Total (${volumeUnit})`.padStart(14)}`);
+        results.volumetric_cycles.forEach(cycle => {
+            lines.push(`${String(cycle.cycle).padEnd(5)} ${pressure(cycle.pressure).padStart(14)} ` +
+                `${volume(cycle.bleed_volume).padStart(14)} ${volume(cycle.cumulative_volume).padStart(14)}` +
+                (cycle.gas_at_surface ? '  gas at surface (est.)' : ''));
+        });
+
+        if (results.lubricate_cycles.length > 0) {
+            lines.push('');
+            lines.push(`${'Cycle'.padEnd(5)} ${`Start (${pressureUnit.symbol})`.padStart(14)} ` +
+                `${`Lubricate to`.padStart(14)} ${`Lub. (${volumeUnit})`.padStart(14)} ` +
+                `${`HL gain (${pressureUnit.symbol})`.padStart(14)} ${`Bleed to`.padStart(14)}`);
+            results.lubricate_cycles.forEach(cycle => {
+                lines.push(`${String(cycle.cycle).padEnd(5)} ${pressure(cycle.start_pressure).padStart(14)} ` +
+                    `${pressure(cycle.lubricate_pressure).padStart(14)} ${volume(cycle.lubricate_volume).padStart(14)} ` +
+                    `${pressure(cycle.hydrostatic_gain).padStart(14)} ${pressure(cycle.bleed_pressure).padStart(14)}`);
+            });
+        }
+        results.volumetric_warnings.forEach(warning => lines.push(`  ! ${warning}`));
+    }
+
+    if (results.bullhead_schedule.length > 0) {
+        const pressure = value => formatValue(fromOilfield(value, 'pressure', systemKey), 0);
+
+        lines.push('');
+        lines.push(`Bullhead Plan (${BULLHEAD_PATHS[results.bullhead_path].label.toLowerCase()})`);
+        lines.push('-'.repeat(lines[lines.length - 1].length));
+        lines.push(`${'Stage'.padEnd(26)} ${`Volume (${volumeUnit})`.padStart(14)} ${'Strokes'.padStart(8)} ` +
+            `${`Inject (${pressureUnit.symbol})`.padStart(14)} ${`Max (${pressureUnit.symbol})`.padStart(12)}`);
+        results.bullhead_schedule.forEach(point => {
+            lines.push(`${point.stage.padEnd(26)} ${volume(point.volume).padStart(14)} ` +
+                `${formatValue(point.strokes, 0).padStart(8)} ${pressure(point.pressure).padStart(14)} ` +
+                `${pressure(point.max_pressure).padStart(12)}${point.pressure > point.max_pressure ? '  !' : ''}`);
+        });
+        results.bullhead_warnings.forEach(warning => lines.push(`  ! ${warning}`));
+    }
+
+    if (results.stripping_schedule.length > 0) {
+        lines.push('');
+        lines.push('Stripping Worksheet');
+        lines.push('-------------------');
+        lines.push(`${'Done'.padEnd(4)} ${'Stand'.padStart(5)} ${`Bit MD (${depthUnit})`.padStart(12)} ` +
+            `${'Pipe'.padEnd(20)} ${`Bleed (${volumeUnit})`.padStart(12)} ${`Total (${volumeUnit})`.padStart(12)} ` +
+            `${`Casing (${pressureUnit.symbol})`.padStart(14)}`);
+        results.stripping_schedule.forEach(row => {
+            lines.push(`${(row.completed ? '[x]' : '[ ]').padEnd(4)} ${String(row.stand).padStart(5)} ` +
+                `${depth(row.bit_md).padStart(12)} ${row.pipe.padEnd(20)} ${volume(row.displacement).padStart(12)} ` +
+                `${volume(row.cumulative_volume).padStart(12)} ` +
+                `${fromOilfield(row.casing_pressure, 'pressure', systemKey).toFixed(0).padStart(14)}`);
+        });
+        results.stripping_warnings.forEach(warning => lines.push(`  ! ${warning}`));
+    }
+
+    if (results.kill_log.length > 0) {
+        const pressure = value => value === null ? '--' : fromOilfield(value, 'pressure', systemKey).toFixed(1);
+        const deviations = results.kill_log_deviations;
+
+        lines.push('');
+        lines.push('Kill Record');
+        lines.push('-----------');
+        lines.push(`${'Time'.padEnd(10)} ${'Strokes'.padStart(8)} ${`DPP (${pressureUnit.symbol})`.padStart(12)} ` +
+            `${`Planned (${pressureUnit.symbol})`.padStart(14)} ${`Dev. (${pressureUnit.symbol})`.padStart(12)} ` +
+            `${`Casing (${pressureUnit.symbol})`.padStart(14)}`);
+        results.kill_log.forEach(reading => {
+            const flag = reading.status === 'high' || reading.status === 'low' ? '  !' : '';
+            lines.push(`${reading.time.padEnd(10)} ${(reading.strokes === null ? '--' : reading.strokes.toFixed(0)).padStart(8)} ` +
+                `${pressure(reading.drillpipe_pressure).padStart(12)} ${pressure(reading.planned_pressure).padStart(14)} ` +
+                `${pressure(reading.deviation).padStart(12)} ${pressure(reading.casing_pressure).padStart(14)}${flag}`);
+        });
+        lines.push(`${deviations} reading${deviations === 1 ? '' : 's'} outside ±` +
+            `${pressure(results.monitor_tolerance)} ${pressureUnit.symbol} of the schedule`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+// ===========================
+// MAIN
+// ===========================
+function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return 2;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    if (!options.file) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    let well;
+    try {
+        well = JSON.parse(fs.readFileSync(path.resolve(options.file), 'utf8'));
+        if (well === null || typeof well !== 'object' || Array.isArray(well)) {
+            throw new Error('expected a JSON object');
+        }
+    } catch (error) {
+        console.error(`Could not read well file ${options.file}: ${error.message}`);
+        return 1;
+    }
+
+    const inputSystem = well.units || DEFAULT_UNIT_SYSTEM;
+    const reportSystem = options.units || inputSystem;
+
+    let inputs;
+    let results;
+    try {
+        getUnitSystem(reportSystem);
+        // Blank casing ratings come from the built-in tubular catalogue
+        inputs = applyCasingRatings(normalizeInputs(convertInputsToOilfield(well, inputSystem)), TUBULAR_CATALOGUE);
+        results = calculateKillSheet(inputs);
+    } catch (error) {
+        console.error(`${options.file}: ${error.message}`);
+        return 1;
+    }
+
+    // JSON output is always in oilfield units, as returned by the engine
+    const output = options.json
+        ? JSON.stringify({ inputs: inputs, results: results }, null, 2) + '\n'
+        : formatReport(well, results, reportSystem);
+
+    if (options.output) {
+        try {
+            fs.writeFileSync(options.output, output);
+        } catch (error) {
+            console.error(`Could not write ${options.output}: ${error.message}`);
+            return 1;
+        }
+    } else {
+        process.stdout.write(output);
+    }
+
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { parseArgs, formatReport, main };
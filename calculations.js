@@ -0,0 +1,2847 @@
+// ===========================
+// KILL SHEET CALCULATOR - CALCULATION ENGINE
+// ===========================
+//
+// DOM-free kill sheet math shared by the browser page (loaded as a plain
+// script before script.js) and the Node command-line tool (bin/kill-sheet.js).
+// All values are oilfield units: ppg, psi, ft, in, bbl.
+
+// Constants
+const PRESSURE_GRADIENT = 0.052; // psi/ft per ppg
+const BBL_PER_IN2_FT = 12.0 / 9691.04; // conversion: in^2 * ft -> barrels
+const PI = Math.PI;
+
+// Cubic inches in one barrel (42 US gal × 231 in³)
+const CUBIC_INCHES_PER_BBL = 9702;
+
+// Mud pump types. Triplex pumps are single acting with three cylinders;
+// duplex pumps are double acting with two, the rod taking up part of the
+// return stroke.
+const PUMP_TYPES = {
+    triplex: { label: 'Triplex' },
+    duplex: { label: 'Duplex' }
+};
+
+// How far the mud weight (ppg) and depth (ft) an SCR was taken at may be
+// from the current well before the sheet warns that it is out of date
+const SCR_MUD_WEIGHT_TOLERANCE = 0.1;
+const SCR_DEPTH_TOLERANCE = 500;
+
+// Number of rows in the drillpipe pressure schedule table
+const SCHEDULE_ROWS = 10;
+
+// Kill methods the schedule can be built for. Driller's method circulates
+// the influx out with the original mud before a second circulation with kill
+// mud; the concurrent method raises the mud weight in steps while circulating.
+const KILL_METHODS = {
+    wait_and_weight: { label: 'Wait and Weight', circulations: 1 },
+    drillers: { label: "Driller's Method", circulations: 2 },
+    concurrent: { label: 'Concurrent Method', circulations: 1 }
+};
+
+const DEFAULT_KILL_METHOD = 'wait_and_weight';
+
+// Upper limit on the number of concurrent method weight-up steps; a smaller
+// mud weight increment is spread evenly over this many steps instead
+const CONCURRENT_MAX_STEPS = 50;
+
+// Weighting materials offered in the weight-up planner, by specific gravity
+const WEIGHTING_MATERIALS = {
+    barite: { label: 'Barite (SG 4.2)', sg: 4.2 },
+    hematite: { label: 'Hematite (SG 5.05)', sg: 5.05 },
+    calcium_carbonate: { label: 'Calcium Carbonate (SG 2.7)', sg: 2.7 }
+};
+const DEFAULT_WEIGHTING_MATERIAL = 'barite';
+
+// Density of fresh water (ppg) used with the specific gravities above, as in
+// the usual weight-up formulas (barite: 4.2 × 8.33 ≈ 35 ppg)
+const WATER_DENSITY_PPG = 8.33;
+
+// Gallons per barrel
+const GALLONS_PER_BBL = 42;
+
+// Where the BOP stack sits. With a subsea BOP the well is circulated out
+// through the choke line from the stack to surface instead of the riser.
+const BOP_LOCATIONS = {
+    surface: { label: 'Surface BOP' },
+    subsea: { label: 'Subsea BOP' }
+};
+const DEFAULT_BOP_LOCATION = 'surface';
+
+// How the SCRs were taken on a subsea well: circulating up the riser with
+// the BOP open, or through the choke line with the BOP closed (the choke
+// line friction is then part of the recorded pressure)
+const SCR_PATHS = {
+    riser: { label: 'Up the riser (BOP open)' },
+    choke_line: { label: 'Through the choke line (BOP closed)' }
+};
+const DEFAULT_SCR_PATH = 'riser';
+
+// Seawater density (ppg) replacing the riser mud column in the riser margin
+const SEA_WATER_DENSITY_PPG = 8.55;
+
+// Volumetric control: largest number of bleed or lubricate cycles listed
+const VOLUMETRIC_MAX_CYCLES = 50;
+
+// Atmospheric pressure (psi) added to gauge pressures for Boyle's law in the
+// volumetric worksheet, where casing pressures come down close to zero
+const ATMOSPHERIC_PRESSURE = 14.7;
+
+// Paths the well can be bullheaded down: the annulus (through the kill
+// line), pushing the influx back into the formation, or the drill string.
+// No bullhead plan is worked out unless one of them is chosen.
+const BULLHEAD_PATHS = {
+    none: { label: 'Not planned' },
+    annulus: { label: 'Down the annulus' },
+    string: { label: 'Down the drill string' }
+};
+const DEFAULT_BULLHEAD_PATH = 'none';
+
+// Influx gradient bands (psi/ft) used to classify the kick fluid
+const INFLUX_TYPES = [
+    { type: 'gas', label: 'Gas', max: 0.25 },
+    { type: 'oil', label: 'Oil / condensate (or gas-liquid mix)', max: 0.40 },
+    { type: 'water', label: 'Water (salt water)', max: Infinity }
+];
+
+const INFLUX_ASSUMPTIONS = [
+    'The influx is a single slug at the bottom of the hole, directly above the bit.',
+    'The annulus is in gauge (hole diameter and casing ID as entered).',
+    'The same mud weight is in the drill string and the annulus; no migration since shut-in.',
+    'Gradient bands: gas up to 0.25 psi/ft, oil/condensate 0.25–0.40 psi/ft, water above 0.40 psi/ft.'
+];
+
+// SICP as a fraction of MAASP from which the sheet warns that it is close
+const MAASP_WARNING_RATIO = 0.9;
+
+// MD - TVD difference (ft) above which the well is treated as deviated
+const DEVIATION_TOLERANCE = 1;
+
+// Stroke spacing and minimum extent of the pressure chart
+const CHART_STROKE_STEP = 100;
+const CHART_MIN_STROKES = 1400;
+
+// Stroke spacing of the predicted casing and shoe pressures. Finer than the
+// drillpipe schedule so the peak as the influx reaches surface is not missed.
+const ANNULAR_PROFILE_STEP = 25;
+
+const ANNULAR_PRESSURE_ASSUMPTIONS = [
+    'Bottom-hole pressure is held at formation pressure (SIDPP + original mud hydrostatic), plus any schedule safety margin, throughout the kill.',
+    'Annular friction losses are ignored. With a subsea BOP the choke line friction at the kill rate is taken off the casing (choke) pressure and does not change with the mud in the choke line.',
+    'The influx moves up the annulus as a single bubble with the mud pumped behind it, and a gas influx also rises through the mud at the migration rate.',
+    'A gas influx expands with Boyle\'s law (constant temperature, ideal gas); an oil or water influx does not expand.'
+];
+
+// ===========================
+// INPUT MODEL
+// ===========================
+// Every input the kill sheet understands, with the value used when it is
+// missing, blank or negative.
+const DEFAULT_INPUTS = {
+    // Well data. Depths are measured depth (MD); the TVD fields are optional
+    // and, when zero, come from the survey or equal MD for a vertical well.
+    hole_diameter: 0,
+    hole_depth: 0,
+    hole_tvd: 0,
+    current_mud_weight: 0,
+
+    // Pressures
+    sidpp: 0,
+    sicp: 0,
+    pit_gain: 0,
+    normal_circulating_pressure: 0,
+    user_stroke_pressure: 0,
+
+    // Pump data. `pumps` are the rig pumps (see normalizePumps); when
+    // `kill_pump` is the index of one of them its output replaces the pump
+    // capacity entered directly.
+    pump_capacity: 0,
+    strokes_per_min: 0,
+    pumps: [],
+    kill_pump: null,
+
+    // Slow circulating rates (see normalizeScrTable). When any are recorded
+    // for the kill pump, the slow pump pressure at the kill rate
+    // (strokes_per_min) comes from them.
+    scr_table: [],
+
+    // Casing data
+    casing_id: 0,
+    casing_od: 0,
+    casing_setting_depth: 0,
+    casing_shoe_tvd: 0,
+
+    // Casing grade and nominal weight (lb/ft), used to look the casing up
+    // in the tubular catalogue, burst and collapse ratings (psi; zero for
+    // unknown) and the percentage of the burst rating allowed at surface
+    casing_grade: '',
+    casing_linear_weight: 0,
+    casing_burst: 0,
+    casing_collapse: 0,
+    casing_burst_derating: 80,
+
+    // Shoe test and kick tolerance. Kick intensity is the design kick in
+    // ppg over the current mud weight; zero uses the actual kick (KMW − CMW).
+    lot_pressure: 0,
+    lot_mud_weight: 0,
+    kick_intensity: 0,
+    influx_gradient: 0.1,
+
+    // Rate (ft/hr) at which a gas influx rises through the mud, used for the
+    // predicted casing and shoe pressures
+    gas_migration_rate: 1000,
+
+    // Weight-up planner. Zero target mud weight means the kill mud weight;
+    // zero pit capacity skips the pit check. The surplus is the percentage
+    // of kill mud wanted over one full circulation.
+    active_pit_volume: 0,
+    pit_capacity: 0,
+    weight_up_mud_weight: 0,
+    weighting_material: DEFAULT_WEIGHTING_MATERIAL,
+    sack_size: 100,
+    mixing_rate: 0,
+    kill_mud_surplus: 10,
+
+    // Kill mud policy. Trip margins are added to the balanced kill mud
+    // weight, as ppg or as psi of overbalance at the bit; a non-zero
+    // increment rounds the kill mud weight up to the next multiple of it (ppg);
+    // the safety margin (psi) is added to the whole drillpipe pressure
+    // schedule.
+    trip_margin_mud_weight: 0,
+    trip_margin_pressure: 0,
+    kill_mud_weight_increment: 0,
+    schedule_safety_margin: 0,
+
+    // Subsea BOP (bop_location 'subsea'). The BOP sits at the air gap plus
+    // water depth below the rotary table; choke and kill lines with no
+    // length run straight from it to surface. The choke line friction (psi)
+    // is the one measured at the kill rate, unless the SCR table records it.
+    bop_location: DEFAULT_BOP_LOCATION,
+    water_depth: 0,
+    air_gap: 0,
+    riser_id: 0,
+    choke_line_id: 0,
+    choke_line_length: 0,
+    kill_line_id: 0,
+    kill_line_length: 0,
+    choke_line_friction: 0,
+    scr_path: DEFAULT_SCR_PATH,
+
+    // Volumetric control, for when the string cannot be circulated: the
+    // safety margin and working pressure increment (psi) the casing pressure
+    // is allowed to rise by, and the mud lubricated in (ppg; zero means the
+    // current mud weight)
+    volumetric_safety_margin: 100,
+    volumetric_pressure_step: 100,
+    lubricate_mud_weight: 0,
+
+    // Bullheading: the path pumped down (a BULLHEAD_PATHS key; 'none' for no
+    // bullhead plan), the fluid pumped (ppg; zero means the kill mud
+    // weight), the volume pumped on past the bit (bbl) and a surface pressure
+    // rating not to exceed (psi; zero for none)
+    bullhead_path: DEFAULT_BULLHEAD_PATH,
+    bullhead_mud_weight: 0,
+    bullhead_overdisplacement: 0,
+    bullhead_pressure_limit: 0,
+
+    // Stripping back to bottom after a kick taken off bottom: the bit depth
+    // (MD) when the well was shut in, the stand length (ft) and the stands
+    // already stripped in (numbers from 1, see normalizeStandList)
+    stripping_bit_depth: 0,
+    stand_length: 93,
+    stripping_completed: [],
+
+    // Kill method (a KILL_METHODS key). The concurrent method raises the mud
+    // weight by `concurrent_weight_step` ppg every `concurrent_step_strokes`
+    // strokes; zero strokes means one drill string volume per step.
+    kill_method: DEFAULT_KILL_METHOD,
+    concurrent_weight_step: 0.5,
+    concurrent_step_strokes: 0,
+
+    // Kill monitoring: readings logged during the kill (see normalizeKillLog)
+    // and how far (psi) actual drillpipe pressure may stray from the schedule
+    kill_log: [],
+    monitor_tolerance: 50,
+
+    // Directional survey stations { md, inc, azi } (see normalizeSurvey)
+    survey: [],
+
+    // Drill string, listed from surface down to the bit (see
+    // normalizeStringComponents)
+    string_components: []
+};
+
+// Display metadata for the calculated results, grouped the way the kill
+// sheet presents them. `id` is the element that shows the value on the page,
+// `unit` the oilfield unit and `quantity` the unit class used to convert it
+// for display (see units.js); counts and times have no quantity. Sections
+// flagged `subsea` or `bullhead` only apply to a subsea BOP or to a planned
+// bullhead.
+const RESULT_SECTIONS = [
+    {
+        title: 'Well Geometry',
+        fields: [
+            { key: 'bit_md', id: 'bit_md', label: 'Bit Depth (MD)', unit: 'ft', quantity: 'depth', decimals: 1 },
+            { key: 'bit_tvd', id: 'bit_tvd', label: 'Bit Depth (TVD)', unit: 'ft', quantity: 'depth', decimals: 1 },
+            { key: 'shoe_md', id: 'shoe_md', label: 'Casing Shoe (MD)', unit: 'ft', quantity: 'depth', decimals: 1 },
+            { key: 'shoe_tvd', id: 'shoe_tvd', label: 'Casing Shoe (TVD)', unit: 'ft', quantity: 'depth', decimals: 1 }
+        ]
+    },
+    {
+        title: 'Kill Parameters',
+        fields: [
+            { key: 'balanced_kill_mud_weight', id: 'balanced_kill_mud_weight', label: 'Balanced Kill Mud Weight', unit: 'ppg', quantity: 'mud_weight', decimals: 2 },
+            { key: 'kill_mud_weight', id: 'kill_mud_weight', label: 'Kill Mud Weight', unit: 'ppg', quantity: 'mud_weight', decimals: 2 },
+            { key: 'kill_mud_overbalance', id: 'kill_mud_overbalance', label: 'Kill Mud Overbalance at Bit', unit: 'psi', quantity: 'pressure', decimals: 0 },
+            { key: 'balanced_icp', id: 'balanced_icp', label: 'Balanced ICP', unit: 'psi', quantity: 'pressure', decimals: 2 },
+            { key: 'icp', id: 'icp', label: 'Initial Circulating Pressure (ICP)', unit: 'psi', quantity: 'pressure', decimals: 2 },
+            { key: 'balanced_fcp', id: 'balanced_fcp', label: 'Balanced FCP', unit: 'psi', quantity: 'pressure', decimals: 2 },
+            { key: 'fcp', id: 'fcp', label: 'Final Circulating Pressure (FCP)', unit: 'psi', quantity: 'pressure', decimals: 2 },
+            { key: 'pressure_drop_per_100_strokes', id: 'pressure_drop_100', label: 'Pressure Drop per 100 Strokes', unit: 'psi', quantity: 'pressure', decimals: 3 }
+        ]
+    },
+    {
+        title: 'Mud Weight-Up',
+        fields: [
+            { key: 'weight_up_mud_weight', id: 'weight_up_target', label: 'Target Mud Weight', unit: 'ppg', quantity: 'mud_weight', decimals: 2 },
+            { key: 'weighting_material_mass', id: 'weighting_material_mass', label: 'Weighting Material Required', unit: 'lb', quantity: 'mass', decimals: 0 },
+            { key: 'weight_up_sacks', id: 'weight_up_sacks', label: 'Sacks Required', unit: 'sacks', decimals: 0 },
+            { key: 'weight_up_volume_increase', id: 'weight_up_volume_increase', label: 'Volume Increase', unit: 'bbl', quantity: 'volume', decimals: 1 },
+            { key: 'weight_up_final_volume', id: 'weight_up_final_volume', label: 'Active Volume after Weight-Up', unit: 'bbl', quantity: 'volume', decimals: 1 },
+            { key: 'kill_mud_required', id: 'kill_mud_required', label: 'Kill Mud Required', unit: 'bbl', quantity: 'volume', decimals: 1 },
+            { key: 'weight_up_mixing_time', id: 'weight_up_mixing_time', label: 'Mixing Time', unit: 'min', decimals: 0 }
+        ]
+    },
+    {
+        title: 'Volume & Stroke Calculations',
+        fields: [
+            { key: 'pump_capacity', id: 'pump_output', label: 'Kill Pump Output', unit: 'bbl/stroke', quantity: 'pump_output', decimals: 4 },
+            { key: 'drill_string_volume', id: 'drill_string_volume', label: 'Drill String Internal Volume', unit: 'bbl', quantity: 'volume', decimals: 3 },
+            { key: 'surface_to_bit_strokes', id: 'surface_to_bit_strokes', label: 'Surface-to-Bit Strokes', unit: 'strokes', decimals: 1 },
+            { key: 'total_annular_capacity', id: 'total_annular_capacity', label: 'Total Annular Capacity', unit: 'bbl', quantity: 'volume', decimals: 3 },
+            { key: 'bit_to_surface_strokes', id: 'bit_to_surface_strokes', label: 'Bit-to-Surface Strokes', unit: 'strokes', decimals: 1 },
+            { key: 'total_strokes', id: 'total_strokes', label: 'Total Strokes', unit: 'strokes', decimals: 1 },
+            { key: 'open_hole_depth', id: 'open_hole_depth', label: 'Open-hole Depth', unit: 'ft', quantity: 'depth', decimals: 2 },
+            { key: 'string_length', id: 'string_length', label: 'Total String Length', unit: 'ft', quantity: 'depth', decimals: 2 }
+        ]
+    },
+    {
+        title: 'Fracture Limits & Kick Tolerance',
+        fields: [
+            { key: 'shoe_fracture_pressure', id: 'shoe_fracture_pressure', label: 'Fracture Pressure at Shoe', unit: 'psi', quantity: 'pressure', decimals: 0 },
+            { key: 'max_allowable_mud_weight', id: 'max_allowable_mud_weight', label: 'Max Allowable Mud Weight', unit: 'ppg', quantity: 'mud_weight', decimals: 2 },
+            { key: 'maasp_initial', id: 'maasp_initial', label: 'Initial MAASP', unit: 'psi', quantity: 'pressure', decimals: 0 },
+            { key: 'maasp_kill', id: 'maasp_kill', label: 'MAASP (Kill Mud at Shoe)', unit: 'psi', quantity: 'pressure', decimals: 0 },
+            { key: 'kick_tolerance_volume', id: 'kick_tolerance_volume', label: 'Kick Tolerance Volume', unit: 'bbl', quantity: 'volume', decimals: 1 }
+        ]
+    },
+    {
+        title: 'Influx Analysis',
+        fields: [
+            { key: 'influx_height', id: 'influx_height', label: 'Influx Height (Vertical)', unit: 'ft', quantity: 'depth', decimals: 1 },
+            { key: 'influx_top_md', id: 'influx_top_md', label: 'Top of Influx (MD)', unit: 'ft', quantity: 'depth', decimals: 1 },
+            { key: 'calculated_influx_gradient', id: 'calculated_influx_gradient', label: 'Influx Gradient', unit: 'psi/ft', quantity: 'pressure_gradient', decimals: 3 }
+        ]
+    },
+    {
+        title: 'Annular Pressure Prediction',
+        fields: [
+            { key: 'peak_casing_pressure', id: 'peak_casing_pressure', label: 'Peak Casing (Choke) Pressure', unit: 'psi', quantity: 'pressure', decimals: 0 },
+            { key: 'peak_casing_pressure_strokes', id: 'peak_casing_pressure_strokes', label: 'Strokes at Peak Casing Pressure', unit: 'strokes', decimals: 0 },
+            { key: 'peak_shoe_pressure', id: 'peak_shoe_pressure', label: 'Peak Pressure at Shoe', unit: 'psi', quantity: 'pressure', decimals: 0 },
+            { key: 'influx_surface_strokes', id: 'influx_surface_strokes', label: 'Strokes to Influx at Surface', unit: 'strokes', decimals: 0 }
+        ]
+    },
+    {
+        title: 'Casing Rating',
+        fields: [
+            { key: 'casing_burst', id: 'casing_burst_result', label: 'Casing Burst Rating', unit: 'psi', quantity: 'pressure', decimals: 0 },
+            { key: 'derated_casing_burst', id: 'derated_casing_burst', label: 'Derated Casing Burst', unit: 'psi', quantity: 'pressure', decimals: 0 },
+            { key: 'sicp_burst_percent', id: 'sicp_burst_percent', label: 'SICP / Derated Burst', unit: '%', decimals: 1 },
+            { key: 'peak_casing_burst_percent', id: 'peak_casing_burst_percent', label: 'Peak Casing Pressure / Derated Burst', unit: '%', decimals: 1 },
+            { key: 'casing_collapse', id: 'casing_collapse_result', label: 'Casing Collapse Rating', unit: 'psi', quantity: 'pressure', decimals: 0 }
+        ]
+    },
+    {
+        title: 'Subsea BOP',
+        subsea: true,
+        fields: [
+            { key: 'bop_md', id: 'bop_md', label: 'BOP Depth (below RKB)', unit: 'ft', quantity: 'depth', decimals: 1 },
+            { key: 'choke_line_volume', id: 'choke_line_volume', label: 'Choke Line Volume', unit: 'bbl', quantity: 'volume', decimals: 2 },
+            { key: 'choke_line_strokes', id: 'choke_line_strokes', label: 'Choke Line Strokes', unit: 'strokes', decimals: 0 },
+            { key: 'kill_line_volume', id: 'kill_line_volume', label: 'Kill Line Volume', unit: 'bbl', quantity: 'volume', decimals: 2 },
+            { key: 'riser_annular_volume', id: 'riser_annular_volume', label: 'Riser Annular Volume', unit: 'bbl', quantity: 'volume', decimals: 1 },
+            { key: 'choke_line_friction', id: 'choke_line_friction_result', label: 'Choke Line Friction at Kill Rate', unit: 'psi', quantity: 'pressure', decimals: 0 },
+            { key: 'startup_casing_pressure', id: 'startup_casing_pressure', label: 'Casing Pressure at Pump Start-up', unit: 'psi', quantity: 'pressure', decimals: 0 },
+            { key: 'maasp_circulating', id: 'maasp_circulating', label: 'Circulating MAASP', unit: 'psi', quantity: 'pressure', decimals: 0 },
+            { key: 'maasp_kill_circulating', id: 'maasp_kill_circulating', label: 'Circulating MAASP (Kill Mud at Shoe)', unit: 'psi', quantity: 'pressure', decimals: 0 },
+            { key: 'riser_margin', id: 'riser_margin', label: 'Riser Margin', unit: 'ppg', quantity: 'mud_weight', decimals: 2 },
+            { key: 'riser_margin_mud_weight', id: 'riser_margin_mud_weight', label: 'Kill Mud Weight with Riser Margin', unit: 'ppg', quantity: 'mud_weight', decimals: 2 }
+        ]
+    },
+    {
+        title: 'Volumetric Control',
+        fields: [
+            { key: 'volumetric_psi_per_bbl', id: 'volumetric_psi_per_bbl', label: 'Hydrostatic per Barrel Bled', unit: 'psi/bbl', quantity: 'pressure_per_volume', decimals: 2 },
+            { key: 'volumetric_bleed_volume', id: 'volumetric_bleed_volume', label: 'Volume to Bleed per Cycle', unit: 'bbl', quantity: 'volume', decimals: 2 },
+            { key: 'volumetric_first_pressure', id: 'volumetric_first_pressure', label: 'Casing Pressure before First Bleed', unit: 'psi', quantity: 'pressure', decimals: 0 },
+            { key: 'volumetric_total_bleed', id: 'volumetric_total_bleed', label: 'Mud Bled until Gas at Surface (est.)', unit: 'bbl', quantity: 'volume', decimals: 1 },
+            { key: 'lubricate_psi_per_bbl', id: 'lubricate_psi_per_bbl', label: 'Hydrostatic per Barrel Lubricated', unit: 'psi/bbl', quantity: 'pressure_per_volume', decimals: 2 },
+            { key: 'lubricate_gas_volume', id: 'lubricate_gas_volume', label: 'Gas Volume at Surface (est.)', unit: 'bbl', quantity: 'volume', decimals: 1 },
+            { key: 'lubricate_final_pressure', id: 'lubricate_final_pressure', label: 'Casing Pressure, Gas Replaced (est.)', unit: 'psi', quantity: 'pressure', decimals: 0 }
+        ]
+    },
+    {
+        title: 'Bullheading',
+        bullhead: true,
+        fields: [
+            { key: 'bullhead_mud_weight', id: 'bullhead_mud_weight_result', label: 'Bullhead Fluid Weight', unit: 'ppg', quantity: 'mud_weight', decimals: 2 },
+            { key: 'bullhead_influx_volume', id: 'bullhead_influx_volume', label: 'Volume to Displace the Influx', unit: 'bbl', quantity: 'volume', decimals: 1 },
+            { key: 'bullhead_volume', id: 'bullhead_volume', label: 'Volume to Bit', unit: 'bbl', quantity: 'volume', decimals: 1 },
+            { key: 'bullhead_total_volume', id: 'bullhead_total_volume', label: 'Total Volume to Pump', unit: 'bbl', quantity: 'volume', decimals: 1 },
+            { key: 'bullhead_strokes', id: 'bullhead_strokes', label: 'Total Bullhead Strokes', unit: 'strokes', decimals: 0 },
+            { key: 'bullhead_start_pressure', id: 'bullhead_start_pressure', label: 'Surface Pressure to Inject at Start', unit: 'psi', quantity: 'pressure', decimals: 0 },
+            { key: 'bullhead_start_max_pressure', id: 'bullhead_start_max_pressure', label: 'Max Surface Pressure at Start', unit: 'psi', quantity: 'pressure', decimals: 0 },
+            { key: 'bullhead_end_pressure', id: 'bullhead_end_pressure', label: 'Surface Pressure to Inject at End', unit: 'psi', quantity: 'pressure', decimals: 0 },
+            { key: 'bullhead_end_max_pressure', id: 'bullhead_end_max_pressure', label: 'Max Surface Pressure at End', unit: 'psi', quantity: 'pressure', decimals: 0 }
+        ]
+    },
+    {
+        title: 'Stripping',
+        fields: [
+            { key: 'stripping_stands', id: 'stripping_stands', label: 'Stands to Bottom', unit: 'stands', decimals: 0 },
+            { key: 'stripping_stand_displacement', id: 'stripping_stand_displacement', label: 'Closed-End Displacement, First Stand', unit: 'bbl', quantity: 'volume', decimals: 2 },
+            { key: 'stripping_total_bleed', id: 'stripping_total_bleed', label: 'Total Volume to Bleed', unit: 'bbl', quantity: 'volume', decimals: 1 },
+            { key: 'stripping_final_pressure', id: 'stripping_final_pressure', label: 'Expected Casing Pressure on Bottom', unit: 'psi', quantity: 'pressure', decimals: 0 },
+            { key: 'stripping_completed_stands', id: 'stripping_completed_stands', label: 'Stands Stripped In', unit: 'stands', decimals: 0 },
+            { key: 'stripping_completed_bleed', id: 'stripping_completed_bleed', label: 'Volume Bled So Far (planned)', unit: 'bbl', quantity: 'volume', decimals: 1 }
+        ]
+    },
+    {
+        title: 'Time Calculations',
+        fields: [
+            { key: 'time_surface_to_bit', id: 'time_surface_to_bit', label: 'Surface-to-Bit Time', unit: 'min', decimals: 2 },
+            { key: 'bit_to_surface_time', id: 'bit_to_surface_time', label: 'Bit-to-Surface Time', unit: 'min', decimals: 2 },
+            { key: 'kill_strokes', id: 'kill_strokes', label: 'Total Kill Strokes', unit: 'strokes', decimals: 0 },
+            { key: 'total_pumping_time', id: 'total_pumping_time', label: 'Total Pumping Time', unit: 'min', decimals: 2 }
+        ]
+    }
+];
+
+// ===========================
+// NORMALIZE INPUTS
+// ===========================
+function toNonNegativeNumber(value, defaultValue = 0) {
+    const number = parseFloat(value);
+    return isNaN(number) || number < 0 ? defaultValue : number;
+}
+
+// Builds a complete input object from a partial one, applying the same rules
+// as the form: anything that is not a non-negative number falls back to its
+// default.
+function normalizeInputs(raw = {}) {
+    const inputs = {};
+
+    Object.keys(DEFAULT_INPUTS).forEach(key => {
+        const defaultValue = DEFAULT_INPUTS[key];
+        const value = raw[key];
+
+        if (key === 'string_components') {
+            inputs[key] = normalizeStringComponents(raw);
+        } else if (key === 'survey') {
+            inputs[key] = normalizeSurvey(value);
+        } else if (key === 'pumps') {
+            inputs[key] = normalizePumps(value);
+        } else if (key === 'kill_pump') {
+            inputs[key] = killPumpIndex(raw.pumps, value, inputs.pumps.length);
+        } else if (key === 'scr_table') {
+            inputs[key] = normalizeScrTable(value);
+        } else if (key === 'kill_log') {
+            inputs[key] = normalizeKillLog(value);
+        } else if (key === 'stripping_completed') {
+            inputs[key] = normalizeStandList(value);
+        } else if (key === 'kill_method') {
+            inputs[key] = KILL_METHODS.hasOwnProperty(value) ? value : defaultValue;
+        } else if (key === 'weighting_material') {
+            inputs[key] = WEIGHTING_MATERIALS.hasOwnProperty(value) ? value : defaultValue;
+        } else if (key === 'bop_location') {
+            inputs[key] = BOP_LOCATIONS.hasOwnProperty(value) ? value : defaultValue;
+        } else if (key === 'scr_path') {
+            inputs[key] = SCR_PATHS.hasOwnProperty(value) ? value : defaultValue;
+        } else if (key === 'bullhead_path') {
+            inputs[key] = BULLHEAD_PATHS.hasOwnProperty(value) ? value : defaultValue;
+        } else if (typeof defaultValue === 'string') {
+            inputs[key] = value === undefined || value === null ? defaultValue : String(value).trim();
+        } else if (typeof defaultValue === 'boolean') {
+            inputs[key] = value === true || value === 'true';
+        } else {
+            inputs[key] = toNonNegativeNumber(value, defaultValue);
+        }
+    });
+
+    // A selected rig pump sets the pump capacity; one without dimensions
+    // leaves the capacity entered directly in use
+    const killPump = inputs.pumps[inputs.kill_pump];
+    if (killPump && pumpOutput(killPump) > 0) {
+        inputs.pump_capacity = pumpOutput(killPump);
+    } else {
+        inputs.kill_pump = null;
+    }
+
+    // Recorded SCRs set the kill rate (the slowest, if none was given), the
+    // slow pump pressure at that rate and any choke line friction measured
+    // with them
+    const scr = selectScr(inputs);
+    if (scr.pressure !== null) {
+        inputs.strokes_per_min = scr.spm;
+        inputs.user_stroke_pressure = scr.pressure;
+    }
+    if (scr.choke_line_friction !== null) {
+        inputs.choke_line_friction = scr.choke_line_friction;
+    }
+
+    return inputs;
+}
+
+// Whether a list entry read from a file is an object that can be normalized
+// (imported and saved lists may hold nulls or stray values)
+function isRecord(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// SCR records { pump, spm, pressure, clf, date, depth, mud_weight }: the
+// pump name (blank applies to any pump), pump rate, circulating pressure,
+// the choke line friction measured at that rate on a subsea well (zero when
+// not measured), and the date, hole depth (MD) and mud weight when it was
+// taken. Records without a rate and pressure are dropped.
+function normalizeScrTable(table) {
+    if (!Array.isArray(table)) return [];
+
+    return table
+        .filter(isRecord)
+        .map(record => ({
+            pump: record.pump ? String(record.pump).trim() : '',
+            spm: toNonNegativeNumber(record.spm),
+            pressure: toNonNegativeNumber(record.pressure),
+            clf: toNonNegativeNumber(record.clf),
+            date: record.date ? String(record.date) : '',
+            depth: toNonNegativeNumber(record.depth),
+            mud_weight: toNonNegativeNumber(record.mud_weight)
+        }))
+        .filter(record => record.spm > 0 && record.pressure > 0);
+}
+
+// Rig pumps { name, type, liner, stroke, rod, efficiency }: liner and rod
+// diameters and stroke length in inches, volumetric efficiency in percent
+// (100 when not given). The rod only matters for duplex pumps.
+function normalizePumps(pumps) {
+    if (!Array.isArray(pumps)) return [];
+
+    return pumps.filter(isRecord).map((pump, index) => ({
+        name: pump.name ? String(pump.name) : `Pump ${index + 1}`,
+        type: PUMP_TYPES.hasOwnProperty(pump.type) ? pump.type : 'triplex',
+        liner: toNonNegativeNumber(pump.liner),
+        stroke: toNonNegativeNumber(pump.stroke),
+        rod: toNonNegativeNumber(pump.rod),
+        efficiency: Math.min(toNonNegativeNumber(pump.efficiency, 100) || 100, 100)
+    }));
+}
+
+// Index of the kill pump among the pumps kept by normalizePumps(), given
+// its index in the raw `pumps` list; null when it names no usable pump
+function killPumpIndex(pumps, value, count) {
+    const index = parseInt(value, 10);
+    if (!(index >= 0)) return null;
+
+    if (Array.isArray(pumps)) {
+        if (!isRecord(pumps[index])) return null;
+        const kept = pumps.slice(0, index).filter(isRecord).length;
+        return kept < count ? kept : null;
+    }
+    return index < count ? index : null;
+}
+
+// String components are { name, od, id, length } in inches and feet, top
+// first. Older well files describe the string with the fixed drill pipe /
+// HWDP / drill collar fields instead; those are turned into the equivalent
+// three-component list.
+function normalizeStringComponents(raw) {
+    const source = Array.isArray(raw.string_components)
+        ? raw.string_components
+        : legacyStringComponents(raw);
+
+    return source.filter(isRecord).map((component, index) => ({
+        name: component.name ? String(component.name) : `Component ${index + 1}`,
+        od: toNonNegativeNumber(component.od),
+        id: toNonNegativeNumber(component.id),
+        length: toNonNegativeNumber(component.length)
+    }));
+}
+
+// Survey stations { md, inc, azi } (ft, degrees), sorted by MD. Stations
+// with a missing or invalid MD or inclination are dropped.
+function normalizeSurvey(survey) {
+    if (!Array.isArray(survey)) return [];
+
+    return survey
+        .filter(isRecord)
+        .map(station => ({
+            md: parseFloat(station.md),
+            inc: parseFloat(station.inc),
+            azi: parseFloat(station.azi) || 0
+        }))
+        .filter(station => station.md >= 0 && station.inc >= 0 && station.inc <= 180)
+        .sort((a, b) => a.md - b.md);
+}
+
+// Kill log readings { time, strokes, drillpipe_pressure, casing_pressure,
+// spm, pit_volume } in the order they were logged. `time` is free text (as
+// read off the rig clock); a reading that was not taken is null.
+function normalizeKillLog(log) {
+    if (!Array.isArray(log)) return [];
+
+    const reading = value => {
+        const number = parseFloat(value);
+        return isNaN(number) || number < 0 ? null : number;
+    };
+
+    return log.filter(isRecord).map(entry => ({
+        time: entry.time ? String(entry.time) : '',
+        strokes: reading(entry.strokes),
+        drillpipe_pressure: reading(entry.drillpipe_pressure),
+        casing_pressure: reading(entry.casing_pressure),
+        spm: reading(entry.spm),
+        pit_volume: reading(entry.pit_volume)
+    }));
+}
+
+// Stand numbers (whole numbers from 1), sorted and without repeats
+function normalizeStandList(stands) {
+    if (!Array.isArray(stands)) return [];
+
+    return stands
+        .map(stand => parseInt(stand, 10))
+        .filter(stand => stand >= 1)
+        .sort((a, b) => a - b)
+        .filter((stand, index, sorted) => index === 0 || stand !== sorted[index - 1]);
+}
+
+function legacyStringComponents(raw) {
+    const components = [
+        // Length left at zero so the drill pipe fills the string to bit depth
+        { name: 'Drill Pipe', od: raw.dp_od, id: raw.dp_id, length: 0 }
+    ];
+
+    if (raw.hwdp_present === true || raw.hwdp_present === 'true') {
+        components.push({ name: 'HWDP', od: raw.hwdp_od, id: raw.hwdp_id, length: raw.hwdp_length });
+    }
+
+    components.push({ name: 'Drill Collars', od: raw.dc_od, id: raw.dc_id, length: raw.dc_length });
+
+    return components;
+}
+
+// ===========================
+// PUMP OUTPUT
+// ===========================
+// Pump output (bbl/stroke) from liner size, stroke length and efficiency:
+//   Triplex: 3 × π/4 × D² × L / 9702 × E      (≈ 0.000243 × D² × L × E)
+//   Duplex:  2 × π/4 × (2D² − d²) × L / 9702 × E  (≈ 0.000162 × (2D² − d²) × L × E)
+// with D the liner and d the rod diameter (in), L the stroke (in) and E the
+// volumetric efficiency.
+function pumpOutput(pump) {
+    if (!pump) return 0;
+
+    const efficiency = pump.efficiency / 100;
+    const area = diameter => PI / 4 * diameter * diameter;
+
+    if (pump.type === 'duplex') {
+        const swept = 2 * (2 * area(pump.liner) - area(Math.min(pump.rod, pump.liner)));
+        return swept * pump.stroke / CUBIC_INCHES_PER_BBL * efficiency;
+    }
+
+    return 3 * area(pump.liner) * pump.stroke / CUBIC_INCHES_PER_BBL * efficiency;
+}
+
+// ===========================
+// SLOW CIRCULATING RATES
+// ===========================
+// SCRs recorded for the kill pump (or for the first pump listed when no
+// kill pump is selected), one per rate, slowest first. A rate recorded more
+// than once uses the last record.
+function scrRecordsForKillPump(inputs) {
+    if (inputs.scr_table.length === 0) return [];
+
+    const pumpName = inputs.kill_pump !== null
+        ? inputs.pumps[inputs.kill_pump].name
+        : (inputs.scr_table.find(record => record.pump) || {}).pump || '';
+    const byRate = {};
+
+    inputs.scr_table
+        .filter(record => !record.pump || record.pump.toLowerCase() === pumpName.toLowerCase())
+        .forEach(record => { byRate[record.spm] = record; });
+
+    return Object.keys(byRate).map(spm => byRate[spm]).sort((a, b) => a.spm - b.spm);
+}
+
+// Slow pump pressure at a pump rate from the SCR records (slowest first).
+// Between and beyond the recorded rates the pressure follows a power law
+// through the two nearest records, P = P1 × (spm / spm1)^n; with a single
+// record it is scaled with the square of the rate.
+function scrPressureAt(records, spm) {
+    const exact = records.find(record => record.spm === spm);
+    if (exact) return { pressure: exact.pressure, basis: 'recorded', records: [exact] };
+
+    if (records.length === 1) {
+        const only = records[0];
+        return { pressure: only.pressure * Math.pow(spm / only.spm, 2), basis: 'scaled', records: [only] };
+    }
+
+    let upperIndex = records.findIndex(record => record.spm > spm);
+    const inside = upperIndex > 0;
+    if (upperIndex <= 0) upperIndex = upperIndex === 0 ? 1 : records.length - 1;
+
+    const lower = records[upperIndex - 1];
+    const upper = records[upperIndex];
+    const exponent = Math.log(upper.pressure / lower.pressure) / Math.log(upper.spm / lower.spm);
+
+    return {
+        pressure: lower.pressure * Math.pow(spm / lower.spm, exponent),
+        basis: inside ? 'interpolated' : 'extrapolated',
+        records: [lower, upper]
+    };
+}
+
+// Kill rate, slow pump pressure and choke line friction from the SCR table,
+// with warnings about records that no longer match the well. `pressure` is
+// null when the table has nothing for the kill pump, leaving the slow pump
+// pressure entered in use; `choke_line_friction` likewise when no record
+// has one. The choke line friction follows the same power law between rates.
+function selectScr(inputs) {
+    const selection = {
+        pump: null, spm: inputs.strokes_per_min, pressure: null, choke_line_friction: null, basis: null, warnings: []
+    };
+    const records = scrRecordsForKillPump(inputs);
+
+    if (records.length === 0) {
+        if (inputs.scr_table.length > 0) {
+            selection.warnings.push('No SCRs are recorded for the kill pump; the slow pump pressure entered is used.');
+        }
+        return selection;
+    }
+
+    selection.spm = inputs.strokes_per_min > 0 ? inputs.strokes_per_min : records[0].spm;
+    selection.pump = records.find(record => record.pump) ? records.find(record => record.pump).pump : null;
+
+    const scr = scrPressureAt(records, selection.spm);
+    selection.pressure = scr.pressure;
+    selection.basis = scr.basis;
+
+    const frictionRecords = records
+        .filter(record => record.clf > 0)
+        .map(record => ({ spm: record.spm, pressure: record.clf }));
+    if (frictionRecords.length > 0) {
+        selection.choke_line_friction = scrPressureAt(frictionRecords, selection.spm).pressure;
+    }
+
+    if (scr.basis === 'extrapolated') {
+        selection.warnings.push('The kill rate is outside the recorded SCR rates; the slow pump pressure is extrapolated.');
+    } else if (scr.basis === 'scaled') {
+        selection.warnings.push('Only one SCR is recorded for the kill pump; the slow pump pressure is scaled with the square of the pump rate.');
+    }
+
+    scr.records.forEach(record => {
+        if (record.mud_weight > 0 && Math.abs(record.mud_weight - inputs.current_mud_weight) > SCR_MUD_WEIGHT_TOLERANCE) {
+            selection.warnings.push(`The ${record.spm} spm SCR was taken with a different mud weight than the current mud. Take new SCRs.`);
+        }
+        if (record.depth > 0 && inputs.hole_depth > 0 && Math.abs(record.depth - inputs.hole_depth) > SCR_DEPTH_TOLERANCE) {
+            selection.warnings.push(`The ${record.spm} spm SCR was taken at a different depth than the current hole depth. Take new SCRs.`);
+        }
+    });
+
+    return selection;
+}
+
+// ===========================
+// VALIDATE CRITICAL INPUTS
+// ===========================
+function validateCriticalInputs(inputs) {
+    return inputs.hole_depth > 0 &&
+           inputs.pump_capacity > 0 &&
+           inputs.current_mud_weight > 0;
+}
+
+// ===========================
+// SHEET CHECKS
+// ===========================
+// Severity of a sheet check, most severe first. Errors are inputs that
+// cannot all be right; the sheet should not be used until they are fixed.
+const VALIDATION_LEVELS = {
+    error: { label: 'Error' },
+    warning: { label: 'Warning' },
+    info: { label: 'Info' }
+};
+
+// Usual range (ppg) of drilling mud weights
+const MUD_WEIGHT_RANGE = { min: 6.5, max: 22 };
+
+// Cross-field checks of a sheet. `check` returns the problems found as
+// { message, fields }, `fields` naming the inputs involved: input keys, or
+// "string_components.<index>.<field>" for a drill string component.
+// `results` is null when the calculation could not run.
+const VALIDATION_RULES = [
+    {
+        id: 'required_inputs',
+        level: 'error',
+        check: inputs => [
+            ['hole_depth', 'Enter the hole depth (MD).'],
+            ['current_mud_weight', 'Enter the current mud weight.'],
+            ['pump_capacity', 'Enter the pump capacity, or pick a kill pump with its liner and stroke.']
+        ]
+            .filter(([key]) => !(inputs[key] > 0))
+            .map(([key, message]) => ({ message: message, fields: [key] }))
+    },
+    {
+        id: 'pipe_id_od',
+        level: 'error',
+        check: inputs => inputs.string_components
+            .map((component, index) => ({ component: component, index: index }))
+            .filter(({ component }) => component.od > 0 && component.id >= component.od)
+            .map(({ component, index }) => ({
+                message: `${component.name}: the ID is not smaller than the OD.`,
+                fields: [`string_components.${index}.id`, `string_components.${index}.od`]
+            }))
+    },
+    {
+        id: 'pipe_in_hole',
+        level: 'error',
+        check: inputs => inputs.string_components
+            .map((component, index) => ({ component: component, index: index }))
+            .filter(({ component }) => component.od > 0 &&
+                ((inputs.hole_diameter > 0 && component.od >= inputs.hole_diameter) ||
+                    (inputs.casing_id > 0 && component.od >= inputs.casing_id)))
+            .map(({ component, index }) => ({
+                message: `${component.name}: the OD does not fit inside the hole or the casing.`,
+                fields: [`string_components.${index}.od`, 'hole_diameter', 'casing_id']
+            }))
+    },
+    {
+        id: 'casing_id_od',
+        level: 'error',
+        check: inputs => inputs.casing_od > 0 && inputs.casing_id >= inputs.casing_od
+            ? [{ message: 'The casing ID is not smaller than the casing OD.', fields: ['casing_id', 'casing_od'] }]
+            : []
+    },
+    {
+        id: 'casing_burst_derating',
+        level: 'warning',
+        check: inputs => inputs.casing_burst_derating > 100
+            ? [{
+                message: 'The casing burst derating is above 100%: it allows more pressure than the casing is rated for.',
+                fields: ['casing_burst_derating']
+            }]
+            : []
+    },
+    {
+        id: 'hole_through_casing',
+        level: 'warning',
+        check: inputs => inputs.casing_id > 0 && inputs.hole_diameter > inputs.casing_id
+            ? [{
+                message: 'The hole diameter is larger than the casing ID: the bit could not have been run through ' +
+                    'the casing unless the hole was under-reamed.',
+                fields: ['hole_diameter', 'casing_id']
+            }]
+            : []
+    },
+    {
+        id: 'string_length',
+        level: 'error',
+        check: inputs => {
+            const components = inputs.string_components;
+            const fields = components.map((component, index) => `string_components.${index}.length`);
+            const below = components.slice(1).reduce((sum, component) => sum + component.length, 0);
+            const total = components.length > 0 && components[0].length > 0 ? below + components[0].length : below;
+
+            return inputs.hole_depth > 0 && total > inputs.hole_depth
+                ? [{ message: 'The drill string is longer than the hole depth.', fields: fields.concat('hole_depth') }]
+                : [];
+        }
+    },
+    {
+        id: 'depth_order',
+        level: 'error',
+        check: (inputs, results) => {
+            const problems = [];
+            const holeTvd = results ? results.bit_tvd : inputs.hole_tvd;
+            const shoeTvd = results ? results.shoe_tvd : inputs.casing_shoe_tvd;
+
+            if (inputs.hole_tvd > inputs.hole_depth && inputs.hole_depth > 0) {
+                problems.push({ message: 'The hole TVD is deeper than the hole MD.', fields: ['hole_tvd', 'hole_depth'] });
+            }
+            if (inputs.casing_shoe_tvd > inputs.casing_setting_depth && inputs.casing_setting_depth > 0) {
+                problems.push({
+                    message: 'The casing shoe TVD is deeper than the shoe MD.',
+                    fields: ['casing_shoe_tvd', 'casing_setting_depth']
+                });
+            }
+            if (inputs.casing_setting_depth > inputs.hole_depth && inputs.hole_depth > 0) {
+                problems.push({
+                    message: 'The casing shoe is deeper than the hole.',
+                    fields: ['casing_setting_depth', 'hole_depth']
+                });
+            } else if (shoeTvd > holeTvd && holeTvd > 0) {
+                problems.push({
+                    message: 'The casing shoe TVD is deeper than the hole TVD.',
+                    fields: ['casing_shoe_tvd', 'hole_tvd']
+                });
+            }
+            return problems;
+        }
+    },
+    {
+        id: 'bop_depth',
+        level: 'error',
+        check: inputs => {
+            if (inputs.bop_location !== 'subsea') return [];
+
+            const bopMd = inputs.air_gap + inputs.water_depth;
+            const fields = ['water_depth', 'air_gap'];
+            if (inputs.hole_depth > 0 && bopMd >= inputs.hole_depth) {
+                return [{
+                    message: 'The subsea BOP (air gap plus water depth) is at or below the bit: there is no annulus ' +
+                        'below it, so the annular volumes and strokes are wrong.',
+                    fields: fields.concat('hole_depth')
+                }];
+            }
+            if (inputs.casing_setting_depth > 0 && bopMd >= inputs.casing_setting_depth) {
+                return [{
+                    message: 'The subsea BOP (air gap plus water depth) is at or below the casing shoe: the cased ' +
+                        'annulus is taken as choke line, so the annular volumes and strokes are wrong.',
+                    fields: fields.concat('casing_setting_depth')
+                }];
+            }
+            return [];
+        }
+    },
+    {
+        id: 'sicp_below_sidpp',
+        level: 'warning',
+        check: inputs => inputs.sicp > 0 && inputs.sicp < inputs.sidpp
+            ? [{
+                message: 'SICP is lower than SIDPP: check the gauges, or the influx may be heavier than the mud or ' +
+                    'inside the string.',
+                fields: ['sicp', 'sidpp']
+            }]
+            : []
+    },
+    {
+        id: 'kill_mud_above_fracture',
+        level: 'warning',
+        check: (inputs, results) => results && results.kill_mud_weight > results.max_allowable_mud_weight
+            ? [{
+                message: 'The kill mud weight is above the maximum allowable mud weight from the shoe test: the shoe ' +
+                    'is expected to break down once kill mud reaches it.',
+                fields: ['lot_pressure', 'lot_mud_weight', 'sidpp']
+            }]
+            : []
+    },
+    {
+        id: 'mud_weight_range',
+        level: 'warning',
+        check: inputs => inputs.current_mud_weight > 0 &&
+            (inputs.current_mud_weight < MUD_WEIGHT_RANGE.min || inputs.current_mud_weight > MUD_WEIGHT_RANGE.max)
+            ? [{ message: 'The current mud weight is outside the usual range; check the units.', fields: ['current_mud_weight'] }]
+            : []
+    },
+    {
+        id: 'shoe_test_missing',
+        level: 'info',
+        check: inputs => inputs.casing_setting_depth > 0 && !(inputs.lot_mud_weight > 0)
+            ? [{
+                message: 'No shoe test is entered: MAASP, kick tolerance and the shoe pressure limits are not calculated.',
+                fields: ['lot_pressure', 'lot_mud_weight']
+            }]
+            : []
+    },
+    {
+        id: 'shut_in_pressures_missing',
+        level: 'info',
+        check: inputs => !(inputs.sidpp > 0) && !(inputs.sicp > 0)
+            ? [{
+                message: 'No shut-in pressures are entered: the kill mud weight equals the current mud weight.',
+                fields: ['sidpp', 'sicp']
+            }]
+            : []
+    }
+];
+
+// Every problem the sheet checks find, { rule, level, message, fields },
+// errors first
+function validateSheet(inputs, results = null) {
+    const levels = Object.keys(VALIDATION_LEVELS);
+
+    return VALIDATION_RULES
+        .reduce((issues, rule) => issues.concat(rule.check(inputs, results).map(problem => ({
+            rule: rule.id,
+            level: rule.level,
+            message: problem.message,
+            fields: problem.fields
+        }))), [])
+        .sort((a, b) => levels.indexOf(a.level) - levels.indexOf(b.level));
+}
+
+// ===========================
+// PERFORM CALCULATIONS
+// ===========================
+function performCalculations(inputs) {
+    const results = {};
+
+    // Pump output used for every stroke count, and where it came from
+    results.pump_capacity = inputs.pump_capacity;
+    results.kill_pump_name = inputs.kill_pump !== null ? inputs.pumps[inputs.kill_pump].name : null;
+
+    // Kill rate and where its slow pump pressure came from
+    const scr = selectScr(inputs);
+    results.kill_rate = inputs.strokes_per_min;
+    results.scr_basis = scr.basis;
+    results.scr_warnings = scr.warnings;
+
+    // Subsea BOP depth and the choke line friction at the kill rate. SCRs
+    // taken through the choke line include its friction, which the choke
+    // takes off during the kill rather than the drillpipe pressure.
+    results.subsea = inputs.bop_location === 'subsea';
+    results.bop_md = results.subsea ? inputs.air_gap + inputs.water_depth : NaN;
+    results.choke_line_friction = results.subsea ? inputs.choke_line_friction : 0;
+    results.scr_path = results.subsea ? inputs.scr_path : null;
+    results.slow_pump_pressure = results.scr_path === 'choke_line'
+        ? Math.max(inputs.user_stroke_pressure - results.choke_line_friction, 0)
+        : inputs.user_stroke_pressure;
+
+    // Depth profile: hydrostatics use TVD, volumes and strokes use MD
+    results.tvd_profile = buildTvdProfile(inputs);
+    results.bit_md = inputs.hole_depth;
+    results.bit_tvd = inputs.hole_tvd > 0 ? inputs.hole_tvd : tvdAtMd(results.tvd_profile, results.bit_md);
+    results.shoe_md = inputs.casing_setting_depth;
+    results.shoe_tvd = inputs.casing_shoe_tvd > 0
+        ? inputs.casing_shoe_tvd
+        : tvdAtMd(results.tvd_profile, results.shoe_md);
+    results.deviated = results.bit_md - results.bit_tvd > DEVIATION_TOLERANCE;
+
+    // Balanced Kill Mud Weight (ppg)
+    // Formula: KMW = CMW + (SIDPP / (0.052 × TVD))
+    results.balanced_kill_mud_weight = inputs.current_mud_weight +
+        (inputs.sidpp / (PRESSURE_GRADIENT * results.bit_tvd));
+
+    // Kill mud weight with the trip margins and rounding of the kill mud policy
+    results.kill_mud_weight = applyKillMudPolicy(inputs, results, results.balanced_kill_mud_weight);
+    results.kill_mud_overbalance = (results.kill_mud_weight - results.balanced_kill_mud_weight) *
+        PRESSURE_GRADIENT * results.bit_tvd;
+
+    // Initial Circulating Pressure (ICP)
+    // Formula: ICP = SIDPP + Slow Pump Pressure (+ schedule safety margin)
+    results.balanced_icp = inputs.sidpp + results.slow_pump_pressure;
+    results.icp = results.balanced_icp + inputs.schedule_safety_margin;
+
+    // Final Circulating Pressure (FCP)
+    // Formula: FCP = Slow Pump Pressure × (KMW / CMW) (+ schedule safety margin)
+    results.balanced_fcp = inputs.current_mud_weight > 0
+        ? results.slow_pump_pressure * (results.balanced_kill_mud_weight / inputs.current_mud_weight)
+        : 0;
+    results.fcp = inputs.current_mud_weight > 0
+        ? results.slow_pump_pressure * (results.kill_mud_weight / inputs.current_mud_weight) +
+            inputs.schedule_safety_margin
+        : 0;
+    results.kill_policy = killPolicyTerms(inputs);
+
+    // Drill string components with depths and internal volumes
+    results.string_sections = buildStringSections(inputs);
+
+    // Total String Length (ft)
+    results.string_length = results.string_sections.reduce((sum, section) => sum + section.length, 0);
+
+    // Drill String Internal Volume (bbl)
+    results.drill_string_volume = results.string_sections.reduce(
+        (sum, section) => sum + section.internal_volume, 0);
+
+    // Surface-to-Bit Strokes
+    // Formula: Strokes = Volume / Pump Capacity
+    results.surface_to_bit_strokes = inputs.pump_capacity > 0
+        ? results.drill_string_volume / inputs.pump_capacity
+        : 0;
+
+    // Open-hole depth
+    results.open_hole_depth = Math.max(inputs.hole_depth - inputs.casing_setting_depth, 0);
+
+    // Annulus sections, from the bit up to surface, split at the casing shoe
+    // and, with a subsea BOP, at the BOP with the choke line above it
+    results.annular_sections = buildAnnularSections(results.string_sections, inputs, results.bop_md);
+
+    // Total Annular Capacity
+    results.total_annular_capacity = results.annular_sections.reduce(
+        (sum, section) => sum + section.volume, 0);
+
+    // Per-component annular volume and strokes
+    results.string_sections.forEach(component => {
+        component.annular_volume = results.annular_sections
+            .filter(section => section.component === component.index)
+            .reduce((sum, section) => sum + section.volume, 0);
+        component.internal_strokes = inputs.pump_capacity > 0
+            ? component.internal_volume / inputs.pump_capacity
+            : 0;
+        component.annular_strokes = inputs.pump_capacity > 0
+            ? component.annular_volume / inputs.pump_capacity
+            : 0;
+    });
+
+    // Bit-to-Surface Strokes (annulus)
+    results.bit_to_surface_strokes = inputs.pump_capacity > 0
+        ? results.total_annular_capacity / inputs.pump_capacity
+        : 0;
+
+    // Total Strokes
+    results.total_strokes = results.surface_to_bit_strokes + results.bit_to_surface_strokes;
+
+    // Weighting material and pit volume to mix the kill mud
+    Object.assign(results, calculateWeightUp(inputs, results));
+
+    // Kill method, concurrent weight-up steps and strokes for the whole kill
+    results.kill_method = inputs.kill_method;
+    results.kill_method_label = KILL_METHODS[inputs.kill_method].label;
+    results.concurrent_steps = inputs.kill_method === 'concurrent'
+        ? buildConcurrentSteps(inputs, results)
+        : [];
+    results.kill_strokes = killStrokes(results);
+
+    // Time Calculations
+    if (inputs.strokes_per_min > 0 && inputs.pump_capacity > 0) {
+        results.time_surface_to_bit = results.drill_string_volume /
+            (inputs.strokes_per_min * inputs.pump_capacity);
+        results.bit_to_surface_time = results.total_annular_capacity /
+            (inputs.strokes_per_min * inputs.pump_capacity);
+        results.total_pumping_time = results.kill_strokes / inputs.strokes_per_min;
+    } else {
+        results.time_surface_to_bit = 0;
+        results.bit_to_surface_time = 0;
+        results.total_pumping_time = 0;
+    }
+
+    // Pressure Drop per 100 Strokes
+    results.pressure_drop_per_100_strokes = results.surface_to_bit_strokes > 0
+        ? ((results.icp - results.fcp) / results.surface_to_bit_strokes) * 100.0
+        : 0;
+
+    // Fracture limits at the shoe, MAASP and kick tolerance
+    Object.assign(results, calculateFractureLimits(inputs, results));
+
+    // Influx height, gradient and likely fluid
+    Object.assign(results, calculateInfluxAnalysis(inputs, results));
+
+    // Pressure schedule table and chart points
+    results.pressure_schedule = buildPressureSchedule(inputs, results);
+    results.chart_points = buildChartPoints(inputs, results);
+
+    // Predicted casing and shoe pressures as the influx is circulated out
+    Object.assign(results, calculateAnnularPressures(inputs, results));
+
+    // Surface pressures against the casing burst rating
+    Object.assign(results, calculateCasingRating(inputs, results));
+
+    // Choke and kill lines, riser, circulating MAASP and riser margin
+    Object.assign(results, calculateSubsea(inputs, results));
+
+    // Volumetric control worksheet, for when the string cannot be circulated
+    Object.assign(results, calculateVolumetric(inputs, results));
+
+    // Bullhead plan, for pushing the influx back into the formation
+    Object.assign(results, calculateBullhead(inputs, results));
+
+    // Stripping back to bottom through the closed BOP
+    Object.assign(results, calculateStripping(inputs, results));
+
+    // Logged readings against the schedule
+    Object.assign(results, evaluateKillLog(inputs, results));
+
+    // Cross-field checks of the inputs
+    results.sheet_checks = validateSheet(inputs, results);
+
+    return results;
+}
+
+// ===========================
+// SURVEY & TVD PROFILE
+// ===========================
+const DEG = PI / 180;
+
+// Minimum curvature positions for survey stations, tied in at surface when
+// the first station is below it. Adds tvd, north, east (ft) and dogleg
+// severity (°/100 ft) to each station.
+function minimumCurvature(survey) {
+    const stations = survey.length > 0 && survey[0].md === 0
+        ? survey.slice()
+        : [{ md: 0, inc: 0, azi: 0 }].concat(survey);
+
+    const trajectory = [Object.assign({ tvd: 0, north: 0, east: 0, dls: 0 }, stations[0])];
+
+    for (let i = 1; i < stations.length; i++) {
+        const upper = trajectory[i - 1];
+        const lower = stations[i];
+        const courseLength = lower.md - upper.md;
+        const i1 = upper.inc * DEG;
+        const i2 = lower.inc * DEG;
+        const a1 = upper.azi * DEG;
+        const a2 = lower.azi * DEG;
+
+        // Dogleg angle and ratio factor
+        const cosDogleg = Math.cos(i2 - i1) - Math.sin(i1) * Math.sin(i2) * (1 - Math.cos(a2 - a1));
+        const dogleg = Math.acos(Math.min(Math.max(cosDogleg, -1), 1));
+        const ratio = dogleg > 1e-9 ? (2 / dogleg) * Math.tan(dogleg / 2) : 1;
+        const half = courseLength / 2 * ratio;
+
+        trajectory.push(Object.assign({}, lower, {
+            tvd: upper.tvd + half * (Math.cos(i1) + Math.cos(i2)),
+            north: upper.north + half * (Math.sin(i1) * Math.cos(a1) + Math.sin(i2) * Math.cos(a2)),
+            east: upper.east + half * (Math.sin(i1) * Math.sin(a1) + Math.sin(i2) * Math.sin(a2)),
+            dls: courseLength > 0 ? dogleg / DEG * 100 / courseLength : 0
+        }));
+    }
+
+    return trajectory;
+}
+
+// MD/TVD pairs describing the wellpath. From the survey when there is one;
+// otherwise straight lines through surface, the shoe and the bit using any
+// TVDs that were entered (a vertical well when none were).
+function buildTvdProfile(inputs) {
+    if (inputs.survey.length > 0) {
+        return minimumCurvature(inputs.survey).map(station => ({
+            md: station.md, tvd: station.tvd, inc: station.inc
+        }));
+    }
+
+    const profile = [{ md: 0, tvd: 0 }];
+    if (inputs.casing_setting_depth > 0 && inputs.casing_shoe_tvd > 0) {
+        profile.push({ md: inputs.casing_setting_depth, tvd: inputs.casing_shoe_tvd });
+    }
+    if (inputs.hole_depth > 0 && inputs.hole_tvd > 0) {
+        profile.push({ md: inputs.hole_depth, tvd: inputs.hole_tvd });
+    }
+    return profile.sort((a, b) => a.md - b.md);
+}
+
+// TVD at a measured depth, interpolated linearly between profile points.
+// Below the last point the hole continues at the last survey inclination,
+// or on the last straight line when there is no survey.
+function tvdAtMd(profile, md) {
+    for (let i = 1; i < profile.length; i++) {
+        const upper = profile[i - 1];
+        const lower = profile[i];
+        if (md <= lower.md) {
+            const fraction = lower.md > upper.md ? (md - upper.md) / (lower.md - upper.md) : 0;
+            return upper.tvd + fraction * (lower.tvd - upper.tvd);
+        }
+    }
+
+    const last = profile[profile.length - 1];
+    if (last.inc !== undefined) {
+        return last.tvd + (md - last.md) * Math.cos(last.inc * DEG);
+    }
+    if (profile.length < 2) return md;
+
+    const previous = profile[profile.length - 2];
+    const slope = last.md > previous.md ? (last.tvd - previous.tvd) / (last.md - previous.md) : 1;
+    return last.tvd + (md - last.md) * slope;
+}
+
+// Shallowest measured depth at which the wellpath reaches a TVD
+function mdAtTvd(profile, tvd, maxMd) {
+    let low = 0;
+    let high = maxMd;
+
+    if (tvdAtMd(profile, high) <= tvd) return high;
+
+    // TVD never decreases along a normal wellpath, so bisect
+    for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (tvdAtMd(profile, mid) < tvd) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return high;
+}
+
+// Parses survey text (CSV or whitespace separated MD, inclination,
+// azimuth per line). Header and other non-numeric lines are skipped.
+function parseSurveyText(text) {
+    const stations = [];
+
+    String(text).split(/\r?\n/).forEach(line => {
+        const fields = line.trim().split(/[\s,;]+/).filter(field => field !== '');
+        if (fields.length < 2) return;
+
+        const values = fields.slice(0, 3).map(Number);
+        if (values.some(isNaN)) return;
+
+        stations.push({ md: values[0], inc: values[1], azi: values.length > 2 ? values[2] : 0 });
+    });
+
+    return stations;
+}
+
+// ===========================
+// KILL MUD POLICY
+// ===========================
+// Kill mud weight to mix from the balanced one: plus the trip margin in ppg
+// and the trip margin in psi at the bit TVD, then rounded up to the next
+// multiple of the increment.
+function applyKillMudPolicy(inputs, results, balancedMudWeight) {
+    let mudWeight = balancedMudWeight + inputs.trip_margin_mud_weight;
+
+    if (inputs.trip_margin_pressure > 0 && results.bit_tvd > 0) {
+        mudWeight += inputs.trip_margin_pressure / (PRESSURE_GRADIENT * results.bit_tvd);
+    }
+
+    if (inputs.kill_mud_weight_increment > 0) {
+        const increment = inputs.kill_mud_weight_increment;
+        mudWeight = Math.ceil(mudWeight / increment - 1e-9) * increment;
+    }
+
+    return mudWeight;
+}
+
+// The policy settings in use, { key, label, value, quantity } each, for
+// recording with the sheet. Empty when the kill is exactly balanced.
+function killPolicyTerms(inputs) {
+    return [
+        { key: 'trip_margin_mud_weight', label: 'Trip margin', quantity: 'mud_weight' },
+        { key: 'trip_margin_pressure', label: 'Trip margin', quantity: 'pressure' },
+        { key: 'kill_mud_weight_increment', label: 'Kill mud weight rounded up to', quantity: 'mud_weight' },
+        { key: 'schedule_safety_margin', label: 'Drillpipe schedule safety margin', quantity: 'pressure' }
+    ]
+        .filter(term => inputs[term.key] > 0)
+        .map(term => Object.assign(term, { value: inputs[term.key] }));
+}
+
+// ===========================
+// DRILL STRING GEOMETRY
+// ===========================
+// Internal capacity of a pipe (bbl/ft)
+// Formula: Capacity = π × (ID²/4) × (12/9691.04)
+function pipeCapacity(id) {
+    return (PI * Math.pow(id, 2) / 4.0) * BBL_PER_IN2_FT;
+}
+
+// Annular capacity between a hole or casing and a pipe (bbl/ft)
+function annularCapacity(holeId, pipeOd) {
+    return Math.max(PI * (Math.pow(holeId, 2) - Math.pow(pipeOd, 2)) / 4.0, 0) * BBL_PER_IN2_FT;
+}
+
+// Places each component along the hole (depths measured from surface) and
+// works out its internal volume. A top component with no length fills the
+// string down to bit depth (the hole depth), as drill pipe usually does.
+function buildStringSections(inputs) {
+    const components = inputs.string_components;
+    const belowTop = components.slice(1).reduce((sum, component) => sum + component.length, 0);
+
+    let top = 0;
+    return components.map((component, index) => {
+        const length = index === 0 && component.length === 0
+            ? Math.max(inputs.hole_depth - belowTop, 0)
+            : component.length;
+        const section = {
+            index: index,
+            name: component.name,
+            od: component.od,
+            id: component.id,
+            length: length,
+            top: top,
+            bottom: top + length,
+            internal_capacity: pipeCapacity(component.id),
+            internal_volume: length * pipeCapacity(component.id)
+        };
+        top += length;
+        return section;
+    });
+}
+
+// Annulus around every component, from the bit upward. A component that
+// straddles the casing shoe gives an open-hole section below the shoe and a
+// cased section above it. With a subsea BOP at `bopMd` the annulus ends at
+// the BOP and the choke line (component null) takes the returns from there
+// to surface; its capacity is spread over the BOP depth so the section
+// holds the whole choke line volume.
+function buildAnnularSections(stringSections, inputs, bopMd = 0) {
+    const sections = [];
+    const shoe = inputs.casing_setting_depth;
+    const bop = bopMd > 0 ? bopMd : 0;
+
+    stringSections.slice().reverse().forEach(component => {
+        const parts = [
+            { cased: false, top: Math.max(component.top, shoe, bop), bottom: component.bottom, hole_id: inputs.hole_diameter },
+            { cased: true, top: Math.max(component.top, bop), bottom: Math.min(component.bottom, shoe), hole_id: inputs.casing_id }
+        ];
+
+        parts.forEach(part => {
+            const length = part.bottom - part.top;
+            if (length <= 0) return;
+
+            const capacity = annularCapacity(part.hole_id, component.od);
+            sections.push({
+                component: component.index,
+                name: component.name,
+                cased: part.cased,
+                hole_id: part.hole_id,
+                od: component.od,
+                top: part.top,
+                bottom: part.bottom,
+                length: length,
+                capacity: capacity,
+                volume: length * capacity
+            });
+        });
+    });
+
+    if (bop > 0) {
+        const capacity = chokeLineVolume(inputs, bop) / bop;
+        sections.push({
+            component: null,
+            name: 'Choke Line',
+            cased: true,
+            hole_id: inputs.choke_line_id,
+            od: 0,
+            top: 0,
+            bottom: bop,
+            length: bop,
+            capacity: capacity,
+            volume: bop * capacity
+        });
+    }
+
+    return sections;
+}
+
+// Choke and kill line volumes (bbl); a line with no length runs straight
+// from the BOP to surface
+function chokeLineVolume(inputs, bopMd) {
+    return pipeCapacity(inputs.choke_line_id) * (inputs.choke_line_length > 0 ? inputs.choke_line_length : bopMd);
+}
+
+function killLineVolume(inputs, bopMd) {
+    return pipeCapacity(inputs.kill_line_id) * (inputs.kill_line_length > 0 ? inputs.kill_line_length : bopMd);
+}
+
+// Annulus between the riser and the string from surface down to the BOP
+// (bbl). Not part of the kill circulation, which goes up the choke line.
+function riserAnnularVolume(stringSections, inputs, bopMd) {
+    return stringSections.reduce((sum, component) => {
+        const length = Math.min(component.bottom, bopMd) - component.top;
+        return length > 0 ? sum + length * annularCapacity(inputs.riser_id, component.od) : sum;
+    }, 0);
+}
+
+// Annular volume (bbl) between two measured depths
+function annularVolumeBetween(annularSections, topMd, bottomMd) {
+    return annularSections.reduce((sum, section) => {
+        const length = Math.min(section.bottom, bottomMd) - Math.max(section.top, topMd);
+        return length > 0 ? sum + length * section.capacity : sum;
+    }, 0);
+}
+
+// Annular volume (bbl) occupied by a column of the given vertical height
+// standing on top of `bottomMd`.
+function annularVolumeForHeight(results, bottomMd, height) {
+    const bottomTvd = tvdAtMd(results.tvd_profile, bottomMd);
+    const topMd = mdAtTvd(results.tvd_profile, Math.max(bottomTvd - height, 0), bottomMd);
+    return annularVolumeBetween(results.annular_sections, topMd, bottomMd);
+}
+
+// ===========================
+// FRACTURE LIMITS & KICK TOLERANCE
+// ===========================
+// From a surface leak-off or formation integrity test at the shoe:
+//   MAMW = Test MW + Test Pressure / (0.052 × Shoe TVD)
+//   MAASP = (MAMW − MW in the annulus) × 0.052 × Shoe TVD
+//
+// Kick tolerance is the largest influx (bbl at bottom-hole conditions) that
+// can be shut in and circulated out without breaking down the shoe, for a
+// kick of the given intensity with an influx gradient G:
+//   shut in, influx on bottom:   H = (MAASP − KI × 0.052 × TVD) / (0.052 × CMW − G)
+//   circulated, top at the shoe: H = (Pfrac − Pf + 0.052 × CMW × (TVD − Shoe TVD)) / (0.052 × CMW − G)
+// The second height is converted from shoe to bottom-hole volume with
+// Boyle's law (V_bottom = V_shoe × Pfrac / Pf). The smaller volume governs.
+function calculateFractureLimits(inputs, results) {
+    const limits = {
+        shoe_fracture_pressure: NaN,
+        max_allowable_mud_weight: NaN,
+        maasp_initial: NaN,
+        maasp_kill: NaN,
+        kick_tolerance_volume: NaN,
+        maasp_status: null
+    };
+
+    if (!(inputs.lot_mud_weight > 0) || !(results.shoe_tvd > 0)) return limits;
+
+    const shoeTvd = results.shoe_tvd;
+    const bitTvd = results.bit_tvd;
+
+    limits.max_allowable_mud_weight = inputs.lot_mud_weight +
+        inputs.lot_pressure / (PRESSURE_GRADIENT * shoeTvd);
+    limits.shoe_fracture_pressure = limits.max_allowable_mud_weight * PRESSURE_GRADIENT * shoeTvd;
+    limits.maasp_initial = (limits.max_allowable_mud_weight - inputs.current_mud_weight) *
+        PRESSURE_GRADIENT * shoeTvd;
+    limits.maasp_kill = (limits.max_allowable_mud_weight - results.kill_mud_weight) *
+        PRESSURE_GRADIENT * shoeTvd;
+
+    // SICP against MAASP
+    if (inputs.sicp > 0) {
+        if (inputs.sicp > limits.maasp_initial) {
+            limits.maasp_status = 'exceeded';
+        } else if (inputs.sicp >= limits.maasp_initial * MAASP_WARNING_RATIO) {
+            limits.maasp_status = 'warning';
+        } else {
+            limits.maasp_status = 'ok';
+        }
+    }
+
+    // Kick tolerance
+    const kickIntensity = inputs.kick_intensity > 0
+        ? inputs.kick_intensity
+        : results.balanced_kill_mud_weight - inputs.current_mud_weight;
+    const gradientDifference = PRESSURE_GRADIENT * inputs.current_mud_weight - inputs.influx_gradient;
+
+    if (kickIntensity > 0 && gradientDifference > 0 && bitTvd > shoeTvd) {
+        const formationPressure = (inputs.current_mud_weight + kickIntensity) * PRESSURE_GRADIENT * bitTvd;
+
+        const heightOnBottom = (limits.maasp_initial - kickIntensity * PRESSURE_GRADIENT * bitTvd) /
+            gradientDifference;
+        const volumeOnBottom = heightOnBottom > 0
+            ? annularVolumeForHeight(results, results.bit_md, heightOnBottom)
+            : 0;
+
+        const heightAtShoe = (limits.shoe_fracture_pressure - formationPressure +
+            PRESSURE_GRADIENT * inputs.current_mud_weight * (bitTvd - shoeTvd)) / gradientDifference;
+        const bottomOfColumnMd = mdAtTvd(results.tvd_profile, shoeTvd + Math.max(heightAtShoe, 0), results.bit_md);
+        const volumeAtShoe = heightAtShoe > 0
+            ? annularVolumeBetween(results.annular_sections, results.shoe_md, bottomOfColumnMd)
+            : 0;
+        const volumeAtShoeOnBottom = volumeAtShoe * limits.shoe_fracture_pressure / formationPressure;
+
+        limits.kick_tolerance_volume = Math.max(Math.min(volumeOnBottom, volumeAtShoeOnBottom), 0);
+    }
+
+    return limits;
+}
+
+// ===========================
+// INFLUX ANALYSIS
+// ===========================
+// Measured depth of the top of a volume of fluid filling the annulus upward
+// from `bottomMd`. Returns null when the annulus cannot hold the volume.
+function annularTopForVolume(annularSections, bottomMd, volume) {
+    let remaining = volume;
+
+    // Sections run from the bit upward
+    for (const section of annularSections) {
+        if (section.top >= bottomMd) continue;
+
+        const length = Math.min(section.bottom, bottomMd) - section.top;
+        const sectionVolume = length * section.capacity;
+        if (remaining <= sectionVolume) {
+            return section.capacity > 0
+                ? Math.min(section.bottom, bottomMd) - remaining / section.capacity
+                : section.top;
+        }
+        remaining -= sectionVolume;
+    }
+
+    return null;
+}
+
+// Influx height from the pit gain and the annulus above the bit, and its
+// gradient from the SICP − SIDPP difference:
+//   G = 0.052 × CMW − (SICP − SIDPP) / H
+function calculateInfluxAnalysis(inputs, results) {
+    const analysis = {
+        influx_height: NaN,
+        influx_top_md: NaN,
+        calculated_influx_gradient: NaN,
+        influx_type: null,
+        influx_type_label: null,
+        influx_warnings: []
+    };
+
+    if (!(inputs.pit_gain > 0) || results.annular_sections.length === 0) return analysis;
+
+    const warnings = analysis.influx_warnings;
+    const topMd = annularTopForVolume(results.annular_sections, results.bit_md, inputs.pit_gain);
+
+    if (topMd === null) {
+        warnings.push('The pit gain is larger than the whole annular volume; check the pit gain and the string and hole data.');
+        return analysis;
+    }
+
+    analysis.influx_top_md = topMd;
+    analysis.influx_height = results.bit_tvd - tvdAtMd(results.tvd_profile, topMd);
+
+    // Where the top of the influx sits
+    const bottomSection = results.annular_sections[0];
+    const topSection = results.annular_sections.find(section => topMd >= section.top && topMd <= section.bottom);
+    if (topSection && topSection.component === null) {
+        warnings.push('The influx extends above the BOP into the choke line.');
+    } else if (topSection && topSection.component !== bottomSection.component) {
+        warnings.push(`The influx extends above the ${bottomSection.name} into the ${topSection.name} annulus.`);
+    }
+    if (topMd < results.shoe_md) {
+        warnings.push('The top of the influx is above the casing shoe.');
+    }
+
+    if (!(analysis.influx_height > 0)) return analysis;
+
+    const gradient = PRESSURE_GRADIENT * inputs.current_mud_weight -
+        (inputs.sicp - inputs.sidpp) / analysis.influx_height;
+    analysis.calculated_influx_gradient = gradient;
+
+    if (inputs.sicp < inputs.sidpp) {
+        warnings.push('SICP is lower than SIDPP, giving an influx heavier than the mud. ' +
+            'Check the gauges, or suspect a plugged or packed-off annulus or influx inside the string.');
+        return analysis;
+    }
+    if (gradient < 0) {
+        warnings.push('The SICP − SIDPP difference is too large for the calculated influx height (negative gradient). ' +
+            'Check the pit gain, the pressures and the annular geometry.');
+        return analysis;
+    }
+
+    const band = INFLUX_TYPES.find(entry => gradient <= entry.max);
+    analysis.influx_type = band.type;
+    analysis.influx_type_label = band.label;
+
+    return analysis;
+}
+
+// ===========================
+// MUD WEIGHT-UP
+// ===========================
+// Weighting up the active pits from the current to the target mud weight
+// W2 with a material of density ρ = SG × 8.33 ppg, per barrel of mud:
+//   Material (lb) = 42 × ρ × (W2 − CMW) / (ρ − W2)
+//   Volume increase (bbl) = (W2 − CMW) / (ρ − W2)
+// The kill mud needed is one full circulation (string + annulus) plus the
+// surplus percentage.
+function calculateWeightUp(inputs, results) {
+    const material = WEIGHTING_MATERIALS[inputs.weighting_material];
+    const density = material.sg * WATER_DENSITY_PPG;
+    const target = inputs.weight_up_mud_weight > 0 ? inputs.weight_up_mud_weight : results.kill_mud_weight;
+    const plan = {
+        weight_up_mud_weight: target,
+        weighting_material_label: material.label,
+        weighting_material_mass: NaN,
+        weight_up_sacks: NaN,
+        weight_up_volume_increase: NaN,
+        weight_up_final_volume: NaN,
+        weight_up_mixing_time: NaN,
+        kill_mud_required: (results.drill_string_volume + results.total_annular_capacity) *
+            (1 + inputs.kill_mud_surplus / 100),
+        weight_up_warnings: []
+    };
+
+    if (!(inputs.active_pit_volume > 0)) return plan;
+
+    const warnings = plan.weight_up_warnings;
+    if (target >= density) {
+        warnings.push(`${material.label} cannot weight mud up to the target mud weight; use a denser material.`);
+        return plan;
+    }
+
+    const weightUp = Math.max(target - inputs.current_mud_weight, 0);
+    if (weightUp === 0) {
+        warnings.push('The target mud weight is not above the current mud weight; no weighting material is needed.');
+    }
+
+    const perBarrel = weightUp / (density - target);
+    plan.weighting_material_mass = inputs.active_pit_volume * GALLONS_PER_BBL * density * perBarrel;
+    plan.weight_up_sacks = inputs.sack_size > 0 ? Math.ceil(plan.weighting_material_mass / inputs.sack_size - 1e-9) : NaN;
+    plan.weight_up_volume_increase = inputs.active_pit_volume * perBarrel;
+    plan.weight_up_final_volume = inputs.active_pit_volume + plan.weight_up_volume_increase;
+    plan.weight_up_mixing_time = inputs.mixing_rate > 0 ? plan.weight_up_sacks / inputs.mixing_rate : NaN;
+
+    if (inputs.pit_capacity > 0 && plan.weight_up_final_volume > inputs.pit_capacity) {
+        warnings.push('The weighted-up mud will not fit in the pits; transfer or dump mud before weighting up.');
+    }
+    if (plan.weight_up_final_volume < plan.kill_mud_required) {
+        warnings.push('The active pits will not hold enough kill mud for a full circulation plus the surplus; ' +
+            'build more volume or weight up in batches.');
+    }
+
+    return plan;
+}
+
+// ===========================
+// PRESSURE SCHEDULE
+// ===========================
+// Measured depth reached by the kill mud front after pumping `strokes`.
+function killMudFrontMd(inputs, results, strokes) {
+    let remaining = strokes * inputs.pump_capacity;
+
+    for (const section of results.string_sections) {
+        if (remaining <= section.internal_volume) {
+            return section.internal_capacity > 0
+                ? section.top + remaining / section.internal_capacity
+                : section.top;
+        }
+        remaining -= section.internal_volume;
+    }
+
+    return results.string_length;
+}
+
+// Drillpipe pressure after a given number of strokes of kill mud.
+//
+// Vertical well: linear from ICP at the surface to FCP once kill mud reaches
+// the bit, then held at FCP.
+//
+// Deviated well: with the kill mud front at measured depth x and the
+// schedule safety margin M,
+//   DPP = SIDPP − min((KMW − CMW) × 0.052 × TVD(x), SIDPP)
+//         + SCR + (FCP − M − SCR) × x / MD_bit + M
+// so friction builds with MD while hydrostatic gain follows the TVD profile.
+// The overbalance of a kill mud heavier than balanced is not taken off the
+// drillpipe pressure.
+function scheduledPressureAt(inputs, results, strokes) {
+    if (strokes >= results.surface_to_bit_strokes) return results.fcp;
+
+    if (results.deviated) {
+        const margin = inputs.schedule_safety_margin;
+        const frontMd = killMudFrontMd(inputs, results, strokes);
+        const friction = results.slow_pump_pressure +
+            (results.fcp - margin - results.slow_pump_pressure) * frontMd / results.string_length;
+        const hydrostaticGain = (results.kill_mud_weight - inputs.current_mud_weight) *
+            PRESSURE_GRADIENT * tvdAtMd(results.tvd_profile, frontMd);
+        return inputs.sidpp - Math.min(hydrostaticGain, inputs.sidpp) + friction + margin;
+    }
+
+    const pressure_drop_per_stroke = (results.icp - results.fcp) / results.surface_to_bit_strokes;
+    const pressure = results.icp - (pressure_drop_per_stroke * strokes);
+
+    // Clamp at FCP
+    return pressure < results.fcp ? results.fcp : pressure;
+}
+
+// ===========================
+// KILL METHODS
+// ===========================
+// Drillpipe pressure that holds bottom-hole pressure once mud of the given
+// weight fills the drill string, with the schedule safety margin M:
+//   DPP = max(SIDPP − (MW − CMW) × 0.052 × TVD, 0) + SCR × MW / CMW + M
+// ICP at the original mud weight, FCP at kill mud weight.
+function pressureForMudWeightAtBit(inputs, results, mudWeight) {
+    return Math.max(inputs.sidpp - (mudWeight - inputs.current_mud_weight) * PRESSURE_GRADIENT * results.bit_tvd, 0) +
+        results.slow_pump_pressure * mudWeight / inputs.current_mud_weight +
+        inputs.schedule_safety_margin;
+}
+
+// Concurrent method weight-up steps, lightest first. Each step is pumped for
+// the step stroke count and sets a new drillpipe pressure when it reaches
+// the bit; the last step is kill mud.
+function buildConcurrentSteps(inputs, results) {
+    const steps = [];
+    const weightUp = results.kill_mud_weight - inputs.current_mud_weight;
+
+    if (!(weightUp > 0) || !(inputs.concurrent_weight_step > 0)) return steps;
+
+    const count = Math.min(Math.ceil(weightUp / inputs.concurrent_weight_step - 1e-9), CONCURRENT_MAX_STEPS);
+    const increment = Math.max(inputs.concurrent_weight_step, weightUp / count);
+    const stepStrokes = inputs.concurrent_step_strokes > 0
+        ? inputs.concurrent_step_strokes
+        : results.surface_to_bit_strokes;
+
+    for (let i = 1; i <= count; i++) {
+        const mudWeight = Math.min(inputs.current_mud_weight + i * increment, results.kill_mud_weight);
+        const startStrokes = (i - 1) * stepStrokes;
+
+        steps.push({
+            step: i,
+            mud_weight: mudWeight,
+            start_strokes: startStrokes,
+            bit_strokes: startStrokes + results.surface_to_bit_strokes,
+            pressure: pressureForMudWeightAtBit(inputs, results, mudWeight)
+        });
+    }
+
+    return steps;
+}
+
+// Strokes from the start of the kill until kill mud is back at surface
+function killStrokes(results) {
+    if (results.kill_method === 'drillers') {
+        return 2 * results.total_strokes;
+    }
+
+    if (results.kill_method === 'concurrent' && results.concurrent_steps.length > 0) {
+        const lastStep = results.concurrent_steps[results.concurrent_steps.length - 1];
+        return lastStep.start_strokes + results.total_strokes;
+    }
+
+    return results.total_strokes;
+}
+
+// Circulation (1 or 2) the pumps are on after `strokes` strokes of the kill
+function killCirculationAt(results, strokes) {
+    return results.kill_method === 'drillers' && strokes >= results.total_strokes ? 2 : 1;
+}
+
+// Drillpipe pressure to hold after `strokes` strokes of the chosen method.
+// Driller's method holds ICP through the first circulation and follows the
+// wait and weight schedule in the second; the concurrent method holds the
+// pressure of the heaviest mud that has reached the bit.
+function killPressureAt(inputs, results, strokes) {
+    if (results.kill_method === 'drillers') {
+        return strokes < results.total_strokes
+            ? results.icp
+            : scheduledPressureAt(inputs, results, strokes - results.total_strokes);
+    }
+
+    if (results.kill_method === 'concurrent') {
+        let pressure = results.icp;
+        results.concurrent_steps.forEach(step => {
+            if (strokes >= step.bit_strokes) pressure = step.pressure;
+        });
+        return pressure;
+    }
+
+    return scheduledPressureAt(inputs, results, strokes);
+}
+
+// ===========================
+// SCHEDULE TABLE & CHART
+// ===========================
+// Schedule rows { strokes, pressure, circulation, mud_weight, stage }.
+// Strokes count from the start of the kill, so the two circulations of
+// Driller's method share one stroke axis.
+function buildPressureSchedule(inputs, results, rows = SCHEDULE_ROWS) {
+    if (!(results.surface_to_bit_strokes > 0)) return [];
+
+    return pumpStartUpSchedule(inputs, results).concat(methodSchedule(inputs, results, rows));
+}
+
+// With a subsea BOP, the pump start-up row: the choke is opened to bring
+// the casing pressure down from SICP by the choke line friction while the
+// pump comes up to the kill rate. The row's `casing_pressure` is the one to
+// hold. Empty for a surface BOP.
+function pumpStartUpSchedule(inputs, results) {
+    if (!(results.choke_line_friction > 0)) return [];
+
+    return [{
+        strokes: 0,
+        pressure: results.icp,
+        circulation: 1,
+        mud_weight: inputs.current_mud_weight,
+        stage: 'Pump start-up, casing to SICP − CLF',
+        casing_pressure: Math.max(inputs.sicp - results.choke_line_friction, 0)
+    }];
+}
+
+// Rows of the chosen kill method
+function methodSchedule(inputs, results, rows) {
+    if (results.kill_method === 'drillers') {
+        const originalMud = (strokes, stage) => ({
+            strokes: strokes,
+            pressure: results.icp,
+            circulation: 1,
+            mud_weight: inputs.current_mud_weight,
+            stage: stage
+        });
+
+        return [
+            originalMud(0, 'Hold ICP, circulate influx out'),
+            originalMud(results.bit_to_surface_strokes, 'Bottoms up at surface'),
+            originalMud(results.total_strokes, 'End of 1st circulation')
+        ].concat(killMudSchedule(inputs, results, rows, results.total_strokes, 2));
+    }
+
+    if (results.kill_method === 'concurrent') {
+        return buildConcurrentSchedule(inputs, results);
+    }
+
+    return killMudSchedule(inputs, results, rows, 0, 1);
+}
+
+// Kill mud pumped from `offset` strokes: `rows` equal stroke steps from
+// surface to bit, then the end of the circulation.
+function killMudSchedule(inputs, results, rows, offset, circulation) {
+    const schedule = [];
+    const strokeIncrement = results.surface_to_bit_strokes / rows;
+    const row = (strokes, pressure, stage) => ({
+        strokes: offset + strokes,
+        pressure: pressure,
+        circulation: circulation,
+        mud_weight: results.kill_mud_weight,
+        stage: stage
+    });
+
+    for (let i = 0; i <= rows; i++) {
+        const strokes = i * strokeIncrement;
+        schedule.push(row(strokes, scheduledPressureAt(inputs, results, strokes),
+            i < rows ? 'Kill mud to bit' : 'Kill mud at bit'));
+    }
+
+    schedule.push(row(results.total_strokes, results.fcp, 'Kill mud at surface'));
+
+    return schedule;
+}
+
+// One row as each weight-up step reaches the bit
+function buildConcurrentSchedule(inputs, results) {
+    const row = (strokes, pressure, mudWeight, stage) => ({
+        strokes: strokes,
+        pressure: pressure,
+        circulation: 1,
+        mud_weight: mudWeight,
+        stage: stage
+    });
+    const schedule = [row(0, results.icp, inputs.current_mud_weight, 'Start weighting up')];
+
+    results.concurrent_steps.forEach(step => {
+        schedule.push(row(step.bit_strokes, step.pressure, step.mud_weight, `Step ${step.step} at bit`));
+    });
+
+    schedule.push(row(results.kill_strokes, results.fcp, results.kill_mud_weight, 'Kill mud at surface'));
+
+    return schedule;
+}
+
+// Strokes at which the schedule changes abruptly or bends. The chart plots
+// the pressure on both sides of each so the steps and corners are exact.
+function chartBreakpoints(results) {
+    if (results.kill_method === 'drillers') {
+        return [results.total_strokes, results.total_strokes + results.surface_to_bit_strokes];
+    }
+
+    if (results.kill_method === 'concurrent') {
+        return results.concurrent_steps.map(step => step.bit_strokes);
+    }
+
+    return [results.surface_to_bit_strokes];
+}
+
+// Chart points { strokes, pressure, circulation } every `step` strokes
+// across the whole kill, plus the breakpoints.
+function buildChartPoints(inputs, results, step = CHART_STROKE_STEP) {
+    const points = [];
+
+    if (!(results.surface_to_bit_strokes > 0)) return points;
+
+    const maxStrokes = Math.max(CHART_MIN_STROKES, Math.ceil(results.kill_strokes));
+    const breakpoints = chartBreakpoints(results).filter(strokes => strokes <= maxStrokes);
+    const point = (strokes, pressure, circulation) => ({
+        strokes: strokes,
+        pressure: pressure,
+        circulation: circulation
+    });
+
+    for (let strokes = 0; strokes <= maxStrokes; strokes += step) {
+        if (breakpoints.indexOf(strokes) === -1) {
+            points.push(point(strokes, killPressureAt(inputs, results, strokes),
+                killCirculationAt(results, strokes)));
+        }
+    }
+
+    // The point just before a breakpoint belongs to what came before it
+    breakpoints.forEach(strokes => {
+        const before = Math.max(strokes - 1e-6, 0);
+        points.push(point(strokes, killPressureAt(inputs, results, before),
+            killCirculationAt(results, before)));
+        points.push(point(strokes, killPressureAt(inputs, results, strokes),
+            killCirculationAt(results, strokes)));
+    });
+
+    return points.sort((a, b) => a.strokes - b.strokes);
+}
+
+// ===========================
+// ANNULAR PRESSURE PREDICTION
+// ===========================
+// Mud weight coming out of the bit after `strokes` strokes of the chosen
+// method
+function bitMudWeightAt(inputs, results, strokes) {
+    if (results.kill_method === 'drillers') {
+        return strokes >= results.total_strokes + results.surface_to_bit_strokes
+            ? results.kill_mud_weight
+            : inputs.current_mud_weight;
+    }
+
+    if (results.kill_method === 'concurrent') {
+        let mudWeight = inputs.current_mud_weight;
+        results.concurrent_steps.forEach(step => {
+            if (strokes >= step.bit_strokes) mudWeight = step.mud_weight;
+        });
+        return mudWeight;
+    }
+
+    return strokes >= results.surface_to_bit_strokes ? results.kill_mud_weight : inputs.current_mud_weight;
+}
+
+// Mud pumped out of the bit in the first `strokes` strokes, as annulus
+// segments { top, bottom, gradient } from the bit upward. Mud that left the
+// bit u strokes into the kill is (strokes − u) × pump output above the bit.
+function pumpedAnnularSegments(inputs, results, strokes) {
+    const mdAbove = volume => {
+        const md = annularTopForVolume(results.annular_sections, results.bit_md, volume);
+        return md === null ? 0 : md;
+    };
+    const edges = [0]
+        .concat(chartBreakpoints(results).filter(edge => edge > 0 && edge < strokes).sort((a, b) => a - b))
+        .concat([strokes]);
+    const segments = [];
+
+    for (let i = edges.length - 1; i > 0; i--) {
+        if (edges[i] <= edges[i - 1]) continue;
+        segments.push({
+            top: mdAbove((strokes - edges[i - 1]) * inputs.pump_capacity),
+            bottom: mdAbove((strokes - edges[i]) * inputs.pump_capacity),
+            gradient: PRESSURE_GRADIENT * bitMudWeightAt(inputs, results, (edges[i - 1] + edges[i]) / 2)
+        });
+    }
+
+    return segments;
+}
+
+// Pressure (psi) at `md` in the annulus: the bottom-hole pressure less the
+// hydrostatic of every segment between `md` and the bit
+function annularPressureAt(results, segments, bottomHolePressure, md) {
+    return segments.reduce((pressure, segment) => {
+        const top = Math.max(segment.top, md);
+        if (segment.bottom <= top) return pressure;
+
+        return pressure - segment.gradient *
+            (tvdAtMd(results.tvd_profile, segment.bottom) - tvdAtMd(results.tvd_profile, top));
+    }, bottomHolePressure);
+}
+
+// The influx as it was shut in: volume at formation pressure, gradient and
+// whether it is gas, with the bottom-hole pressure held while it is
+// circulated out (formation pressure plus the schedule safety margin). An
+// influx the analysis could not classify is treated as gas, the worst case
+// for the casing and shoe.
+function describeInflux(inputs, results) {
+    const gas = results.influx_type !== 'oil' && results.influx_type !== 'water';
+    const formationPressure = inputs.sidpp + PRESSURE_GRADIENT * inputs.current_mud_weight * results.bit_tvd;
+
+    return {
+        gas: gas,
+        volume: inputs.pit_gain,
+        gradient: results.influx_type ? results.calculated_influx_gradient : inputs.influx_gradient,
+        formation_pressure: formationPressure,
+        bottom_hole_pressure: formationPressure + inputs.schedule_safety_margin
+    };
+}
+
+// Annulus contents after `strokes` strokes: the mud pumped out of the bit,
+// the mud the influx has migrated through, the influx and the original mud
+// above it. The influx volume follows Boyle's law from the pressure at its
+// base:
+//   V = V0 × P_formation / P_base
+// Returns the segments and the MD of the top of the influx (null once it
+// has left the well).
+function annularColumnAt(inputs, results, influx, strokes) {
+    const segments = pumpedAnnularSegments(inputs, results, strokes);
+    const pumpedTop = segments.length > 0 ? segments[segments.length - 1].top : results.bit_md;
+    const originalMud = PRESSURE_GRADIENT * inputs.current_mud_weight;
+    const hours = inputs.strokes_per_min > 0 ? strokes / inputs.strokes_per_min / 60 : 0;
+    const influxBottom = pumpedTop - (influx.gas ? inputs.gas_migration_rate * hours : 0);
+    let influxTop = null;
+
+    if (influx.volume > 0 && influxBottom > 0) {
+        segments.push({ top: influxBottom, bottom: pumpedTop, gradient: originalMud });
+
+        const basePressure = annularPressureAt(results, segments, influx.bottom_hole_pressure, influxBottom);
+        const volume = influx.gas && basePressure > 0
+            ? influx.volume * influx.formation_pressure / basePressure
+            : influx.volume;
+
+        // Gas that no longer fits is venting through the choke
+        influxTop = annularTopForVolume(results.annular_sections, influxBottom, volume);
+        if (influxTop === null) influxTop = 0;
+        segments.push({ top: influxTop, bottom: influxBottom, gradient: influx.gradient });
+    }
+
+    const columnTop = segments.length > 0 ? segments[segments.length - 1].top : results.bit_md;
+    segments.push({ top: 0, bottom: columnTop, gradient: originalMud });
+
+    return { segments: segments, influx_top_md: influxTop };
+}
+
+// Predicted casing (choke) and shoe pressures
+// { strokes, casing_pressure, static_casing_pressure, shoe_pressure,
+// influx_top_md } every `step` strokes across the whole kill, holding
+// bottom-hole pressure at formation pressure while the choke can. With a
+// subsea BOP the choke line friction holds part of it, so the casing
+// (choke) pressure is that much below the static one the annulus needs.
+function buildAnnularPressureProfile(inputs, results, step = ANNULAR_PROFILE_STEP) {
+    const points = [];
+
+    // No profile when a section has no annular capacity (a hole or casing
+    // size left blank): the influx height cannot be worked out
+    if (!(results.surface_to_bit_strokes > 0) || results.annular_sections.length === 0 ||
+        results.annular_sections.some(section => !(section.capacity > 0))) {
+        return points;
+    }
+
+    const influx = describeInflux(inputs, results);
+    const maxStrokes = Math.max(CHART_MIN_STROKES, Math.ceil(results.kill_strokes));
+
+    for (let strokes = 0; strokes <= maxStrokes; strokes += step) {
+        const column = annularColumnAt(inputs, results, influx, strokes);
+        const pressureAt = md => annularPressureAt(results, column.segments, influx.bottom_hole_pressure, md);
+
+        // Once the annulus and choke line friction hold more than formation
+        // pressure (a kill mud overbalance) the choke is open and everything
+        // below sits higher
+        const chokePressure = pressureAt(0) - results.choke_line_friction;
+        const overbalance = Math.max(-chokePressure, 0);
+
+        points.push({
+            strokes: strokes,
+            casing_pressure: chokePressure + overbalance,
+            static_casing_pressure: Math.max(pressureAt(0), 0),
+            shoe_pressure: results.shoe_md > 0 ? pressureAt(results.shoe_md) + overbalance : NaN,
+            influx_top_md: column.influx_top_md
+        });
+    }
+
+    return points;
+}
+
+// Profile, peaks and the shoe pressure against the fracture pressure
+// ('ok', 'warning' from MAASP_WARNING_RATIO of it, or 'exceeded')
+function calculateAnnularPressures(inputs, results) {
+    const profile = buildAnnularPressureProfile(inputs, results);
+    const prediction = {
+        annular_pressure_profile: profile,
+        peak_casing_pressure: NaN,
+        peak_casing_pressure_strokes: NaN,
+        peak_shoe_pressure: NaN,
+        peak_shoe_pressure_strokes: NaN,
+        influx_surface_strokes: NaN,
+        shoe_pressure_status: null
+    };
+
+    if (profile.length === 0) return prediction;
+
+    const peak = key => profile.reduce((best, point) => point[key] > best[key] ? point : best, profile[0]);
+    const casingPeak = peak('casing_pressure');
+    prediction.peak_casing_pressure = casingPeak.casing_pressure;
+    prediction.peak_casing_pressure_strokes = casingPeak.strokes;
+
+    if (results.shoe_md > 0) {
+        const shoePeak = peak('shoe_pressure');
+        prediction.peak_shoe_pressure = shoePeak.shoe_pressure;
+        prediction.peak_shoe_pressure_strokes = shoePeak.strokes;
+    }
+
+    const atSurface = profile.find(point => point.influx_top_md === 0);
+    if (atSurface) prediction.influx_surface_strokes = atSurface.strokes;
+
+    if (prediction.peak_shoe_pressure > 0 && results.shoe_fracture_pressure > 0) {
+        if (prediction.peak_shoe_pressure > results.shoe_fracture_pressure) {
+            prediction.shoe_pressure_status = 'exceeded';
+        } else if (prediction.peak_shoe_pressure >= results.shoe_fracture_pressure * MAASP_WARNING_RATIO) {
+            prediction.shoe_pressure_status = 'warning';
+        } else {
+            prediction.shoe_pressure_status = 'ok';
+        }
+    }
+
+    return prediction;
+}
+
+// ===========================
+// CASING RATING
+// ===========================
+// The surface casing pressure loads the casing in burst with nothing behind
+// it at the wellhead, so it is compared with the burst rating derated by
+// the casing_burst_derating percentage (for wear and age):
+//   Derated Burst = Burst × Derating / 100
+// for the shut-in casing pressure and the predicted peak during the kill.
+function calculateCasingRating(inputs, results) {
+    const rating = {
+        casing_burst: inputs.casing_burst > 0 ? inputs.casing_burst : NaN,
+        casing_collapse: inputs.casing_collapse > 0 ? inputs.casing_collapse : NaN,
+        derated_casing_burst: NaN,
+        sicp_burst_percent: NaN,
+        peak_casing_burst_percent: NaN,
+        casing_rating_warnings: []
+    };
+
+    const derated = inputs.casing_burst * inputs.casing_burst_derating / 100;
+    if (!(derated > 0)) return rating;
+
+    rating.derated_casing_burst = derated;
+    rating.sicp_burst_percent = inputs.sicp / derated * 100;
+    rating.peak_casing_burst_percent = results.peak_casing_pressure / derated * 100;
+
+    if (rating.sicp_burst_percent > 100) {
+        rating.casing_rating_warnings.push('SICP is above the derated casing burst rating.');
+    }
+    if (rating.peak_casing_burst_percent > 100) {
+        rating.casing_rating_warnings.push('The predicted peak casing pressure during the kill is above the derated ' +
+            'casing burst rating.');
+    }
+
+    return rating;
+}
+
+// ===========================
+// SUBSEA BOP
+// ===========================
+// Choke and kill line volumes, the riser annulus, MAASP while circulating
+// through the choke line and the riser margin. While circulating, the choke
+// line friction (CLF) acts on the shoe as well as the choke:
+//   Circulating MAASP = MAASP − CLF
+// The riser margin is the extra mud weight that still balances formation
+// pressure at the bit if the riser is disconnected and seawater replaces
+// the mud above the BOP, with air gap Da and water depth Dw:
+//   Riser Margin = (KMW × (Da + Dw) − ρsw × Dw) / (TVD − Da − Dw)
+// using the balanced kill mud weight.
+function calculateSubsea(inputs, results) {
+    const subsea = {
+        choke_line_volume: NaN,
+        choke_line_strokes: NaN,
+        kill_line_volume: NaN,
+        riser_annular_volume: NaN,
+        startup_casing_pressure: NaN,
+        maasp_circulating: NaN,
+        maasp_kill_circulating: NaN,
+        riser_margin: NaN,
+        riser_margin_mud_weight: NaN,
+        subsea_warnings: []
+    };
+
+    if (!results.subsea) return subsea;
+
+    const bopMd = results.bop_md;
+    const warnings = subsea.subsea_warnings;
+
+    if (!(bopMd > 0)) {
+        warnings.push('Enter the water depth and air gap to place the subsea BOP.');
+        return subsea;
+    }
+
+    if (results.bit_md > 0 && bopMd >= results.bit_md) {
+        warnings.push('The subsea BOP (air gap plus water depth) is at or below the bit: there is no annulus ' +
+            'below it, so the annular volumes and strokes are wrong.');
+    } else if (results.shoe_md > 0 && bopMd >= results.shoe_md) {
+        warnings.push('The subsea BOP (air gap plus water depth) is at or below the casing shoe: the cased ' +
+            'annulus is taken as choke line, so the annular volumes and strokes are wrong.');
+    }
+
+    if (inputs.choke_line_id > 0) {
+        subsea.choke_line_volume = chokeLineVolume(inputs, bopMd);
+        subsea.choke_line_strokes = inputs.pump_capacity > 0 ? subsea.choke_line_volume / inputs.pump_capacity : NaN;
+    } else {
+        warnings.push('No choke line ID is entered; the bit-to-surface strokes leave out the choke line.');
+    }
+    if (inputs.kill_line_id > 0) {
+        subsea.kill_line_volume = killLineVolume(inputs, bopMd);
+    }
+    if (inputs.riser_id > 0) {
+        subsea.riser_annular_volume = riserAnnularVolume(results.string_sections, inputs, bopMd);
+    }
+
+    subsea.startup_casing_pressure = Math.max(inputs.sicp - results.choke_line_friction, 0);
+    if (results.choke_line_friction > inputs.sicp) {
+        warnings.push('The choke line friction is higher than SICP: with the choke fully open the bottom-hole pressure ' +
+            'will rise above formation pressure while circulating. Consider a slower kill rate or circulating ' +
+            'through both the choke and kill lines.');
+    }
+
+    if (!isNaN(results.maasp_initial)) {
+        subsea.maasp_circulating = results.maasp_initial - results.choke_line_friction;
+        subsea.maasp_kill_circulating = results.maasp_kill - results.choke_line_friction;
+    }
+
+    const belowMudline = results.bit_tvd - bopMd;
+    if (belowMudline > 0) {
+        subsea.riser_margin = (results.balanced_kill_mud_weight * bopMd - SEA_WATER_DENSITY_PPG * inputs.water_depth) /
+            belowMudline;
+        subsea.riser_margin_mud_weight = results.balanced_kill_mud_weight + subsea.riser_margin;
+
+        if (results.kill_mud_weight < subsea.riser_margin_mud_weight) {
+            warnings.push('The kill mud weight does not include the riser margin: the well would be underbalanced ' +
+                'if the riser were disconnected.');
+        }
+    }
+
+    return subsea;
+}
+
+// ===========================
+// VOLUMETRIC CONTROL
+// ===========================
+// Hydrostatic pressure (psi) of one barrel of mud of the given weight in
+// each annular section, from the bit upward: { component, name, cased, top,
+// bottom, psi_per_bbl }, component being null for the choke line. Deviated
+// sections count only their vertical height.
+function volumetricSections(results, mudWeight) {
+    return results.annular_sections.map(section => {
+        const height = tvdAtMd(results.tvd_profile, section.bottom) - tvdAtMd(results.tvd_profile, section.top);
+        return {
+            component: section.component,
+            name: section.name,
+            cased: section.cased,
+            top: section.top,
+            bottom: section.bottom,
+            psi_per_bbl: section.volume > 0 ? PRESSURE_GRADIENT * mudWeight * height / section.volume : NaN
+        };
+    });
+}
+
+// Volumetric method and lubricate-and-bleed, with SICP, safety margin Ps,
+// working pressure increment Pw and HG the hydrostatic per barrel of mud in
+// the annular section holding the top of the influx:
+//   Volume to bleed per cycle Vw = Pw / HG
+//   Cycle n: let the casing pressure rise to SICP + Ps + n × Pw, then hold
+//            it there while bleeding Vw
+// Bleeding stops when the gas reaches surface, estimated as the mud bled
+// matching the gas expansion V0 × (Pf / P − 1) at casing pressure P.
+//
+// Lubricate and bleed then replaces the gas at surface (volume Vg) with mud
+// of hydrostatic HL per barrel in the top annular section:
+//   Lubricate until the casing pressure rises from P1 to P1 + Pw:
+//     V = Vg × (1 − P1 / (P1 + Pw))       (Boyle's law, absolute pressures)
+//   Wait, then bleed gas down to P1 − V × HL
+// until the gas left holds back less than Pw (Vg × HL < Pw). With all the
+// gas replaced the casing pressure would be P − Vg × HL.
+function calculateVolumetric(inputs, results) {
+    const volumetric = {
+        volumetric_psi_per_bbl: NaN,
+        volumetric_bleed_volume: NaN,
+        volumetric_first_pressure: NaN,
+        volumetric_total_bleed: NaN,
+        volumetric_sections: [],
+        volumetric_cycles: [],
+        lubricate_mud_weight: NaN,
+        lubricate_psi_per_bbl: NaN,
+        lubricate_gas_volume: NaN,
+        lubricate_final_pressure: NaN,
+        lubricate_cycles: [],
+        volumetric_warnings: []
+    };
+
+    const sections = results.annular_sections;
+    if (!(inputs.sicp > 0) || sections.length === 0) return volumetric;
+
+    const warnings = volumetric.volumetric_warnings;
+    const margin = inputs.volumetric_safety_margin;
+    const step = inputs.volumetric_pressure_step;
+    const absolute = pressure => pressure + ATMOSPHERIC_PRESSURE;
+
+    volumetric.volumetric_sections = volumetricSections(results, inputs.current_mud_weight);
+
+    // Hydrostatic per barrel where the influx is (on bottom when unknown)
+    const influxTop = isNaN(results.influx_top_md) ? results.bit_md : results.influx_top_md;
+    const index = Math.max(sections.findIndex(section => influxTop >= section.top && influxTop <= section.bottom), 0);
+    const hydrostatic = volumetric.volumetric_sections[index].psi_per_bbl;
+    if (!(hydrostatic > 0) || !(step > 0)) return volumetric;
+
+    volumetric.volumetric_psi_per_bbl = hydrostatic;
+    volumetric.volumetric_bleed_volume = step / hydrostatic;
+    volumetric.volumetric_first_pressure = inputs.sicp + margin + step;
+    if (volumetric.volumetric_sections.some(section => Math.abs(section.psi_per_bbl - hydrostatic) > 0.01 * hydrostatic)) {
+        warnings.push('The hydrostatic per barrel changes along the annulus; recalculate the volume to bleed when the gas ' +
+            'rises into a section with a different value.');
+    }
+
+    // Formation pressure: with no SIDPP (string plugged or out of the hole)
+    // SICP plus a full mud column, which overstates the expansion
+    const hydrostaticColumn = PRESSURE_GRADIENT * inputs.current_mud_weight * results.bit_tvd;
+    const formationPressure = (inputs.sidpp > 0 ? inputs.sidpp : inputs.sicp) + hydrostaticColumn;
+    const influxVolume = inputs.pit_gain;
+    if (!(influxVolume > 0)) {
+        warnings.push('Enter the pit gain to estimate when the gas reaches surface.');
+    }
+
+    // Bleed and hold cycles
+    let pressure = inputs.sicp + margin;
+    let bled = 0;
+    for (let cycle = 1; cycle <= VOLUMETRIC_MAX_CYCLES; cycle++) {
+        pressure += step;
+        if (results.maasp_initial > 0 && pressure > results.maasp_initial) {
+            warnings.push(`The casing pressure to hold in cycle ${cycle} is above MAASP. Use a smaller safety margin or ` +
+                'pressure increment, or accept the risk of losses at the shoe.');
+            break;
+        }
+
+        bled += volumetric.volumetric_bleed_volume;
+        const expansion = influxVolume * (absolute(formationPressure) / absolute(pressure) - 1);
+        const atSurface = influxVolume > 0 && bled >= expansion;
+        volumetric.volumetric_cycles.push({
+            cycle: cycle,
+            pressure: pressure,
+            bleed_volume: volumetric.volumetric_bleed_volume,
+            cumulative_volume: bled,
+            gas_at_surface: atSurface
+        });
+        if (atSurface || (!(influxVolume > 0) && cycle === SCHEDULE_ROWS)) break;
+    }
+
+    const lastCycle = volumetric.volumetric_cycles[volumetric.volumetric_cycles.length - 1];
+    if (!lastCycle) return volumetric;
+    if (!lastCycle.gas_at_surface && influxVolume > 0) {
+        warnings.push(`The gas is not at surface after ${volumetric.volumetric_cycles.length} cycles.`);
+        return volumetric;
+    }
+    volumetric.volumetric_total_bleed = lastCycle.cumulative_volume;
+    if (!(influxVolume > 0)) return volumetric;
+
+    // Lubricate and bleed, from the casing pressure with gas at surface
+    const lubricateMudWeight = inputs.lubricate_mud_weight > 0 ? inputs.lubricate_mud_weight : inputs.current_mud_weight;
+    const lubricateHydrostatic = volumetricSections(results, lubricateMudWeight)[sections.length - 1].psi_per_bbl;
+    volumetric.lubricate_mud_weight = lubricateMudWeight;
+    volumetric.lubricate_psi_per_bbl = lubricateHydrostatic;
+    if (!(lubricateHydrostatic > 0)) return volumetric;
+
+    let gas = influxVolume * absolute(formationPressure) / absolute(lastCycle.pressure);
+    volumetric.lubricate_gas_volume = gas;
+    volumetric.lubricate_final_pressure = Math.max(lastCycle.pressure - gas * lubricateHydrostatic, 0);
+    pressure = lastCycle.pressure;
+
+    const gasLeft = () => gas * lubricateHydrostatic >= step && pressure > 0;
+    for (let cycle = 1; cycle <= VOLUMETRIC_MAX_CYCLES && gasLeft(); cycle++) {
+        const volume = gas * (1 - absolute(pressure) / absolute(pressure + step));
+        const gain = volume * lubricateHydrostatic;
+        const bleedTo = Math.max(pressure - gain, 0);
+
+        volumetric.lubricate_cycles.push({
+            cycle: cycle,
+            start_pressure: pressure,
+            lubricate_pressure: pressure + step,
+            lubricate_volume: volume,
+            hydrostatic_gain: gain,
+            bleed_pressure: bleedTo
+        });
+
+        gas -= volume;
+        pressure = bleedTo;
+    }
+
+    if (gasLeft()) {
+        warnings.push(`${gas.toFixed(1)} bbl of gas is still at surface after ${VOLUMETRIC_MAX_CYCLES} lubricate cycles; ` +
+            'use a larger pressure increment.');
+    }
+
+    return volumetric;
+}
+
+// ===========================
+// BULLHEADING
+// ===========================
+// Measured depth reached by `volume` bbl pumped down the drill string from
+// surface (the bit when the string cannot hold it)
+function stringDepthForVolume(results, volume) {
+    let remaining = volume;
+
+    for (const section of results.string_sections) {
+        if (remaining <= section.internal_volume) {
+            return section.internal_capacity > 0
+                ? section.top + remaining / section.internal_capacity
+                : section.top;
+        }
+        remaining -= section.internal_volume;
+    }
+
+    return results.bit_md;
+}
+
+// Contents of the annulus or drill string after `volume` bbl of fluid of
+// `gradient` (psi/ft) have been bullheaded down it, as segments { top,
+// bottom, gradient } from the bit upward. The original contents are pushed
+// into the formation from the bottom, so down the annulus the influx goes
+// first; it is treated as incompressible.
+function bullheadSegments(inputs, results, path, volume, gradient) {
+    const mud = PRESSURE_GRADIENT * inputs.current_mud_weight;
+
+    if (path === 'string') {
+        const fluidBottom = stringDepthForVolume(results, volume);
+        return [
+            { top: fluidBottom, bottom: results.bit_md, gradient: mud },
+            { top: 0, bottom: fluidBottom, gradient: gradient }
+        ];
+    }
+
+    const sections = results.annular_sections;
+    const influx = describeInflux(inputs, results);
+    const original = Math.max(results.total_annular_capacity - volume, 0);
+    const influxLeft = Math.min(Math.max(influx.volume - volume, 0), original);
+    const topOf = left => {
+        const md = left > 0 ? annularTopForVolume(sections, results.bit_md, left) : results.bit_md;
+        return md === null ? 0 : md;
+    };
+    const influxTop = topOf(influxLeft);
+    const fluidBottom = topOf(original);
+
+    return [
+        { top: influxTop, bottom: results.bit_md, gradient: influx.gradient },
+        { top: fluidBottom, bottom: influxTop, gradient: mud },
+        { top: 0, bottom: fluidBottom, gradient: gradient }
+    ];
+}
+
+// Bullhead plan down the annulus or the drill string. With formation
+// pressure Pf at the bit, the surface pressure that just starts injecting
+// after V bbl have been pumped is
+//   P(V) = Pf − hydrostatic of the path contents
+// and the surface pressure that takes the shoe to its fracture pressure
+//   Pmax(V) = Pfrac − (pressure at the shoe with Pf at the bit) + P(V)
+// the shoe seeing the annulus contents (unchanged when pumping down the
+// string). The surface pressure rating, when given, caps Pmax. Injectivity
+// and friction are not included: the pump pressure will be above P(V).
+// Nothing is worked out unless a bullhead path is chosen.
+function calculateBullhead(inputs, results) {
+    const bullhead = {
+        bullhead_path: inputs.bullhead_path,
+        bullhead_mud_weight: NaN,
+        bullhead_influx_volume: NaN,
+        bullhead_volume: NaN,
+        bullhead_total_volume: NaN,
+        bullhead_strokes: NaN,
+        bullhead_start_pressure: NaN,
+        bullhead_start_max_pressure: NaN,
+        bullhead_end_pressure: NaN,
+        bullhead_end_max_pressure: NaN,
+        bullhead_schedule: [],
+        bullhead_warnings: []
+    };
+
+    const path = inputs.bullhead_path;
+    if (path === 'none') return bullhead;
+
+    const pathVolume = path === 'string' ? results.drill_string_volume : results.total_annular_capacity;
+    if (!(pathVolume > 0) || !(inputs.current_mud_weight > 0) || !(results.bit_tvd > 0)) return bullhead;
+
+    const warnings = bullhead.bullhead_warnings;
+    const mudWeight = inputs.bullhead_mud_weight > 0 ? inputs.bullhead_mud_weight : results.kill_mud_weight;
+    const gradient = PRESSURE_GRADIENT * mudWeight;
+    const formationPressure = describeInflux(inputs, results).formation_pressure;
+    const shoeLimited = results.shoe_fracture_pressure > 0 && results.shoe_md > 0 && results.shoe_md < results.bit_md;
+    const shutInAnnulus = bullheadSegments(inputs, results, 'annulus', 0, gradient);
+
+    bullhead.bullhead_mud_weight = mudWeight;
+    bullhead.bullhead_volume = pathVolume;
+    bullhead.bullhead_total_volume = pathVolume + inputs.bullhead_overdisplacement;
+    bullhead.bullhead_strokes = inputs.pump_capacity > 0 ? bullhead.bullhead_total_volume / inputs.pump_capacity : NaN;
+    if (path === 'annulus' && inputs.pit_gain > 0) {
+        bullhead.bullhead_influx_volume = Math.min(inputs.pit_gain, pathVolume);
+    }
+
+    const pointAt = (volume, stage) => {
+        const segments = bullheadSegments(inputs, results, path, volume, gradient);
+        const pressure = annularPressureAt(results, segments, formationPressure, 0);
+        let maxPressure = NaN;
+        if (shoeLimited) {
+            const annulus = path === 'string' ? shutInAnnulus : segments;
+            maxPressure = results.shoe_fracture_pressure -
+                annularPressureAt(results, annulus, formationPressure, results.shoe_md) + pressure;
+        }
+        if (inputs.bullhead_pressure_limit > 0) {
+            maxPressure = isNaN(maxPressure)
+                ? inputs.bullhead_pressure_limit
+                : Math.min(maxPressure, inputs.bullhead_pressure_limit);
+        }
+
+        return {
+            stage: stage,
+            volume: volume,
+            strokes: inputs.pump_capacity > 0 ? volume / inputs.pump_capacity : NaN,
+            pressure: Math.max(pressure, 0),
+            max_pressure: maxPressure
+        };
+    };
+
+    // Evenly spaced to the bit, plus the influx back in the formation and
+    // any over-displacement
+    const stageAt = volume => {
+        if (volume === 0) return 'Start';
+        if (volume === bullhead.bullhead_influx_volume) return 'Influx back in formation';
+        if (volume === pathVolume) return 'Bullhead fluid at bit';
+        return volume > pathVolume ? 'Over-displaced' : 'Pumping';
+    };
+    const volumes = [];
+    for (let row = 0; row <= SCHEDULE_ROWS; row++) {
+        volumes.push(row === SCHEDULE_ROWS ? pathVolume : pathVolume * row / SCHEDULE_ROWS);
+    }
+    if (!isNaN(bullhead.bullhead_influx_volume)) volumes.push(bullhead.bullhead_influx_volume);
+    if (inputs.bullhead_overdisplacement > 0) volumes.push(bullhead.bullhead_total_volume);
+    bullhead.bullhead_schedule = volumes
+        .sort((a, b) => a - b)
+        .filter((volume, index, sorted) => index === 0 || volume - sorted[index - 1] > 1e-6)
+        .map(volume => pointAt(volume, stageAt(volume)));
+
+    const schedule = bullhead.bullhead_schedule;
+    const start = schedule[0];
+    const end = schedule[schedule.length - 1];
+    bullhead.bullhead_start_pressure = start.pressure;
+    bullhead.bullhead_start_max_pressure = start.max_pressure;
+    bullhead.bullhead_end_pressure = end.pressure;
+    bullhead.bullhead_end_max_pressure = end.max_pressure;
+
+    if (path === 'string') {
+        warnings.push('Bullheading down the drill string leaves the influx in the annulus.');
+    }
+    if (!shoeLimited) {
+        warnings.push('Enter the shoe test to get the maximum bullhead pressures at the shoe.');
+    }
+    if (start.pressure > start.max_pressure) {
+        warnings.push('Injection needs more surface pressure than allowed from the start: the shoe (or the surface ' +
+            'rating) would be exceeded before the formation takes fluid.');
+    } else if (schedule.some(point => point.pressure > point.max_pressure)) {
+        warnings.push('The pressure to inject rises above the maximum allowed part way through; see the bullhead schedule.');
+    }
+    if (mudWeight < results.balanced_kill_mud_weight) {
+        warnings.push('The bullhead fluid does not balance formation pressure: the well will not be dead once it is ' +
+            'displaced. Use a heavier fluid.');
+    }
+
+    return bullhead;
+}
+
+// ===========================
+// STRIPPING
+// ===========================
+// The drill string with the bit at `bitMd` instead of on bottom: the same
+// sections moved up the hole, and no pipe (component null) below the bit
+function strippingStringSections(results, bitMd) {
+    const offset = bitMd - results.string_length;
+    const sections = results.string_sections
+        .map(section => Object.assign({}, section, {
+            top: Math.max(section.top + offset, 0),
+            bottom: section.bottom + offset
+        }))
+        .filter(section => section.bottom > section.top);
+
+    return sections.concat({ index: null, name: 'Below bit', od: 0, top: bitMd, bottom: results.bit_md });
+}
+
+// Vertical height (ft) of an influx of `volume` bbl on bottom with the bit
+// at `bitMd`
+function strippingInfluxHeight(inputs, results, bitMd, volume) {
+    if (!(volume > 0)) return 0;
+
+    const sections = buildAnnularSections(strippingStringSections(results, bitMd), inputs);
+    const top = annularTopForVolume(sections, results.bit_md, volume);
+    return results.bit_tvd - tvdAtMd(results.tvd_profile, top === null ? 0 : top);
+}
+
+// Closed-end displacement (bbl) of the string between two positions
+// measured from the top of the string: steel plus the inside, the float
+// keeping the pipe dry. Pipe above the top of the listed string is taken to
+// be the top component.
+function closedEndDisplacement(results, from, to) {
+    const first = results.string_sections[0];
+    let volume = from < 0 ? (Math.min(to, 0) - from) * pipeCapacity(first.od) : 0;
+
+    results.string_sections.forEach(section => {
+        const length = Math.min(to, section.bottom) - Math.max(from, section.top);
+        if (length > 0) volume += length * pipeCapacity(section.od);
+    });
+
+    return volume;
+}
+
+// Stand-by-stand stripping from the shut-in bit depth D back to bottom,
+// holding bottom-hole pressure constant. Each stand's closed-end
+// displacement is bled from the annulus, and as the bit goes into the
+// influx the influx grows taller around the pipe, so the casing pressure
+// rises:
+//   Casing Pressure = SICP + (0.052 × MW − G) × (H − H at D)
+// with H the vertical height of the influx (the pit gain, on bottom) and G
+// the influx gradient entered. Gas migration and expansion are not
+// included; bleed any extra casing pressure rise volumetrically.
+function calculateStripping(inputs, results) {
+    const stripping = {
+        stripping_stands: NaN,
+        stripping_stand_displacement: NaN,
+        stripping_total_bleed: NaN,
+        stripping_final_pressure: NaN,
+        stripping_completed_stands: NaN,
+        stripping_completed_bleed: NaN,
+        stripping_schedule: [],
+        stripping_warnings: []
+    };
+
+    const startMd = inputs.stripping_bit_depth;
+    const standLength = inputs.stand_length;
+    if (!(startMd > 0) || startMd >= results.bit_md || !(standLength > 0) || results.string_sections.length === 0) {
+        return stripping;
+    }
+
+    const warnings = stripping.stripping_warnings;
+    const gradientDifference = PRESSURE_GRADIENT * inputs.current_mud_weight - inputs.influx_gradient;
+    const heightAt = md => strippingInfluxHeight(inputs, results, md, inputs.pit_gain);
+    const startHeight = heightAt(startMd);
+    const completed = inputs.stripping_completed;
+    const stands = Math.ceil((results.bit_md - startMd) / standLength - 1e-9);
+    let bled = 0;
+
+    for (let stand = 1; stand <= stands; stand++) {
+        const fromMd = startMd + (stand - 1) * standLength;
+        const toMd = Math.min(startMd + stand * standLength, results.bit_md);
+        const displacement = closedEndDisplacement(results,
+            results.string_length - toMd, results.string_length - fromMd);
+        const height = heightAt(toMd);
+        const pipe = results.string_sections.find(section => results.string_length - toMd < section.bottom) ||
+            results.string_sections[0];
+        bled += displacement;
+
+        stripping.stripping_schedule.push({
+            stand: stand,
+            bit_md: toMd,
+            pipe: pipe.name,
+            displacement: displacement,
+            cumulative_volume: bled,
+            influx_height: height,
+            casing_pressure: inputs.sicp + gradientDifference * (height - startHeight),
+            completed: completed.indexOf(stand) !== -1
+        });
+    }
+
+    const schedule = stripping.stripping_schedule;
+    const done = schedule.filter(row => row.completed);
+    stripping.stripping_stands = stands;
+    stripping.stripping_stand_displacement = schedule[0].displacement;
+    stripping.stripping_total_bleed = bled;
+    stripping.stripping_final_pressure = schedule[stands - 1].casing_pressure;
+    stripping.stripping_completed_stands = done.length;
+    stripping.stripping_completed_bleed = done.reduce((sum, row) => sum + row.displacement, 0);
+
+    if (!(inputs.pit_gain > 0)) {
+        warnings.push('Enter the pit gain to include the influx in the expected casing pressures.');
+    }
+    if (results.maasp_initial > 0 && stripping.stripping_final_pressure > results.maasp_initial) {
+        warnings.push('The expected casing pressure rises above MAASP before the bit is back on bottom.');
+    }
+
+    return stripping;
+}
+
+// ===========================
+// KILL MONITORING
+// ===========================
+// Compares every logged drillpipe pressure with the schedule at the same
+// stroke count. Status is 'ok' within ±monitor_tolerance, 'high' or 'low'
+// outside it, and null for a reading without strokes or drillpipe pressure.
+function evaluateKillLog(inputs, results) {
+    const log = inputs.kill_log.map(reading => {
+        const evaluated = Object.assign({}, reading, { planned_pressure: null, deviation: null, status: null });
+
+        if (reading.strokes === null || reading.drillpipe_pressure === null) return evaluated;
+
+        evaluated.planned_pressure = killPressureAt(inputs, results, reading.strokes);
+        evaluated.deviation = reading.drillpipe_pressure - evaluated.planned_pressure;
+        if (Math.abs(evaluated.deviation) <= inputs.monitor_tolerance) {
+            evaluated.status = 'ok';
+        } else {
+            evaluated.status = evaluated.deviation > 0 ? 'high' : 'low';
+        }
+
+        return evaluated;
+    });
+
+    const checked = log.filter(reading => reading.status !== null);
+
+    return {
+        kill_log: log,
+        monitor_tolerance: inputs.monitor_tolerance,
+        kill_log_latest: checked.length > 0 ? checked[checked.length - 1] : null,
+        kill_log_deviations: checked.filter(reading => reading.status !== 'ok').length
+    };
+}
+
+// ===========================
+// HEADLESS ENTRY POINT
+// ===========================
+// Plain input object in, results object out. Throws when the inputs the
+// calculation cannot run without are missing.
+function calculateKillSheet(rawInputs) {
+    const inputs = normalizeInputs(rawInputs);
+
+    if (!validateCriticalInputs(inputs)) {
+        throw new Error('Hole depth, pump capacity and current mud weight must all be greater than zero');
+    }
+
+    return performCalculations(inputs);
+}
+
+// ===========================
+// MODULE EXPORTS (Node)
+// ===========================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PRESSURE_GRADIENT,
+        BBL_PER_IN2_FT,
+        DEFAULT_INPUTS,
+        RESULT_SECTIONS,
+        normalizeInputs,
+        normalizeStringComponents,
+        normalizeSurvey,
+        normalizePumps,
+        PUMP_TYPES,
+        pumpOutput,
+        WEIGHTING_MATERIALS,
+        DEFAULT_WEIGHTING_MATERIAL,
+        BOP_LOCATIONS,
+        DEFAULT_BOP_LOCATION,
+        SCR_PATHS,
+        DEFAULT_SCR_PATH,
+        BULLHEAD_PATHS,
+        DEFAULT_BULLHEAD_PATH,
+        SEA_WATER_DENSITY_PPG,
+        calculateWeightUp,
+        normalizeScrTable,
+        scrPressureAt,
+        selectScr,
+        validateCriticalInputs,
+        VALIDATION_LEVELS,
+        VALIDATION_RULES,
+        validateSheet,
+        applyKillMudPolicy,
+        killPolicyTerms,
+        minimumCurvature,
+        buildTvdProfile,
+        tvdAtMd,
+        mdAtTvd,
+        parseSurveyText,
+        annularVolumeBetween,
+        calculateFractureLimits,
+        INFLUX_TYPES,
+        INFLUX_ASSUMPTIONS,
+        annularTopForVolume,
+        calculateInfluxAnalysis,
+        pipeCapacity,
+        annularCapacity,
+        performCalculations,
+        scheduledPressureAt,
+        KILL_METHODS,
+        DEFAULT_KILL_METHOD,
+        pressureForMudWeightAtBit,
+        buildConcurrentSteps,
+        killStrokes,
+        killPressureAt,
+        normalizeKillLog,
+        evaluateKillLog,
+        buildPressureSchedule,
+        buildChartPoints,
+        ANNULAR_PRESSURE_ASSUMPTIONS,
+        buildAnnularPressureProfile,
+        calculateAnnularPressures,
+        calculateCasingRating,
+        calculateSubsea,
+        volumetricSections,
+        calculateVolumetric,
+        calculateBullhead,
+        normalizeStandList,
+        calculateStripping,
+        calculateKillSheet
+    };
+}
@@ -0,0 +1,211 @@
+// ===========================
+// KILL SHEET CALCULATOR - SAVED WELL LIBRARY
+// ===========================
+//
+// Named kill sheets kept in browser storage, and the versioned JSON file
+// used to export and import them. Like calculations.js this file has no DOM
+// dependency; the storage object (window.localStorage in the browser) is
+// passed in.
+//
+// A saved sheet is
+//   { id, name, unit_system, saved_at, well }
+// where `well` is a well object with the same field names as the form and
+// the command-line well files (see examples/), including the sheet details
+// well_name, rig, wellbore and sheet_date. Its values are in the unit system
+// named by its `units` key (oilfield when absent); `unit_system` is the
+// system the sheet was being viewed in when saved.
+
+const LIBRARY_STORAGE_KEY = 'killSheet.library';
+const DRAFT_STORAGE_KEY = 'killSheet.draft';
+const POLICY_STORAGE_KEY = 'killSheet.policy';
+
+// Export file identification. Bump the version when the sheet layout changes
+// and teach parseLibraryFile() to upgrade the older files.
+const LIBRARY_FILE_FORMAT = 'kill-sheet-library';
+const LIBRARY_FILE_VERSION = 1;
+
+// ===========================
+// SHEET RECORDS
+// ===========================
+function createSheetId() {
+    return `ks-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Default sheet name from the sheet details, e.g. "Well A-12 / ST1 (2025-03-04)"
+function defaultSheetName(well) {
+    const parts = [well.well_name, well.wellbore].filter(Boolean);
+    const name = parts.length > 0 ? parts.join(' / ') : 'Untitled kill sheet';
+    return well.sheet_date ? `${name} (${well.sheet_date})` : name;
+}
+
+function createSheetRecord(well, unitSystem, name) {
+    return {
+        id: createSheetId(),
+        name: name || defaultSheetName(well),
+        unit_system: unitSystem,
+        saved_at: new Date().toISOString(),
+        well: well
+    };
+}
+
+// Copy with a new id, for reusing a sheet's well data on another kick drill
+function duplicateSheetRecord(record) {
+    return createSheetRecord(JSON.parse(JSON.stringify(record.well)), record.unit_system,
+        `${record.name} (copy)`);
+}
+
+// Checks a sheet read from storage or a file and fills in what it may lack.
+// Returns null when it is not a usable sheet.
+function normalizeSheetRecord(record) {
+    if (!record || typeof record !== 'object' || !record.well || typeof record.well !== 'object') {
+        return null;
+    }
+
+    return {
+        id: record.id ? String(record.id) : createSheetId(),
+        name: record.name ? String(record.name) : defaultSheetName(record.well),
+        unit_system: record.unit_system || 'oilfield',
+        saved_at: record.saved_at || new Date().toISOString(),
+        well: record.well
+    };
+}
+
+// ===========================
+// BROWSER STORAGE
+// ===========================
+// Saved sheets, newest first. Unreadable storage gives an empty library
+// rather than an error so the calculator still opens.
+function readLibrary(storage) {
+    try {
+        const records = JSON.parse(storage.getItem(LIBRARY_STORAGE_KEY) || '[]');
+        return Array.isArray(records) ? records.map(normalizeSheetRecord).filter(Boolean) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function writeLibrary(storage, records) {
+    storage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(records));
+}
+
+// Adds a sheet, or replaces the one with the same id, and moves it to the top
+function upsertSheet(records, record) {
+    return [record].concat(records.filter(existing => existing.id !== record.id));
+}
+
+function removeSheet(records, id) {
+    return records.filter(record => record.id !== id);
+}
+
+// ===========================
+// DEFAULT KILL MUD POLICY
+// ===========================
+// The company kill mud policy applied to new sheets: the policy name and
+// margin fields of a well object, in oilfield units.
+const POLICY_FIELDS = [
+    'policy_name',
+    'trip_margin_mud_weight',
+    'trip_margin_pressure',
+    'kill_mud_weight_increment',
+    'schedule_safety_margin'
+];
+
+// The policy fields present in `well`
+function extractPolicy(well) {
+    const policy = {};
+    POLICY_FIELDS.forEach(field => {
+        if (well[field] !== undefined) policy[field] = well[field];
+    });
+    return policy;
+}
+
+// The saved default policy, or null when there is none or it is unreadable
+function readPolicy(storage) {
+    try {
+        const policy = JSON.parse(storage.getItem(POLICY_STORAGE_KEY) || 'null');
+        return policy && typeof policy === 'object' && !Array.isArray(policy) ? extractPolicy(policy) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function writePolicy(storage, policy) {
+    storage.setItem(POLICY_STORAGE_KEY, JSON.stringify(extractPolicy(policy)));
+}
+
+// ===========================
+// EXPORT / IMPORT FILE
+// ===========================
+function buildLibraryFile(records) {
+    return {
+        format: LIBRARY_FILE_FORMAT,
+        version: LIBRARY_FILE_VERSION,
+        exported_at: new Date().toISOString(),
+        sheets: records
+    };
+}
+
+// Sheets from the text of an export file. A plain well file (as used by the
+// command-line tool) is accepted too and becomes a single sheet. Throws with
+// a message fit for the user when the file cannot be used.
+function parseLibraryFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON.');
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('The file does not contain a kill sheet.');
+    }
+
+    if (data.format === undefined) {
+        return [createSheetRecord(data, data.units || 'oilfield')];
+    }
+
+    if (data.format !== LIBRARY_FILE_FORMAT) {
+        throw new Error(`Unknown file format "${data.format}".`);
+    }
+
+    if (!(data.version >= 1) || data.version > LIBRARY_FILE_VERSION) {
+        throw new Error(`Kill sheet file version ${data.version} is not supported by this version of the calculator.`);
+    }
+
+    const records = (Array.isArray(data.sheets) ? data.sheets : [])
+        .map(normalizeSheetRecord)
+        .filter(Boolean);
+
+    if (records.length === 0) {
+        throw new Error('The file does not contain any kill sheets.');
+    }
+
+    return records;
+}
+
+// ===========================
+// MODULE EXPORTS (Node)
+// ===========================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LIBRARY_STORAGE_KEY,
+        DRAFT_STORAGE_KEY,
+        POLICY_STORAGE_KEY,
+        LIBRARY_FILE_FORMAT,
+        LIBRARY_FILE_VERSION,
+        defaultSheetName,
+        createSheetRecord,
+        duplicateSheetRecord,
+        normalizeSheetRecord,
+        readLibrary,
+        writeLibrary,
+        upsertSheet,
+        removeSheet,
+        POLICY_FIELDS,
+        extractPolicy,
+        readPolicy,
+        writePolicy,
+        buildLibraryFile,
+        parseLibraryFile
+    };
+}
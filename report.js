@@ -0,0 +1,675 @@
+// ===========================
+// KILL SHEET CALCULATOR - PDF REPORT
+// ===========================
+//
+// Lays the kill sheet out as a form-style PDF along the lines of the
+// IADC/IWCF kill sheet: well header, pre-recorded data, kick data, the
+// calculated kill parameters, the full stroke/pressure schedule, the pressure
+// chart, the weight-up, volumetric, bullhead and stripping worksheets when
+// they apply, and signature blocks. Everything is drawn as text and lines with
+// jsPDF, so numbers stay sharp and selectable.
+//
+// The layout depends only on what is passed in: pages break at fixed
+// positions, and the PDF creation date and file id come from the sheet
+// rather than the clock, so the same sheet always gives the same file.
+// Like calculations.js it has no DOM dependency; the jsPDF constructor is
+// passed in (window.jspdf.jsPDF in the browser).
+
+// US letter in points, with the margins and line heights used throughout
+const REPORT_PAGE = {
+    format: 'letter',
+    width: 612,
+    height: 792,
+    margin: 36,
+    rowHeight: 13,
+    headingHeight: 16,
+    gap: 10
+};
+
+const REPORT_COLORS = {
+    primary: [30, 58, 138],
+    text: [15, 23, 42],
+    muted: [100, 116, 139],
+    rule: [203, 213, 225],
+    shade: [241, 245, 249],
+    danger: [239, 68, 68]
+};
+
+// Chart lines: drillpipe pressure per circulation, then the predictions
+const REPORT_CHART_COLORS = {
+    circulations: [[30, 58, 138], [14, 165, 233]],
+    casing: [139, 92, 246],
+    shoe: [16, 185, 129],
+    fracture: [239, 68, 68]
+};
+
+const REPORT_SIGNATURES = [
+    'Prepared by (Supervisor)',
+    'Checked by (Toolpusher)',
+    'Approved by (Company Rep.)'
+];
+
+// Used as the PDF creation date when the sheet has no date
+const REPORT_DEFAULT_DATE = 'D:20000101000000+00\'00\'';
+
+// ===========================
+// FORMATTING
+// ===========================
+function reportNumber(value, decimals) {
+    return typeof value !== 'number' || isNaN(value) || !isFinite(value) ? '--' : value.toFixed(decimals);
+}
+
+// Value and unit symbol of a result, formatted as in the results panel
+function reportResult(results, key, systemKey) {
+    const field = RESULT_SECTIONS.reduce((found, section) =>
+        found || section.fields.find(candidate => candidate.key === key), null);
+    const unit = field.quantity ? getUnit(field.quantity, systemKey) : null;
+    const decimals = unit && unit.decimals !== undefined ? unit.decimals : field.decimals;
+    return {
+        label: field.label,
+        value: reportNumber(fromOilfield(results[key], field.quantity, systemKey), decimals),
+        unit: unit ? unit.symbol : field.unit
+    };
+}
+
+// Value of an input as entered (trailing zeros dropped); `blankZero` shows
+// "--" for inputs where zero means not entered
+function reportInput(inputs, key, systemKey, blankZero = false) {
+    const value = inputs[key];
+    const quantity = INPUT_QUANTITIES[key];
+    if (typeof value !== 'number' || isNaN(value) || (blankZero && value === 0)) return '--';
+    return String(parseFloat(fromOilfield(value, quantity, systemKey).toPrecision(6)));
+}
+
+// PDF date string for the sheet date and time, in UTC so the file does not
+// depend on the time zone of the computer making it
+function reportCreationDate(details) {
+    const date = /^(\d{4})-(\d{2})-(\d{2})$/.exec(details.sheet_date || '');
+    if (!date || date[1] < '1970' || date[1] > '2037') return REPORT_DEFAULT_DATE;
+
+    const time = /^(\d{2}):(\d{2})/.exec(details.sheet_time || '') || [null, '00', '00'];
+    return `D:${date[1]}${date[2]}${date[3]}${time[1]}${time[2]}00+00'00'`;
+}
+
+// 32 hex digit PDF file id from the sheet contents (FNV-1a, four rounds)
+function reportFileId(text) {
+    return [0x811c9dc5, 0x01000193, 0x9e3779b9, 0x85ebca6b].map(seed => {
+        let hash = seed >>> 0;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }).join('');
+}
+
+// Round axis step giving about `count` divisions of `range`
+function reportAxisStep(range, count) {
+    const rough = range / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = [1, 2, 2.5, 5, 10].find(multiple => multiple * magnitude >= rough);
+    return step * magnitude;
+}
+
+// ===========================
+// REPORT
+// ===========================
+// `details` holds the sheet details (well_name, rig, wellbore, operator,
+// sheet_date, sheet_time, supervisor) and the policy_name; `inputs` and `results` are the
+// normalized inputs and calculateKillSheet() results, in oilfield units.
+// Set `options.notForUse` to stamp every page, for sheets with errors.
+function buildKillSheetReport(jsPDF, details, inputs, results, systemKey, options = {}) {
+    const doc = new jsPDF({ unit: 'pt', format: REPORT_PAGE.format, orientation: 'portrait', compress: true });
+    const left = REPORT_PAGE.margin;
+    const right = REPORT_PAGE.width - REPORT_PAGE.margin;
+    const top = REPORT_PAGE.margin;
+    const bottom = REPORT_PAGE.height - REPORT_PAGE.margin - 12;
+    const width = right - left;
+    const rowHeight = REPORT_PAGE.rowHeight;
+    let y = top;
+
+    doc.setCreationDate(reportCreationDate(details));
+    doc.setFileId(reportFileId(JSON.stringify([details, inputs, systemKey])));
+    doc.setProperties({
+        title: details.well_name ? `Kill Sheet - ${details.well_name}` : 'Kill Sheet',
+        subject: 'Well control kill sheet',
+        creator: 'Kill Sheet Calculator'
+    });
+
+    const setText = (size, style = 'normal', color = REPORT_COLORS.text) => {
+        doc.setFont('helvetica', style);
+        doc.setFontSize(size);
+        doc.setTextColor(color[0], color[1], color[2]);
+    };
+    const setLine = (color, lineWidth) => {
+        doc.setDrawColor(color[0], color[1], color[2]);
+        doc.setLineWidth(lineWidth);
+    };
+    const fitText = (text, maxWidth) => {
+        let fitted = String(text);
+        while (fitted.length > 1 && doc.getTextWidth(fitted) > maxWidth) fitted = fitted.slice(0, -2) + '.';
+        return fitted;
+    };
+
+    // Starts a new page when `height` does not fit; returns true if it did
+    const ensureSpace = height => {
+        if (y + height <= bottom) return false;
+        doc.addPage();
+        y = top;
+        return true;
+    };
+
+    const heading = (title, keepWith = 0) => {
+        ensureSpace(REPORT_PAGE.headingHeight + keepWith);
+        doc.setFillColor(REPORT_COLORS.primary[0], REPORT_COLORS.primary[1], REPORT_COLORS.primary[2]);
+        doc.rect(left, y, width, REPORT_PAGE.headingHeight, 'F');
+        setText(9, 'bold', [255, 255, 255]);
+        doc.text(title.toUpperCase(), left + 5, y + 11);
+        y += REPORT_PAGE.headingHeight + 4;
+    };
+
+    // Side-by-side columns of label / value / unit rows
+    const dataColumns = columns => {
+        const columnWidth = (width - 12 * (columns.length - 1)) / columns.length;
+        const rows = Math.max(...columns.map(column => column.length));
+        ensureSpace(rows * rowHeight);
+
+        columns.forEach((column, index) => {
+            const x = left + index * (columnWidth + 12);
+            column.forEach((row, rowIndex) => {
+                const rowY = y + rowIndex * rowHeight;
+                setText(8, 'normal', REPORT_COLORS.muted);
+                doc.text(fitText(row.label, columnWidth - 100), x + 2, rowY + 9);
+                setText(8.5, 'bold');
+                doc.text(row.value, x + columnWidth - 48, rowY + 9, { align: 'right' });
+                setText(8, 'normal', REPORT_COLORS.muted);
+                doc.text(row.unit || '', x + columnWidth - 44, rowY + 9);
+                setLine(REPORT_COLORS.rule, 0.5);
+                doc.line(x, rowY + rowHeight, x + columnWidth, rowY + rowHeight);
+            });
+        });
+
+        y += rows * rowHeight + REPORT_PAGE.gap;
+    };
+
+    // Table with the header repeated on every page it runs onto. Columns are
+    // { title, width, align }; a row is an array of cell texts, or
+    // { cells, total } for a shaded total row.
+    const table = (columns, rows) => {
+        const drawHeader = () => {
+            doc.setFillColor(REPORT_COLORS.shade[0], REPORT_COLORS.shade[1], REPORT_COLORS.shade[2]);
+            doc.rect(left, y, width, rowHeight, 'F');
+            setText(7.5, 'bold', REPORT_COLORS.muted);
+            let x = left;
+            columns.forEach(column => {
+                const textX = column.align === 'right' ? x + column.width - 3 : x + 3;
+                doc.text(column.title, textX, y + 9, { align: column.align || 'left' });
+                x += column.width;
+            });
+            y += rowHeight;
+        };
+
+        ensureSpace(rowHeight * 2);
+        drawHeader();
+        rows.forEach(row => {
+            if (ensureSpace(rowHeight)) drawHeader();
+
+            const cells = Array.isArray(row) ? row : row.cells;
+            if (row.total) {
+                doc.setFillColor(REPORT_COLORS.shade[0], REPORT_COLORS.shade[1], REPORT_COLORS.shade[2]);
+                doc.rect(left, y, width, rowHeight, 'F');
+            }
+            setText(8, row.total ? 'bold' : 'normal');
+            let x = left;
+            columns.forEach((column, index) => {
+                const textX = column.align === 'right' ? x + column.width - 3 : x + 3;
+                doc.text(fitText(cells[index], column.width - 6), textX, y + 9, { align: column.align || 'left' });
+                x += column.width;
+            });
+            setLine(REPORT_COLORS.rule, 0.5);
+            doc.line(left, y + rowHeight, right, y + rowHeight);
+            y += rowHeight;
+        });
+
+        y += REPORT_PAGE.gap;
+    };
+
+    const note = text => {
+        setText(8, 'normal', REPORT_COLORS.muted);
+        const lines = doc.splitTextToSize(text, width);
+        ensureSpace(lines.length * 10);
+        doc.text(lines, left, y + 7);
+        y += lines.length * 10 + 6;
+    };
+
+    const pressureUnit = getUnit('pressure', systemKey).symbol;
+    const volumeUnit = getUnit('volume', systemKey).symbol;
+    const depthUnit = getUnit('depth', systemKey).symbol;
+    const mudWeightUnit = getUnit('mud_weight', systemKey);
+    const mudWeightDecimals = mudWeightUnit.decimals !== undefined ? mudWeightUnit.decimals : 2;
+    const pressure = value => fromOilfield(value, 'pressure', systemKey);
+    const volume = value => reportNumber(fromOilfield(value, 'volume', systemKey), 2);
+    const depth = value => reportNumber(fromOilfield(value, 'depth', systemKey), 0);
+    const strokes = value => reportNumber(value, 0);
+    const input = (label, key, blankZero = true) => ({
+        label: label,
+        value: reportInput(inputs, key, systemKey, blankZero),
+        unit: getUnit(INPUT_QUANTITIES[key], systemKey).symbol
+    });
+    const result = key => reportResult(results, key, systemKey);
+
+    // Title and well header
+    setText(18, 'bold', REPORT_COLORS.primary);
+    doc.text('KILL SHEET', left, y + 16);
+    setText(9, 'normal', REPORT_COLORS.muted);
+    doc.text(`${BOP_LOCATIONS[results.subsea ? 'subsea' : 'surface'].label} - ${results.kill_method_label}`,
+        right, y + 8, { align: 'right' });
+    doc.text(`Units: ${getUnitSystem(systemKey).label}`, right, y + 19, { align: 'right' });
+    y += 26;
+
+    const headerFields = [
+        ['Well', details.well_name], ['Wellbore', details.wellbore], ['Rig', details.rig], ['Operator', details.operator],
+        ['Date', details.sheet_date], ['Time', details.sheet_time], ['Supervisor', details.supervisor],
+        ['Kill Pump', results.kill_pump_name]
+    ];
+    const boxWidth = width / 4;
+    headerFields.forEach(([label, value], index) => {
+        const x = left + (index % 4) * boxWidth;
+        const boxY = y + Math.floor(index / 4) * 26;
+        setLine(REPORT_COLORS.rule, 0.75);
+        doc.rect(x, boxY, boxWidth, 26);
+        setText(7, 'normal', REPORT_COLORS.muted);
+        doc.text(label.toUpperCase(), x + 4, boxY + 8);
+        setText(10, 'bold');
+        doc.text(fitText(value || '', boxWidth - 8), x + 4, boxY + 20);
+    });
+    y += 52 + REPORT_PAGE.gap;
+
+    // Pre-recorded data
+    heading('Pre-recorded Data');
+    const wellData = [
+        input('Hole Size', 'hole_diameter'),
+        result('bit_md'),
+        result('bit_tvd'),
+        input('Casing OD', 'casing_od'),
+        input('Casing ID', 'casing_id'),
+        result('shoe_md'),
+        result('shoe_tvd'),
+        input('Current Mud Weight', 'current_mud_weight')
+    ];
+    const strengthData = [
+        input('Leak-off Test Pressure', 'lot_pressure'),
+        input('Mud Weight at Leak-off Test', 'lot_mud_weight'),
+        result('max_allowable_mud_weight'),
+        result('maasp_initial'),
+        result('pump_capacity'),
+        { label: 'Kill Rate', value: reportNumber(results.kill_rate, 0), unit: 'spm' },
+        {
+            label: results.scr_basis ? `Slow Pump Pressure (${results.scr_basis})` : 'Slow Pump Pressure',
+            value: reportNumber(pressure(results.slow_pump_pressure), 0),
+            unit: pressureUnit
+        }
+    ];
+    if (results.subsea) {
+        strengthData.push(result('choke_line_friction'));
+    }
+    if (results.derated_casing_burst > 0) {
+        wellData.push(result('derated_casing_burst'));
+    }
+    dataColumns([wellData, strengthData]);
+
+    const capacityUnit = `${volumeUnit}/${depthUnit}`;
+    const capacity = value => reportNumber(fromOilfield(value, 'volume', systemKey) /
+        fromOilfield(1, 'depth', systemKey), 4);
+    const volumeColumns = [
+        { title: 'Section', width: 216 },
+        { title: `Length (${depthUnit})`, width: 80, align: 'right' },
+        { title: `Capacity (${capacityUnit})`, width: 90, align: 'right' },
+        { title: `Volume (${volumeUnit})`, width: 78, align: 'right' },
+        { title: 'Strokes', width: width - 464, align: 'right' }
+    ];
+    const sectionStrokes = sectionVolume => strokes(sectionVolume / results.pump_capacity);
+    heading('Pre-recorded Volumes', rowHeight * 3);
+    table(volumeColumns, results.string_sections.map(section => [
+        `${section.name} (inside)`, depth(section.length), capacity(section.internal_capacity),
+        volume(section.internal_volume), strokes(section.internal_strokes)
+    ]).concat([{
+        cells: ['Drill string volume (surface to bit)', depth(results.string_length), '',
+            volume(results.drill_string_volume), strokes(results.surface_to_bit_strokes)],
+        total: true
+    }]).concat(results.annular_sections.map(section => [
+        section.component === null ? section.name : `${section.name} x ${section.cased ? 'casing' : 'open hole'}`,
+        depth(section.length), capacity(section.capacity), volume(section.volume), sectionStrokes(section.volume)
+    ])).concat([{
+        cells: ['Annulus volume (bit to surface)', '', '', volume(results.total_annular_capacity),
+            strokes(results.bit_to_surface_strokes)],
+        total: true
+    }, {
+        cells: ['Total well system', '', '', volume(results.drill_string_volume + results.total_annular_capacity),
+            strokes(results.surface_to_bit_strokes + results.bit_to_surface_strokes)],
+        total: true
+    }]));
+
+    // Kick data and kill parameters
+    const kickData = [
+        [input('Shut-in Drillpipe Pressure (SIDPP)', 'sidpp', false), input('Shut-in Casing Pressure (SICP)', 'sicp', false)],
+        [input('Pit Gain', 'pit_gain', false), result('calculated_influx_gradient')]
+    ];
+    if (results.derated_casing_burst > 0) {
+        kickData[0].push(result('sicp_burst_percent'));
+        kickData[1].push(result('peak_casing_burst_percent'));
+    }
+    heading('Kick Data', rowHeight * kickData[0].length);
+    dataColumns(kickData);
+
+    heading('Calculated Kill Parameters', rowHeight * 8);
+    dataColumns([
+        RESULT_SECTIONS.find(section => section.title === 'Kill Parameters').fields.map(field => result(field.key)),
+        ['maasp_kill', 'kick_tolerance_volume', 'time_surface_to_bit', 'bit_to_surface_time', 'kill_strokes',
+            'total_pumping_time'].map(result)
+    ]);
+    const policyTerms = results.kill_policy.map(term => {
+        const value = parseFloat(fromOilfield(term.value, term.quantity, systemKey).toPrecision(6));
+        return `${term.label} ${value} ${getUnit(term.quantity, systemKey).symbol}`;
+    });
+    note(`Kill mud policy${details.policy_name ? ` "${details.policy_name}"` : ''}: ${policyTerms.length > 0 ? policyTerms.join('; ') : 'none (exactly balanced)'}`);
+
+    // Schedule
+    const circulations = KILL_METHODS[results.kill_method].circulations;
+    heading('Stroke / Pressure Schedule', rowHeight * 3);
+    table([
+        { title: 'Circ.', width: 40 },
+        { title: 'Stage', width: 230 },
+        { title: 'Strokes', width: 80, align: 'right' },
+        { title: `Mud Weight (${mudWeightUnit.symbol})`, width: 90, align: 'right' },
+        { title: `Drillpipe Pressure (${pressureUnit})`, width: width - 440, align: 'right' }
+    ], results.pressure_schedule.map(point => [
+        circulations > 1 ? String(point.circulation) : '',
+        point.stage,
+        strokes(point.strokes),
+        reportNumber(fromOilfield(point.mud_weight, 'mud_weight', systemKey), mudWeightDecimals),
+        reportNumber(pressure(point.pressure), 0)
+    ]));
+    const startUp = results.pressure_schedule.find(point => point.casing_pressure !== undefined);
+    if (startUp) {
+        note(`Pump start-up: bring the casing pressure down to ${reportNumber(pressure(startUp.casing_pressure), 0)} ` +
+            `${pressureUnit} (SICP less choke line friction) while bringing the pump up to ${results.kill_rate} spm.`);
+    }
+
+    // Chart
+    const series = [];
+    for (let circulation = 1; circulation <= circulations; circulation++) {
+        series.push({
+            label: circulations > 1 ? `Drillpipe Pressure, ${circulation === 1 ? '1st' : '2nd'} Circulation` : 'Drillpipe Pressure',
+            color: REPORT_CHART_COLORS.circulations[circulation - 1],
+            points: results.chart_points.filter(point => point.circulation === circulation)
+                .map(point => ({ x: point.strokes, y: pressure(point.pressure) }))
+        });
+    }
+    const profile = results.annular_pressure_profile;
+    if (profile.length > 0) {
+        series.push({
+            label: 'Casing Pressure (predicted)',
+            color: REPORT_CHART_COLORS.casing,
+            points: profile.map(point => ({ x: point.strokes, y: pressure(point.casing_pressure) }))
+        });
+        if (results.shoe_md > 0) {
+            series.push({
+                label: 'Shoe Pressure (predicted)',
+                color: REPORT_CHART_COLORS.shoe,
+                points: profile.map(point => ({ x: point.strokes, y: pressure(point.shoe_pressure) }))
+            });
+        }
+        if (results.shoe_fracture_pressure > 0) {
+            series.push({
+                label: 'Shoe Fracture Pressure',
+                color: REPORT_CHART_COLORS.fracture,
+                dashed: true,
+                points: [
+                    { x: 0, y: pressure(results.shoe_fracture_pressure) },
+                    { x: profile[profile.length - 1].strokes, y: pressure(results.shoe_fracture_pressure) }
+                ]
+            });
+        }
+    }
+    const chartPoints = series.reduce((all, line) => all.concat(line.points), [])
+        .filter(point => isFinite(point.x) && isFinite(point.y));
+
+    if (chartPoints.length > 1) {
+        const chartHeight = 220;
+        heading('Pressure Chart', chartHeight + 30);
+
+        const xMax = Math.max(...chartPoints.map(point => point.x));
+        const yMax = Math.max(...chartPoints.map(point => point.y));
+        const xStep = reportAxisStep(xMax || 1, 8);
+        const yStep = reportAxisStep(yMax || 1, 6);
+        const xTop = Math.ceil((xMax || 1) / xStep) * xStep;
+        const yTop = Math.ceil((yMax || 1) / yStep) * yStep;
+        const plot = { left: left + 40, right: right - 8, top: y + 4, bottom: y + chartHeight - 20 };
+        const plotX = value => plot.left + (value / xTop) * (plot.right - plot.left);
+        const plotY = value => plot.bottom - (Math.max(value, 0) / yTop) * (plot.bottom - plot.top);
+
+        setText(7, 'normal', REPORT_COLORS.muted);
+        for (let value = 0; value <= xTop + xStep / 2; value += xStep) {
+            setLine(REPORT_COLORS.rule, 0.25);
+            doc.line(plotX(value), plot.top, plotX(value), plot.bottom);
+            doc.text(String(Math.round(value)), plotX(value), plot.bottom + 9, { align: 'center' });
+        }
+        for (let value = 0; value <= yTop + yStep / 2; value += yStep) {
+            setLine(REPORT_COLORS.rule, 0.25);
+            doc.line(plot.left, plotY(value), plot.right, plotY(value));
+            doc.text(String(Math.round(value)), plot.left - 3, plotY(value) + 2.5, { align: 'right' });
+        }
+        doc.text('Strokes', (plot.left + plot.right) / 2, plot.bottom + 18, { align: 'center' });
+        doc.text(`Pressure (${pressureUnit})`, left + 8, (plot.top + plot.bottom) / 2, { angle: 90, align: 'center' });
+        setLine(REPORT_COLORS.muted, 0.75);
+        doc.rect(plot.left, plot.top, plot.right - plot.left, plot.bottom - plot.top);
+
+        series.forEach(line => {
+            const points = line.points.filter(point => isFinite(point.x) && isFinite(point.y));
+            if (points.length < 2) return;
+            setLine(line.color, 1.25);
+            if (line.dashed) doc.setLineDashPattern([4, 3], 0);
+            doc.lines(points.slice(1).map((point, index) => [
+                plotX(point.x) - plotX(points[index].x),
+                plotY(point.y) - plotY(points[index].y)
+            ]), plotX(points[0].x), plotY(points[0].y));
+            if (line.dashed) doc.setLineDashPattern([], 0);
+        });
+        y += chartHeight;
+
+        // Legend
+        let legendX = left;
+        series.forEach(line => {
+            setText(7.5);
+            const labelWidth = doc.getTextWidth(line.label) + 30;
+            if (legendX + labelWidth > right) {
+                legendX = left;
+                y += 11;
+            }
+            setLine(line.color, 1.5);
+            if (line.dashed) doc.setLineDashPattern([4, 3], 0);
+            doc.line(legendX, y + 4, legendX + 16, y + 4);
+            if (line.dashed) doc.setLineDashPattern([], 0);
+            doc.text(line.label, legendX + 20, y + 6.5);
+            legendX += labelWidth;
+        });
+        y += 11 + REPORT_PAGE.gap;
+    }
+
+    // Weight-up
+    if (!isNaN(results.weighting_material_mass) || results.weight_up_warnings.length > 0) {
+        const fields = RESULT_SECTIONS.find(section => section.title === 'Mud Weight-Up').fields.map(field => result(field.key));
+        const half = Math.ceil(fields.length / 2);
+        heading('Mud Weight-Up', rowHeight * half);
+        dataColumns([fields.slice(0, half), fields.slice(half)]);
+        note(`Weighting material: ${results.weighting_material_label}`);
+        results.weight_up_warnings.forEach(warning => note(`! ${warning}`));
+    }
+
+    // Volumetric control and lubricate and bleed
+    if (results.volumetric_cycles.length > 0 || results.volumetric_warnings.length > 0) {
+        const cyclePressure = value => reportNumber(pressure(value), 0);
+        heading('Volumetric Control Worksheet', rowHeight * 3);
+        if (results.volumetric_cycles.length > 0) {
+            table([
+                { title: 'Cycle', width: 50 },
+                { title: `Casing Pressure to Hold (${pressureUnit})`, width: 150, align: 'right' },
+                { title: `Bleed (${volumeUnit})`, width: 110, align: 'right' },
+                { title: `Total Bled (${volumeUnit})`, width: 110, align: 'right' },
+                { title: '', width: width - 420 }
+            ], results.volumetric_cycles.map(cycle => [
+                String(cycle.cycle),
+                cyclePressure(cycle.pressure),
+                volume(cycle.bleed_volume),
+                volume(cycle.cumulative_volume),
+                cycle.gas_at_surface ? 'Gas at surface (est.)' : ''
+            ]));
+        }
+        if (results.lubricate_cycles.length > 0) {
+            heading('Lubricate and Bleed', rowHeight * 3);
+            table([
+                { title: 'Cycle', width: 50 },
+                { title: `Start (${pressureUnit})`, width: 90, align: 'right' },
+                { title: `Lubricate to (${pressureUnit})`, width: 100, align: 'right' },
+                { title: `Lubricate (${volumeUnit})`, width: 100, align: 'right' },
+                { title: `Hydrostatic Gain (${pressureUnit})`, width: 110, align: 'right' },
+                { title: `Bleed to (${pressureUnit})`, width: width - 450, align: 'right' }
+            ], results.lubricate_cycles.map(cycle => [
+                String(cycle.cycle),
+                cyclePressure(cycle.start_pressure),
+                cyclePressure(cycle.lubricate_pressure),
+                volume(cycle.lubricate_volume),
+                cyclePressure(cycle.hydrostatic_gain),
+                cyclePressure(cycle.bleed_pressure)
+            ]));
+        }
+        results.volumetric_warnings.forEach(warning => note(`! ${warning}`));
+    }
+
+    // Bullhead plan
+    if (results.bullhead_schedule.length > 0) {
+        heading(`Bullhead Plan (${BULLHEAD_PATHS[results.bullhead_path].label.toLowerCase()})`, rowHeight * 3);
+        table([
+            { title: 'Stage', width: 190 },
+            { title: `Volume Pumped (${volumeUnit})`, width: 100, align: 'right' },
+            { title: 'Strokes', width: 70, align: 'right' },
+            { title: `Pressure to Inject (${pressureUnit})`, width: 95, align: 'right' },
+            { title: `Max Pressure (${pressureUnit})`, width: width - 455, align: 'right' }
+        ], results.bullhead_schedule.map(point => [
+            point.stage,
+            volume(point.volume),
+            strokes(point.strokes),
+            reportNumber(pressure(point.pressure), 0) + (point.pressure > point.max_pressure ? ' !' : ''),
+            reportNumber(pressure(point.max_pressure), 0)
+        ]));
+        if (results.bullhead_schedule.some(point => point.pressure > point.max_pressure)) {
+            note('Pressures to inject above the maximum surface pressure are marked "!".');
+        }
+        results.bullhead_warnings.forEach(warning => note(`! ${warning}`));
+    }
+
+    // Stripping
+    if (results.stripping_schedule.length > 0) {
+        heading('Stripping Worksheet', rowHeight * 3);
+        table([
+            { title: 'Done', width: 40 },
+            { title: 'Stand', width: 45, align: 'right' },
+            { title: `Bit MD (${depthUnit})`, width: 75, align: 'right' },
+            { title: 'Pipe', width: 150 },
+            { title: `Bleed (${volumeUnit})`, width: 75, align: 'right' },
+            { title: `Total Bled (${volumeUnit})`, width: 75, align: 'right' },
+            { title: `Casing (${pressureUnit})`, width: width - 460, align: 'right' }
+        ], results.stripping_schedule.map(row => [
+            row.completed ? 'X' : '',
+            String(row.stand),
+            depth(row.bit_md),
+            row.pipe,
+            volume(row.displacement),
+            volume(row.cumulative_volume),
+            reportNumber(pressure(row.casing_pressure), 0)
+        ]));
+        results.stripping_warnings.forEach(warning => note(`! ${warning}`));
+    }
+
+    // Kill record
+    const readings = results.kill_log;
+    if (readings.length > 0) {
+        const logged = value => value === null ? '' : reportNumber(value, 0);
+        heading('Kill Record', rowHeight * 3);
+        table([
+            { title: 'Time', width: 56 },
+            { title: 'Strokes', width: 62, align: 'right' },
+            { title: `DP Pressure (${pressureUnit})`, width: 82, align: 'right' },
+            { title: `Planned (${pressureUnit})`, width: 72, align: 'right' },
+            { title: `Deviation (${pressureUnit})`, width: 76, align: 'right' },
+            { title: `Casing (${pressureUnit})`, width: 72, align: 'right' },
+            { title: 'SPM', width: 40, align: 'right' },
+            { title: `Pit Volume (${volumeUnit})`, width: width - 460, align: 'right' }
+        ], readings.map(reading => [
+            reading.time || '',
+            logged(reading.strokes),
+            reading.drillpipe_pressure === null ? '' : reportNumber(pressure(reading.drillpipe_pressure), 0),
+            reading.planned_pressure === null ? '' : reportNumber(pressure(reading.planned_pressure), 0),
+            reading.deviation === null ? '' :
+                `${reading.deviation > 0 ? '+' : ''}${reportNumber(pressure(reading.deviation), 0)}` +
+                (reading.status !== 'ok' ? ' !' : ''),
+            reading.casing_pressure === null ? '' : reportNumber(pressure(reading.casing_pressure), 0),
+            logged(reading.spm),
+            reading.pit_volume === null ? '' : volume(reading.pit_volume)
+        ]));
+        note(`Deviations outside +/-${reportNumber(pressure(results.monitor_tolerance), 0)} ${pressureUnit} ` +
+            'of the planned drillpipe pressure are marked "!".');
+    }
+
+    // Sheet checks, so a reader sees what was flagged when it was printed
+    const issues = results.sheet_checks.filter(issue => issue.level !== 'info');
+    if (issues.length > 0) {
+        heading('Sheet Checks', rowHeight);
+        issues.forEach(issue => note(`${VALIDATION_LEVELS[issue.level].label}: ${issue.message}`));
+        y += REPORT_PAGE.gap - 4;
+    }
+
+    // Signatures
+    const signatureHeight = 78;
+    heading('Signatures', signatureHeight);
+    const signatureWidth = (width - 24) / REPORT_SIGNATURES.length;
+    REPORT_SIGNATURES.forEach((title, index) => {
+        const x = left + index * (signatureWidth + 12);
+        setLine(REPORT_COLORS.rule, 0.75);
+        doc.rect(x, y, signatureWidth, signatureHeight);
+        setText(7.5, 'bold', REPORT_COLORS.muted);
+        doc.text(fitText(title.toUpperCase(), signatureWidth - 8), x + 4, y + 10);
+        ['Name', 'Signature', 'Date / Time'].forEach((label, line) => {
+            const lineY = y + 32 + line * 20;
+            setText(7.5, 'normal', REPORT_COLORS.muted);
+            doc.text(label, x + 4, lineY);
+            setLine(REPORT_COLORS.rule, 0.5);
+            doc.line(x + 50, lineY + 1, x + signatureWidth - 6, lineY + 1);
+        });
+        if (index === 0 && details.supervisor) {
+            setText(9, 'bold');
+            doc.text(fitText(details.supervisor, signatureWidth - 60), x + 52, y + 30);
+        }
+    });
+
+    // Page furniture, once the page count is known
+    const pageCount = doc.getNumberOfPages();
+    const footerTitle = details.well_name ? `Kill Sheet - ${details.well_name}` : 'Kill Sheet';
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+        doc.setPage(pageNumber);
+        setLine(REPORT_COLORS.rule, 0.5);
+        doc.line(left, REPORT_PAGE.height - REPORT_PAGE.margin, right, REPORT_PAGE.height - REPORT_PAGE.margin);
+        setText(7.5, 'normal', REPORT_COLORS.muted);
+        doc.text(fitText(footerTitle, width - 80), left, REPORT_PAGE.height - REPORT_PAGE.margin + 10);
+        doc.text(`Page ${pageNumber} of ${pageCount}`, right, REPORT_PAGE.height - REPORT_PAGE.margin + 10, { align: 'right' });
+
+        if (options.notForUse) {
+            setText(9, 'bold', REPORT_COLORS.danger);
+            doc.text('NOT FOR USE - THIS SHEET HAS ERRORS', REPORT_PAGE.width / 2, REPORT_PAGE.margin - 12,
+                { align: 'center' });
+        }
+    }
+
+    return doc;
+}
@@ -0,0 +1,169 @@
+// ===========================
+// KILL SHEET CALCULATOR - SCENARIOS AND SENSITIVITY
+// ===========================
+//
+// What-if copies of the kill sheet worked out side by side with it, and
+// sweeps of one input over a range. Like calculations.js this file has no
+// DOM dependency; the storage object (window.localStorage in the browser)
+// is passed in.
+//
+// A scenario is
+//   { id, name, well }
+// where `well` is a well object in oilfield units, as saved in the library
+// (see library.js), cloned from the sheet and then changed. Inputs left out
+// of it take their defaults, exactly as blank fields on the sheet do.
+
+const SCENARIO_STORAGE_KEY = 'killSheet.scenarios';
+
+// More lines than this make the overlaid chart unreadable
+const MAX_SCENARIOS = 6;
+
+// Inputs listed for every scenario, whether changed or not: the kick and
+// kill rate questions most often asked before a kill
+const SCENARIO_DEFAULT_INPUTS = ['sidpp', 'sicp', 'pit_gain', 'current_mud_weight', 'strokes_per_min', 'kill_method'];
+
+// Results compared between scenarios (RESULT_SECTIONS keys)
+const SCENARIO_RESULT_KEYS = [
+    'kill_mud_weight',
+    'icp',
+    'fcp',
+    'pressure_drop_per_100_strokes',
+    'surface_to_bit_strokes',
+    'bit_to_surface_strokes',
+    'kill_strokes',
+    'time_surface_to_bit',
+    'bit_to_surface_time',
+    'total_pumping_time',
+    'maasp_kill',
+    'peak_casing_pressure',
+    'peak_shoe_pressure',
+    'kick_tolerance_volume'
+];
+
+// Results plotted against the swept input (RESULT_SECTIONS keys)
+const SENSITIVITY_OUTPUTS = ['kill_mud_weight', 'icp', 'fcp', 'total_pumping_time'];
+
+// Points in a sweep, ends included
+const DEFAULT_SENSITIVITY_STEPS = 5;
+const MAX_SENSITIVITY_STEPS = 25;
+
+// ===========================
+// SCENARIO RECORDS
+// ===========================
+function createScenarioId() {
+    return `sc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// First unused "Scenario n" name
+function defaultScenarioName(scenarios) {
+    const names = scenarios.map(scenario => scenario.name);
+    let number = scenarios.length + 1;
+    while (names.indexOf(`Scenario ${number}`) !== -1) number++;
+    return `Scenario ${number}`;
+}
+
+// A scenario holding its own copy of `well`
+function createScenario(well, name) {
+    return {
+        id: createScenarioId(),
+        name: name,
+        well: JSON.parse(JSON.stringify(well))
+    };
+}
+
+// Checks a scenario read from storage. Returns null when it is not usable.
+function normalizeScenario(scenario) {
+    if (!scenario || typeof scenario !== 'object' || !scenario.well || typeof scenario.well !== 'object') {
+        return null;
+    }
+
+    return {
+        id: scenario.id ? String(scenario.id) : createScenarioId(),
+        name: scenario.name ? String(scenario.name) : 'Scenario',
+        well: scenario.well
+    };
+}
+
+// Whether two well values are the same input: both left out, the same
+// text, or numbers equal to rounding
+function sameScenarioValue(a, b) {
+    const blank = value => value === undefined || value === null || value === '';
+    if (blank(a) || blank(b)) return blank(a) && blank(b);
+
+    if (typeof a === 'number' && typeof b === 'number') {
+        return Math.abs(a - b) <= 1e-9 * Math.max(Math.abs(a), Math.abs(b), 1);
+    }
+    return String(a) === String(b);
+}
+
+// The inputs among `keys` that `well` changes from `baseWell`
+function scenarioChanges(baseWell, well, keys) {
+    return keys.filter(key => !sameScenarioValue(baseWell[key], well[key]));
+}
+
+// ===========================
+// SENSITIVITY SWEEP
+// ===========================
+// `steps` evenly spaced values from `from` to `to`. Throws with a message
+// fit for the user when the range cannot be swept.
+function sensitivityValues(from, to, steps) {
+    if (!isFinite(from) || !isFinite(to)) {
+        throw new Error('Enter the start and end of the range.');
+    }
+    if (from < 0 || to < 0) {
+        throw new Error('The range cannot include negative values.');
+    }
+    if (from === to) {
+        throw new Error('The start and end of the range are the same.');
+    }
+    if (!(steps >= 2 && steps <= MAX_SENSITIVITY_STEPS) || Math.round(steps) !== steps) {
+        throw new Error(`The number of points must be a whole number from 2 to ${MAX_SENSITIVITY_STEPS}.`);
+    }
+
+    const values = [];
+    for (let i = 0; i < steps; i++) {
+        values.push(from + (to - from) * i / (steps - 1));
+    }
+    return values;
+}
+
+// ===========================
+// BROWSER STORAGE
+// ===========================
+// Saved scenarios, in the order they were made. Unreadable storage gives
+// none rather than an error so the calculator still opens.
+function readScenarios(storage) {
+    try {
+        const scenarios = JSON.parse(storage.getItem(SCENARIO_STORAGE_KEY) || '[]');
+        return Array.isArray(scenarios) ? scenarios.map(normalizeScenario).filter(Boolean) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function writeScenarios(storage, scenarios) {
+    storage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(scenarios));
+}
+
+// ===========================
+// MODULE EXPORTS (Node)
+// ===========================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SCENARIO_STORAGE_KEY,
+        MAX_SCENARIOS,
+        SCENARIO_DEFAULT_INPUTS,
+        SCENARIO_RESULT_KEYS,
+        SENSITIVITY_OUTPUTS,
+        DEFAULT_SENSITIVITY_STEPS,
+        MAX_SENSITIVITY_STEPS,
+        defaultScenarioName,
+        createScenario,
+        normalizeScenario,
+        sameScenarioValue,
+        scenarioChanges,
+        sensitivityValues,
+        readScenarios,
+        writeScenarios
+    };
+}
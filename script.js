@@ -2,21 +2,50 @@
 // KILL SHEET CALCULATOR - JAVASCRIPT
 // ===========================
 
-// Constants
-const PRESSURE_GRADIENT = 0.052; // psi/ft per ppg
-const BBL_PER_IN2_FT = 12.0 / 9691.04; // conversion: in^2 * ft -> barrels
-const PI = Math.PI;
+// Calculation constants and performCalculations() live in calculations.js
 
 // Global chart instance
 let pressureChart = null;
 
+// Unit system the form is currently entered and displayed in (see units.js)
+let unitSystem = DEFAULT_UNIT_SYSTEM;
+
+// Stands ticked off in the stripping worksheet (numbers from 1)
+let strippingCompleted = [];
+
+// Problems found by the last sheet checks (see validateSheet)
+let sheetIssues = [];
+
+// Built-in and company tubular sizes offered by the pickers (see tubulars.js)
+let tubularCatalogue = TUBULAR_CATALOGUE;
+
 // ===========================
 // INITIALIZATION
 // ===========================
 document.addEventListener('DOMContentLoaded', function() {
     initializeEventListeners();
     initializeChart();
-    setupHWDPToggle();
+    setupTubularCatalogue();
+    setupStringEditor();
+    setupPumpEditor();
+    setupScrEditor();
+    setupSurveyInput();
+    setupKillLog();
+    setupUnitSelector();
+    setupKillMethodSelector();
+    setupWeightingMaterialSelector();
+    setupBopSelectors();
+    setupBullheadSelector();
+    setupStrippingWorksheet();
+    setupSheetChecks();
+    setupKillPolicy();
+    renderList('influx-assumptions', INFLUX_ASSUMPTIONS);
+    renderList('annular-assumptions', ANNULAR_PRESSURE_ASSUMPTIONS);
+    setupScenarios();
+    setupTraining();
+    setupLibrary();
+    setupWellImport();
+    setupOfflineApp();
 });
 
 // ===========================
@@ -24,7 +53,7 @@ document.addEventListener('DOMContentLoaded', function() {
 // ===========================
 function initializeEventListeners() {
     // Get all input elements
-    const inputs = document.querySelectorAll('input[type="number"], input[type="text"]');
+    const inputs = document.querySelectorAll('input[type="number"], input[type="text"], input[type="date"], input[type="time"]');
     
     // Add input event listeners for real-time calculation
     inputs.forEach(input => {
@@ -40,594 +69,3853 @@ function initializeEventListeners() {
 }
 
 // ===========================
-// HWDP TOGGLE
+// DRILL STRING EDITOR
 // ===========================
-function setupHWDPToggle() {
-    const hwdpCheckbox = document.getElementById('hwdp_present');
-    const hwdpInputs = document.getElementById('hwdp-inputs');
+// Rows the editor starts with (and returns to on reset), top to bottom
+const DEFAULT_STRING_COMPONENT_NAMES = ['Drill Pipe', 'HWDP', 'Drill Collars'];
+
+function setupStringEditor() {
+    const tbody = document.getElementById('string-components-body');
     
-    hwdpCheckbox.addEventListener('change', function() {
-        if (this.checked) {
-            hwdpInputs.style.display = 'grid';
-            // Add smooth animation
-            hwdpInputs.style.animation = 'fadeIn 0.3s ease-out';
-        } else {
-            hwdpInputs.style.display = 'none';
-            // Clear HWDP values
-            document.getElementById('hwdp_od').value = '';
-            document.getElementById('hwdp_id').value = '';
-            document.getElementById('hwdp_length').value = '';
+    resetStringComponents();
+    
+    document.getElementById('add-component-btn').addEventListener('click', function() {
+        const row = addStringComponentRow({ name: '' });
+        row.querySelector('.component-name').focus();
+    });
+    
+    // Rows come and go, so listen on the table body rather than each input
+    tbody.addEventListener('input', debounce(calculateAll, 300));
+    tbody.addEventListener('change', function(event) {
+        if (event.target.matches('.component-name')) {
+            fillComponentFromCatalogue(event.target.closest('tr'));
+        }
+    });
+    tbody.addEventListener('focusout', validateInput);
+    tbody.addEventListener('click', function(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+        
+        const row = button.closest('tr');
+        if (button.dataset.action === 'up' && row.previousElementSibling) {
+            tbody.insertBefore(row, row.previousElementSibling);
+        } else if (button.dataset.action === 'down' && row.nextElementSibling) {
+            tbody.insertBefore(row.nextElementSibling, row);
+        } else if (button.dataset.action === 'remove') {
+            row.remove();
         }
         calculateAll();
     });
 }
 
-// ===========================
-// INPUT VALIDATION
-// ===========================
-function validateInput(event) {
-    const input = event.target;
-    const value = parseFloat(input.value);
-    
-    if (input.type === 'number') {
-        if (isNaN(value) || value < 0) {
-            input.style.borderColor = '#ef4444';
-            showTooltip(input, 'Please enter a valid positive number');
-        } else {
-            input.style.borderColor = '#10b981';
-            hideTooltip(input);
-        }
-    }
+function resetStringComponents() {
+    document.getElementById('string-components-body').innerHTML = '';
+    DEFAULT_STRING_COMPONENT_NAMES.forEach(name => addStringComponentRow({ name: name }));
 }
 
-function showTooltip(element, message) {
-    // Remove existing tooltip
-    hideTooltip(element);
+// Appends an editor row; OD, ID and length are in the selected unit system
+function addStringComponentRow(component) {
+    const tbody = document.getElementById('string-components-body');
+    const row = document.createElement('tr');
     
-    const tooltip = document.createElement('div');
-    tooltip.className = 'validation-tooltip';
-    tooltip.textContent = message;
-    tooltip.style.cssText = `
-        position: absolute;
-        background: #ef4444;
-        color: white;
-        padding: 0.5rem 0.75rem;
-        border-radius: 6px;
-        font-size: 0.85rem;
-        margin-top: 0.25rem;
-        z-index: 1000;
-        box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+    row.innerHTML = `
+        <td><input type="text" class="component-name" list="string-tubulars" placeholder="e.g. 5&quot; DP"></td>
+        <td><input type="number" data-field="od" data-quantity="diameter" step="0.001" min="0"></td>
+        <td><input type="number" data-field="id" data-quantity="diameter" step="0.001" min="0"></td>
+        <td><input type="number" data-field="length" data-quantity="depth" step="0.01" min="0"></td>
+        <td class="component-capacity">--</td>
+        <td class="row-actions">
+            <button type="button" class="icon-btn" data-action="up" title="Move up">&uarr;</button>
+            <button type="button" class="icon-btn" data-action="down" title="Move down">&darr;</button>
+            <button type="button" class="icon-btn icon-btn-danger" data-action="remove" title="Remove">&times;</button>
+        </td>
     `;
     
-    element.parentElement.style.position = 'relative';
-    element.parentElement.appendChild(tooltip);
+    row.querySelector('.component-name').value = component.name || '';
+    ['od', 'id', 'length'].forEach(field => {
+        if (component[field] !== undefined) {
+            row.querySelector(`[data-field="${field}"]`).value = component[field];
+        }
+    });
     
-    setTimeout(() => hideTooltip(element), 3000);
-}
-
-function hideTooltip(element) {
-    const tooltip = element.parentElement.querySelector('.validation-tooltip');
-    if (tooltip) {
-        tooltip.remove();
-    }
+    tbody.appendChild(row);
+    return row;
 }
 
-// ===========================
-// UTILITY FUNCTIONS
-// ===========================
-function debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-        const later = () => {
-            clearTimeout(timeout);
-            func(...args);
+// Editor rows as components, skipping rows with no dimensions at all
+function getStringComponents() {
+    const rows = document.querySelectorAll('#string-components-body tr');
+    const components = [];
+    
+    rows.forEach(row => {
+        const readField = field => {
+            const value = parseFloat(row.querySelector(`[data-field="${field}"]`).value);
+            return isNaN(value) || value < 0 ? 0 : value;
         };
-        clearTimeout(timeout);
-        timeout = setTimeout(later, wait);
-    };
+        const component = {
+            name: row.querySelector('.component-name').value.trim(),
+            od: readField('od'),
+            id: readField('id'),
+            length: readField('length')
+        };
+        
+        if (component.od > 0 || component.id > 0 || component.length > 0) {
+            components.push(component);
+        }
+    });
+    
+    return components;
 }
 
-function getInputValue(id, defaultValue = 0) {
-    const element = document.getElementById(id);
-    if (!element) return defaultValue;
-    const value = parseFloat(element.value);
-    return isNaN(value) || value < 0 ? defaultValue : value;
+// A component named after a catalogue size takes its OD and ID
+function fillComponentFromCatalogue(row) {
+    const tubular = findTubular(tubularCatalogue, row.querySelector('.component-name').value);
+    if (!tubular || tubular.type === 'casing') return;
+    
+    setOilfieldValue(row.querySelector('[data-field="od"]'), tubular.od, 'diameter', unitSystem);
+    setOilfieldValue(row.querySelector('[data-field="id"]'), tubular.id, 'diameter', unitSystem);
+    calculateAll();
 }
 
-function setResultValue(id, value, decimals = 2) {
-    const element = document.getElementById(id);
-    if (element) {
-        if (isNaN(value) || !isFinite(value)) {
-            element.textContent = '--';
-        } else {
-            element.textContent = value.toFixed(decimals);
-        }
-    }
+// Internal capacity of each editor row from its ID, in volume per length
+function updateStringCapacities() {
+    const volume = getUnit('volume', unitSystem);
+    const depth = getUnit('depth', unitSystem);
+    
+    document.querySelectorAll('#string-components-body tr').forEach(row => {
+        const id = readOilfieldValue(row.querySelector('[data-field="id"]'), 'diameter', unitSystem);
+        row.querySelector('.component-capacity').textContent = id > 0
+            ? (pipeCapacity(id) * volume.factor / depth.factor).toFixed(5)
+            : '--';
+    });
 }
 
 // ===========================
-// MAIN CALCULATION FUNCTION
+// TUBULAR CATALOGUE
 // ===========================
-function calculateAll() {
-    try {
-        // Get all input values
-        const inputs = getInputValues();
-        
-        // Validate critical inputs
-        if (!validateCriticalInputs(inputs)) {
-            clearResults();
-            return;
-        }
-        
-        // Perform calculations
-        const results = performCalculations(inputs);
+function setupTubularCatalogue() {
+    const typeSelect = document.getElementById('new_tubular_type');
+    Object.keys(TUBULAR_TYPES).forEach(type => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = TUBULAR_TYPES[type].label;
+        typeSelect.appendChild(option);
+    });
+    
+    document.getElementById('add-tubular-btn').addEventListener('click', addCustomTubular);
+    document.getElementById('tubulars-body').addEventListener('click', function(event) {
+        const button = event.target.closest('button[data-action="remove"]');
+        if (!button) return;
         
-        // Display results
-        displayResults(results);
+        const name = button.closest('tr').dataset.name;
+        if (!confirm(`Remove "${name}" from the company catalogue?`)) return;
         
-        // Update pressure schedule table
-        updatePressureSchedule(results);
+        const entries = readCustomTubulars(localStorage).filter(entry => entry.name !== name);
+        if (storeCustomTubulars(entries)) {
+            refreshTubularCatalogue();
+            calculateAll();
+        }
+    });
+    
+    document.getElementById('casing_catalogue').addEventListener('change', function() {
+        const tubular = findTubular(tubularCatalogue, this.value);
+        if (!tubular || tubular.type !== 'casing') return;
         
-        // Update chart
-        updateChart(results);
+        setOilfieldValue(document.getElementById('casing_od'), tubular.od, 'diameter', unitSystem);
+        setOilfieldValue(document.getElementById('casing_id'), tubular.id, 'diameter', unitSystem);
+        setOilfieldValue(document.getElementById('casing_linear_weight'), tubular.weight, 'linear_weight', unitSystem);
+        document.getElementById('casing_grade').value = tubular.grade;
         
-    } catch (error) {
-        console.error('Calculation error:', error);
-        clearResults();
-    }
+        // Blank ratings are taken from the catalogue entry just picked
+        document.getElementById('casing_burst').value = '';
+        document.getElementById('casing_collapse').value = '';
+        this.value = '';
+        calculateAll();
+    });
+    
+    refreshTubularCatalogue();
 }
 
-// ===========================
-// GET INPUT VALUES
-// ===========================
-function getInputValues() {
-    return {
-        // Well data
-        hole_diameter: getInputValue('hole_diameter'),
-        hole_depth: getInputValue('hole_depth'),
-        current_mud_weight: getInputValue('current_mud_weight'),
-        
-        // Pressures
-        sidpp: getInputValue('sidpp'),
-        sicp: getInputValue('sicp'),
-        pit_gain: getInputValue('pit_gain'),
-        normal_circulating_pressure: getInputValue('normal_circulating_pressure'),
-        user_stroke_pressure: getInputValue('user_stroke_pressure'),
+// Rebuilds the catalogue from storage, then the pickers and the list of
+// company entries
+function refreshTubularCatalogue() {
+    const custom = readCustomTubulars(localStorage);
+    tubularCatalogue = buildTubularCatalogue(custom);
+    
+    const fillList = (id, types) => {
+        const list = document.getElementById(id);
+        list.innerHTML = '';
+        tubularCatalogue
+            .filter((entry, index) => types.includes(entry.type) &&
+                tubularCatalogue.findIndex(other => other.name === entry.name) === index)
+            .forEach(entry => {
+                const option = document.createElement('option');
+                option.value = entry.name;
+                list.appendChild(option);
+            });
+    };
+    fillList('string-tubulars', STRING_TUBULAR_TYPES);
+    fillList('casing-tubulars', ['casing']);
+    
+    renderCustomTubulars(custom);
+}
+
+// Company entries in the selected unit system
+function renderCustomTubulars(entries) {
+    const tbody = document.getElementById('tubulars-body');
+    tbody.innerHTML = '';
+    
+    if (entries.length === 0) {
+        const row = document.createElement('tr');
+        row.className = 'empty-row';
+        row.innerHTML = '<td colspan="9">No company entries yet; the built-in API sizes are always offered.</td>';
+        tbody.appendChild(row);
+        return;
+    }
+    
+    const format = (value, quantity, decimals) => value > 0
+        ? parseFloat(fromOilfield(value, quantity, unitSystem).toFixed(decimals)).toString()
+        : '--';
+    
+    entries.forEach(entry => {
+        const row = document.createElement('tr');
+        row.dataset.name = entry.name;
         
-        // Pump data
-        pump_capacity: getInputValue('pump_capacity'),
-        strokes_per_min: getInputValue('strokes_per_min'),
+        [
+            TUBULAR_TYPES[entry.type].label,
+            entry.name,
+            format(entry.od, 'diameter', 3),
+            format(entry.id, 'diameter', 3),
+            format(entry.weight, 'linear_weight', 2),
+            entry.grade || '--',
+            format(entry.burst, 'pressure', 0),
+            format(entry.collapse, 'pressure', 0)
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
         
-        // Casing data
-        casing_id: getInputValue('casing_id'),
-        casing_od: getInputValue('casing_od'),
-        casing_setting_depth: getInputValue('casing_setting_depth'),
+        const actions = document.createElement('td');
+        actions.className = 'row-actions';
+        actions.innerHTML = '<button type="button" class="icon-btn icon-btn-danger" data-action="remove" title="Remove">&times;</button>';
+        row.appendChild(actions);
         
-        // Drill collar data
-        dc_od: getInputValue('dc_od'),
-        dc_id: getInputValue('dc_id'),
-        dc_length: getInputValue('dc_length'),
-        
-        // Drill pipe data
-        dp_od: getInputValue('dp_od'),
-        dp_id: getInputValue('dp_id'),
-        dp_nominal_weight: getInputValue('dp_nominal_weight'),
-        
-        // HWDP data
-        hwdp_present: document.getElementById('hwdp_present').checked,
-        hwdp_od: getInputValue('hwdp_od'),
-        hwdp_id: getInputValue('hwdp_id'),
-        hwdp_length: getInputValue('hwdp_length')
-    };
+        tbody.appendChild(row);
+    });
 }
 
-// ===========================
-// VALIDATE CRITICAL INPUTS
-// ===========================
-function validateCriticalInputs(inputs) {
-    return inputs.hole_depth > 0 && 
-           inputs.pump_capacity > 0 && 
-           inputs.current_mud_weight > 0;
+// Adds the entry typed in the catalogue form, replacing a company entry of
+// the same name
+function addCustomTubular() {
+    const field = id => document.getElementById(`new_tubular_${id}`);
+    const read = (id, quantity) => readOilfieldValue(field(id), quantity, unitSystem);
+    const tubular = normalizeTubular({
+        type: field('type').value,
+        name: field('name').value,
+        od: read('od', 'diameter'),
+        id: read('id', 'diameter'),
+        weight: read('weight', 'linear_weight'),
+        grade: field('grade').value,
+        burst: read('burst', 'pressure'),
+        collapse: read('collapse', 'pressure')
+    });
+    
+    if (!tubular) {
+        showNotification('Enter the OD, and an ID smaller than the OD.', 'error');
+        return;
+    }
+    if (tubular.type === 'casing' && !(tubular.weight > 0 && tubular.grade)) {
+        showNotification('Casing needs a nominal weight and grade to be matched to the sheet.', 'error');
+        return;
+    }
+    
+    const entries = readCustomTubulars(localStorage).filter(entry => entry.name !== tubular.name);
+    if (!storeCustomTubulars(entries.concat(tubular))) return;
+    
+    ['name', 'od', 'id', 'weight', 'grade', 'burst', 'collapse'].forEach(id => {
+        field(id).value = '';
+    });
+    refreshTubularCatalogue();
+    calculateAll();
+    showNotification(`Added "${tubular.name}" to the catalogue.`, 'success');
+}
+
+// Writes the company entries, telling the user when the browser refuses
+function storeCustomTubulars(entries) {
+    try {
+        writeCustomTubulars(localStorage, entries);
+        return true;
+    } catch (error) {
+        console.error('Tubular storage error:', error);
+        showNotification('Could not save to browser storage.', 'error');
+        return false;
+    }
 }
 
 // ===========================
-// PERFORM CALCULATIONS
+// RIG PUMPS
 // ===========================
-function performCalculations(inputs) {
-    const results = {};
-    
-    // Kill Mud Weight (ppg)
-    // Formula: KMW = CMW + (SIDPP / (0.052 × TVD))
-    results.kill_mud_weight = inputs.current_mud_weight + 
-        (inputs.sidpp / (PRESSURE_GRADIENT * inputs.hole_depth));
-    
-    // Initial Circulating Pressure (ICP)
-    // Formula: ICP = SIDPP + Slow Pump Pressure
-    results.icp = inputs.sidpp + inputs.user_stroke_pressure;
-    
-    // Final Circulating Pressure (FCP)
-    // Formula: FCP = Slow Pump Pressure × (KMW / CMW)
-    results.fcp = inputs.current_mud_weight > 0 
-        ? inputs.user_stroke_pressure * (results.kill_mud_weight / inputs.current_mud_weight)
-        : 0;
+function setupPumpEditor() {
+    const tbody = document.getElementById('pumps-body');
     
-    // Drill Pipe Internal Capacity (bbl)
-    // Formula: Capacity = Length × π × (ID²/4) × (12/9691.04)
-    results.drill_pipe_capacity = inputs.hole_depth * 
-        (PI * Math.pow(inputs.dp_id, 2) / 4.0) * BBL_PER_IN2_FT;
+    document.getElementById('add-pump-btn').addEventListener('click', function() {
+        const row = addPumpRow({ name: `Pump ${tbody.children.length + 1}`, type: 'triplex' });
+        refreshKillPumpOptions();
+        row.querySelector('[data-field="liner"]').focus();
+    });
     
-    // Drill Collar Internal Capacity (bbl)
-    results.drill_collar_capacity = inputs.dc_length * 
-        (PI * Math.pow(inputs.dc_id, 2) / 4.0) * BBL_PER_IN2_FT;
+    tbody.addEventListener('input', debounce(function() {
+        refreshKillPumpOptions();
+        calculateAll();
+    }, 300));
+    tbody.addEventListener('change', function(event) {
+        if (event.target.matches('select[data-field="type"]')) {
+            updateRodField(event.target.closest('tr'));
+            calculateAll();
+        }
+    });
+    tbody.addEventListener('focusout', validateInput);
+    tbody.addEventListener('click', function(event) {
+        const button = event.target.closest('button[data-action="remove"]');
+        if (!button) return;
+        
+        // Keep the kill pump selection on the same pump
+        const index = Array.from(tbody.children).indexOf(button.closest('tr'));
+        const select = document.getElementById('kill_pump');
+        const selected = select.value === '' ? null : parseInt(select.value, 10);
+        button.closest('tr').remove();
+        refreshKillPumpOptions(selected === index ? null : selected > index ? selected - 1 : selected);
+        calculateAll();
+    });
     
-    // HWDP Internal Capacity (bbl)
-    results.hwdp_internal_capacity = inputs.hwdp_present 
-        ? inputs.hwdp_length * (PI * Math.pow(inputs.hwdp_id, 2) / 4.0) * BBL_PER_IN2_FT
-        : 0;
+    document.getElementById('kill_pump').addEventListener('change', calculateAll);
+    refreshKillPumpOptions();
+}
+
+// Appends a pump row; liner, stroke and rod are in the selected unit system
+function addPumpRow(pump) {
+    const tbody = document.getElementById('pumps-body');
+    const row = document.createElement('tr');
+    const typeOptions = Object.keys(PUMP_TYPES)
+        .map(type => `<option value="${type}">${PUMP_TYPES[type].label}</option>`)
+        .join('');
     
-    // Total Drill String Internal Capacity (bbl)
-    results.drill_string_capacity = results.drill_pipe_capacity + 
-        results.drill_collar_capacity + results.hwdp_internal_capacity;
+    row.innerHTML = `
+        <td><input type="text" class="pump-name" placeholder="e.g. MP1"></td>
+        <td><select data-field="type">${typeOptions}</select></td>
+        <td><input type="number" data-field="liner" data-quantity="diameter" step="0.125" min="0"></td>
+        <td><input type="number" data-field="stroke" data-quantity="diameter" step="0.5" min="0"></td>
+        <td><input type="number" data-field="rod" data-quantity="diameter" step="0.125" min="0"></td>
+        <td><input type="number" data-field="efficiency" step="1" min="0" max="100" placeholder="100"></td>
+        <td class="pump-output">--</td>
+        <td class="row-actions">
+            <button type="button" class="icon-btn icon-btn-danger" data-action="remove" title="Remove">&times;</button>
+        </td>
+    `;
     
-    // Drill String Internal Volume (same as capacity)
-    results.drill_string_volume = results.drill_string_capacity;
+    row.querySelector('.pump-name').value = pump.name || '';
+    row.querySelector('[data-field="type"]').value = PUMP_TYPES[pump.type] ? pump.type : 'triplex';
+    ['liner', 'stroke', 'rod', 'efficiency'].forEach(field => {
+        if (pump[field] !== undefined) {
+            row.querySelector(`[data-field="${field}"]`).value = pump[field];
+        }
+    });
+    updateRodField(row);
     
-    // Surface-to-Bit Strokes
-    // Formula: Strokes = Volume / Pump Capacity
-    results.surface_to_bit_strokes = inputs.pump_capacity > 0 
-        ? results.drill_string_volume / inputs.pump_capacity
-        : 0;
+    tbody.appendChild(row);
+    return row;
+}
+
+// The rod diameter only applies to duplex pumps
+function updateRodField(row) {
+    row.querySelector('[data-field="rod"]').disabled = row.querySelector('[data-field="type"]').value !== 'duplex';
+}
+
+// Pump rows in the selected unit system, one per row so that row positions
+// match the kill pump selector
+function getPumps() {
+    return Array.from(document.querySelectorAll('#pumps-body tr')).map(row => {
+        const readField = field => {
+            const value = parseFloat(row.querySelector(`[data-field="${field}"]`).value);
+            return isNaN(value) || value < 0 ? 0 : value;
+        };
+        return {
+            name: row.querySelector('.pump-name').value.trim(),
+            type: row.querySelector('[data-field="type"]').value,
+            liner: readField('liner'),
+            stroke: readField('stroke'),
+            rod: readField('rod'),
+            efficiency: readField('efficiency')
+        };
+    });
+}
+
+// Rebuilds the kill pump options from the pump rows, keeping the selection
+// (or selecting `selected`, a row index or null for direct entry)
+function refreshKillPumpOptions(selected) {
+    const select = document.getElementById('kill_pump');
+    const value = selected === undefined ? select.value : (selected === null ? '' : String(selected));
+    const rows = document.querySelectorAll('#pumps-body tr');
     
-    // Open-hole depth
-    results.open_hole_depth = Math.max(inputs.hole_depth - inputs.casing_setting_depth, 0);
+    select.innerHTML = '<option value="">Enter pump capacity</option>';
+    rows.forEach((row, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = row.querySelector('.pump-name').value.trim() || `Pump ${index + 1}`;
+        select.appendChild(option);
+    });
+    select.value = value !== '' && parseInt(value, 10) < rows.length ? value : '';
     
-    // Open-hole DP length
-    const def_length = inputs.dc_length + (inputs.hwdp_present ? inputs.hwdp_length : 0);
-    results.open_hole_dp_length = Math.max(results.open_hole_depth - def_length, 0);
+    // Pump names offered in the SCR table
+    const names = document.getElementById('pump-names');
+    names.innerHTML = '';
+    Array.from(select.options).slice(1).forEach(option => {
+        const name = document.createElement('option');
+        name.value = option.textContent;
+        names.appendChild(name);
+    });
+}
+
+// Output of every pump, and the kill pump's output in the pump capacity
+// field, which is read-only while a pump supplies it
+function updatePumpOutputs(inputs) {
+    const decimals = resultDecimals({ quantity: 'pump_output', decimals: 4 });
+    const rows = document.querySelectorAll('#pumps-body tr');
     
-    // Total DP length
-    results.total_dp_length = results.open_hole_dp_length + inputs.casing_setting_depth + 
-        (inputs.hwdp_present ? inputs.hwdp_length : 0);
+    inputs.pumps.forEach((pump, index) => {
+        const output = pumpOutput(pump);
+        rows[index].querySelector('.pump-output').textContent = output > 0
+            ? fromOilfield(output, 'pump_output', unitSystem).toFixed(decimals)
+            : '--';
+    });
     
-    // Annulus Capacities
-    // Open hole annulus around DC
-    results.ann_open_dc = inputs.dc_length * 
-        (PI * (Math.pow(inputs.hole_diameter, 2) - Math.pow(inputs.dc_od, 2)) / 4.0) * BBL_PER_IN2_FT;
+    const capacity = document.getElementById('pump_capacity');
+    capacity.readOnly = inputs.kill_pump !== null;
+    if (inputs.kill_pump !== null) {
+        setOilfieldValue(capacity, inputs.pump_capacity, 'pump_output', unitSystem);
+    }
+}
+
+// ===========================
+// SLOW CIRCULATING RATES
+// ===========================
+const SCR_FIELDS = ['spm', 'pressure', 'clf', 'depth', 'mud_weight'];
+
+const SCR_BASIS_TEXT = {
+    recorded: 'recorded at this rate',
+    interpolated: 'interpolated between recorded rates',
+    extrapolated: 'extrapolated beyond the recorded rates',
+    scaled: 'scaled from a single SCR'
+};
+
+function setupScrEditor() {
+    const tbody = document.getElementById('scr-body');
     
-    // Open hole annulus around HWDP
-    results.ann_open_hwdp = inputs.hwdp_present 
-        ? inputs.hwdp_length * (PI * (Math.pow(inputs.hole_diameter, 2) - Math.pow(inputs.hwdp_od, 2)) / 4.0) * BBL_PER_IN2_FT
-        : 0;
+    document.getElementById('add-scr-btn').addEventListener('click', function() {
+        const select = document.getElementById('kill_pump');
+        const pump = select.value !== '' ? select.options[select.selectedIndex].textContent : '';
+        const row = addScrRow({ pump: pump, date: new Date().toISOString().slice(0, 10) });
+        row.querySelector('[data-field="spm"]').focus();
+    });
     
-    // Open hole annulus around DP
-    results.ann_open_dp = results.open_hole_dp_length * 
-        (PI * (Math.pow(inputs.hole_diameter, 2) - Math.pow(inputs.dp_od, 2)) / 4.0) * BBL_PER_IN2_FT;
+    tbody.addEventListener('input', debounce(calculateAll, 300));
+    tbody.addEventListener('focusout', validateInput);
+    tbody.addEventListener('click', function(event) {
+        const button = event.target.closest('button[data-action="remove"]');
+        if (!button) return;
+        button.closest('tr').remove();
+        calculateAll();
+    });
+}
+
+// Appends an SCR row; pressures, depth and mud weight are in the selected
+// unit system
+function addScrRow(record) {
+    const tbody = document.getElementById('scr-body');
+    const row = document.createElement('tr');
     
-    // Cased hole annulus around DP
-    const dp_length_cased_hole = Math.min(inputs.casing_setting_depth, inputs.hole_depth);
-    results.ann_cased_dp = dp_length_cased_hole * 
-        (PI * (Math.pow(inputs.casing_id, 2) - Math.pow(inputs.dp_od, 2)) / 4.0) * BBL_PER_IN2_FT;
+    row.innerHTML = `
+        <td><input type="text" class="scr-pump" list="pump-names" placeholder="Any pump"></td>
+        <td><input type="number" data-field="spm" step="1" min="0"></td>
+        <td><input type="number" data-field="pressure" data-quantity="pressure" step="10" min="0"></td>
+        <td><input type="number" data-field="clf" data-quantity="pressure" step="10" min="0" placeholder="subsea"></td>
+        <td><input type="date" class="scr-date"></td>
+        <td><input type="number" data-field="depth" data-quantity="depth" step="1" min="0"></td>
+        <td><input type="number" data-field="mud_weight" data-quantity="mud_weight" step="0.1" min="0"></td>
+        <td class="row-actions">
+            <button type="button" class="icon-btn icon-btn-danger" data-action="remove" title="Remove">&times;</button>
+        </td>
+    `;
     
-    // Total Annular Capacity
-    results.total_annular_capacity = results.ann_open_dc + results.ann_open_dp + 
-        results.ann_cased_dp + results.ann_open_hwdp;
+    row.querySelector('.scr-pump').value = record.pump || '';
+    row.querySelector('.scr-date').value = record.date || '';
+    SCR_FIELDS.forEach(field => {
+        if (record[field] !== undefined) {
+            row.querySelector(`[data-field="${field}"]`).value = record[field];
+        }
+    });
     
-    // Bit-to-Surface Strokes (annulus)
-    results.bit_to_surface_strokes = inputs.pump_capacity > 0 
-        ? results.total_annular_capacity / inputs.pump_capacity
-        : 0;
+    tbody.appendChild(row);
+    return row;
+}
+
+// SCR rows in the selected unit system
+function getScrTable() {
+    return Array.from(document.querySelectorAll('#scr-body tr')).map(row => {
+        const record = {
+            pump: row.querySelector('.scr-pump').value.trim(),
+            date: row.querySelector('.scr-date').value
+        };
+        SCR_FIELDS.forEach(field => {
+            const value = parseFloat(row.querySelector(`[data-field="${field}"]`).value);
+            record[field] = isNaN(value) || value < 0 ? 0 : value;
+        });
+        return record;
+    });
+}
+
+// Kill rate, slow pump pressure and choke line friction picked from the
+// SCRs. Their fields are read-only while the SCR table supplies them.
+function updateScrSelection(inputs) {
+    const scr = selectScr(inputs);
+    const pressure = document.getElementById('user_stroke_pressure');
+    const friction = document.getElementById('choke_line_friction');
+    const rate = document.getElementById('strokes_per_min');
+    const summary = document.getElementById('scr-summary');
     
-    // Total Strokes
-    results.total_strokes = results.surface_to_bit_strokes + results.bit_to_surface_strokes;
+    pressure.readOnly = scr.pressure !== null;
+    friction.readOnly = scr.choke_line_friction !== null;
+    if (scr.choke_line_friction !== null) {
+        setOilfieldValue(friction, scr.choke_line_friction, 'pressure', unitSystem);
+    }
+    rate.placeholder = '';
     
-    // Time Calculations
-    if (inputs.strokes_per_min > 0 && inputs.pump_capacity > 0) {
-        results.time_surface_to_bit = results.drill_string_volume / 
-            (inputs.strokes_per_min * inputs.pump_capacity);
-        results.bit_to_surface_time = results.total_annular_capacity / 
-            (inputs.strokes_per_min * inputs.pump_capacity);
+    if (scr.pressure === null) {
+        summary.textContent = '';
     } else {
-        results.time_surface_to_bit = 0;
-        results.bit_to_surface_time = 0;
+        setOilfieldValue(pressure, scr.pressure, 'pressure', unitSystem);
+        if (rate.value === '') {
+            rate.placeholder = `${scr.spm} (slowest SCR)`;
+        }
+        const symbol = getUnit('pressure', unitSystem).symbol;
+        summary.textContent = `Kill rate ${scr.spm} spm${scr.pump ? ` on ${scr.pump}` : ''}: ` +
+            `slow pump pressure ${fromOilfield(scr.pressure, 'pressure', unitSystem).toFixed(1)} ${symbol}` +
+            (scr.choke_line_friction !== null
+                ? `, choke line friction ${fromOilfield(scr.choke_line_friction, 'pressure', unitSystem).toFixed(1)} ${symbol}`
+                : '') +
+            `, ${SCR_BASIS_TEXT[scr.basis]}.`;
     }
+    renderList('scr-warnings', scr.warnings);
     
-    results.total_pumping_time = results.time_surface_to_bit + results.bit_to_surface_time;
-    
-    // Pressure Drop per 100 Strokes
-    results.pressure_drop_per_100_strokes = results.surface_to_bit_strokes > 0 
-        ? ((results.icp - results.fcp) / results.surface_to_bit_strokes) * 100.0
-        : 0;
-    
-    return results;
+    // Recorded rates offered for the kill rate
+    const rates = Array.from(new Set(inputs.scr_table.map(record => record.spm))).sort((a, b) => a - b);
+    document.getElementById('scr-rates').innerHTML = rates.map(spm => `<option value="${spm}"></option>`).join('');
 }
 
 // ===========================
-// DISPLAY RESULTS
+// DIRECTIONAL SURVEY
 // ===========================
-function displayResults(results) {
-    // Kill Parameters
-    setResultValue('kill_mud_weight', results.kill_mud_weight, 2);
-    setResultValue('icp', results.icp, 2);
-    setResultValue('fcp', results.fcp, 2);
-    setResultValue('pressure_drop_100', results.pressure_drop_per_100_strokes, 3);
+function setupSurveyInput() {
+    const textarea = document.getElementById('survey_data');
+    const fileInput = document.getElementById('survey_file');
     
-    // Volume & Stroke Calculations
-    setResultValue('drill_string_volume', results.drill_string_volume, 3);
-    setResultValue('surface_to_bit_strokes', results.surface_to_bit_strokes, 1);
-    setResultValue('total_annular_capacity', results.total_annular_capacity, 3);
-    setResultValue('bit_to_surface_strokes', results.bit_to_surface_strokes, 1);
-    setResultValue('total_strokes', results.total_strokes, 1);
-    setResultValue('open_hole_depth', results.open_hole_depth, 2);
-    setResultValue('open_hole_dp_length', results.open_hole_dp_length, 2);
-    setResultValue('total_dp_length', results.total_dp_length, 2);
+    textarea.addEventListener('input', debounce(calculateAll, 300));
+    
+    fileInput.addEventListener('change', function() {
+        const file = this.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            const stations = parseSurveyText(reader.result);
+            if (stations.length === 0) {
+                showNotification('No survey stations found in that file.', 'error');
+                return;
+            }
+            textarea.value = formatSurveyText(stations);
+            calculateAll();
+            showNotification(`Imported ${stations.length} survey stations.`, 'success');
+        };
+        reader.onerror = () => showNotification('Could not read the survey file.', 'error');
+        reader.readAsText(file);
+        
+        // Allow the same file to be picked again
+        this.value = '';
+    });
     
-    // Time Calculations
-    setResultValue('time_surface_to_bit', results.time_surface_to_bit, 2);
-    setResultValue('bit_to_surface_time', results.bit_to_surface_time, 2);
-    setResultValue('total_pumping_time', results.total_pumping_time, 2);
+    document.getElementById('clear-survey-btn').addEventListener('click', function() {
+        textarea.value = '';
+        calculateAll();
+    });
 }
 
-// ===========================
-// CLEAR RESULTS
-// ===========================
-function clearResults() {
-    const resultElements = document.querySelectorAll('.result-value span:first-child');
-    resultElements.forEach(el => el.textContent = '--');
+function formatSurveyText(stations) {
+    return stations.map(station => `${station.md}, ${station.inc}, ${station.azi}`).join('\n');
+}
+
+// Station count and computed TVDs, shown as hints on the blank TVD fields
+function updateSurveySummary(inputs, results) {
+    const summary = document.getElementById('survey-summary');
+    const depthUnit = getUnit('depth', unitSystem).symbol;
+    const depth = value => fromOilfield(value, 'depth', unitSystem).toFixed(1);
+    
+    if (inputs.survey.length > 0) {
+        const last = inputs.survey[inputs.survey.length - 1];
+        summary.textContent = `${inputs.survey.length} stations to ${depth(last.md)} ${depthUnit} MD. ` +
+            `Bit TVD ${depth(results.bit_tvd)} ${depthUnit}, shoe TVD ${depth(results.shoe_tvd)} ${depthUnit}.`;
+        document.getElementById('hole_tvd').placeholder = `${depth(results.bit_tvd)} (survey)`;
+        document.getElementById('casing_shoe_tvd').placeholder = `${depth(results.shoe_tvd)} (survey)`;
+    } else {
+        summary.textContent = '';
+        document.getElementById('hole_tvd').placeholder = '= MD or survey';
+        document.getElementById('casing_shoe_tvd').placeholder = '= MD or survey';
+    }
 }
 
 // ===========================
-// UPDATE PRESSURE SCHEDULE TABLE
+// KILL LOG (LIVE MONITORING)
 // ===========================
-function updatePressureSchedule(results) {
-    const tbody = document.getElementById('pressure-schedule-body');
+// Numeric reading fields in table order (units in KILL_LOG_QUANTITIES)
+const KILL_LOG_FIELDS = ['strokes', 'drillpipe_pressure', 'casing_pressure', 'spm', 'pit_volume'];
+
+function setupKillLog() {
+    const tbody = document.getElementById('kill-log-body');
+    
+    document.getElementById('log-reading-btn').addEventListener('click', function() {
+        const row = addKillLogRow({ time: new Date().toTimeString().slice(0, 8) });
+        row.querySelector('[data-field="strokes"]').focus();
+    });
+    
+    document.getElementById('clear-log-btn').addEventListener('click', function() {
+        if (tbody.children.length > 0 && confirm('Clear all logged readings?')) {
+            tbody.innerHTML = '';
+            calculateAll();
+        }
+    });
+    
+    tbody.addEventListener('input', debounce(calculateAll, 300));
+    tbody.addEventListener('focusout', validateInput);
+    tbody.addEventListener('click', function(event) {
+        const button = event.target.closest('button[data-action="remove"]');
+        if (button) {
+            button.closest('tr').remove();
+            calculateAll();
+        }
+    });
+}
+
+// Appends a log row; pressures and volumes are in the selected unit system
+function addKillLogRow(reading) {
+    const tbody = document.getElementById('kill-log-body');
+    const row = document.createElement('tr');
+    
+    row.innerHTML = `
+        <td><input type="text" class="log-time" placeholder="hh:mm"></td>
+        <td><input type="number" data-field="strokes" step="1" min="0"></td>
+        <td><input type="number" data-field="drillpipe_pressure" data-quantity="pressure" step="1" min="0"></td>
+        <td class="log-planned">--</td>
+        <td class="log-deviation">--</td>
+        <td><input type="number" data-field="casing_pressure" data-quantity="pressure" step="1" min="0"></td>
+        <td><input type="number" data-field="spm" step="1" min="0"></td>
+        <td><input type="number" data-field="pit_volume" data-quantity="volume" step="0.1" min="0"></td>
+        <td class="row-actions">
+            <button type="button" class="icon-btn icon-btn-danger" data-action="remove" title="Remove">&times;</button>
+        </td>
+    `;
+    
+    row.querySelector('.log-time').value = reading.time || '';
+    KILL_LOG_FIELDS.forEach(field => {
+        if (reading[field] !== undefined && reading[field] !== null) {
+            row.querySelector(`[data-field="${field}"]`).value = reading[field];
+        }
+    });
+    
+    tbody.appendChild(row);
+    return row;
+}
+
+// Log rows as readings in the selected unit system; blank readings are null
+function getKillLog() {
+    return Array.from(document.querySelectorAll('#kill-log-body tr')).map(row => {
+        const reading = { time: row.querySelector('.log-time').value.trim() };
+        KILL_LOG_FIELDS.forEach(field => {
+            const value = parseFloat(row.querySelector(`[data-field="${field}"]`).value);
+            reading[field] = isNaN(value) ? null : value;
+        });
+        return reading;
+    });
+}
+
+const MONITOR_STATUS_CLASSES = {
+    ok: 'status-ok',
+    high: 'status-danger',
+    low: 'status-danger'
+};
+
+// Planned pressure and deviation on every log row, and the latest reading's
+// status in the banner
+function updateKillLog(inputs, results) {
+    const rows = document.querySelectorAll('#kill-log-body tr');
+    const pressure = value => fromOilfield(value, 'pressure', unitSystem).toFixed(1);
+    
+    results.kill_log.forEach((reading, i) => {
+        const row = rows[i];
+        if (!row) return;
+        
+        row.querySelector('.log-planned').textContent = reading.status ? pressure(reading.planned_pressure) : '--';
+        row.querySelector('.log-deviation').textContent = reading.status
+            ? `${reading.deviation > 0 ? '+' : ''}${pressure(reading.deviation)}`
+            : '--';
+        row.classList.toggle('deviation-row', reading.status === 'high' || reading.status === 'low');
+    });
+    
+    const banner = document.getElementById('monitor-status');
+    const latest = results.kill_log_latest;
+    
+    if (!latest) {
+        banner.hidden = true;
+        return;
+    }
+    
+    const pressureUnit = getUnit('pressure', unitSystem).symbol;
+    const tolerance = `±${pressure(inputs.monitor_tolerance)} ${pressureUnit}`;
+    const at = `At ${latest.strokes.toFixed(0)} strokes${latest.time ? ` (${latest.time})` : ''}`;
+    const deviation = `${pressure(Math.abs(latest.deviation))} ${pressureUnit}`;
+    const messages = {
+        ok: `${at} drillpipe pressure is on schedule (${tolerance}).`,
+        high: `${at} drillpipe pressure is ${deviation} ABOVE the schedule (${tolerance}). Check for a plugged nozzle or choke; bottom-hole pressure is higher than planned.`,
+        low: `${at} drillpipe pressure is ${deviation} BELOW the schedule (${tolerance}). Check for a washout or pump problem; bottom-hole pressure may be too low.`
+    };
+    const earlier = results.kill_log_deviations - (latest.status === 'ok' ? 0 : 1);
+    
+    banner.className = `status-banner ${MONITOR_STATUS_CLASSES[latest.status]}`;
+    banner.textContent = earlier > 0
+        ? `${messages[latest.status]} ${earlier} earlier reading${earlier === 1 ? ' was' : 's were'} outside the tolerance.`
+        : messages[latest.status];
+    banner.hidden = false;
+}
+
+// ===========================
+// KILL METHOD SELECTOR
+// ===========================
+const KILL_METHOD_NOTES = {
+    wait_and_weight: 'Kill mud is mixed before pumping starts and circulated in one circulation. Drillpipe pressure falls from ICP to FCP while kill mud fills the string, then FCP is held until kill mud reaches surface.',
+    drillers: 'First circulation: the influx is circulated out with the original mud, holding drillpipe pressure at ICP. Second circulation: kill mud is pumped following the ICP to FCP schedule. Both circulations are shown on one stroke axis.',
+    concurrent: 'Pumping starts at ICP and the mud weight is raised in steps while circulating. Drillpipe pressure is stepped down as each heavier mud reaches the bit, reaching FCP with kill mud at the bit.'
+};
+
+// Chart dataset label per circulation for methods with more than one
+const CIRCULATION_LABELS = {
+    1: '1st Circulation (original mud)',
+    2: '2nd Circulation (kill mud)'
+};
+
+function setupKillMethodSelector() {
+    const select = document.getElementById('kill_method');
+    
+    Object.keys(KILL_METHODS).forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = KILL_METHODS[key].label;
+        select.appendChild(option);
+    });
+    select.value = DEFAULT_KILL_METHOD;
+    
+    select.addEventListener('change', function() {
+        updateKillMethodOptions();
+        calculateAll();
+    });
+    
+    updateKillMethodOptions();
+}
+
+// Shows the concurrent method inputs only when that method is selected
+function updateKillMethodOptions() {
+    const method = document.getElementById('kill_method').value;
+    
+    document.querySelectorAll('.concurrent-option').forEach(group => {
+        group.hidden = method !== 'concurrent';
+    });
+    document.getElementById('kill-method-note').textContent = KILL_METHOD_NOTES[method];
+}
+
+// ===========================
+// KILL MUD POLICY
+// ===========================
+function setupKillPolicy() {
+    document.getElementById('save-policy-btn').addEventListener('click', function() {
+        writePolicy(localStorage, getWellData());
+        showNotification('Kill mud policy saved as the default for new sheets.', 'success');
+    });
+}
+
+// Fills the policy fields from the saved default policy (blank when none)
+function applyDefaultPolicy() {
+    const policy = readPolicy(localStorage) || {};
+    
+    POLICY_FIELDS.forEach(field => {
+        const input = document.getElementById(field);
+        const value = policy[field];
+        delete input.dataset.oilfieldValue;
+        delete input.dataset.convertedValue;
+        
+        if (value === undefined || value === '') {
+            input.value = '';
+        } else if (input.type === 'number') {
+            setOilfieldValue(input, parseFloat(value), INPUT_QUANTITIES[field], unitSystem);
+        } else {
+            input.value = value;
+        }
+    });
+}
+
+// Which policy the kill parameters were worked out with, recorded on the
+// sheet (and so in the PDF)
+function updateKillPolicy(results) {
+    const name = document.getElementById('policy_name').value.trim();
+    const terms = results.kill_policy.map(term => {
+        const value = parseFloat(fromOilfield(term.value, term.quantity, unitSystem).toPrecision(6));
+        return `${term.label} ${value} ${getUnit(term.quantity, unitSystem).symbol}`;
+    });
+    
+    document.getElementById('kill-policy-summary').textContent = `Kill mud policy${name ? ` "${name}"` : ''}: ` +
+        (terms.length > 0 ? `${terms.join('; ')}.` : 'none, the kill is exactly balanced.');
+}
+
+// ===========================
+// MUD WEIGHT-UP
+// ===========================
+function setupWeightingMaterialSelector() {
+    const select = document.getElementById('weighting_material');
+    
+    Object.keys(WEIGHTING_MATERIALS).forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = WEIGHTING_MATERIALS[key].label;
+        select.appendChild(option);
+    });
+    select.value = DEFAULT_WEIGHTING_MATERIAL;
+    
+    select.addEventListener('change', calculateAll);
+}
+
+function updateWeightUp(results) {
+    const target = fromOilfield(results.kill_mud_weight, 'mud_weight', unitSystem);
+    document.getElementById('weight_up_mud_weight').placeholder =
+        `${target.toFixed(resultDecimals({ quantity: 'mud_weight', decimals: 2 }))} (kill mud)`;
+    renderList('weight-up-warnings', results.weight_up_warnings);
+}
+
+// ===========================
+// SUBSEA BOP
+// ===========================
+function setupBopSelectors() {
+    [['bop_location', BOP_LOCATIONS, DEFAULT_BOP_LOCATION], ['scr_path', SCR_PATHS, DEFAULT_SCR_PATH]]
+        .forEach(([id, choices, defaultValue]) => {
+            const select = document.getElementById(id);
+            
+            Object.keys(choices).forEach(key => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = choices[key].label;
+                select.appendChild(option);
+            });
+            select.value = defaultValue;
+            
+            select.addEventListener('change', function() {
+                updateBopOptions();
+                calculateAll();
+            });
+        });
+    
+    updateBopOptions();
+}
+
+// Shows the subsea inputs and results only with a subsea BOP
+function updateBopOptions() {
+    const subsea = document.getElementById('bop_location').value === 'subsea';
+    
+    document.querySelectorAll('.subsea-option').forEach(element => {
+        element.hidden = !subsea;
+    });
+}
+
+function updateSubsea(results) {
+    renderList('subsea-warnings', results.subsea_warnings);
+}
+
+// ===========================
+// UNIT SYSTEM SELECTOR
+// ===========================
+function setupUnitSelector() {
+    const select = document.getElementById('unit_system');
+    
+    Object.keys(UNIT_SYSTEMS).forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = UNIT_SYSTEMS[key].label;
+        select.appendChild(option);
+    });
+    select.value = unitSystem;
+    
+    select.addEventListener('change', function() {
+        convertFormValues(unitSystem, this.value);
+        unitSystem = this.value;
+        applyUnitLabels();
+        calculateAll();
+    });
+    
+    applyUnitLabels();
+}
+
+// Re-expresses every value already typed in the new unit system. The exact
+// oilfield value is kept on the field so that flipping back and forth between
+// systems returns the original number rather than a rounded one.
+function convertFormValues(fromSystem, toSystem) {
+    Object.keys(INPUT_QUANTITIES).forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            convertInputElement(input, INPUT_QUANTITIES[id], fromSystem, toSystem);
+        }
+    });
+    
+    document.querySelectorAll('input[data-quantity]').forEach(input => {
+        convertInputElement(input, input.dataset.quantity, fromSystem, toSystem);
+    });
+    
+    const survey = document.getElementById('survey_data');
+    const stations = parseSurveyText(survey.value);
+    if (stations.length > 0) {
+        survey.value = formatSurveyText(stations.map(station => Object.assign({}, station, {
+            md: parseFloat(convertValue(station.md, 'depth', fromSystem, toSystem).toPrecision(6))
+        })));
+    }
+}
+
+function convertValue(value, quantity, fromSystem, toSystem) {
+    return fromOilfield(toOilfield(value, quantity, fromSystem), quantity, toSystem);
+}
+
+function convertInputElement(input, quantity, fromSystem, toSystem) {
+    const oilfieldValue = readOilfieldValue(input, quantity, fromSystem);
+    if (oilfieldValue !== null) {
+        setOilfieldValue(input, oilfieldValue, quantity, toSystem);
+    }
+}
+
+// Oilfield value of a field entered in `systemKey`, or null when blank
+function readOilfieldValue(input, quantity, systemKey) {
+    const value = parseFloat(input.value);
+    if (input.value === '' || isNaN(value)) return null;
+    
+    return input.dataset.convertedValue === input.value
+        ? parseFloat(input.dataset.oilfieldValue)
+        : toOilfield(value, quantity, systemKey);
+}
+
+// Shows an oilfield value in `systemKey`, remembering the exact value
+function setOilfieldValue(input, oilfieldValue, quantity, systemKey) {
+    input.value = parseFloat(fromOilfield(oilfieldValue, quantity, systemKey).toPrecision(6));
+    input.dataset.oilfieldValue = oilfieldValue;
+    input.dataset.convertedValue = input.value;
+}
+
+function setUnitLabel(id, text) {
+    const element = document.getElementById(id);
+    const unit = element && element.parentElement.querySelector('.unit');
+    if (unit) {
+        unit.textContent = text;
+    }
+}
+
+function applyUnitLabels() {
+    Object.keys(INPUT_QUANTITIES).forEach(id => {
+        setUnitLabel(id, getUnit(INPUT_QUANTITIES[id], unitSystem).symbol);
+    });
+    
+    RESULT_SECTIONS.forEach(section => {
+        section.fields.forEach(field => {
+            if (field.quantity) {
+                setUnitLabel(field.id, getUnit(field.quantity, unitSystem).symbol);
+            }
+        });
+    });
+    
+    // Unit symbols embedded in table headings and notes
+    document.querySelectorAll('span[data-quantity]').forEach(span => {
+        span.textContent = getUnit(span.dataset.quantity, unitSystem).symbol;
+    });
+    
+    const gradient = getUnit('pressure_gradient', unitSystem);
+    const defaultGradient = fromOilfield(DEFAULT_INPUTS.influx_gradient, 'pressure_gradient', unitSystem);
+    document.getElementById('influx_gradient').placeholder = `${defaultGradient.toFixed(gradient.decimals || 2)} (gas)`;
+    
+    const defaultMigration = fromOilfield(DEFAULT_INPUTS.gas_migration_rate, 'migration_rate', unitSystem);
+    document.getElementById('gas_migration_rate').placeholder = defaultMigration.toFixed(0);
+    
+    const defaultSack = fromOilfield(DEFAULT_INPUTS.sack_size, 'mass', unitSystem);
+    document.getElementById('sack_size').placeholder = parseFloat(defaultSack.toFixed(1));
+    document.getElementById('kill_mud_surplus').placeholder = DEFAULT_INPUTS.kill_mud_surplus;
+    document.getElementById('casing_burst_derating').placeholder = DEFAULT_INPUTS.casing_burst_derating;
+    
+    const defaultStep = fromOilfield(DEFAULT_INPUTS.concurrent_weight_step, 'mud_weight', unitSystem);
+    document.getElementById('concurrent_weight_step').placeholder =
+        defaultStep.toFixed(resultDecimals({ quantity: 'mud_weight', decimals: 2 }));
+    
+    const defaultTolerance = fromOilfield(DEFAULT_INPUTS.monitor_tolerance, 'pressure', unitSystem);
+    document.getElementById('monitor_tolerance').placeholder = defaultTolerance.toFixed(0);
+    
+    ['volumetric_safety_margin', 'volumetric_pressure_step'].forEach(id => {
+        document.getElementById(id).placeholder = fromOilfield(DEFAULT_INPUTS[id], 'pressure', unitSystem).toFixed(0);
+    });
+    document.getElementById('stand_length').placeholder =
+        fromOilfield(DEFAULT_INPUTS.stand_length, 'depth', unitSystem).toFixed(1);
+    
+    const pressureUnit = getUnit('pressure', unitSystem).symbol;
+    document.getElementById('schedule-pressure-header').textContent = `Pressure (${pressureUnit})`;
+    
+    if (pressureChart) {
+        pressureChart.options.scales.y.title.text = `Pressure (${pressureUnit})`;
+        pressureChart.update();
+    }
+    
+    // Company catalogue entries are listed in the selected units
+    renderCustomTubulars(readCustomTubulars(localStorage));
+}
+
+// ===========================
+// SHEET CHECKS
+// ===========================
+function setupSheetChecks() {
+    document.getElementById('sheet-check-list').addEventListener('click', function(event) {
+        const link = event.target.closest('.check-link');
+        if (!link) return;
+        
+        const field = sheetIssues[parseInt(link.dataset.issue, 10)].fields.map(checkFieldElement).find(Boolean);
+        if (field) {
+            field.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            field.focus({ preventScroll: true });
+        }
+    });
+}
+
+// Form element of a checked field: an input id, or
+// "string_components.<index>.<field>" for a drill string editor row
+// (counting only the rows with dimensions, as getStringComponents does)
+function checkFieldElement(field) {
+    const [key, index, name] = field.split('.');
+    if (key !== 'string_components') return document.getElementById(field);
+    
+    const row = Array.from(document.querySelectorAll('#string-components-body tr')).filter(tr =>
+        Array.from(tr.querySelectorAll('input[type="number"]')).some(input => parseFloat(input.value) > 0)
+    )[parseInt(index, 10)];
+    return row ? row.querySelector(`[data-field="${name}"]`) : null;
+}
+
+// Lists the problems, errors first, and outlines the fields involved
+function updateSheetChecks(issues) {
+    sheetIssues = issues;
+    
+    const counts = Object.keys(VALIDATION_LEVELS).map(level => {
+        const count = issues.filter(issue => issue.level === level).length;
+        return count > 0 ? `${count} ${VALIDATION_LEVELS[level].label.toLowerCase()}${count === 1 ? '' : 's'}` : null;
+    }).filter(Boolean);
+    const banner = document.getElementById('sheet-check-status');
+    if (issues.some(issue => issue.level === 'error')) {
+        banner.className = 'status-banner status-danger';
+    } else if (issues.some(issue => issue.level === 'warning')) {
+        banner.className = 'status-banner status-warning';
+    } else {
+        banner.className = 'status-banner status-ok';
+    }
+    banner.textContent = counts.length > 0 ? `Sheet checks: ${counts.join(', ')}` : 'Sheet checks: no problems found';
+    
+    const list = document.getElementById('sheet-check-list');
+    list.innerHTML = '';
+    issues.forEach((issue, index) => {
+        const item = document.createElement('li');
+        const link = document.createElement('button');
+        item.className = `check-${issue.level}`;
+        link.type = 'button';
+        link.className = 'check-link';
+        link.dataset.issue = index;
+        link.textContent = `${VALIDATION_LEVELS[issue.level].label}: ${issue.message}`;
+        item.appendChild(link);
+        list.appendChild(item);
+    });
+    
+    document.querySelectorAll('.field-error, .field-warning').forEach(element => {
+        element.classList.remove('field-error', 'field-warning');
+    });
+    issues.filter(issue => issue.level !== 'info').forEach(issue => {
+        issue.fields.map(checkFieldElement).filter(Boolean).forEach(element => {
+            if (!element.classList.contains('field-error')) element.classList.add(`field-${issue.level}`);
+        });
+    });
+}
+
+// ===========================
+// INPUT VALIDATION
+// ===========================
+function validateInput(event) {
+    const input = event.target;
+    const value = parseFloat(input.value);
+    
+    if (input.type === 'number') {
+        if (isNaN(value) || value < 0) {
+            input.style.borderColor = '#ef4444';
+            showTooltip(input, 'Please enter a valid positive number');
+        } else {
+            input.style.borderColor = '#10b981';
+            hideTooltip(input);
+        }
+    }
+}
+
+function showTooltip(element, message) {
+    // Remove existing tooltip
+    hideTooltip(element);
+    
+    const tooltip = document.createElement('div');
+    tooltip.className = 'validation-tooltip';
+    tooltip.textContent = message;
+    tooltip.style.cssText = `
+        position: absolute;
+        background: #ef4444;
+        color: white;
+        padding: 0.5rem 0.75rem;
+        border-radius: 6px;
+        font-size: 0.85rem;
+        margin-top: 0.25rem;
+        z-index: 1000;
+        box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+    `;
+    
+    element.parentElement.style.position = 'relative';
+    element.parentElement.appendChild(tooltip);
+    
+    setTimeout(() => hideTooltip(element), 3000);
+}
+
+function hideTooltip(element) {
+    const tooltip = element.parentElement.querySelector('.validation-tooltip');
+    if (tooltip) {
+        tooltip.remove();
+    }
+}
+
+// ===========================
+// UTILITY FUNCTIONS
+// ===========================
+function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+        const later = () => {
+            clearTimeout(timeout);
+            func(...args);
+        };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+    };
+}
+
+function getInputValue(id, defaultValue = 0) {
+    const element = document.getElementById(id);
+    if (!element) return defaultValue;
+    const value = parseFloat(element.value);
+    return isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+// Display precision for a result: the unit's own precision if it has one
+function resultDecimals(field) {
+    const unit = field.quantity ? getUnit(field.quantity, unitSystem) : null;
+    return unit && unit.decimals !== undefined ? unit.decimals : field.decimals;
+}
+
+function setResultValue(id, value, decimals = 2) {
+    const element = document.getElementById(id);
+    if (element) {
+        if (isNaN(value) || !isFinite(value)) {
+            element.textContent = '--';
+        } else {
+            element.textContent = value.toFixed(decimals);
+        }
+    }
+}
+
+// ===========================
+// MAIN CALCULATION FUNCTION
+// ===========================
+function calculateAll() {
+    // Keep the working copy so a page refresh does not lose it
+    saveDraft();
+    
+    // Scenarios and any sensitivity sweep follow the sheet
+    updateScenarios();
+    
+    try {
+        // Get all input values, with defaults for anything left blank and
+        // casing ratings from the catalogue
+        const inputs = applyCasingRatings(normalizeInputs(getInputValues()), tubularCatalogue);
+        updatePumpOutputs(inputs);
+        updateScrSelection(inputs);
+        updateStringCapacities();
+        updateCasingPlaceholders(inputs);
+        
+        // Validate critical inputs
+        if (!validateCriticalInputs(inputs)) {
+            updateSheetChecks(validateSheet(inputs));
+            clearResults();
+            return;
+        }
+        
+        // Perform calculations
+        const results = performCalculations(inputs);
+        
+        // Display results
+        updateSheetChecks(results.sheet_checks);
+        displayResults(results);
+        updateSurveySummary(inputs, results);
+        updateMaaspStatus(inputs, results);
+        updateInfluxAnalysis(results);
+        updateShoePressureStatus(results);
+        updateWeightUp(results);
+        updateKillPolicy(results);
+        updateCasingRating(inputs, results);
+        updateSubsea(results);
+        
+        // Update drill string breakdown table
+        updateStringBreakdown(results);
+        
+        // Update pressure schedule table
+        updatePressureSchedule(results);
+        
+        // Volumetric control worksheet
+        updateVolumetricWorksheet(results);
+        
+        // Bullhead plan
+        updateBullheadPlan(results);
+        
+        // Stripping worksheet
+        updateStrippingWorksheet(results);
+        
+        // Update chart
+        updateChart(inputs, results);
+        
+        // Logged readings against the schedule
+        updateKillLog(inputs, results);
+        
+    } catch (error) {
+        console.error('Calculation error:', error);
+        clearResults();
+    }
+}
+
+// ===========================
+// GET INPUT VALUES
+// ===========================
+// Reads the form in the selected unit system and returns oilfield values
+function getInputValues() {
+    return convertInputsToOilfield({
+        // Well data
+        hole_diameter: getInputValue('hole_diameter'),
+        hole_depth: getInputValue('hole_depth'),
+        hole_tvd: getInputValue('hole_tvd'),
+        current_mud_weight: getInputValue('current_mud_weight'),
+        
+        // Pressures
+        sidpp: getInputValue('sidpp'),
+        sicp: getInputValue('sicp'),
+        pit_gain: getInputValue('pit_gain'),
+        normal_circulating_pressure: getInputValue('normal_circulating_pressure'),
+        user_stroke_pressure: getInputValue('user_stroke_pressure'),
+        
+        // Pump data
+        pump_capacity: getInputValue('pump_capacity'),
+        strokes_per_min: getInputValue('strokes_per_min'),
+        pumps: getPumps(),
+        kill_pump: document.getElementById('kill_pump').value,
+        scr_table: getScrTable(),
+        
+        // Casing data
+        casing_id: getInputValue('casing_id'),
+        casing_od: getInputValue('casing_od'),
+        casing_grade: document.getElementById('casing_grade').value,
+        casing_linear_weight: getInputValue('casing_linear_weight'),
+        casing_setting_depth: getInputValue('casing_setting_depth'),
+        casing_shoe_tvd: getInputValue('casing_shoe_tvd'),
+        
+        // Casing ratings (blank ratings = catalogue, blank derating = default)
+        casing_burst: getInputValue('casing_burst', NaN),
+        casing_collapse: getInputValue('casing_collapse', NaN),
+        casing_burst_derating: getInputValue('casing_burst_derating', NaN),
+        
+        // Shoe test and kick tolerance (blank influx gradient = default)
+        lot_pressure: getInputValue('lot_pressure'),
+        lot_mud_weight: getInputValue('lot_mud_weight'),
+        kick_intensity: getInputValue('kick_intensity'),
+        influx_gradient: getInputValue('influx_gradient', NaN),
+        
+        // Kick data used for the annular pressure prediction (blank = default)
+        gas_migration_rate: getInputValue('gas_migration_rate', NaN),
+        
+        // Weight-up planner (blank sack size and surplus = default)
+        active_pit_volume: getInputValue('active_pit_volume'),
+        pit_capacity: getInputValue('pit_capacity'),
+        weight_up_mud_weight: getInputValue('weight_up_mud_weight'),
+        weighting_material: document.getElementById('weighting_material').value,
+        sack_size: getInputValue('sack_size', NaN),
+        mixing_rate: getInputValue('mixing_rate'),
+        kill_mud_surplus: getInputValue('kill_mud_surplus', NaN),
+        
+        // Subsea BOP
+        bop_location: document.getElementById('bop_location').value,
+        water_depth: getInputValue('water_depth'),
+        air_gap: getInputValue('air_gap'),
+        riser_id: getInputValue('riser_id'),
+        choke_line_id: getInputValue('choke_line_id'),
+        choke_line_length: getInputValue('choke_line_length'),
+        kill_line_id: getInputValue('kill_line_id'),
+        kill_line_length: getInputValue('kill_line_length'),
+        choke_line_friction: getInputValue('choke_line_friction'),
+        scr_path: document.getElementById('scr_path').value,
+        
+        // Volumetric control (blank margin and increment = default)
+        volumetric_safety_margin: getInputValue('volumetric_safety_margin', NaN),
+        volumetric_pressure_step: getInputValue('volumetric_pressure_step', NaN),
+        lubricate_mud_weight: getInputValue('lubricate_mud_weight'),
+        
+        // Bullheading
+        bullhead_path: document.getElementById('bullhead_path').value,
+        bullhead_mud_weight: getInputValue('bullhead_mud_weight'),
+        bullhead_overdisplacement: getInputValue('bullhead_overdisplacement'),
+        bullhead_pressure_limit: getInputValue('bullhead_pressure_limit'),
+        
+        // Stripping (blank stand length = default)
+        stripping_bit_depth: getInputValue('stripping_bit_depth'),
+        stand_length: getInputValue('stand_length', NaN),
+        stripping_completed: strippingCompleted,
+        
+        // Kill method (blank weight-up step = default)
+        kill_method: document.getElementById('kill_method').value,
+        concurrent_weight_step: getInputValue('concurrent_weight_step', NaN),
+        concurrent_step_strokes: getInputValue('concurrent_step_strokes'),
+        
+        // Kill mud policy
+        trip_margin_mud_weight: getInputValue('trip_margin_mud_weight'),
+        trip_margin_pressure: getInputValue('trip_margin_pressure'),
+        kill_mud_weight_increment: getInputValue('kill_mud_weight_increment'),
+        schedule_safety_margin: getInputValue('schedule_safety_margin'),
+        
+        // Kill monitoring (blank tolerance = default)
+        kill_log: getKillLog(),
+        monitor_tolerance: getInputValue('monitor_tolerance', NaN),
+        
+        // Directional survey
+        survey: normalizeSurvey(parseSurveyText(document.getElementById('survey_data').value)),
+        
+        // Drill string
+        string_components: getStringComponents()
+    }, unitSystem);
+}
+
+// ===========================
+// DISPLAY RESULTS
+// ===========================
+function displayResults(results) {
+    RESULT_SECTIONS.forEach(section => {
+        section.fields.forEach(field => {
+            setResultValue(field.id, fromOilfield(results[field.key], field.quantity, unitSystem),
+                resultDecimals(field));
+        });
+    });
+}
+
+// ===========================
+// CLEAR RESULTS
+// ===========================
+function clearResults() {
+    const resultElements = document.querySelectorAll('.result-value span:first-child');
+    resultElements.forEach(el => el.textContent = '--');
+    
+    document.getElementById('string-breakdown-body').innerHTML = '';
+    document.getElementById('maasp-status').hidden = true;
+    document.getElementById('shoe-pressure-status').hidden = true;
+    document.getElementById('influx-warnings').innerHTML = '';
+    document.getElementById('weight-up-warnings').innerHTML = '';
+    document.getElementById('kill-policy-summary').textContent = '';
+    document.getElementById('subsea-warnings').innerHTML = '';
+    document.getElementById('casing-rating-note').textContent = '';
+    document.getElementById('casing-rating-warnings').innerHTML = '';
+    document.getElementById('schedule-method').textContent = '';
+    document.getElementById('schedule-startup').hidden = true;
+    document.getElementById('volumetric-warnings').innerHTML = '';
+    ['volumetric-sections-body', 'volumetric-body', 'lubricate-body'].forEach(id => {
+        document.getElementById(id).innerHTML = '';
+    });
+    document.getElementById('bullhead-warnings').innerHTML = '';
+    document.getElementById('bullhead-body').innerHTML = '';
+    document.getElementById('bullhead-path-note').textContent = '';
+    if (bullheadChart) {
+        bullheadChart.data.datasets = [];
+        bullheadChart.update();
+    }
+    document.getElementById('stripping-warnings').innerHTML = '';
+    document.getElementById('stripping-body').innerHTML = '';
+    document.getElementById('monitor-status').hidden = true;
+    document.querySelectorAll('#kill-log-body .log-planned, #kill-log-body .log-deviation').forEach(cell => {
+        cell.textContent = '--';
+    });
+}
+
+// ===========================
+// MAASP STATUS
+// ===========================
+const MAASP_STATUS_CLASSES = {
+    ok: 'status-ok',
+    warning: 'status-warning',
+    exceeded: 'status-danger'
+};
+
+function updateMaaspStatus(inputs, results) {
+    const banner = document.getElementById('maasp-status');
+    
+    if (!results.maasp_status) {
+        banner.hidden = true;
+        return;
+    }
+    
+    const pressureUnit = getUnit('pressure', unitSystem).symbol;
+    const pressure = value => fromOilfield(value, 'pressure', unitSystem).toFixed(0);
+    const percent = (inputs.sicp / results.maasp_initial * 100).toFixed(0);
+    const messages = {
+        ok: `SICP ${pressure(inputs.sicp)} ${pressureUnit} is ${percent}% of MAASP (${pressure(results.maasp_initial)} ${pressureUnit}).`,
+        warning: `SICP ${pressure(inputs.sicp)} ${pressureUnit} is approaching MAASP (${pressure(results.maasp_initial)} ${pressureUnit}, ${percent}%). Watch the shoe.`,
+        exceeded: `SICP ${pressure(inputs.sicp)} ${pressureUnit} EXCEEDS MAASP (${pressure(results.maasp_initial)} ${pressureUnit}). Shoe breakdown risk.`
+    };
+    
+    banner.className = `status-banner ${MAASP_STATUS_CLASSES[results.maasp_status]}`;
+    banner.textContent = messages[results.maasp_status];
+    banner.hidden = false;
+}
+
+// Predicted peak shoe pressure against the shoe fracture pressure
+function updateShoePressureStatus(results) {
+    const banner = document.getElementById('shoe-pressure-status');
+    
+    if (!results.shoe_pressure_status) {
+        banner.hidden = true;
+        return;
+    }
+    
+    const pressureUnit = getUnit('pressure', unitSystem).symbol;
+    const pressure = value => fromOilfield(value, 'pressure', unitSystem).toFixed(0);
+    const peak = `${pressure(results.peak_shoe_pressure)} ${pressureUnit}`;
+    const fracture = `${pressure(results.shoe_fracture_pressure)} ${pressureUnit}`;
+    const strokes = results.peak_shoe_pressure_strokes.toFixed(0);
+    const messages = {
+        ok: `Predicted shoe pressure peaks at ${peak} (${strokes} strokes), below the fracture pressure of ${fracture}.`,
+        warning: `Predicted shoe pressure peaks at ${peak} (${strokes} strokes), close to the fracture pressure of ${fracture}.`,
+        exceeded: `Predicted shoe pressure of ${peak} at ${strokes} strokes EXCEEDS the fracture pressure of ${fracture}. Shoe breakdown risk.`
+    };
+    
+    banner.className = `status-banner ${MAASP_STATUS_CLASSES[results.shoe_pressure_status]}`;
+    banner.textContent = messages[results.shoe_pressure_status];
+    banner.hidden = false;
+}
+
+// ===========================
+// INFLUX ANALYSIS
+// ===========================
+function updateInfluxAnalysis(results) {
+    document.getElementById('influx_type').textContent = results.influx_type_label || '--';
+    renderList('influx-warnings', results.influx_warnings);
+}
+
+// ===========================
+// CASING RATING
+// ===========================
+// Blank burst and collapse fields show the catalogue ratings they stand for
+function updateCasingPlaceholders(inputs) {
+    const casing = findCasing(tubularCatalogue, inputs.casing_od, inputs.casing_linear_weight, inputs.casing_grade);
+    
+    ['burst', 'collapse'].forEach(rating => {
+        document.getElementById(`casing_${rating}`).placeholder = casing
+            ? `${fromOilfield(casing[rating], 'pressure', unitSystem).toFixed(0)} (catalogue)`
+            : '';
+    });
+}
+
+function updateCasingRating(inputs, results) {
+    const casing = findCasing(tubularCatalogue, inputs.casing_od, inputs.casing_linear_weight, inputs.casing_grade);
+    const entered = document.getElementById('casing_burst').value !== '';
+    
+    let note = 'Enter the casing burst rating, or the OD, weight and grade of a catalogue casing, to compare the ' +
+        'surface casing pressure with it.';
+    if (results.derated_casing_burst > 0) {
+        note = `Burst rating ${entered ? 'entered on the sheet' : `of ${casing.name} from the catalogue`}, ` +
+            `derated to ${inputs.casing_burst_derating}%.`;
+    }
+    document.getElementById('casing-rating-note').textContent = note;
+    renderList('casing-rating-warnings', results.casing_rating_warnings);
+}
+
+function renderList(id, items) {
+    const list = document.getElementById(id);
+    list.innerHTML = '';
+    items.forEach(item => {
+        const li = document.createElement('li');
+        li.textContent = item;
+        list.appendChild(li);
+    });
+}
+
+// ===========================
+// UPDATE DRILL STRING BREAKDOWN
+// ===========================
+function updateStringBreakdown(results) {
+    const tbody = document.getElementById('string-breakdown-body');
+    tbody.innerHTML = '';
+    
+    const depth = value => fromOilfield(value, 'depth', unitSystem).toFixed(1);
+    const volume = value => fromOilfield(value, 'volume', unitSystem).toFixed(2);
+    
+    results.string_sections.forEach(section => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td></td>
+            <td>${depth(section.top)} &ndash; ${depth(section.bottom)}</td>
+            <td>${depth(section.length)}</td>
+            <td>${volume(section.internal_volume)}</td>
+            <td>${section.internal_strokes.toFixed(0)}</td>
+            <td>${volume(section.annular_volume)}</td>
+            <td>${section.annular_strokes.toFixed(0)}</td>
+        `;
+        row.firstElementChild.textContent = section.name;
+        tbody.appendChild(row);
+    });
+    
+    if (results.string_sections.length > 0) {
+        const total = document.createElement('tr');
+        total.className = 'total-row';
+        total.innerHTML = `
+            <td>Total</td>
+            <td></td>
+            <td>${depth(results.string_length)}</td>
+            <td>${volume(results.drill_string_volume)}</td>
+            <td>${results.surface_to_bit_strokes.toFixed(0)}</td>
+            <td>${volume(results.total_annular_capacity)}</td>
+            <td>${results.bit_to_surface_strokes.toFixed(0)}</td>
+        `;
+        tbody.appendChild(total);
+    }
+}
+
+// ===========================
+// UPDATE PRESSURE SCHEDULE TABLE
+// ===========================
+function updatePressureSchedule(results) {
+    const tbody = document.getElementById('pressure-schedule-body');
+    tbody.innerHTML = '';
+    
+    const circulations = KILL_METHODS[results.kill_method].circulations;
+    const mudWeightDecimals = resultDecimals({ quantity: 'mud_weight', decimals: 2 });
+    document.getElementById('schedule-method').textContent = circulations > 1
+        ? `${results.kill_method_label}: strokes are counted from the start of the first circulation.`
+        : results.kill_method_label;
+    
+    // Subsea: the choke-pressure reduction while the pump comes up to speed
+    const startup = document.getElementById('schedule-startup');
+    const symbol = getUnit('pressure', unitSystem).symbol;
+    const psi = value => `${fromOilfield(value, 'pressure', unitSystem).toFixed(0)} ${symbol}`;
+    startup.hidden = !(results.choke_line_friction > 0);
+    startup.textContent = startup.hidden ? '' :
+        `Pump start-up: open the choke to bring the casing pressure down by the choke line friction ` +
+        `(${psi(results.choke_line_friction)}) from SICP to ${psi(results.startup_casing_pressure)} ` +
+        `while bringing the pump up to ${results.kill_rate} spm, then follow the drillpipe schedule.`;
+    
+    results.pressure_schedule.forEach((point, i) => {
+        const pressure = fromOilfield(point.pressure, 'pressure', unitSystem);
+        const mudWeight = fromOilfield(point.mud_weight, 'mud_weight', unitSystem);
+        let stage = circulations > 1 ? `${CIRCULATION_LABELS[point.circulation]}: ${point.stage}` : point.stage;
+        if (point.casing_pressure !== undefined) {
+            stage += ` (${psi(point.casing_pressure)})`;
+        }
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${point.strokes.toFixed(0)}</td>
+            <td>${stage}</td>
+            <td>${mudWeight.toFixed(mudWeightDecimals)}</td>
+            <td><input type="number" value="${pressure.toFixed(2)}" step="0.01" readonly></td>
+        `;
+        
+        // Add animation
+        row.style.animation = 'fadeIn 0.3s ease-out';
+        row.style.animationDelay = `${i * 0.05}s`;
+        row.style.opacity = '0';
+        row.style.animationFillMode = 'forwards';
+        
+        tbody.appendChild(row);
+    });
+}
+
+// ===========================
+// UPDATE VOLUMETRIC WORKSHEET
+// ===========================
+function updateVolumetricWorksheet(results) {
+    const depth = value => fromOilfield(value, 'depth', unitSystem).toFixed(1);
+    const volume = value => fromOilfield(value, 'volume', unitSystem).toFixed(2);
+    const pressure = value => fromOilfield(value, 'pressure', unitSystem).toFixed(0);
+    const perVolume = value => fromOilfield(value, 'pressure_per_volume', unitSystem)
+        .toFixed(resultDecimals({ quantity: 'pressure_per_volume', decimals: 2 }));
+    
+    const sections = document.getElementById('volumetric-sections-body');
+    sections.innerHTML = '';
+    results.volumetric_sections.forEach(section => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td></td>
+            <td>${depth(section.top)} &ndash; ${depth(section.bottom)}</td>
+            <td>${isNaN(section.psi_per_bbl) ? '--' : perVolume(section.psi_per_bbl)}</td>
+        `;
+        row.firstElementChild.textContent = section.component === null
+            ? section.name
+            : `${section.name} (${section.cased ? 'cased' : 'open hole'})`;
+        sections.appendChild(row);
+    });
+    
+    const cycles = document.getElementById('volumetric-body');
+    cycles.innerHTML = '';
+    results.volumetric_cycles.forEach(cycle => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${cycle.cycle}</td>
+            <td>${pressure(cycle.pressure)}</td>
+            <td>${volume(cycle.bleed_volume)}</td>
+            <td>${volume(cycle.cumulative_volume)}</td>
+            <td>${cycle.gas_at_surface ? 'Gas at surface (est.): lubricate and bleed' : ''}</td>
+        `;
+        cycles.appendChild(row);
+    });
+    
+    const lubricate = document.getElementById('lubricate-body');
+    lubricate.innerHTML = '';
+    results.lubricate_cycles.forEach(cycle => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${cycle.cycle}</td>
+            <td>${pressure(cycle.start_pressure)}</td>
+            <td>${pressure(cycle.lubricate_pressure)}</td>
+            <td>${volume(cycle.lubricate_volume)}</td>
+            <td>${pressure(cycle.hydrostatic_gain)}</td>
+            <td>${pressure(cycle.bleed_pressure)}</td>
+        `;
+        lubricate.appendChild(row);
+    });
+    
+    renderList('volumetric-warnings', results.volumetric_warnings);
+}
+
+// ===========================
+// BULLHEAD PLAN
+// ===========================
+// Bullhead pressures against volume pumped, kept off the kill chart: its
+// strokes are not kill strokes
+let bullheadChart = null;
+
+function setupBullheadSelector() {
+    const select = document.getElementById('bullhead_path');
+    
+    Object.keys(BULLHEAD_PATHS).forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = BULLHEAD_PATHS[key].label;
+        select.appendChild(option);
+    });
+    select.value = DEFAULT_BULLHEAD_PATH;
+    
+    bullheadChart = new Chart(document.getElementById('bullheadChart').getContext('2d'), {
+        type: 'line',
+        data: { datasets: [] },
+        options: comparisonChartOptions('Bullhead Pressure vs Volume Pumped', 'Volume Pumped')
+    });
+    
+    select.addEventListener('change', function() {
+        updateBullheadOptions();
+        calculateAll();
+    });
+    updateBullheadOptions();
+}
+
+// Shows the bullhead inputs and plan only once a path is chosen
+function updateBullheadOptions() {
+    const planned = document.getElementById('bullhead_path').value !== 'none';
+    
+    document.querySelectorAll('.bullhead-option').forEach(element => {
+        element.hidden = !planned;
+    });
+}
+
+function updateBullheadPlan(results) {
+    const mudWeightDecimals = resultDecimals({ quantity: 'mud_weight', decimals: 2 });
+    const killMud = fromOilfield(results.kill_mud_weight, 'mud_weight', unitSystem);
+    document.getElementById('bullhead_mud_weight').placeholder = `${killMud.toFixed(mudWeightDecimals)} (kill mud)`;
+    
+    const pressure = value => isNaN(value) ? '--' : fromOilfield(value, 'pressure', unitSystem).toFixed(0);
+    const volume = value => fromOilfield(value, 'volume', unitSystem).toFixed(1);
+    const tbody = document.getElementById('bullhead-body');
+    tbody.innerHTML = '';
+    
+    results.bullhead_schedule.forEach(point => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td></td>
+            <td>${volume(point.volume)}</td>
+            <td>${isNaN(point.strokes) ? '--' : point.strokes.toFixed(0)}</td>
+            <td>${pressure(point.pressure)}</td>
+            <td>${pressure(point.max_pressure)}</td>
+        `;
+        row.firstElementChild.textContent = point.stage;
+        row.classList.toggle('deviation-row', point.pressure > point.max_pressure);
+        tbody.appendChild(row);
+    });
+    
+    document.getElementById('bullhead-path-note').textContent = results.bullhead_schedule.length > 0
+        ? `${BULLHEAD_PATHS[results.bullhead_path].label}. The pressure to inject only balances formation ` +
+            'pressure at the bit; the pump pressure will be higher by the friction and the pressure the formation ' +
+            'needs to take fluid.'
+        : '';
+    renderList('bullhead-warnings', results.bullhead_warnings);
+    
+    if (bullheadChart) {
+        const points = results.bullhead_schedule;
+        const datasets = [chartPredictionDataset('Pressure to Inject',
+            points.map(point => ({ x: fromOilfield(point.volume, 'volume', unitSystem), y: fromOilfield(point.pressure, 'pressure', unitSystem) })),
+            '#f97316', false)];
+        if (points.some(point => !isNaN(point.max_pressure))) {
+            datasets.push(chartPredictionDataset('Max Surface Pressure',
+                points.map(point => ({ x: fromOilfield(point.volume, 'volume', unitSystem), y: fromOilfield(point.max_pressure, 'pressure', unitSystem) })),
+                '#ef4444', true));
+        }
+        bullheadChart.data.datasets = points.length > 0 ? datasets : [];
+        bullheadChart.options.scales.x.title.text = `Volume Pumped (${getUnit('volume', unitSystem).symbol})`;
+        bullheadChart.options.scales.y.title.text = `Pressure (${getUnit('pressure', unitSystem).symbol})`;
+        bullheadChart.update();
+    }
+}
+
+// ===========================
+// STRIPPING WORKSHEET
+// ===========================
+function setupStrippingWorksheet() {
+    document.getElementById('stripping-body').addEventListener('change', function(event) {
+        if (!event.target.matches('input[type="checkbox"]')) return;
+        
+        const stand = parseInt(event.target.dataset.stand, 10);
+        strippingCompleted = event.target.checked
+            ? normalizeStandList(strippingCompleted.concat(stand))
+            : strippingCompleted.filter(done => done !== stand);
+        calculateAll();
+    });
+    
+    document.getElementById('clear-stands-btn').addEventListener('click', function() {
+        if (strippingCompleted.length > 0 && confirm('Clear the stands marked as stripped in?')) {
+            strippingCompleted = [];
+            calculateAll();
+        }
+    });
+}
+
+function updateStrippingWorksheet(results) {
+    const depth = value => fromOilfield(value, 'depth', unitSystem).toFixed(1);
+    const volume = value => fromOilfield(value, 'volume', unitSystem).toFixed(2);
+    const pressure = value => fromOilfield(value, 'pressure', unitSystem).toFixed(0);
+    const tbody = document.getElementById('stripping-body');
+    tbody.innerHTML = '';
+    
+    results.stripping_schedule.forEach(row => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td><input type="checkbox" data-stand="${row.stand}" title="Stand stripped in"></td>
+            <td>${row.stand}</td>
+            <td>${depth(row.bit_md)}</td>
+            <td></td>
+            <td>${volume(row.displacement)}</td>
+            <td>${volume(row.cumulative_volume)}</td>
+            <td>${depth(row.influx_height)}</td>
+            <td>${pressure(row.casing_pressure)}</td>
+        `;
+        tr.querySelector('input').checked = row.completed;
+        tr.cells[3].textContent = row.pipe;
+        tr.classList.toggle('completed-row', row.completed);
+        tbody.appendChild(tr);
+    });
+    
+    renderList('stripping-warnings', results.stripping_warnings);
+}
+
+// ===========================
+// CHART INITIALIZATION
+// ===========================
+function initializeChart() {
+    const ctx = document.getElementById('pressureChart').getContext('2d');
+    
+    pressureChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            datasets: [chartDataset('Drillpipe Pressure', [], 0)]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: {
+                        font: {
+                            size: 14,
+                            weight: 'bold'
+                        },
+                        color: '#0f172a'
+                    }
+                },
+                title: {
+                    display: true,
+                    text: 'Kill Pressures vs Strokes',
+                    font: {
+                        size: 18,
+                        weight: 'bold'
+                    },
+                    color: '#1e3a8a'
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(15, 23, 42, 0.9)',
+                    titleFont: {
+                        size: 14,
+                        weight: 'bold'
+                    },
+                    bodyFont: {
+                        size: 13
+                    },
+                    padding: 12,
+                    cornerRadius: 8,
+                    callbacks: {
+                        label: function(context) {
+                            const unit = getUnit('pressure', unitSystem).symbol;
+                            return `${context.dataset.label}: ${context.parsed.y.toFixed(2)} ${unit}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    min: 0,
+                    title: {
+                        display: true,
+                        text: 'Strokes',
+                        font: {
+                            size: 14,
+                            weight: 'bold'
+                        },
+                        color: '#475569'
+                    },
+                    grid: {
+                        color: 'rgba(203, 213, 225, 0.5)'
+                    },
+                    ticks: {
+                        color: '#475569',
+                        font: {
+                            size: 12
+                        }
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Pressure (psi)',
+                        font: {
+                            size: 14,
+                            weight: 'bold'
+                        },
+                        color: '#475569'
+                    },
+                    beginAtZero: true,
+                    grid: {
+                        color: 'rgba(203, 213, 225, 0.5)'
+                    },
+                    ticks: {
+                        color: '#475569',
+                        font: {
+                            size: 12
+                        }
+                    }
+                }
+            },
+            animation: {
+                duration: 1000,
+                easing: 'easeInOutQuart'
+            }
+        }
+    });
+}
+
+// Line colours, one per circulation
+const CHART_COLORS = [
+    { line: '#0ea5e9', fill: 'rgba(14, 165, 233, 0.1)' },
+    { line: '#f59e0b', fill: 'rgba(245, 158, 11, 0.1)' }
+];
+
+function chartDataset(label, data, colorIndex) {
+    const color = CHART_COLORS[colorIndex % CHART_COLORS.length];
+    
+    return {
+        label: label,
+        data: data,
+        borderColor: color.line,
+        backgroundColor: color.fill,
+        borderWidth: 3,
+        tension: 0,
+        fill: true,
+        pointRadius: 3,
+        pointHoverRadius: 7,
+        pointBackgroundColor: color.line,
+        pointBorderColor: '#fff',
+        pointBorderWidth: 2
+    };
+}
+
+// Predicted annular pressures and the shoe fracture limit, drawn as plain
+// lines without markers
+function chartPredictionDataset(label, data, color, dashed) {
+    return {
+        label: label,
+        data: data,
+        borderColor: color,
+        backgroundColor: color,
+        borderWidth: 2,
+        borderDash: dashed ? [8, 4] : [],
+        pointRadius: 0,
+        pointHoverRadius: 5,
+        tension: 0,
+        fill: false
+    };
+}
+
+// Options for a line chart of pressure against `xTitle`, shared by the
+// bullhead, scenario and sensitivity charts
+function comparisonChartOptions(title, xTitle) {
+    const axisTitle = text => ({
+        display: true,
+        text: text,
+        font: {
+            size: 14,
+            weight: 'bold'
+        },
+        color: '#475569'
+    });
+    
+    return {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: {
+            mode: 'nearest',
+            intersect: false
+        },
+        plugins: {
+            legend: {
+                display: true,
+                position: 'top',
+                labels: {
+                    color: '#0f172a'
+                }
+            },
+            title: {
+                display: true,
+                text: title,
+                font: {
+                    size: 16,
+                    weight: 'bold'
+                },
+                color: '#1e3a8a'
+            }
+        },
+        scales: {
+            x: {
+                type: 'linear',
+                title: axisTitle(xTitle),
+                grid: {
+                    color: 'rgba(203, 213, 225, 0.5)'
+                }
+            },
+            y: {
+                title: axisTitle('Pressure (psi)'),
+                beginAtZero: true,
+                grid: {
+                    color: 'rgba(203, 213, 225, 0.5)'
+                }
+            }
+        },
+        animation: {
+            duration: 400
+        }
+    };
+}
+
+// ===========================
+// UPDATE CHART
+// ===========================
+// One drillpipe pressure line per circulation, all on the same stroke axis,
+// with the predicted casing and shoe pressures and the shoe fracture
+// pressure. Once readings are logged the tolerance band and the actual
+// pressures are drawn over them.
+function updateChart(inputs, results) {
+    if (!pressureChart) return;
+    
+    const circulations = KILL_METHODS[results.kill_method].circulations;
+    const pressure = value => fromOilfield(value, 'pressure', unitSystem);
+    const datasets = [];
+    
+    for (let circulation = 1; circulation <= circulations; circulation++) {
+        const data = results.chart_points
+            .filter(point => point.circulation === circulation)
+            .map(point => ({ x: point.strokes, y: pressure(point.pressure) }));
+        const label = circulations > 1 ? CIRCULATION_LABELS[circulation] : 'Drillpipe Pressure';
+        datasets.push(chartDataset(label, data, circulation - 1));
+    }
+    
+    const profile = results.annular_pressure_profile;
+    if (profile.length > 0) {
+        datasets.push(chartPredictionDataset('Casing Pressure (predicted)',
+            profile.map(point => ({ x: point.strokes, y: pressure(point.casing_pressure) })), '#8b5cf6', false));
+        if (results.choke_line_friction > 0) {
+            // The gap to the static casing pressure is the choke line friction
+            // the choke takes off from pump start-up on
+            datasets.push(chartPredictionDataset('Casing Pressure before CLF Reduction',
+                profile.map(point => ({ x: point.strokes, y: pressure(point.static_casing_pressure) })), '#8b5cf6', true));
+        }
+        if (results.shoe_md > 0) {
+            datasets.push(chartPredictionDataset('Shoe Pressure (predicted)',
+                profile.map(point => ({ x: point.strokes, y: pressure(point.shoe_pressure) })), '#10b981', false));
+        }
+        if (results.shoe_fracture_pressure > 0) {
+            const lastStrokes = profile[profile.length - 1].strokes;
+            datasets.push(chartPredictionDataset('Shoe Fracture Pressure', [
+                { x: 0, y: pressure(results.shoe_fracture_pressure) },
+                { x: lastStrokes, y: pressure(results.shoe_fracture_pressure) }
+            ], '#ef4444', true));
+        }
+    }
+    
+    const readings = results.kill_log.filter(reading => reading.strokes !== null);
+    if (readings.length > 0) {
+        const band = offset => results.chart_points.map(point => ({
+            x: point.strokes,
+            y: pressure(point.pressure + offset)
+        }));
+        const dpp = readings.filter(reading => reading.drillpipe_pressure !== null);
+        const casing = readings.filter(reading => reading.casing_pressure !== null);
+        
+        datasets.push(chartBandDataset('Tolerance (upper)', band(inputs.monitor_tolerance), false));
+        datasets.push(chartBandDataset('Tolerance (lower)', band(-inputs.monitor_tolerance), '-1'));
+        datasets.push(chartReadingsDataset('Actual DPP',
+            dpp.map(reading => ({ x: reading.strokes, y: pressure(reading.drillpipe_pressure) })),
+            dpp.map(reading => reading.status === 'ok' ? '#10b981' : '#ef4444'), '#0f172a'));
+        if (casing.length > 0) {
+            datasets.push(chartReadingsDataset('Actual Casing Pressure',
+                casing.map(reading => ({ x: reading.strokes, y: pressure(reading.casing_pressure) })),
+                '#8b5cf6', '#8b5cf6'));
+        }
+    }
+    
+    pressureChart.data.datasets = datasets;
+    pressureChart.update('active');
+}
+
+// Edge of the drillpipe pressure tolerance band; `fill` '-1' shades the
+// band between it and the previous (upper) edge
+function chartBandDataset(label, data, fill) {
+    return {
+        label: label,
+        data: data,
+        borderColor: 'rgba(239, 68, 68, 0.5)',
+        backgroundColor: 'rgba(239, 68, 68, 0.08)',
+        borderWidth: 1,
+        borderDash: [6, 4],
+        pointRadius: 0,
+        tension: 0,
+        fill: fill
+    };
+}
+
+// Logged readings, one marker each; DPP markers are coloured by status
+function chartReadingsDataset(label, data, pointColors, lineColor) {
+    return {
+        label: label,
+        data: data,
+        borderColor: lineColor,
+        backgroundColor: pointColors,
+        borderWidth: 1,
+        tension: 0,
+        fill: false,
+        pointRadius: 6,
+        pointHoverRadius: 8,
+        pointBackgroundColor: pointColors,
+        pointBorderColor: '#fff',
+        pointBorderWidth: 2
+    };
+}
+
+// ===========================
+// RESET FORM
+// ===========================
+function resetForm() {
+    if (confirm('Are you sure you want to reset all fields? Saved kill sheets are kept.')) {
+        // Reset all inputs
+        document.querySelectorAll('input[type="number"], input[type="text"], input[type="date"], input[type="time"]').forEach(input => {
+            input.value = '';
+            input.style.borderColor = '';
+        });
+        
+        // Back to the default kill method and string rows, no survey or log
+        document.getElementById('kill_method').value = DEFAULT_KILL_METHOD;
+        updateKillMethodOptions();
+        document.getElementById('weighting_material').value = DEFAULT_WEIGHTING_MATERIAL;
+        document.getElementById('bop_location').value = DEFAULT_BOP_LOCATION;
+        document.getElementById('scr_path').value = DEFAULT_SCR_PATH;
+        updateBopOptions();
+        document.getElementById('bullhead_path').value = DEFAULT_BULLHEAD_PATH;
+        updateBullheadOptions();
+        strippingCompleted = [];
+        applyDefaultPolicy();
+        resetStringComponents();
+        document.getElementById('pumps-body').innerHTML = '';
+        refreshKillPumpOptions(null);
+        document.getElementById('pump_capacity').readOnly = false;
+        document.getElementById('scr-body').innerHTML = '';
+        document.getElementById('user_stroke_pressure').readOnly = false;
+        document.getElementById('choke_line_friction').readOnly = false;
+        document.getElementById('kill-log-body').innerHTML = '';
+        document.getElementById('survey_data').value = '';
+        document.getElementById('survey-summary').textContent = '';
+        
+        // Clear results
+        clearResults();
+        
+        // The form is a new, unsaved sheet
+        currentSheetId = null;
+        saveDraft();
+        renderLibrary();
+        
+        // Clear table
+        document.getElementById('pressure-schedule-body').innerHTML = '';
+        
+        // Clear chart
+        if (pressureChart) {
+            pressureChart.data.datasets = [chartDataset('Drillpipe Pressure', [], 0)];
+            pressureChart.update();
+        }
+        
+        // Show success message
+        showNotification('Form reset successfully!', 'success');
+    }
+}
+
+// ===========================
+// SAVED WELL LIBRARY
+// ===========================
+// Saved sheet the form was opened from or last saved as; null for a new one
+let currentSheetId = null;
+
+function setupLibrary() {
+    document.getElementById('save-sheet-btn').addEventListener('click', () => saveCurrentSheet(false));
+    document.getElementById('save-new-sheet-btn').addEventListener('click', () => saveCurrentSheet(true));
+    document.getElementById('export-library-btn').addEventListener('click', function() {
+        const records = readLibrary(localStorage);
+        if (records.length === 0) {
+            showNotification('There are no saved kill sheets to export.', 'error');
+            return;
+        }
+        downloadJSON(`kill-sheets-${new Date().toISOString().split('T')[0]}.json`, buildLibraryFile(records));
+    });
+    
+    document.getElementById('library_file').addEventListener('change', function() {
+        const file = this.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => importSheets(reader.result);
+        reader.onerror = () => showNotification('Could not read the kill sheet file.', 'error');
+        reader.readAsText(file);
+        
+        // Allow the same file to be picked again
+        this.value = '';
+    });
+    
+    document.getElementById('library-body').addEventListener('click', function(event) {
+        const button = event.target.closest('button[data-action]');
+        if (button) {
+            handleLibraryAction(button.dataset.action, button.closest('tr').dataset.id);
+        }
+    });
+    
+    // A new sheet starts from the default kill mud policy
+    if (!restoreDraft()) {
+        applyDefaultPolicy();
+    }
+    renderLibrary();
+}
+
+function handleLibraryAction(action, id) {
+    let records = readLibrary(localStorage);
+    const record = records.find(existing => existing.id === id);
+    if (!record) return;
+    
+    if (action === 'open') {
+        currentSheetId = record.id;
+        loadWellData(record.well, record.unit_system);
+        showNotification(`Opened "${record.name}".`, 'success');
+    } else if (action === 'duplicate') {
+        records = upsertSheet(records, duplicateSheetRecord(record));
+    } else if (action === 'rename') {
+        const name = prompt('Kill sheet name:', record.name);
+        if (!name || !name.trim()) return;
+        record.name = name.trim();
+    } else if (action === 'export') {
+        downloadJSON(`${fileNameFor(record.name)}.json`, buildLibraryFile([record]));
+        return;
+    } else if (action === 'delete') {
+        if (!confirm(`Delete the saved kill sheet "${record.name}"?`)) return;
+        records = removeSheet(records, id);
+        if (currentSheetId === id) {
+            currentSheetId = null;
+            saveDraft();
+        }
+    }
+    
+    if (action !== 'open') {
+        storeLibrary(records);
+    }
+    renderLibrary();
+}
+
+function saveCurrentSheet(asNew) {
+    const well = getWellData();
+    const records = readLibrary(localStorage);
+    const existing = asNew ? null : records.find(record => record.id === currentSheetId);
+    const record = existing
+        ? Object.assign({}, existing, { well: well, unit_system: unitSystem, saved_at: new Date().toISOString() })
+        : createSheetRecord(well, unitSystem);
+    
+    if (!storeLibrary(upsertSheet(records, record))) return;
+    
+    currentSheetId = record.id;
+    saveDraft();
+    renderLibrary();
+    showNotification(`Saved "${record.name}".`, 'success');
+}
+
+function importSheets(text) {
+    let imported;
+    try {
+        imported = parseLibraryFile(text);
+    } catch (error) {
+        showNotification(error.message, 'error');
+        return;
+    }
+    
+    // Sheets already in the library (same id) are replaced by the imported copy
+    const records = imported.reduce((all, record) => upsertSheet(all, record), readLibrary(localStorage));
+    if (!storeLibrary(records)) return;
+    
+    renderLibrary();
+    showNotification(`Imported ${imported.length} kill sheet${imported.length === 1 ? '' : 's'}.`, 'success');
+}
+
+// Writes the library, telling the user when the browser refuses
+function storeLibrary(records) {
+    try {
+        writeLibrary(localStorage, records);
+        return true;
+    } catch (error) {
+        console.error('Library storage error:', error);
+        showNotification('Could not save to browser storage. Export the sheet to keep it.', 'error');
+        return false;
+    }
+}
+
+function renderLibrary() {
+    const tbody = document.getElementById('library-body');
+    const records = readLibrary(localStorage);
+    const current = records.find(record => record.id === currentSheetId);
     tbody.innerHTML = '';
     
-    if (results.surface_to_bit_strokes <= 0) return;
+    document.getElementById('library-status').textContent = current
+        ? `Editing "${current.name}". Save to update it, or Save as New to keep both.`
+        : 'The form is a new sheet that has not been saved.';
+    
+    if (records.length === 0) {
+        const row = document.createElement('tr');
+        row.className = 'empty-row';
+        row.innerHTML = '<td colspan="7">No saved kill sheets yet.</td>';
+        tbody.appendChild(row);
+        return;
+    }
+    
+    records.forEach(record => {
+        const row = document.createElement('tr');
+        row.dataset.id = record.id;
+        if (record.id === currentSheetId) {
+            row.className = 'current-row';
+        }
+        
+        [
+            record.name,
+            record.well.well_name,
+            record.well.rig,
+            record.well.wellbore,
+            record.well.sheet_date,
+            new Date(record.saved_at).toLocaleString()
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text || '--';
+            row.appendChild(cell);
+        });
+        
+        const actions = document.createElement('td');
+        actions.className = 'row-actions';
+        actions.innerHTML = `
+            <button type="button" class="icon-btn text-btn" data-action="open">Open</button>
+            <button type="button" class="icon-btn text-btn" data-action="duplicate">Duplicate</button>
+            <button type="button" class="icon-btn text-btn" data-action="rename">Rename</button>
+            <button type="button" class="icon-btn text-btn" data-action="export">Export</button>
+            <button type="button" class="icon-btn icon-btn-danger" data-action="delete" title="Delete">&times;</button>
+        `;
+        row.appendChild(actions);
+        
+        tbody.appendChild(row);
+    });
+}
+
+// Working copy of the form, restored when the page is opened again
+function saveDraft() {
+    try {
+        localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({
+            sheet_id: currentSheetId,
+            unit_system: unitSystem,
+            well: getWellData()
+        }));
+    } catch (error) {
+        // Storage full or disabled; the form still works without a draft
+    }
+}
+
+// Reloads the working copy left by the last visit; false when there is none
+function restoreDraft() {
+    let draft = null;
+    try {
+        draft = JSON.parse(localStorage.getItem(DRAFT_STORAGE_KEY));
+    } catch (error) {
+        return false;
+    }
+    if (!draft || !draft.well) return false;
+    
+    const records = readLibrary(localStorage);
+    currentSheetId = records.some(record => record.id === draft.sheet_id) ? draft.sheet_id : null;
+    loadWellData(draft.well, draft.unit_system);
+    return true;
+}
+
+// ===========================
+// FORM <-> WELL DATA
+// ===========================
+// Inputs saved with a sheet: every named field of the kill sheet form except
+// the catalogue pickers
+function getSheetInputs() {
+    return document.querySelectorAll('#killsheet-content input[id]:not([type="file"]):not(.catalogue-search)');
+}
+
+// The whole form as a well object in oilfield units, in the layout of the
+// command-line well files. Blank fields are left out so they stay blank.
+function getWellData() {
+    const well = {};
+    
+    getSheetInputs().forEach(input => {
+        if (input.type === 'number') {
+            const value = readOilfieldValue(input, INPUT_QUANTITIES[input.id], unitSystem);
+            if (value !== null) well[input.id] = value;
+        } else if (input.value.trim() !== '') {
+            well[input.id] = input.value.trim();
+        }
+    });
+    
+    well.kill_method = document.getElementById('kill_method').value;
+    well.weighting_material = document.getElementById('weighting_material').value;
+    well.bop_location = document.getElementById('bop_location').value;
+    well.scr_path = document.getElementById('scr_path').value;
+    well.bullhead_path = document.getElementById('bullhead_path').value;
+    well.stripping_completed = strippingCompleted.slice();
+    
+    well.pumps = Array.from(document.querySelectorAll('#pumps-body tr')).map(row => {
+        const pump = {
+            name: row.querySelector('.pump-name').value.trim(),
+            type: row.querySelector('[data-field="type"]').value
+        };
+        ['liner', 'stroke', 'rod', 'efficiency'].forEach(field => {
+            const value = readOilfieldValue(row.querySelector(`[data-field="${field}"]`),
+                PUMP_QUANTITIES[field], unitSystem);
+            if (value !== null) pump[field] = value;
+        });
+        return pump;
+    });
+    const killPump = document.getElementById('kill_pump').value;
+    if (killPump !== '') well.kill_pump = parseInt(killPump, 10);
+    
+    well.scr_table = Array.from(document.querySelectorAll('#scr-body tr')).map(row => {
+        const record = { pump: row.querySelector('.scr-pump').value.trim() };
+        const date = row.querySelector('.scr-date').value;
+        if (date) record.date = date;
+        SCR_FIELDS.forEach(field => {
+            const value = readOilfieldValue(row.querySelector(`[data-field="${field}"]`),
+                SCR_QUANTITIES[field], unitSystem);
+            if (value !== null) record[field] = value;
+        });
+        return record;
+    });
+    
+    const survey = parseSurveyText(document.getElementById('survey_data').value);
+    if (survey.length > 0) {
+        well.survey = survey.map(station => Object.assign({}, station, {
+            md: toOilfield(station.md, 'depth', unitSystem)
+        }));
+    }
+    
+    well.string_components = [];
+    document.querySelectorAll('#string-components-body tr').forEach(row => {
+        const component = { name: row.querySelector('.component-name').value.trim() };
+        ['od', 'id', 'length'].forEach(field => {
+            const value = readOilfieldValue(row.querySelector(`[data-field="${field}"]`),
+                COMPONENT_QUANTITIES[field], unitSystem);
+            if (value !== null) component[field] = value;
+        });
+        well.string_components.push(component);
+    });
+    
+    well.kill_log = Array.from(document.querySelectorAll('#kill-log-body tr')).map(row => {
+        const reading = { time: row.querySelector('.log-time').value.trim() };
+        KILL_LOG_FIELDS.forEach(field => {
+            const value = readOilfieldValue(row.querySelector(`[data-field="${field}"]`),
+                KILL_LOG_QUANTITIES[field], unitSystem);
+            if (value !== null) reading[field] = value;
+        });
+        return reading;
+    });
+    
+    return well;
+}
+
+// Fills the form from a well object (in the unit system named by its
+// `units` key) and shows it in `displaySystem`
+function loadWellData(well, displaySystem) {
+    const data = convertInputsToOilfield(well, well.units || DEFAULT_UNIT_SYSTEM);
     
-    const pressure_drop_per_stroke = (results.icp - results.fcp) / results.surface_to_bit_strokes;
-    const numRows = 10;
-    const strokeIncrement = results.surface_to_bit_strokes / numRows;
+    unitSystem = UNIT_SYSTEMS[displaySystem] ? displaySystem : DEFAULT_UNIT_SYSTEM;
+    document.getElementById('unit_system').value = unitSystem;
+    applyUnitLabels();
     
-    for (let i = 0; i <= numRows; i++) {
-        const strokes = i * strokeIncrement;
-        let pressure = results.icp - (pressure_drop_per_stroke * strokes);
+    getSheetInputs().forEach(input => {
+        const value = data[input.id];
+        input.style.borderColor = '';
+        delete input.dataset.oilfieldValue;
+        delete input.dataset.convertedValue;
         
-        // Clamp at FCP
-        if (pressure < results.fcp) {
-            pressure = results.fcp;
+        if (value === undefined || value === null || value === '') {
+            input.value = '';
+        } else if (input.type === 'number') {
+            setOilfieldValue(input, parseFloat(value), INPUT_QUANTITIES[input.id], unitSystem);
+        } else {
+            input.value = value;
         }
+    });
+    
+    document.getElementById('kill_method').value = KILL_METHODS[data.kill_method] ? data.kill_method : DEFAULT_KILL_METHOD;
+    updateKillMethodOptions();
+    document.getElementById('weighting_material').value = WEIGHTING_MATERIALS[data.weighting_material]
+        ? data.weighting_material
+        : DEFAULT_WEIGHTING_MATERIAL;
+    document.getElementById('bop_location').value = BOP_LOCATIONS[data.bop_location]
+        ? data.bop_location
+        : DEFAULT_BOP_LOCATION;
+    document.getElementById('scr_path').value = SCR_PATHS[data.scr_path] ? data.scr_path : DEFAULT_SCR_PATH;
+    updateBopOptions();
+    document.getElementById('bullhead_path').value = BULLHEAD_PATHS[data.bullhead_path]
+        ? data.bullhead_path
+        : DEFAULT_BULLHEAD_PATH;
+    updateBullheadOptions();
+    strippingCompleted = normalizeStandList(data.stripping_completed);
+    
+    const survey = normalizeSurvey(data.survey);
+    document.getElementById('survey_data').value = formatSurveyText(survey.map(station => Object.assign({}, station, {
+        md: parseFloat(fromOilfield(station.md, 'depth', unitSystem).toPrecision(6))
+    })));
+    
+    // Older well files describe the string with the fixed DP / HWDP / DC fields
+    const components = Array.isArray(data.string_components)
+        ? data.string_components.filter(isRecord)
+        : normalizeStringComponents(data);
+    document.getElementById('string-components-body').innerHTML = '';
+    components.forEach(component => {
+        const row = addStringComponentRow({ name: component.name });
+        ['od', 'id', 'length'].forEach(field => {
+            if (component[field] > 0) {
+                setOilfieldValue(row.querySelector(`[data-field="${field}"]`), component[field],
+                    COMPONENT_QUANTITIES[field], unitSystem);
+            }
+        });
+    });
+    if (components.length === 0) {
+        resetStringComponents();
+    }
+    
+    document.getElementById('pumps-body').innerHTML = '';
+    const pumps = Array.isArray(data.pumps) ? data.pumps.filter(isRecord) : [];
+    pumps.forEach(pump => {
+        const row = addPumpRow({ name: pump.name, type: pump.type, efficiency: pump.efficiency });
+        ['liner', 'stroke', 'rod'].forEach(field => {
+            if (pump[field] > 0) {
+                setOilfieldValue(row.querySelector(`[data-field="${field}"]`), pump[field],
+                    PUMP_QUANTITIES[field], unitSystem);
+            }
+        });
+    });
+    refreshKillPumpOptions(killPumpIndex(data.pumps, data.kill_pump, pumps.length));
+    document.getElementById('pump_capacity').readOnly = false;
+    
+    document.getElementById('scr-body').innerHTML = '';
+    (Array.isArray(data.scr_table) ? data.scr_table.filter(isRecord) : []).forEach(record => {
+        const row = addScrRow({ pump: record.pump, date: record.date, spm: record.spm });
+        Object.keys(SCR_QUANTITIES).forEach(field => {
+            if (record[field] > 0) {
+                setOilfieldValue(row.querySelector(`[data-field="${field}"]`), record[field],
+                    SCR_QUANTITIES[field], unitSystem);
+            }
+        });
+    });
+    document.getElementById('user_stroke_pressure').readOnly = false;
+    document.getElementById('choke_line_friction').readOnly = false;
+    
+    document.getElementById('kill-log-body').innerHTML = '';
+    normalizeKillLog(data.kill_log).forEach(reading => {
+        const row = addKillLogRow({ time: reading.time });
+        KILL_LOG_FIELDS.forEach(field => {
+            if (reading[field] !== null) {
+                setOilfieldValue(row.querySelector(`[data-field="${field}"]`), reading[field],
+                    KILL_LOG_QUANTITIES[field], unitSystem);
+            }
+        });
+    });
+    
+    calculateAll();
+}
+
+// File-system friendly version of a sheet name
+function fileNameFor(name) {
+    return name.replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'kill-sheet';
+}
+
+function downloadJSON(fileName, data) {
+    downloadText(fileName, JSON.stringify(data, null, 2), 'application/json');
+}
+
+function downloadText(fileName, text, type) {
+    const blob = new Blob([text], { type: type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// ===========================
+// WELL DATA IMPORT
+// ===========================
+// File read but not applied yet (see wellimport.js)
+let pendingImport = null;
+
+function setupWellImport() {
+    document.getElementById('import_file').addEventListener('change', function() {
+        const file = this.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                pendingImport = readImportFile(reader.result);
+                renderImportPreview();
+            } catch (error) {
+                showNotification(error.message, 'error');
+            }
+        };
+        reader.onerror = () => showNotification('Could not read the import file.', 'error');
+        reader.readAsText(file);
+        
+        // Allow the same file to be picked again
+        this.value = '';
+    });
+    
+    document.getElementById('import-template-btn').addEventListener('click', function() {
+        downloadText('kill-sheet-import-template.csv', IMPORT_CSV_TEMPLATE, 'text/csv');
+    });
+    document.getElementById('apply-import-btn').addEventListener('click', applyImport);
+    document.getElementById('cancel-import-btn').addEventListener('click', function() {
+        pendingImport = null;
+        document.getElementById('import-preview').hidden = true;
+    });
+}
+
+// XML files are read as WITSML, anything else as the CSV template
+function readImportFile(text) {
+    if (!/^\s*</.test(text)) {
+        return parseWellCsv(text);
+    }
+    
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('The XML file could not be read; check it is a complete WITSML file.');
+    }
+    return parseWitsml(doc);
+}
+
+// Preview rows for the pending import: { key, label, sheet, imported,
+// source, conflict } with the values as shown in the selected units
+function importPreviewRows() {
+    const rows = [];
+    const number = (value, quantity) => parseFloat(fromOilfield(value, quantity, unitSystem).toPrecision(6));
+    const show = (value, quantity) => `${number(value, quantity)} ${getUnit(quantity, unitSystem).symbol}`;
+    const label = key => document.querySelector(`label[for="${key}"]`).textContent;
+    
+    Object.keys(IMPORT_FIELDS).forEach(key => {
+        if (!pendingImport.values.hasOwnProperty(key)) return;
         
+        const quantity = IMPORT_FIELDS[key].quantity;
+        const input = document.getElementById(key);
+        const value = pendingImport.values[key];
+        const sheetValue = quantity ? readOilfieldValue(input, quantity, unitSystem) : input.value.trim();
+        const alternatives = pendingImport.alternatives[key] || [];
+        const format = item => quantity ? show(item, quantity) : item;
+        
+        rows.push({
+            key: key,
+            label: label(key),
+            sheet: sheetValue === null || sheetValue === '' ? '--' : format(sheetValue),
+            imported: format(value),
+            source: [pendingImport.sources[key]].concat(alternatives.map(other =>
+                `also ${format(other.value)} in ${other.source}`)).join('; '),
+            conflict: alternatives.length > 0 ||
+                (sheetValue !== null && sheetValue !== '' && !sameImportValue(sheetValue, value))
+        });
+    });
+    
+    if (pendingImport.string_components) {
+        const diameter = getUnit('diameter', unitSystem).symbol;
+        const depth = getUnit('depth', unitSystem).symbol;
+        const describe = components => components.map(component =>
+            `${component.name} ${component.od} x ${component.id} ${diameter}` +
+            (component.length > 0 ? `, ${component.length} ${depth}` : '')).join('; ');
+        const sheet = describe(getStringComponents());
+        const imported = describe(pendingImport.string_components.map(component => ({
+            name: component.name,
+            od: number(component.od, 'diameter'),
+            id: number(component.id, 'diameter'),
+            length: number(component.length, 'depth')
+        })));
+        rows.push({
+            key: 'string_components',
+            label: 'Drill String / BHA',
+            sheet: sheet || '--',
+            imported: imported,
+            source: pendingImport.sources.string_components || '',
+            conflict: sheet !== '' && sheet !== imported
+        });
+    }
+    
+    if (pendingImport.survey) {
+        const describe = stations => stations.length > 0
+            ? `${stations.length} stations to ${stations[stations.length - 1].md} ${getUnit('depth', unitSystem).symbol} MD`
+            : '';
+        const sheet = describe(normalizeSurvey(parseSurveyText(document.getElementById('survey_data').value)));
+        const imported = describe(normalizeSurvey(pendingImport.survey).map(station => ({ md: number(station.md, 'depth') })));
+        rows.push({
+            key: 'survey',
+            label: 'Directional Survey',
+            sheet: sheet || '--',
+            imported: imported,
+            source: pendingImport.sources.survey || '',
+            conflict: sheet !== '' && sheet !== imported
+        });
+    }
+    
+    return rows;
+}
+
+function renderImportPreview() {
+    const rows = importPreviewRows();
+    const tbody = document.getElementById('import-body');
+    tbody.innerHTML = '';
+    
+    rows.forEach(item => {
         const row = document.createElement('tr');
+        row.dataset.key = item.key;
+        if (item.conflict) {
+            row.className = 'conflict-row';
+        }
         row.innerHTML = `
-            <td>${strokes.toFixed(0)}</td>
-            <td><input type="number" value="${pressure.toFixed(2)}" step="0.01" readonly></td>
+            <td><input type="checkbox" title="Apply this value" checked></td>
+            <td></td>
+            <td></td>
+            <td class="import-value"></td>
+            <td></td>
         `;
-        
-        // Add animation
-        row.style.animation = 'fadeIn 0.3s ease-out';
-        row.style.animationDelay = `${i * 0.05}s`;
-        row.style.opacity = '0';
-        row.style.animationFillMode = 'forwards';
-        
+        [item.label, item.sheet, item.imported, item.source].forEach((text, index) => {
+            row.children[index + 1].textContent = text;
+        });
+        tbody.appendChild(row);
+    });
+    
+    if (rows.length === 0) {
+        const row = document.createElement('tr');
+        row.className = 'empty-row';
+        row.innerHTML = '<td colspan="5">Nothing in the file could be mapped onto the kill sheet.</td>';
         tbody.appendChild(row);
     }
+    
+    const conflicts = rows.filter(item => item.conflict).length;
+    const unmapped = pendingImport.unmapped.length;
+    document.getElementById('import-summary').textContent = `${pendingImport.format} file: ` +
+        `${rows.length} field${rows.length === 1 ? '' : 's'} mapped` +
+        (conflicts > 0 ? `, ${conflicts} differing from the sheet or within the file (highlighted; untick any ` +
+            'to keep the sheet value)' : '') +
+        (unmapped > 0 ? `. ${unmapped} item${unmapped === 1 ? '' : 's'} could not be mapped, listed below.` : '.');
+    renderList('import-unmapped', pendingImport.unmapped);
+    document.getElementById('apply-import-btn').disabled = rows.length === 0;
+    document.getElementById('import-preview').hidden = false;
+}
+
+// Copies the ticked preview rows onto the sheet
+function applyImport() {
+    const keys = Array.from(document.querySelectorAll('#import-body tr[data-key]'))
+        .filter(row => row.querySelector('input[type="checkbox"]').checked)
+        .map(row => row.dataset.key);
+    
+    keys.forEach(key => {
+        if (key === 'string_components') {
+            document.getElementById('string-components-body').innerHTML = '';
+            pendingImport.string_components.forEach(component => {
+                const row = addStringComponentRow({ name: component.name });
+                ['od', 'id', 'length'].forEach(field => {
+                    if (component[field] > 0) {
+                        setOilfieldValue(row.querySelector(`[data-field="${field}"]`), component[field],
+                            COMPONENT_QUANTITIES[field], unitSystem);
+                    }
+                });
+            });
+        } else if (key === 'survey') {
+            document.getElementById('survey_data').value = formatSurveyText(normalizeSurvey(pendingImport.survey)
+                .map(station => Object.assign({}, station, {
+                    md: parseFloat(fromOilfield(station.md, 'depth', unitSystem).toPrecision(6))
+                })));
+        } else {
+            const input = document.getElementById(key);
+            input.style.borderColor = '';
+            if (IMPORT_FIELDS[key].quantity) {
+                setOilfieldValue(input, pendingImport.values[key], IMPORT_FIELDS[key].quantity, unitSystem);
+            } else {
+                input.value = pendingImport.values[key];
+            }
+        }
+    });
+    
+    pendingImport = null;
+    document.getElementById('import-preview').hidden = true;
+    calculateAll();
+    showNotification(`Applied ${keys.length} imported field${keys.length === 1 ? '' : 's'} to the sheet.`, 'success');
 }
 
 // ===========================
-// CHART INITIALIZATION
+// SCENARIO COMPARISON
 // ===========================
-function initializeChart() {
-    const ctx = document.getElementById('pressureChart').getContext('2d');
-    
-    pressureChart = new Chart(ctx, {
+// What-if copies of the sheet (see scenarios.js)
+let scenarios = [];
+
+// Inputs listed in the scenario table besides those a scenario changes
+let scenarioInputKeys = SCENARIO_DEFAULT_INPUTS.slice();
+
+// Sweep last run as { key, base, values }, repeated whenever the sheet
+// changes; null when there is none
+let sensitivitySweep = null;
+
+let scenarioChart = null;
+let sensitivityChart = null;
+
+// Line colours, the sheet first, then one per scenario
+const SCENARIO_COLORS = ['#0ea5e9', '#f59e0b', '#8b5cf6', '#10b981', '#ef4444', '#ec4899', '#64748b'];
+
+function setupScenarios() {
+    scenarios = readScenarios(localStorage);
+    scenarioChart = new Chart(document.getElementById('scenarioChart').getContext('2d'), {
         type: 'line',
-        data: {
-            labels: [],
-            datasets: [{
-                label: 'Drillpipe Pressure',
-                data: [],
-                borderColor: '#0ea5e9',
-                backgroundColor: 'rgba(14, 165, 233, 0.1)',
-                borderWidth: 3,
-                tension: 0.1,
-                fill: true,
-                pointRadius: 5,
-                pointHoverRadius: 7,
-                pointBackgroundColor: '#0ea5e9',
-                pointBorderColor: '#fff',
-                pointBorderWidth: 2
-            }]
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            plugins: {
-                legend: {
-                    display: true,
-                    position: 'top',
-                    labels: {
-                        font: {
-                            size: 14,
-                            weight: 'bold'
-                        },
-                        color: '#0f172a'
-                    }
-                },
-                title: {
-                    display: true,
-                    text: 'Drillpipe Pressure vs Strokes',
-                    font: {
-                        size: 18,
-                        weight: 'bold'
-                    },
-                    color: '#1e3a8a'
-                },
-                tooltip: {
-                    backgroundColor: 'rgba(15, 23, 42, 0.9)',
-                    titleFont: {
-                        size: 14,
-                        weight: 'bold'
-                    },
-                    bodyFont: {
-                        size: 13
-                    },
-                    padding: 12,
-                    cornerRadius: 8,
-                    callbacks: {
-                        label: function(context) {
-                            return `Pressure: ${context.parsed.y.toFixed(2)} psi`;
-                        }
-                    }
-                }
-            },
-            scales: {
-                x: {
-                    title: {
-                        display: true,
-                        text: 'Strokes',
-                        font: {
-                            size: 14,
-                            weight: 'bold'
-                        },
-                        color: '#475569'
-                    },
-                    grid: {
-                        color: 'rgba(203, 213, 225, 0.5)'
-                    },
-                    ticks: {
-                        color: '#475569',
-                        font: {
-                            size: 12
-                        }
-                    }
-                },
-                y: {
-                    title: {
-                        display: true,
-                        text: 'Pressure (psi)',
-                        font: {
-                            size: 14,
-                            weight: 'bold'
-                        },
-                        color: '#475569'
-                    },
-                    beginAtZero: true,
-                    grid: {
-                        color: 'rgba(203, 213, 225, 0.5)'
-                    },
-                    ticks: {
-                        color: '#475569',
-                        font: {
-                            size: 12
-                        }
-                    }
+        data: { datasets: [] },
+        options: comparisonChartOptions('Drillpipe Pressure vs Strokes', 'Strokes')
+    });
+    sensitivityChart = new Chart(document.getElementById('sensitivityChart').getContext('2d'), {
+        type: 'line',
+        data: { datasets: [] },
+        options: comparisonChartOptions('Sensitivity', '')
+    });
+    
+    document.getElementById('add-scenario-btn').addEventListener('click', addScenario);
+    document.getElementById('clear-scenarios-btn').addEventListener('click', function() {
+        if (scenarios.length === 0 || !confirm('Delete all the scenarios?')) return;
+        scenarios = [];
+        storeScenarios();
+        updateScenarios();
+    });
+    
+    document.getElementById('scenario-inputs-head').addEventListener('click', function(event) {
+        const button = event.target.closest('button[data-action]');
+        if (button) {
+            handleScenarioAction(button.dataset.action, button.closest('th').dataset.id);
+        }
+    });
+    
+    const body = document.getElementById('scenario-inputs-body');
+    body.addEventListener('change', function(event) {
+        const cell = event.target.closest('td[data-id]');
+        if (cell) {
+            setScenarioInput(cell, event.target);
+        }
+    });
+    body.addEventListener('click', function(event) {
+        const button = event.target.closest('button[data-action="remove"]');
+        if (button) {
+            const key = button.closest('tr').dataset.key;
+            scenarioInputKeys = scenarioInputKeys.filter(existing => existing !== key);
+            updateScenarios();
+        }
+    });
+    
+    const addInput = document.getElementById('scenario_add_input');
+    addInput.addEventListener('change', function() {
+        if (this.value && scenarioInputKeys.indexOf(this.value) === -1) {
+            scenarioInputKeys.push(this.value);
+            updateScenarios();
+        }
+        this.value = '';
+    });
+    
+    setupSensitivitySweep();
+    updateScenarios();
+}
+
+// Sheet inputs a scenario can change, in form order: every number field
+// and selector of the kill sheet except the unit system
+function scenarioInputOptions() {
+    return Array.from(document.querySelectorAll(
+        '#killsheet-content input[type="number"][id], #killsheet-content select[id]'))
+        .filter(element => element.id !== 'unit_system')
+        .map(element => ({
+            key: element.id,
+            label: document.querySelector(`label[for="${element.id}"]`).textContent,
+            element: element
+        }));
+}
+
+// Unit of a sheet input in the selected system ('' for selectors)
+function scenarioInputUnit(key) {
+    if (INPUT_QUANTITIES[key]) {
+        return getUnit(INPUT_QUANTITIES[key], unitSystem).symbol;
+    }
+    const unit = document.getElementById(key).parentElement.querySelector('.unit');
+    return unit ? unit.textContent : '';
+}
+
+// A well value as shown in the scenario table
+function formatScenarioInput(key, value) {
+    if (value === undefined || value === null || value === '') return '--';
+    
+    const element = document.getElementById(key);
+    if (element.tagName === 'SELECT') {
+        const option = Array.from(element.options).find(item => item.value === String(value));
+        return option ? option.textContent : String(value);
+    }
+    return String(parseFloat(fromOilfield(value, INPUT_QUANTITIES[key], unitSystem).toPrecision(6)));
+}
+
+// Results of a well object in oilfield units, or null when it cannot be
+// worked out (hole depth, pump output or mud weight missing)
+function calculateWell(well) {
+    try {
+        const inputs = applyCasingRatings(normalizeInputs(convertInputsToOilfield(well, well.units || DEFAULT_UNIT_SYSTEM)),
+            tubularCatalogue);
+        return validateCriticalInputs(inputs) ? performCalculations(inputs) : null;
+    } catch (error) {
+        console.error('Scenario calculation error:', error);
+        return null;
+    }
+}
+
+function addScenario() {
+    if (scenarios.length >= MAX_SCENARIOS) {
+        showNotification(`Up to ${MAX_SCENARIOS} scenarios can be compared at once.`, 'error');
+        return;
+    }
+    
+    const scenario = createScenario(getWellData(), defaultScenarioName(scenarios));
+    scenarios.push(scenario);
+    storeScenarios();
+    updateScenarios();
+    showNotification(`Added "${scenario.name}" as a copy of the sheet.`, 'success');
+}
+
+function handleScenarioAction(action, id) {
+    const scenario = scenarios.find(existing => existing.id === id);
+    if (!scenario) return;
+    
+    if (action === 'use') {
+        if (!confirm(`Replace the inputs on the sheet with those of "${scenario.name}"?`)) return;
+        loadWellData(scenario.well, unitSystem);
+        showNotification(`The sheet now uses the inputs of "${scenario.name}".`, 'success');
+        return;
+    } else if (action === 'rename') {
+        const name = prompt('Scenario name:', scenario.name);
+        if (!name || !name.trim()) return;
+        scenario.name = name.trim();
+    } else if (action === 'delete') {
+        if (!confirm(`Delete the scenario "${scenario.name}"?`)) return;
+        scenarios = scenarios.filter(existing => existing.id !== id);
+    }
+    
+    storeScenarios();
+    updateScenarios();
+}
+
+// Takes a value typed or picked in the scenario table into the scenario
+function setScenarioInput(cell, element) {
+    const scenario = scenarios.find(existing => existing.id === cell.dataset.id);
+    const key = cell.closest('tr').dataset.key;
+    if (!scenario) return;
+    
+    let value;
+    if (element.tagName === 'SELECT') {
+        value = key === 'kill_pump' && element.value !== '' ? parseInt(element.value, 10) : element.value;
+    } else {
+        value = readOilfieldValue(element, INPUT_QUANTITIES[key], unitSystem);
+    }
+    
+    if (value === null || value === '') {
+        delete scenario.well[key];
+    } else {
+        scenario.well[key] = value;
+    }
+    storeScenarios();
+    
+    // Only the results are redrawn so the next cell keeps the focus
+    const sheetWell = getWellData();
+    cell.classList.toggle('changed-value', scenarioChanges(sheetWell, scenario.well, [key]).length > 0);
+    updateScenarioResults(sheetWell);
+    if (sensitivitySweep) {
+        renderSensitivity();
+    }
+}
+
+// Writes the scenarios, telling the user when the browser refuses
+function storeScenarios() {
+    try {
+        writeScenarios(localStorage, scenarios);
+    } catch (error) {
+        console.error('Scenario storage error:', error);
+        showNotification('Could not save the scenarios to browser storage; they will be lost when the page is closed.', 'error');
+    }
+}
+
+// Redraws the scenario tables and chart and any sweep after the sheet or
+// the scenarios change
+function updateScenarios() {
+    refreshSensitivityBases();
+    document.getElementById('scenario-view').hidden = scenarios.length === 0;
+    
+    if (scenarios.length > 0) {
+        const sheetWell = getWellData();
+        renderScenarioInputs(sheetWell);
+        updateScenarioResults(sheetWell);
+    }
+    
+    if (sensitivitySweep) {
+        renderSensitivity();
+    }
+}
+
+// Inputs table: the sheet value, then an editable cell per scenario. Inputs
+// a scenario changes are always listed.
+function renderScenarioInputs(sheetWell) {
+    const options = scenarioInputOptions();
+    const changed = {};
+    scenarios.forEach(scenario => {
+        scenarioChanges(sheetWell, scenario.well, options.map(option => option.key)).forEach(key => {
+            changed[key] = true;
+        });
+    });
+    
+    const head = document.getElementById('scenario-inputs-head');
+    head.innerHTML = '<tr><th>Input</th><th>Current Sheet</th></tr>';
+    scenarios.forEach(scenario => {
+        const cell = document.createElement('th');
+        cell.dataset.id = scenario.id;
+        cell.innerHTML = `
+            <span></span>
+            <div class="scenario-actions">
+                <button type="button" class="icon-btn text-btn" data-action="use" title="Copy these inputs onto the sheet">Use</button>
+                <button type="button" class="icon-btn text-btn" data-action="rename">Rename</button>
+                <button type="button" class="icon-btn icon-btn-danger" data-action="delete" title="Delete">&times;</button>
+            </div>
+        `;
+        cell.querySelector('span').textContent = scenario.name;
+        head.firstChild.appendChild(cell);
+    });
+    head.firstChild.appendChild(document.createElement('th'));
+    
+    const tbody = document.getElementById('scenario-inputs-body');
+    tbody.innerHTML = '';
+    options.filter(option => changed[option.key] || scenarioInputKeys.indexOf(option.key) !== -1).forEach(option => {
+        const row = document.createElement('tr');
+        row.dataset.key = option.key;
+        
+        const unit = scenarioInputUnit(option.key);
+        const label = document.createElement('td');
+        label.textContent = unit ? `${option.label} (${unit})` : option.label;
+        row.appendChild(label);
+        
+        const sheet = document.createElement('td');
+        sheet.textContent = formatScenarioInput(option.key, sheetWell[option.key]);
+        row.appendChild(sheet);
+        
+        scenarios.forEach(scenario => {
+            const cell = document.createElement('td');
+            cell.dataset.id = scenario.id;
+            const value = scenario.well[option.key];
+            let field;
+            if (option.element.tagName === 'SELECT') {
+                field = document.createElement('select');
+                field.innerHTML = option.element.innerHTML;
+                field.value = value === undefined ? '' : String(value);
+            } else {
+                field = document.createElement('input');
+                field.type = 'number';
+                field.step = 'any';
+                field.min = '0';
+                field.placeholder = option.element.placeholder;
+                if (value !== undefined) {
+                    setOilfieldValue(field, value, INPUT_QUANTITIES[option.key], unitSystem);
                 }
-            },
-            animation: {
-                duration: 1000,
-                easing: 'easeInOutQuart'
             }
+            cell.appendChild(field);
+            if (scenarioChanges(sheetWell, scenario.well, [option.key]).length > 0) {
+                cell.className = 'changed-value';
+            }
+            row.appendChild(cell);
+        });
+        
+        const actions = document.createElement('td');
+        actions.className = 'row-actions';
+        if (!changed[option.key]) {
+            actions.innerHTML = '<button type="button" class="icon-btn icon-btn-danger" data-action="remove" title="Stop comparing this input">&times;</button>';
         }
+        row.appendChild(actions);
+        
+        tbody.appendChild(row);
+    });
+    
+    const addInput = document.getElementById('scenario_add_input');
+    addInput.innerHTML = '<option value="">Choose an input&hellip;</option>';
+    options.filter(option => !tbody.querySelector(`tr[data-key="${option.key}"]`)).forEach(option => {
+        const item = document.createElement('option');
+        item.value = option.key;
+        item.textContent = option.label;
+        addInput.appendChild(item);
+    });
+}
+
+// RESULT_SECTIONS field of a result key
+function resultField(key) {
+    for (const section of RESULT_SECTIONS) {
+        const field = section.fields.find(item => item.key === key);
+        if (field) return field;
+    }
+    return null;
+}
+
+// Result value as displayed, or null when there is none
+function formatResult(field, results) {
+    const value = results ? results[field.key] : NaN;
+    if (typeof value !== 'number' || !isFinite(value)) return null;
+    return fromOilfield(value, field.quantity, unitSystem).toFixed(resultDecimals(field));
+}
+
+// Kill parameters and schedules of the sheet and every scenario, side by
+// side, with the scenario values that differ from the sheet highlighted
+function updateScenarioResults(sheetWell) {
+    const columns = [{ name: 'Current Sheet', results: calculateWell(sheetWell) }].concat(scenarios.map(scenario => ({
+        name: scenario.name,
+        results: calculateWell(scenario.well)
+    })));
+    const headRow = first => `<tr><th>${first}</th>${columns.map(() => '<th></th>').join('')}</tr>`;
+    const nameHeadings = head => {
+        head.firstChild.querySelectorAll('th').forEach((cell, index) => {
+            if (index > 0) cell.textContent = columns[index - 1].name;
+        });
+    };
+    
+    // Kill parameters, with the change from the sheet in brackets
+    const resultsHead = document.getElementById('scenario-results-head');
+    resultsHead.innerHTML = headRow('Result');
+    nameHeadings(resultsHead);
+    
+    const tbody = document.getElementById('scenario-results-body');
+    tbody.innerHTML = '';
+    const addRow = (label, texts, differences) => {
+        const row = document.createElement('tr');
+        [label].concat(texts).forEach((text, index) => {
+            const cell = document.createElement('td');
+            cell.textContent = text === null ? '--' : text;
+            if (index > 1 && differences[index - 1]) {
+                cell.className = 'changed-value';
+                if (differences[index - 1] !== true) cell.textContent += ` (${differences[index - 1]})`;
+            }
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+    };
+    
+    const methods = columns.map(column => column.results ? column.results.kill_method_label : null);
+    addRow('Kill Method', methods, methods.map(method => method !== null && methods[0] !== null && method !== methods[0]));
+    
+    SCENARIO_RESULT_KEYS.map(resultField).forEach(field => {
+        const values = columns.map(column => column.results ? column.results[field.key] : NaN);
+        if (!values.some(value => value > 0)) return;
+        
+        const decimals = resultDecimals(field);
+        const texts = columns.map(column => formatResult(field, column.results));
+        const differences = texts.map((text, index) => {
+            if (text === null || texts[0] === null || text === texts[0]) return false;
+            const difference = fromOilfield(values[index] - values[0], field.quantity, unitSystem);
+            return `${difference > 0 ? '+' : ''}${difference.toFixed(decimals)}`;
+        });
+        const unit = field.quantity ? getUnit(field.quantity, unitSystem).symbol : field.unit;
+        addRow(`${field.label} (${unit})`, texts, differences);
     });
+    
+    // Drillpipe schedules row by row
+    const pressureUnit = getUnit('pressure', unitSystem).symbol;
+    const scheduleHead = document.getElementById('scenario-schedule-head');
+    scheduleHead.innerHTML = `<tr><th rowspan="2">Step</th>${columns.map(() => '<th colspan="2"></th>').join('')}</tr>` +
+        `<tr>${columns.map(() => `<th>Strokes</th><th>Pressure (${pressureUnit})</th>`).join('')}</tr>`;
+    nameHeadings(scheduleHead);
+    
+    const schedules = columns.map(column => column.results ? column.results.pressure_schedule : []);
+    const scheduleBody = document.getElementById('scenario-schedule-body');
+    const pressureText = point => point ? fromOilfield(point.pressure, 'pressure', unitSystem).toFixed(2) : '';
+    scheduleBody.innerHTML = '';
+    for (let i = 0; i < Math.max(...schedules.map(schedule => schedule.length)); i++) {
+        const row = document.createElement('tr');
+        const step = document.createElement('td');
+        step.textContent = i + 1;
+        row.appendChild(step);
+        
+        schedules.forEach((schedule, index) => {
+            const point = schedule[i];
+            const strokes = document.createElement('td');
+            const pressure = document.createElement('td');
+            strokes.textContent = point ? point.strokes.toFixed(0) : '';
+            pressure.textContent = pressureText(point);
+            if (point) {
+                pressure.title = point.stage;
+            }
+            if (index > 0 && point && pressure.textContent !== pressureText(schedules[0][i])) {
+                pressure.className = 'changed-value';
+            }
+            row.appendChild(strokes);
+            row.appendChild(pressure);
+        });
+        
+        scheduleBody.appendChild(row);
+    }
+    
+    // All the drillpipe pressure curves on one chart
+    if (scenarioChart) {
+        scenarioChart.data.datasets = columns.map((column, index) => {
+            const dataset = chartPredictionDataset(column.name, column.results
+                ? column.results.chart_points.map(point => ({
+                    x: point.strokes,
+                    y: fromOilfield(point.pressure, 'pressure', unitSystem)
+                }))
+                : [], SCENARIO_COLORS[index % SCENARIO_COLORS.length], false);
+            dataset.borderWidth = index === 0 ? 3 : 2;
+            return dataset;
+        });
+        scenarioChart.options.scales.y.title.text = `Pressure (${pressureUnit})`;
+        scenarioChart.update();
+    }
 }
 
 // ===========================
-// UPDATE CHART
+// SENSITIVITY SWEEP
 // ===========================
-function updateChart(results) {
-    if (!pressureChart) return;
+function setupSensitivitySweep() {
+    const select = document.getElementById('sensitivity_input');
+    scenarioInputOptions().filter(option => option.element.tagName === 'INPUT').forEach(option => {
+        const item = document.createElement('option');
+        item.value = option.key;
+        item.textContent = option.label;
+        select.appendChild(item);
+    });
+    select.value = 'sidpp';
+    select.addEventListener('change', function() {
+        document.getElementById('sensitivity_from').value = '';
+        document.getElementById('sensitivity_to').value = '';
+        updateSensitivityUnits();
+    });
+    updateSensitivityUnits();
     
-    if (results.surface_to_bit_strokes <= 0) {
-        pressureChart.data.labels = [];
-        pressureChart.data.datasets[0].data = [];
-        pressureChart.update();
+    const steps = document.getElementById('sensitivity_steps');
+    steps.placeholder = DEFAULT_SENSITIVITY_STEPS;
+    steps.max = MAX_SENSITIVITY_STEPS;
+    
+    document.getElementById('run-sensitivity-btn').addEventListener('click', runSensitivity);
+    document.getElementById('clear-sensitivity-btn').addEventListener('click', function() {
+        sensitivitySweep = null;
+        document.getElementById('sensitivity-view').hidden = true;
+    });
+}
+
+// The range fields take the quantity of the input being varied, so they are
+// converted with the rest of the form when the unit system changes
+function updateSensitivityUnits() {
+    const key = document.getElementById('sensitivity_input').value;
+    const quantity = INPUT_QUANTITIES[key];
+    
+    ['sensitivity_from', 'sensitivity_to'].forEach(id => {
+        const input = document.getElementById(id);
+        const unit = input.parentElement.querySelector('.unit');
+        delete input.dataset.oilfieldValue;
+        delete input.dataset.convertedValue;
+        if (quantity) {
+            input.dataset.quantity = quantity;
+            unit.dataset.quantity = quantity;
+        } else {
+            delete input.dataset.quantity;
+            delete unit.dataset.quantity;
+        }
+        unit.textContent = scenarioInputUnit(key);
+    });
+}
+
+// Sheet or scenario the sweep keeps the other inputs from
+function refreshSensitivityBases() {
+    const select = document.getElementById('sensitivity_base');
+    const selected = select.value;
+    
+    select.innerHTML = '<option value="">Current Sheet</option>';
+    scenarios.forEach(scenario => {
+        const option = document.createElement('option');
+        option.value = scenario.id;
+        option.textContent = scenario.name;
+        select.appendChild(option);
+    });
+    select.value = scenarios.some(scenario => scenario.id === selected) ? selected : '';
+    
+    if (sensitivitySweep && !scenarios.some(scenario => scenario.id === sensitivitySweep.base)) {
+        sensitivitySweep.base = '';
+    }
+}
+
+function runSensitivity() {
+    const key = document.getElementById('sensitivity_input').value;
+    const quantity = INPUT_QUANTITIES[key];
+    const from = readOilfieldValue(document.getElementById('sensitivity_from'), quantity, unitSystem);
+    const to = readOilfieldValue(document.getElementById('sensitivity_to'), quantity, unitSystem);
+    
+    let values;
+    try {
+        values = sensitivityValues(from === null ? NaN : from, to === null ? NaN : to,
+            getInputValue('sensitivity_steps', DEFAULT_SENSITIVITY_STEPS));
+    } catch (error) {
+        showNotification(error.message, 'error');
         return;
     }
     
-    const pressure_drop_per_stroke = (results.icp - results.fcp) / results.surface_to_bit_strokes;
-    const maxStrokes = Math.max(1400, Math.ceil(results.total_strokes));
-    const step = 100;
+    sensitivitySweep = {
+        key: key,
+        base: document.getElementById('sensitivity_base').value,
+        values: values
+    };
+    renderSensitivity();
+}
+
+// Works the sweep out again from the sheet or scenario as it is now
+function renderSensitivity() {
+    const sweep = sensitivitySweep;
+    const scenario = scenarios.find(existing => existing.id === sweep.base);
+    const baseWell = scenario ? scenario.well : getWellData();
+    const label = document.querySelector(`label[for="${sweep.key}"]`).textContent;
+    const unit = scenarioInputUnit(sweep.key);
+    const quantity = INPUT_QUANTITIES[sweep.key];
+    const fields = SENSITIVITY_OUTPUTS.map(resultField);
+    const show = value => parseFloat(fromOilfield(value, quantity, unitSystem).toPrecision(6));
+    
+    const points = sweep.values.map(value => {
+        const well = Object.assign({}, baseWell);
+        well[sweep.key] = value;
+        return { value: value, results: calculateWell(well) };
+    });
     
-    const labels = [];
-    const data = [];
+    const fieldHeading = field => {
+        const fieldUnit = field.quantity ? getUnit(field.quantity, unitSystem).symbol : field.unit;
+        return `${field.label} (${fieldUnit})`;
+    };
+    document.getElementById('sensitivity-head').innerHTML = '<tr><th></th>' +
+        fields.map(() => '<th></th>').join('') + '</tr>';
+    document.querySelectorAll('#sensitivity-head th').forEach((cell, index) => {
+        cell.textContent = index === 0 ? (unit ? `${label} (${unit})` : label) : fieldHeading(fields[index - 1]);
+    });
     
-    for (let strokes = 0; strokes <= maxStrokes; strokes += step) {
-        labels.push(strokes);
-        
-        let pressure = results.icp - (pressure_drop_per_stroke * strokes);
-        if (pressure < results.fcp) {
-            pressure = results.fcp;
+    const tbody = document.getElementById('sensitivity-body');
+    tbody.innerHTML = '';
+    points.forEach(point => {
+        const row = document.createElement('tr');
+        if (sameScenarioValue(point.value, baseWell[sweep.key])) {
+            row.className = 'current-row';
         }
+        [String(show(point.value))].concat(fields.map(field => formatResult(field, point.results))).forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text === null ? '--' : text;
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+    });
+    
+    // An input the sheet overrides (the slow pump pressure with SCRs, the
+    // pump output with a kill pump) leaves every result unchanged
+    const texts = points.map(point => fields.map(field => formatResult(field, point.results)).join('|'));
+    const unchanged = texts.every(text => text === texts[0]);
+    document.getElementById('sensitivity-summary').textContent =
+        `${label} from ${show(sweep.values[0])} to ${show(sweep.values[sweep.values.length - 1])}${unit ? ' ' + unit : ''} ` +
+        `in ${sweep.values.length} points, other inputs from ${scenario ? `"${scenario.name}"` : 'the current sheet'}.` +
+        (unchanged ? ' None of the results change over this range; check the input is not set from elsewhere on ' +
+            'the sheet (the SCR table sets the slow pump pressure, a kill pump the pump output).' : '');
+    
+    if (sensitivityChart) {
+        const axes = { mud_weight: 'y1', pressure: 'y' };
+        sensitivityChart.data.datasets = fields.map((field, index) => {
+            const dataset = chartPredictionDataset(fieldHeading(field), points.map(point => ({
+                x: show(point.value),
+                y: point.results ? fromOilfield(point.results[field.key], field.quantity, unitSystem) : null
+            })), SCENARIO_COLORS[index], field.quantity !== 'pressure');
+            dataset.pointRadius = 3;
+            dataset.yAxisID = axes[field.quantity] || 'y2';
+            return dataset;
+        });
         
-        data.push(pressure);
+        const options = sensitivityChart.options;
+        options.plugins.title.text = `Sensitivity to ${label}`;
+        options.scales.x.title.text = unit ? `${label} (${unit})` : label;
+        options.scales.y.title.text = `Pressure (${getUnit('pressure', unitSystem).symbol})`;
+        options.scales.y1 = {
+            position: 'right',
+            title: { display: true, text: `Mud Weight (${getUnit('mud_weight', unitSystem).symbol})`, color: '#475569' },
+            grid: { drawOnChartArea: false }
+        };
+        options.scales.y2 = {
+            position: 'right',
+            title: { display: true, text: 'Time (min)', color: '#475569' },
+            beginAtZero: true,
+            grid: { drawOnChartArea: false }
+        };
+        sensitivityChart.update();
     }
     
-    pressureChart.data.labels = labels;
-    pressureChart.data.datasets[0].data = data;
-    pressureChart.update('active');
+    document.getElementById('sensitivity-view').hidden = false;
 }
 
 // ===========================
-// RESET FORM
+// TRAINING AND ASSESSMENT
 // ===========================
-function resetForm() {
-    if (confirm('Are you sure you want to reset all fields?')) {
-        // Reset all inputs
-        document.querySelectorAll('input[type="number"], input[type="text"]').forEach(input => {
-            input.value = '';
-            input.style.borderColor = '';
-        });
-        
-        // Uncheck HWDP
-        document.getElementById('hwdp_present').checked = false;
-        document.getElementById('hwdp-inputs').style.display = 'none';
-        
-        // Clear results
-        clearResults();
-        
-        // Clear table
-        document.getElementById('pressure-schedule-body').innerHTML = '';
-        
-        // Clear chart
-        if (pressureChart) {
-            pressureChart.data.labels = [];
-            pressureChart.data.datasets[0].data = [];
-            pressureChart.update();
+// Session of graded exercises kept in the browser (see training.js); null
+// until the first exercise is started
+let trainingSession = null;
+
+// Exercise being worked: { exercise, inputs, results, grade } with the
+// grade null until the answers are checked
+let trainingExercise = null;
+
+function setupTraining() {
+    trainingSession = readTrainingSession(localStorage);
+    const settings = trainingSession ? trainingSession.settings : normalizeTrainingSettings();
+    
+    const level = document.getElementById('training_level');
+    Object.keys(TRAINING_LEVELS).forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = TRAINING_LEVELS[key].label;
+        level.appendChild(option);
+    });
+    level.value = trainingSession && trainingSession.current ? trainingSession.current.level : DEFAULT_TRAINING_LEVEL;
+    
+    document.getElementById('trainee_name').value = trainingSession ? trainingSession.trainee : '';
+    document.getElementById('training_pass_mark').value = settings.pass_mark;
+    renderTrainingTolerances(settings);
+    
+    document.getElementById('trainee_name').addEventListener('change', function() {
+        if (!trainingSession) return;
+        trainingSession.trainee = this.value.trim();
+        storeTrainingSession();
+    });
+    document.getElementById('training_pass_mark').addEventListener('change', storeTrainingSettings);
+    document.getElementById('training-tolerance-body').addEventListener('change', storeTrainingSettings);
+    
+    document.getElementById('new-exercise-btn').addEventListener('click', startTrainingExercise);
+    document.getElementById('check-answers-btn').addEventListener('click', checkTrainingAnswers);
+    document.getElementById('open-exercise-btn').addEventListener('click', function() {
+        if (!confirm('Replace the sheet with this exercise? Save the sheet to the library first if you need it.')) return;
+        currentSheetId = null;
+        loadWellData(trainingExercise.exercise.well, unitSystem);
+        showNotification(`The sheet now holds exercise ${trainingExercise.exercise.id}.`, 'success');
+    });
+    document.getElementById('export-training-btn').addEventListener('click', function() {
+        if (!trainingSession || trainingSession.attempts.length === 0) {
+            showNotification('No exercises have been checked in this session yet.', 'error');
+            return;
         }
-        
-        // Show success message
-        showNotification('Form reset successfully!', 'success');
+        const name = trainingSession.trainee || 'trainee';
+        downloadJSON(`training-${fileNameFor(name)}-${new Date().toISOString().slice(0, 10)}.json`,
+            buildTrainingRecord(trainingSession));
+    });
+    document.getElementById('clear-training-btn').addEventListener('click', function() {
+        if (!trainingSession || !confirm('Clear the training session and its results? Export them first if the ' +
+            'training coordinator needs them.')) return;
+        trainingSession = null;
+        trainingExercise = null;
+        localStorage.removeItem(TRAINING_STORAGE_KEY);
+        document.getElementById('training-view').hidden = true;
+        renderTrainingSession();
+    });
+    
+    // Carry on with an exercise left unchecked
+    if (trainingSession && trainingSession.current) {
+        openTrainingExercise(trainingSession.current.level, trainingSession.current.seed);
+    }
+    renderTrainingSession();
+}
+
+function renderTrainingTolerances(settings) {
+    const tbody = document.getElementById('training-tolerance-body');
+    tbody.innerHTML = '';
+    
+    TRAINING_ANSWERS.concat(TRAINING_SCHEDULE_ANSWER).forEach(answer => {
+        const row = document.createElement('tr');
+        row.innerHTML = '<td></td><td><input type="number" step="any" min="0"></td><td></td>';
+        row.children[0].textContent = answer.key === TRAINING_SCHEDULE_ANSWER.key
+            ? `${answer.label} (each step)`
+            : answer.label;
+        row.querySelector('input').dataset.key = answer.key;
+        row.querySelector('input').value = settings.tolerances[answer.key];
+        row.children[2].textContent = answer.percent ? '%' : answer.unit;
+        tbody.appendChild(row);
+    });
+}
+
+// Pass mark and tolerances as set in the form
+function readTrainingSettings() {
+    const tolerances = {};
+    document.querySelectorAll('#training-tolerance-body input').forEach(input => {
+        tolerances[input.dataset.key] = input.value;
+    });
+    
+    return normalizeTrainingSettings({
+        pass_mark: document.getElementById('training_pass_mark').value,
+        tolerances: tolerances
+    });
+}
+
+function storeTrainingSettings() {
+    if (!trainingSession) return;
+    trainingSession.settings = readTrainingSettings();
+    storeTrainingSession();
+}
+
+function storeTrainingSession() {
+    try {
+        writeTrainingSession(localStorage, trainingSession);
+    } catch (error) {
+        console.error('Training session save error:', error);
+        showNotification('The training session could not be saved in this browser.', 'error');
+    }
+}
+
+// A new exercise of the chosen level, or the one whose id was entered
+function startTrainingExercise() {
+    const idText = document.getElementById('training_exercise_id').value.trim();
+    let level = document.getElementById('training_level').value;
+    let seed = createTrainingSeed();
+    
+    if (idText) {
+        const parsed = parseTrainingExerciseId(idText);
+        if (!parsed) {
+            showNotification('Exercise ids are a level and a number, such as "basic-12345".', 'error');
+            return;
+        }
+        level = parsed.level;
+        seed = parsed.seed;
+    }
+    
+    if (trainingExercise && !trainingExercise.grade &&
+        !confirm('The current exercise has not been checked. Start another anyway?')) return;
+    
+    if (!trainingSession) {
+        trainingSession = createTrainingSession(document.getElementById('trainee_name').value.trim(),
+            readTrainingSettings());
+    }
+    
+    if (openTrainingExercise(level, seed)) {
+        trainingSession.current = { level: level, seed: seed };
+        storeTrainingSession();
+        document.getElementById('training_level').value = level;
+        document.getElementById('training_exercise_id').value = '';
+    }
+}
+
+// Generates the exercise and works out its answers. Returns false when it
+// cannot be calculated.
+function openTrainingExercise(level, seed) {
+    const exercise = generateTrainingExercise(level, seed);
+    let inputs;
+    let results = null;
+    
+    try {
+        inputs = normalizeInputs(exercise.well);
+        results = validateCriticalInputs(inputs) ? performCalculations(inputs) : null;
+    } catch (error) {
+        console.error('Training exercise error:', error);
+    }
+    
+    if (!results) {
+        showNotification(`Exercise ${exercise.id} could not be worked out; start another.`, 'error');
+        return false;
+    }
+    
+    trainingExercise = { exercise: exercise, inputs: inputs, results: results, grade: null };
+    renderTrainingExercise();
+    return true;
+}
+
+function renderTrainingExercise() {
+    const exercise = trainingExercise.exercise;
+    document.getElementById('training-title').textContent =
+        `Exercise ${exercise.id}: ${TRAINING_LEVELS[exercise.level].label}`;
+    
+    const givenBody = document.getElementById('training-given-body');
+    givenBody.innerHTML = '';
+    trainingGivenData(exercise.well).forEach(item => {
+        const row = document.createElement('tr');
+        row.innerHTML = '<td></td><td></td>';
+        row.children[0].textContent = item.label;
+        row.children[1].textContent = item.value;
+        givenBody.appendChild(row);
+    });
+    
+    const answersBody = document.getElementById('training-answers-body');
+    answersBody.innerHTML = '';
+    TRAINING_ANSWERS.forEach(answer => {
+        const row = document.createElement('tr');
+        row.dataset.key = answer.key;
+        row.innerHTML = '<td></td><td><input type="number" step="any" min="0"></td><td></td><td></td>';
+        row.children[0].textContent = answer.label;
+        row.children[2].textContent = answer.unit;
+        answersBody.appendChild(row);
+    });
+    
+    const scheduleBody = document.getElementById('training-schedule-body');
+    scheduleBody.innerHTML = '';
+    trainingSchedule(trainingExercise.results).forEach((point, index) => {
+        const row = document.createElement('tr');
+        row.innerHTML = `<td>${index}</td><td><input type="number" step="any" min="0"></td><td></td><td></td>`;
+        scheduleBody.appendChild(row);
+    });
+    
+    document.getElementById('check-answers-btn').disabled = false;
+    document.getElementById('training-status').hidden = true;
+    document.getElementById('training-solution-view').hidden = true;
+    document.getElementById('training-view').hidden = false;
+}
+
+// Value typed in an answer box, or null when it is blank
+function readTrainingAnswer(input) {
+    const value = parseFloat(input.value);
+    return isNaN(value) ? null : value;
+}
+
+function checkTrainingAnswers() {
+    if (!trainingExercise || trainingExercise.grade) return;
+    
+    const answers = { schedule: [] };
+    document.querySelectorAll('#training-answers-body tr').forEach(row => {
+        answers[row.dataset.key] = readTrainingAnswer(row.querySelector('input'));
+    });
+    document.querySelectorAll('#training-schedule-body tr').forEach(row => {
+        answers.schedule.push(readTrainingAnswer(row.querySelector('input')));
+    });
+    
+    const blanks = Object.keys(answers).filter(key => key !== 'schedule' && answers[key] === null).length +
+        answers.schedule.filter(value => value === null).length;
+    if (blanks === TRAINING_ANSWERS.length + answers.schedule.length) {
+        showNotification('Enter your answers before checking them.', 'error');
+        return;
+    }
+    if (blanks > 0 && !confirm(`${blanks} answer boxes are blank and will be marked wrong. Check the answers anyway?`)) {
+        return;
+    }
+    
+    const settings = readTrainingSettings();
+    const exercise = trainingExercise.exercise;
+    const grade = gradeTrainingAnswers(trainingExercise.results, answers, settings);
+    trainingExercise.grade = grade;
+    
+    trainingSession.settings = settings;
+    trainingSession.current = null;
+    trainingSession.attempts.push({
+        exercise_id: exercise.id,
+        level: exercise.level,
+        seed: exercise.seed,
+        checked_at: new Date().toISOString(),
+        score: grade.score,
+        correct: grade.correct,
+        total: grade.total,
+        pass_mark: settings.pass_mark,
+        passed: grade.passed,
+        answers: grade.items
+    });
+    storeTrainingSession();
+    
+    renderTrainingGrade(settings);
+    renderTrainingSession();
+}
+
+// Marks every answer, then shows the score and the worked solution
+function renderTrainingGrade(settings) {
+    const grade = trainingExercise.grade;
+    const items = {};
+    grade.items.forEach(item => {
+        items[item.key] = item;
+    });
+    const definitions = {};
+    TRAINING_ANSWERS.forEach(answer => {
+        definitions[answer.key] = answer;
+    });
+    
+    document.querySelectorAll('#training-answers-body tr').forEach(row => {
+        const item = items[row.dataset.key];
+        row.className = item.pass ? 'correct-row' : 'deviation-row';
+        row.querySelector('input').disabled = true;
+        row.children[3].textContent = item.expected.toFixed(definitions[item.key].decimals);
+    });
+    
+    const schedule = items[TRAINING_SCHEDULE_ANSWER.key].steps;
+    document.querySelectorAll('#training-schedule-body tr').forEach((row, index) => {
+        const step = schedule[index];
+        row.className = step.pass ? 'correct-row' : 'deviation-row';
+        row.querySelector('input').disabled = true;
+        row.children[2].textContent = step.strokes.toFixed(0);
+        row.children[3].textContent = step.expected.toFixed(0);
+    });
+    
+    const status = document.getElementById('training-status');
+    status.className = grade.passed ? 'status-banner' : 'status-banner status-danger';
+    status.textContent = `Score ${grade.score} % (${grade.correct} of ${grade.total} answers correct): ` +
+        (grade.passed ? 'passed.' : `below the pass mark of ${settings.pass_mark} %.`);
+    status.hidden = false;
+    document.getElementById('check-answers-btn').disabled = true;
+    
+    const list = document.getElementById('training-solution');
+    list.innerHTML = '';
+    buildTrainingSolution(trainingExercise.inputs, trainingExercise.results).forEach(step => {
+        const li = document.createElement('li');
+        const title = document.createElement('strong');
+        title.textContent = step.title;
+        li.appendChild(title);
+        step.lines.forEach(line => {
+            const div = document.createElement('div');
+            div.className = 'solution-line';
+            div.textContent = line;
+            li.appendChild(div);
+        });
+        list.appendChild(li);
+    });
+    document.getElementById('training-solution-view').hidden = false;
+}
+
+function renderTrainingSession() {
+    const view = document.getElementById('training-session-view');
+    if (!trainingSession || trainingSession.attempts.length === 0) {
+        view.hidden = true;
+        return;
     }
+    
+    const summary = summarizeTrainingSession(trainingSession);
+    document.getElementById('training-session-summary').textContent =
+        `${trainingSession.trainee || 'Unnamed trainee'}: ${summary.passed} of ${summary.exercises} exercises passed, ` +
+        `average score ${summary.average_score} %.`;
+    
+    const tbody = document.getElementById('training-session-body');
+    tbody.innerHTML = '';
+    trainingSession.attempts.forEach(attempt => {
+        const row = document.createElement('tr');
+        row.className = attempt.passed ? '' : 'deviation-row';
+        [
+            attempt.exercise_id,
+            new Date(attempt.checked_at).toLocaleString(),
+            `${attempt.correct} / ${attempt.total}`,
+            `${attempt.score} %`,
+            attempt.passed ? 'Pass' : 'Fail'
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+    });
+    view.hidden = false;
 }
 
 // ===========================
 // DOWNLOAD PDF
 // ===========================
+// Sheet details printed in the report
+const REPORT_DETAIL_FIELDS = ['well_name', 'rig', 'wellbore', 'operator', 'sheet_date', 'sheet_time', 'supervisor',
+    'policy_name'];
+
+// Builds the form-style kill sheet report (report.js) from the current form
 function downloadPDF() {
-    const element = document.getElementById('killsheet-content');
-    const opt = {
-        margin: 0.5,
-        filename: `kill-sheet-${new Date().toISOString().split('T')[0]}.pdf`,
-        image: { type: 'jpeg', quality: 0.98 },
-        html2canvas: { scale: 2, useCORS: true },
-        jsPDF: { unit: 'in', format: 'letter', orientation: 'portrait' }
-    };
+    const inputs = applyCasingRatings(normalizeInputs(getInputValues()), tubularCatalogue);
+    if (!validateCriticalInputs(inputs)) {
+        showNotification('Enter the hole depth, mud weight and pump output first.', 'error');
+        return;
+    }
+    
+    const results = performCalculations(inputs);
+    const errors = results.sheet_checks.filter(issue => issue.level === 'error').length;
+    if (errors > 0 && !confirm(`The sheet has ${errors} error${errors === 1 ? '' : 's'}. ` +
+        'Download it anyway, stamped as not for use?')) {
+        return;
+    }
     
-    // Show loading state
-    const btn = document.getElementById('download-pdf-btn');
-    const originalText = btn.textContent;
-    btn.textContent = 'Generating PDF...';
-    btn.disabled = true;
+    const details = {};
+    REPORT_DETAIL_FIELDS.forEach(field => {
+        details[field] = document.getElementById(field).value.trim();
+    });
+    const name = details.well_name ? `${details.well_name.replace(/[^\w.-]+/g, '-')}-` : '';
     
-    html2pdf().set(opt).from(element).save().then(() => {
-        btn.textContent = originalText;
-        btn.disabled = false;
+    try {
+        const doc = buildKillSheetReport(window.jspdf.jsPDF, details, inputs, results, unitSystem,
+            { notForUse: errors > 0 });
+        doc.save(`kill-sheet-${name}${details.sheet_date || new Date().toISOString().split('T')[0]}.pdf`);
         showNotification('PDF downloaded successfully!', 'success');
-    }).catch(error => {
+    } catch (error) {
         console.error('PDF generation error:', error);
-        btn.textContent = originalText;
-        btn.disabled = false;
         showNotification('Error generating PDF. Please try again.', 'error');
+    }
+}
+
+// ===========================
+// OFFLINE APP
+// ===========================
+// sw.js keeps the app files cached so the calculator works with no
+// connection. The header shows which release is running, and offers a new
+// release once it has downloaded; it only takes over when the user reloads.
+function setupOfflineApp() {
+    const label = document.getElementById('app-version');
+    const updateBtn = document.getElementById('app-update-btn');
+    
+    if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') {
+        label.textContent = 'Not available offline in this browser (serve the app over http(s) to install it)';
+        return;
+    }
+    
+    let waitingWorker = null;
+    let updateRequested = false;
+    
+    const showRunningVersion = () => {
+        const controller = navigator.serviceWorker.controller;
+        if (!controller) {
+            label.textContent = 'Saving for offline use...';
+            return;
+        }
+        getWorkerVersion(controller).then(version => {
+            label.textContent = `Version ${version} - available offline`;
+        });
+    };
+    
+    const offerUpdate = worker => {
+        waitingWorker = worker;
+        Promise.all([getWorkerVersion(navigator.serviceWorker.controller), getWorkerVersion(worker)])
+            .then(([running, latest]) => {
+                label.textContent = `Version ${running} - version ${latest} downloaded`;
+                updateBtn.hidden = false;
+            });
+    };
+    
+    updateBtn.addEventListener('click', function() {
+        if (!waitingWorker) return;
+        updateRequested = true;
+        waitingWorker.postMessage('skip-waiting');
+    });
+    
+    navigator.serviceWorker.addEventListener('controllerchange', function() {
+        if (updateRequested) {
+            window.location.reload();
+        } else {
+            showRunningVersion();
+        }
+    });
+    
+    showRunningVersion();
+    navigator.serviceWorker.register('./sw.js').then(registration => {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            offerUpdate(registration.waiting);
+        }
+        
+        registration.addEventListener('updatefound', function() {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', function() {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    offerUpdate(worker);
+                }
+            });
+        });
+    }).catch(error => {
+        console.error('Service worker registration failed:', error);
+        label.textContent = 'Offline use is not available: the app files could not be cached';
+    });
+}
+
+// Release number of a service worker (APP_VERSION in sw.js)
+function getWorkerVersion(worker) {
+    return new Promise(resolve => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = event => resolve(event.data);
+        worker.postMessage('get-version', [channel.port2]);
     });
 }
 
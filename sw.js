@@ -0,0 +1,67 @@
+// ===========================
+// KILL SHEET CALCULATOR - SERVICE WORKER
+// ===========================
+//
+// Keeps every file the calculator needs in the browser cache so it opens and
+// calculates with no internet connection. Each release gets its own cache:
+// bump APP_VERSION whenever any file below changes, or browsers that already
+// installed the app keep running the old files.
+
+const APP_VERSION = '1.6.0';
+const CACHE_PREFIX = 'kill-sheet-';
+const CACHE_NAME = `${CACHE_PREFIX}${APP_VERSION}`;
+
+const APP_FILES = [
+    './',
+    './index.html',
+    './styles.css',
+    './units.js',
+    './calculations.js',
+    './tubulars.js',
+    './wellimport.js',
+    './library.js',
+    './scenarios.js',
+    './training.js',
+    './report.js',
+    './script.js',
+    './manifest.webmanifest',
+    './icons/icon.svg',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './vendor/chart.umd.min.js',
+    './vendor/jspdf.umd.min.js'
+];
+
+// A new version downloads everything up front, then waits until the page
+// asks it to take over (see setupOfflineApp in script.js) so a kill sheet
+// being worked on is never switched to new calculation logic mid-way.
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_FILES)));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys().then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+        .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', event => {
+    if (event.data === 'get-version') {
+        event.ports[0].postMessage(APP_VERSION);
+    } else if (event.data === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+// Cache first: the cached files are the release, the network is only used
+// for anything not in it
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(caches.open(CACHE_NAME).then(cache =>
+        cache.match(request, { ignoreSearch: true })
+            .then(cached => cached || (request.mode === 'navigate' ? cache.match('./index.html') : undefined))
+            .then(cached => cached || fetch(request))));
+});
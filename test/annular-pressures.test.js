@@ -0,0 +1,72 @@
+// ===========================
+// KILL SHEET CALCULATOR - ANNULAR PRESSURE PREDICTION TESTS
+// ===========================
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    normalizeInputs,
+    buildAnnularPressureProfile,
+    calculateKillSheet
+} = require('../calculations');
+const exampleWell = require('../examples/vertical-well.json');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not ${expected}`);
+
+const withChanges = changes => calculateKillSheet(Object.assign({}, exampleWell, changes));
+
+test('the profile starts at SICP and ends with kill mud to surface', () => {
+    const results = calculateKillSheet(exampleWell);
+    const profile = results.annular_pressure_profile;
+    const last = profile[profile.length - 1];
+
+    close(profile[0].casing_pressure, 600);
+    close(profile[0].shoe_pressure, 600 + 0.52 * 5000);
+    close(last.casing_pressure, 0, 1);
+    close(last.shoe_pressure, 0.052 * results.kill_mud_weight * 5000);
+    assert.strictEqual(last.influx_top_md, null);
+});
+
+test('the gas expands on the way up and peaks the casing pressure at surface', () => {
+    const results = calculateKillSheet(exampleWell);
+
+    assert.ok(results.peak_casing_pressure > 600);
+    assert.strictEqual(results.peak_casing_pressure_strokes, results.influx_surface_strokes);
+    assert.ok(results.influx_surface_strokes > results.surface_to_bit_strokes);
+    assert.strictEqual(results.shoe_pressure_status, 'ok');
+});
+
+test('the shoe pressure is rated against the fracture pressure', () => {
+    assert.strictEqual(withChanges({ lot_pressure: 700 }).shoe_pressure_status, 'warning');
+    assert.strictEqual(withChanges({ lot_pressure: 500 }).shoe_pressure_status, 'exceeded');
+    assert.strictEqual(withChanges({ lot_mud_weight: '' }).shoe_pressure_status, null);
+});
+
+test('no pit gain keeps the casing pressure at SIDPP until kill mud comes up the annulus', () => {
+    const profile = withChanges({ pit_gain: 0 }).annular_pressure_profile;
+
+    close(profile[0].casing_pressure, 500);
+    assert.ok(profile.every(point => point.influx_top_md === null));
+});
+
+test('no annular capacity gives no profile and blank peaks', () => {
+    const results = withChanges({ hole_diameter: 0 });
+
+    assert.deepStrictEqual(results.annular_pressure_profile, []);
+    ['peak_casing_pressure', 'peak_casing_pressure_strokes', 'peak_shoe_pressure', 'influx_surface_strokes']
+        .forEach(key => assert.ok(isNaN(results[key]), key));
+    assert.strictEqual(results.shoe_pressure_status, null);
+});
+
+test('buildAnnularPressureProfile steps through the whole kill', () => {
+    const inputs = normalizeInputs(exampleWell);
+    const results = calculateKillSheet(exampleWell);
+    const profile = buildAnnularPressureProfile(inputs, results, 1000);
+
+    assert.deepStrictEqual(profile.slice(0, 3).map(point => point.strokes), [0, 1000, 2000]);
+    assert.ok(profile[profile.length - 1].strokes + 1000 > results.kill_strokes);
+    assert.deepStrictEqual(buildAnnularPressureProfile(inputs, Object.assign({}, results, { surface_to_bit_strokes: 0 })), []);
+});
@@ -0,0 +1,82 @@
+// ===========================
+// KILL SHEET CALCULATOR - BULLHEAD PLAN TESTS
+// ===========================
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    DEFAULT_BULLHEAD_PATH,
+    normalizeInputs,
+    calculateKillSheet
+} = require('../calculations');
+const exampleWell = require('../examples/vertical-well.json');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not ${expected}`);
+
+const bullhead = changes => calculateKillSheet(Object.assign({}, exampleWell, changes));
+
+test('no bullhead plan unless a path is chosen', () => {
+    const results = calculateKillSheet(exampleWell);
+
+    assert.strictEqual(DEFAULT_BULLHEAD_PATH, 'none');
+    assert.strictEqual(normalizeInputs({ bullhead_path: 'riser' }).bullhead_path, 'none');
+    assert.strictEqual(results.bullhead_path, 'none');
+    assert.deepStrictEqual(results.bullhead_schedule, []);
+    assert.deepStrictEqual(results.bullhead_warnings, []);
+    assert.ok(isNaN(results.bullhead_start_pressure));
+});
+
+test('down the annulus: SICP to start, MAASP the most allowed', () => {
+    const results = bullhead({ bullhead_path: 'annulus' });
+
+    close(results.bullhead_start_pressure, 600);
+    close(results.bullhead_start_max_pressure, 1200);
+    close(results.bullhead_volume, results.total_annular_capacity);
+    close(results.bullhead_influx_volume, 20);
+    close(results.bullhead_strokes, results.total_annular_capacity / 0.1);
+    // Kill mud all the way down balances formation pressure
+    close(results.bullhead_end_pressure, 0, 1e-6);
+    assert.ok(results.bullhead_schedule.some(point => point.stage === 'Influx back in formation'));
+});
+
+test('down the string: SIDPP to start and the annulus left as it is', () => {
+    const results = bullhead({ bullhead_path: 'string' });
+    const first = results.bullhead_schedule[0];
+    const last = results.bullhead_schedule[results.bullhead_schedule.length - 1];
+
+    close(first.pressure, 500);
+    close(results.bullhead_volume, results.drill_string_volume);
+    assert.strictEqual(last.stage, 'Bullhead fluid at bit');
+    close(last.pressure, 0, 1e-6);
+    assert.ok(isNaN(results.bullhead_influx_volume));
+    assert.match(results.bullhead_warnings.join(' '), /leaves the influx in the annulus/);
+});
+
+test('the schedule is spaced to the bit and adds the over-displacement', () => {
+    const results = bullhead({ bullhead_path: 'string', bullhead_overdisplacement: 10 });
+    const volumes = results.bullhead_schedule.map(point => point.volume);
+
+    assert.strictEqual(volumes.length, 12);
+    close(volumes[1], results.drill_string_volume / 10);
+    close(results.bullhead_total_volume, results.drill_string_volume + 10);
+    assert.strictEqual(results.bullhead_schedule[11].stage, 'Over-displaced');
+});
+
+test('a surface pressure rating caps the maximum pressure', () => {
+    const results = bullhead({ bullhead_path: 'annulus', bullhead_pressure_limit: 400 });
+
+    assert.ok(results.bullhead_schedule.every(point => point.max_pressure <= 400));
+    assert.match(results.bullhead_warnings.join(' '), /more surface pressure than allowed from the start/);
+});
+
+test('light bullhead fluid and a missing shoe test are reported', () => {
+    const light = bullhead({ bullhead_path: 'annulus', bullhead_mud_weight: 10 });
+    assert.match(light.bullhead_warnings.join(' '), /does not balance formation pressure/);
+
+    const noShoeTest = bullhead({ bullhead_path: 'annulus', lot_mud_weight: '' });
+    assert.ok(noShoeTest.bullhead_schedule.every(point => isNaN(point.max_pressure)));
+    assert.match(noShoeTest.bullhead_warnings.join(' '), /Enter the shoe test/);
+});
@@ -0,0 +1,72 @@
+// ===========================
+// KILL SHEET CALCULATOR - ENGINE TESTS
+// ===========================
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    DEFAULT_INPUTS,
+    normalizeInputs,
+    validateCriticalInputs,
+    scheduledPressureAt,
+    buildPressureSchedule,
+    calculateKillSheet
+} = require('../calculations');
+const exampleWell = require('../examples/vertical-well.json');
+
+test('normalizeInputs fills missing, blank and negative values from the defaults', () => {
+    const inputs = normalizeInputs({ hole_depth: '10000', sidpp: '', sicp: -5, pit_gain: 'abc' });
+
+    assert.strictEqual(inputs.hole_depth, 10000);
+    assert.strictEqual(inputs.sidpp, DEFAULT_INPUTS.sidpp);
+    assert.strictEqual(inputs.sicp, DEFAULT_INPUTS.sicp);
+    assert.strictEqual(inputs.pit_gain, DEFAULT_INPUTS.pit_gain);
+    assert.strictEqual(inputs.current_mud_weight, DEFAULT_INPUTS.current_mud_weight);
+});
+
+test('validateCriticalInputs needs hole depth, pump capacity and mud weight', () => {
+    const inputs = normalizeInputs(exampleWell);
+    assert.strictEqual(validateCriticalInputs(inputs), true);
+
+    ['hole_depth', 'pump_capacity', 'current_mud_weight'].forEach(key => {
+        assert.strictEqual(validateCriticalInputs(Object.assign({}, inputs, { [key]: 0 })), false, key);
+    });
+});
+
+test('calculateKillSheet works out the kill mud weight, ICP and FCP', () => {
+    const results = calculateKillSheet(exampleWell);
+
+    // KMW = 10 + 500 / (0.052 x 10000); ICP = SIDPP + SCR; FCP = SCR x KMW / OMW
+    assert.ok(Math.abs(results.kill_mud_weight - (10 + 500 / 520)) < 1e-9);
+    assert.strictEqual(results.icp, 1300);
+    assert.ok(Math.abs(results.fcp - 800 * results.kill_mud_weight / 10) < 1e-9);
+    assert.ok(results.surface_to_bit_strokes > 0);
+    assert.strictEqual(results.total_strokes, results.surface_to_bit_strokes + results.bit_to_surface_strokes);
+});
+
+test('calculateKillSheet throws when the critical inputs are missing', () => {
+    assert.throws(() => calculateKillSheet({}), /must all be greater than zero/);
+    assert.throws(() => calculateKillSheet(Object.assign({}, exampleWell, { pump_capacity: '' })),
+        /must all be greater than zero/);
+});
+
+test('the pressure schedule runs from ICP to FCP and is held at FCP after the bit', () => {
+    const inputs = normalizeInputs(exampleWell);
+    const results = calculateKillSheet(exampleWell);
+    const schedule = buildPressureSchedule(inputs, results, 4);
+
+    assert.strictEqual(schedule.length, 6);
+    assert.strictEqual(schedule[0].strokes, 0);
+    assert.strictEqual(schedule[5].strokes, results.total_strokes);
+    assert.strictEqual(schedule[5].pressure, results.fcp);
+    assert.strictEqual(schedule[0].pressure, results.icp);
+    assert.ok(Math.abs(schedule[4].pressure - results.fcp) < 1e-9);
+    assert.ok(Math.abs(schedule[2].pressure - (results.icp + results.fcp) / 2) < 1e-9);
+    assert.strictEqual(scheduledPressureAt(inputs, results, results.total_strokes), results.fcp);
+});
+
+test('buildPressureSchedule is empty when there are no strokes to the bit', () => {
+    assert.deepStrictEqual(buildPressureSchedule(normalizeInputs(exampleWell), { surface_to_bit_strokes: 0 }), []);
+});
@@ -0,0 +1,91 @@
+// ===========================
+// KILL SHEET CALCULATOR - CLI TESTS
+// ===========================
+//
+// Runs the command line on the example wells and compares the printed kill
+// sheet with the reviewed copy in test/golden/. After an intended change to
+// the output, regenerate the copies with UPDATE_GOLDEN=1 npm test and review
+// the diff before committing.
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const CLI = path.join(ROOT, 'bin', 'kill-sheet.js');
+const GOLDEN = path.join(__dirname, 'golden');
+
+function runCli(args) {
+    return spawnSync(process.execPath, [CLI, ...args], { cwd: ROOT, encoding: 'utf8' });
+}
+
+const CASES = [
+    { golden: 'vertical-well.txt', args: ['examples/vertical-well.json'] },
+    { golden: 'deviated-well.txt', args: ['examples/deviated-well.json'] },
+    { golden: 'vertical-well-si.txt', args: ['examples/vertical-well.json', '--units', 'si'] }
+];
+
+CASES.forEach(({ golden, args }) => {
+    test(`kill-sheet ${args.join(' ')} matches ${golden}`, () => {
+        const run = runCli(args);
+        assert.strictEqual(run.status, 0, run.stderr);
+        assert.strictEqual(run.stderr, '');
+
+        const file = path.join(GOLDEN, golden);
+        if (process.env.UPDATE_GOLDEN) fs.writeFileSync(file, run.stdout);
+        assert.strictEqual(run.stdout, fs.readFileSync(file, 'utf8'));
+    });
+});
+
+test('kill-sheet --json prints the inputs and results', () => {
+    const run = runCli(['examples/vertical-well.json', '--json']);
+    assert.strictEqual(run.status, 0, run.stderr);
+
+    const { inputs, results } = JSON.parse(run.stdout);
+    assert.strictEqual(inputs.hole_depth, 10000);
+    assert.strictEqual(results.kill_mud_weight.toFixed(2), '10.96');
+});
+
+test('kill-sheet reports an output file it cannot write', () => {
+    const output = path.join(os.tmpdir(), 'kill-sheet-missing-directory', 'sheet.txt');
+    const run = runCli(['examples/vertical-well.json', '-o', output]);
+
+    assert.strictEqual(run.status, 1);
+    assert.match(run.stderr, /^Could not write .*sheet\.txt: ENOENT/);
+    assert.doesNotMatch(run.stderr, /\n\s+at /);
+});
+
+test('kill-sheet reports a missing well file', () => {
+    const run = runCli(['examples/no-such-well.json']);
+
+    assert.strictEqual(run.status, 1);
+    assert.match(run.stderr, /no-such-well\.json/);
+});
+
+test('kill-sheet reports a well file that is not a JSON object', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kill-sheet-'));
+    try {
+        ['null', '42', '[]', '"well"'].forEach(contents => {
+            const file = path.join(directory, 'well.json');
+            fs.writeFileSync(file, contents);
+            const run = runCli([file]);
+
+            assert.strictEqual(run.status, 1, contents);
+            assert.match(run.stderr, /^Could not read well file .*well\.json: expected a JSON object\n$/);
+        });
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('kill-sheet rejects unknown options with status 2', () => {
+    const run = runCli(['examples/vertical-well.json', '--bogus']);
+
+    assert.strictEqual(run.status, 2);
+    assert.match(run.stderr, /Unknown option: --bogus/);
+});
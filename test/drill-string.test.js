@@ -0,0 +1,79 @@
+// ===========================
+// KILL SHEET CALCULATOR - DRILL STRING TESTS
+// ===========================
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    normalizeInputs,
+    normalizeStringComponents,
+    pipeCapacity,
+    annularCapacity,
+    calculateKillSheet
+} = require('../calculations');
+const exampleWell = require('../examples/vertical-well.json');
+
+const close = (actual, expected, tolerance = 1e-9) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not ${expected}`);
+
+test('pipe and annular capacities are close to the ID² / 1029.4 rule of thumb', () => {
+    close(pipeCapacity(4.276) / (4.276 * 4.276 / 1029.4), 1, 0.002);
+    close(annularCapacity(12.25, 5) / ((12.25 * 12.25 - 25) / 1029.4), 1, 0.002);
+    assert.strictEqual(annularCapacity(5, 8), 0);
+});
+
+test('normalizeStringComponents names unnamed components and zeroes bad numbers', () => {
+    const components = normalizeStringComponents({
+        string_components: [{ od: '5', id: 4.276 }, { name: 'DC', od: 8, id: -1, length: 'x' }]
+    });
+
+    assert.deepStrictEqual(components, [
+        { name: 'Component 1', od: 5, id: 4.276, length: 0 },
+        { name: 'DC', od: 8, id: 0, length: 0 }
+    ]);
+});
+
+test('normalizeStringComponents drops null and non-object entries', () => {
+    const components = normalizeStringComponents({
+        string_components: [null, { name: 'DP', od: 5, id: 4.276 }, 'HWDP', 7, [], undefined]
+    });
+
+    assert.deepStrictEqual(components, [{ name: 'DP', od: 5, id: 4.276, length: 0 }]);
+    assert.doesNotThrow(() => normalizeInputs({ string_components: [null] }));
+});
+
+test('normalizeStringComponents turns the old fixed string fields into a component list', () => {
+    const components = normalizeStringComponents({
+        dp_od: 5, dp_id: 4.276, hwdp_present: 'true', hwdp_od: 5, hwdp_id: 3, hwdp_length: 930,
+        dc_od: 8, dc_id: 2.8125, dc_length: 600
+    });
+
+    assert.deepStrictEqual(components.map(component => [component.name, component.length]),
+        [['Drill Pipe', 0], ['HWDP', 930], ['Drill Collars', 600]]);
+    assert.deepStrictEqual(normalizeStringComponents({ dc_length: 600 }).map(component => component.name),
+        ['Drill Pipe', 'Drill Collars']);
+});
+
+test('a top component with no length fills the string down to the bit', () => {
+    const results = calculateKillSheet(exampleWell);
+    const sections = results.string_sections;
+
+    assert.strictEqual(sections[0].length, 10000 - (1500 + 930 + 32 + 568));
+    assert.strictEqual(results.string_length, 10000);
+    assert.strictEqual(sections[sections.length - 1].bottom, 10000);
+    close(results.drill_string_volume, sections.reduce((sum, section) => sum + section.internal_volume, 0));
+});
+
+test('a component straddling the casing shoe is split into open-hole and cased annulus', () => {
+    // HWDP from 8470 to 9400 ft with the shoe at 9000 ft
+    const results = calculateKillSheet(Object.assign({}, exampleWell, { casing_setting_depth: 9000 }));
+    const hwdp = results.annular_sections.filter(section => section.name === 'HWDP');
+
+    assert.deepStrictEqual(hwdp.map(section => [section.cased, section.top, section.bottom]),
+        [[false, 9000, 9400], [true, 8470, 9000]]);
+    close(hwdp[0].capacity, annularCapacity(12.25, 5));
+    close(hwdp[1].capacity, annularCapacity(12.415, 5));
+    close(results.total_annular_capacity, results.annular_sections.reduce((sum, section) => sum + section.volume, 0));
+});
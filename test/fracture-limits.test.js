@@ -0,0 +1,82 @@
+// ===========================
+// KILL SHEET CALCULATOR - FRACTURE LIMIT AND KICK TOLERANCE TESTS
+// ===========================
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    normalizeInputs,
+    buildTvdProfile,
+    mdAtTvd,
+    annularCapacity,
+    annularVolumeBetween,
+    calculateKillSheet
+} = require('../calculations');
+const exampleWell = require('../examples/vertical-well.json');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not ${expected}`);
+
+// Example well: shoe at 5000 ft TVD, leak-off 1200 psi with 10 ppg mud,
+// SIDPP 500 psi at 10000 ft
+test('MAASP and the max allowable mud weight come from the leak-off test', () => {
+    const results = calculateKillSheet(exampleWell);
+
+    close(results.max_allowable_mud_weight, 10 + 1200 / 260);
+    close(results.shoe_fracture_pressure, 3800);
+    close(results.maasp_initial, 1200);
+    close(results.maasp_kill, 1200 - (500 / 520) * 260);
+});
+
+test('SICP is rated against MAASP', () => {
+    const status = sicp => calculateKillSheet(Object.assign({}, exampleWell, { sicp: sicp })).maasp_status;
+
+    assert.strictEqual(status(700), 'ok');
+    assert.strictEqual(status(1100), 'warning');
+    assert.strictEqual(status(1250), 'exceeded');
+    assert.strictEqual(status(0), null);
+});
+
+test('no leak-off test leaves the fracture limits blank', () => {
+    const results = calculateKillSheet(Object.assign({}, exampleWell, { lot_mud_weight: '' }));
+
+    ['shoe_fracture_pressure', 'max_allowable_mud_weight', 'maasp_initial', 'maasp_kill', 'kick_tolerance_volume']
+        .forEach(key => assert.ok(isNaN(results[key]), key));
+    assert.strictEqual(results.maasp_status, null);
+});
+
+test('kick tolerance is the smaller of the shut-in and circulated volumes', () => {
+    const results = calculateKillSheet(exampleWell);
+
+    // Influx gradient 0.1 psi/ft: both heights are 700 / (0.52 − 0.1) ft; the
+    // circulated influx sits in open hole around 5" drill pipe below the shoe
+    const height = 700 / 0.42;
+    const onBottom = annularVolumeBetween(results.annular_sections, 10000 - height, 10000);
+    const atShoe = height * annularCapacity(12.25, 5) * 3800 / 5700;
+
+    close(results.kick_tolerance_volume, Math.min(onBottom, atShoe), 1e-6);
+});
+
+test('a design kick intensity overrides the actual kick', () => {
+    const actual = calculateKillSheet(exampleWell).kick_tolerance_volume;
+    const larger = calculateKillSheet(Object.assign({}, exampleWell, { kick_intensity: 2 })).kick_tolerance_volume;
+
+    assert.ok(larger < actual);
+    assert.strictEqual(calculateKillSheet(Object.assign({}, exampleWell, { kick_intensity: 10 })).kick_tolerance_volume, 0);
+});
+
+test('annularVolumeBetween only counts the sections inside the interval', () => {
+    const sections = [{ top: 0, bottom: 100, capacity: 0.1 }, { top: 100, bottom: 200, capacity: 0.2 }];
+
+    close(annularVolumeBetween(sections, 50, 150), 5 + 10);
+    assert.strictEqual(annularVolumeBetween(sections, 300, 400), 0);
+});
+
+test('mdAtTvd finds the shallowest MD reaching a TVD', () => {
+    const profile = buildTvdProfile(normalizeInputs({ hole_depth: 10000, hole_tvd: 8000 }));
+
+    close(mdAtTvd(profile, 4000, 10000), 5000, 1e-6);
+    assert.strictEqual(mdAtTvd(profile, 9000, 10000), 10000);
+});
@@ -0,0 +1,86 @@
+// ===========================
+// KILL SHEET CALCULATOR - INFLUX ANALYSIS TESTS
+// ===========================
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    INFLUX_TYPES,
+    annularCapacity,
+    annularTopForVolume,
+    calculateKillSheet
+} = require('../calculations');
+const exampleWell = require('../examples/vertical-well.json');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not ${expected}`);
+
+const withKick = changes => calculateKillSheet(Object.assign({}, exampleWell, changes));
+
+test('annularTopForVolume fills the annulus upward from the bottom', () => {
+    const sections = [{ top: 900, bottom: 1000, capacity: 0.1 }, { top: 0, bottom: 900, capacity: 0.05 }];
+
+    close(annularTopForVolume(sections, 1000, 5), 950);
+    close(annularTopForVolume(sections, 1000, 20), 900 - 10 / 0.05);
+    close(annularTopForVolume(sections, 950, 5), 900);
+    assert.strictEqual(annularTopForVolume(sections, 1000, 100), null);
+});
+
+test('the influx height comes from the pit gain around the collars', () => {
+    // 20 bbl fits in the 568 ft of 8" collars in 12.25" hole
+    const results = withKick({});
+    const height = 20 / annularCapacity(12.25, 8);
+
+    close(results.influx_height, height);
+    close(results.influx_top_md, 10000 - height);
+    close(results.calculated_influx_gradient, 0.052 * 10 - (600 - 500) / height);
+    assert.deepStrictEqual(results.influx_warnings, []);
+});
+
+test('the influx gradient classifies the kick fluid', () => {
+    const height = 20 / annularCapacity(12.25, 8);
+    const sicpFor = gradient => 500 + (0.52 - gradient) * height;
+
+    assert.strictEqual(withKick({ sicp: sicpFor(0.1) }).influx_type, 'gas');
+    assert.strictEqual(withKick({ sicp: sicpFor(0.3) }).influx_type, 'oil');
+    assert.strictEqual(withKick({ sicp: sicpFor(0.45) }).influx_type, 'water');
+    assert.deepStrictEqual(INFLUX_TYPES.map(band => band.type), ['gas', 'oil', 'water']);
+});
+
+test('an influx above the collars and the shoe is reported', () => {
+    const results = withKick({ pit_gain: 150, sicp: 700 });
+
+    assert.ok(results.influx_top_md < 10000 - 568);
+    assert.match(results.influx_warnings.join(' '), /extends above the Drill Collars/);
+    assert.doesNotMatch(results.influx_warnings.join(' '), /above the casing shoe/);
+    assert.match(withKick({ pit_gain: 900, sicp: 700 }).influx_warnings.join(' '), /above the casing shoe/);
+});
+
+test('a pit gain larger than the annulus gives no influx analysis', () => {
+    const results = withKick({ pit_gain: 100000 });
+
+    assert.ok(isNaN(results.influx_height));
+    assert.strictEqual(results.influx_type, null);
+    assert.match(results.influx_warnings[0], /larger than the whole annular volume/);
+});
+
+test('SICP below SIDPP and negative gradients are not classified', () => {
+    const lower = withKick({ sicp: 400 });
+    assert.strictEqual(lower.influx_type, null);
+    assert.match(lower.influx_warnings[0], /SICP is lower than SIDPP/);
+
+    const negative = withKick({ sicp: 5000 });
+    assert.ok(negative.calculated_influx_gradient < 0);
+    assert.strictEqual(negative.influx_type, null);
+    assert.match(negative.influx_warnings[0], /negative gradient/);
+});
+
+test('no pit gain means no influx analysis', () => {
+    const results = withKick({ pit_gain: '' });
+
+    assert.ok(isNaN(results.influx_height));
+    assert.ok(isNaN(results.calculated_influx_gradient));
+    assert.deepStrictEqual(results.influx_warnings, []);
+});
@@ -0,0 +1,97 @@
+// ===========================
+// KILL SHEET CALCULATOR - KILL METHOD TESTS
+// ===========================
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    KILL_METHODS,
+    DEFAULT_KILL_METHOD,
+    normalizeInputs,
+    pressureForMudWeightAtBit,
+    killPressureAt,
+    calculateKillSheet
+} = require('../calculations');
+const exampleWell = require('../examples/vertical-well.json');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not ${expected}`);
+
+const killWith = changes => {
+    const raw = Object.assign({}, exampleWell, changes);
+    return { inputs: normalizeInputs(raw), results: calculateKillSheet(raw) };
+};
+
+test('an unknown kill method falls back to wait and weight', () => {
+    assert.strictEqual(DEFAULT_KILL_METHOD, 'wait_and_weight');
+    assert.strictEqual(normalizeInputs({ kill_method: 'bogus' }).kill_method, 'wait_and_weight');
+    assert.strictEqual(KILL_METHODS.drillers.circulations, 2);
+});
+
+test('pressureForMudWeightAtBit gives ICP at the original and FCP at the kill mud weight', () => {
+    const { inputs, results } = killWith({});
+
+    close(pressureForMudWeightAtBit(inputs, results, inputs.current_mud_weight), results.icp);
+    close(pressureForMudWeightAtBit(inputs, results, results.kill_mud_weight), results.fcp);
+});
+
+test("Driller's method holds ICP for the first circulation, then follows the kill mud schedule", () => {
+    const { inputs, results } = killWith({ kill_method: 'drillers' });
+    const schedule = results.pressure_schedule;
+
+    assert.strictEqual(results.kill_strokes, 2 * results.total_strokes);
+    assert.deepStrictEqual(schedule.slice(0, 3).map(row => [row.circulation, row.pressure, row.mud_weight]),
+        [[1, results.icp, 10], [1, results.icp, 10], [1, results.icp, 10]]);
+    assert.strictEqual(schedule[2].strokes, results.total_strokes);
+    assert.strictEqual(schedule[3].circulation, 2);
+    assert.strictEqual(schedule[3].pressure, results.icp);
+    assert.strictEqual(schedule[schedule.length - 1].strokes, results.kill_strokes);
+    assert.strictEqual(killPressureAt(inputs, results, results.total_strokes - 1), results.icp);
+    close(killPressureAt(inputs, results, results.total_strokes + results.surface_to_bit_strokes), results.fcp);
+});
+
+test('the concurrent method steps the mud weight up to kill mud', () => {
+    // KMW − CMW = 0.96 ppg: two 0.5 ppg steps, the last one capped at kill mud
+    const { inputs, results } = killWith({ kill_method: 'concurrent', concurrent_weight_step: 0.5 });
+    const steps = results.concurrent_steps;
+
+    assert.strictEqual(steps.length, 2);
+    close(steps[0].mud_weight, 10.5);
+    close(steps[1].mud_weight, results.kill_mud_weight);
+    assert.strictEqual(steps[1].start_strokes, results.surface_to_bit_strokes);
+    assert.strictEqual(steps[1].bit_strokes, 2 * results.surface_to_bit_strokes);
+    close(steps[0].pressure, pressureForMudWeightAtBit(inputs, results, 10.5));
+    close(steps[1].pressure, results.fcp);
+    assert.strictEqual(results.kill_strokes, steps[1].start_strokes + results.total_strokes);
+});
+
+test('the concurrent method holds each step until the next reaches the bit', () => {
+    const { inputs, results } = killWith({ kill_method: 'concurrent', concurrent_weight_step: 0.5, concurrent_step_strokes: 500 });
+    const [first, second] = results.concurrent_steps;
+
+    assert.strictEqual(second.start_strokes, 500);
+    assert.strictEqual(killPressureAt(inputs, results, first.bit_strokes - 1), results.icp);
+    assert.strictEqual(killPressureAt(inputs, results, first.bit_strokes), first.pressure);
+    assert.strictEqual(killPressureAt(inputs, results, second.bit_strokes), second.pressure);
+    assert.deepStrictEqual(results.pressure_schedule.map(row => row.stage),
+        ['Start weighting up', 'Step 1 at bit', 'Step 2 at bit', 'Kill mud at surface']);
+});
+
+test('a tiny weight step is spread over at most 50 concurrent steps', () => {
+    const { results } = killWith({ kill_method: 'concurrent', concurrent_weight_step: 0.001 });
+
+    assert.strictEqual(results.concurrent_steps.length, 50);
+    close(results.concurrent_steps[49].mud_weight, results.kill_mud_weight);
+});
+
+test('the chart has a point on both sides of every step', () => {
+    const { results } = killWith({ kill_method: 'drillers' });
+    const atBreak = results.chart_points.filter(point => point.strokes === results.total_strokes);
+
+    assert.strictEqual(atBreak.length, 2);
+    assert.deepStrictEqual(atBreak.map(point => point.circulation), [1, 2]);
+    const strokes = results.chart_points.map(point => point.strokes);
+    assert.deepStrictEqual(strokes, strokes.slice().sort((a, b) => a - b));
+});
@@ -0,0 +1,69 @@
+// ===========================
+// KILL SHEET CALCULATOR - KILL MONITORING TESTS
+// ===========================
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    normalizeInputs,
+    normalizeKillLog,
+    killPressureAt,
+    calculateKillSheet
+} = require('../calculations');
+const exampleWell = require('../examples/vertical-well.json');
+
+const withLog = (log, changes) => calculateKillSheet(Object.assign({}, exampleWell, { kill_log: log }, changes));
+
+test('normalizeKillLog keeps blank readings as null', () => {
+    const log = normalizeKillLog([
+        { time: '10:15', strokes: '200', drillpipe_pressure: '1250', casing_pressure: '', spm: -3 },
+        { strokes: 'abc' }
+    ]);
+
+    assert.deepStrictEqual(log, [
+        { time: '10:15', strokes: 200, drillpipe_pressure: 1250, casing_pressure: null, spm: null, pit_volume: null },
+        { time: '', strokes: null, drillpipe_pressure: null, casing_pressure: null, spm: null, pit_volume: null }
+    ]);
+    assert.deepStrictEqual(normalizeKillLog('not a list'), []);
+});
+
+test('normalizeKillLog drops null and non-object readings', () => {
+    const log = normalizeKillLog([null, 'reading', { time: '10:15', strokes: 200 }, [200, 1250]]);
+
+    assert.deepStrictEqual(log.map(reading => reading.time), ['10:15']);
+    assert.doesNotThrow(() => calculateKillSheet(Object.assign({}, exampleWell, { kill_log: [null] })));
+});
+
+test('readings are rated against the schedule at the same strokes', () => {
+    const inputs = normalizeInputs(exampleWell);
+    const planned = strokes => killPressureAt(inputs, calculateKillSheet(exampleWell), strokes);
+    const results = withLog([
+        { time: '10:00', strokes: 0, drillpipe_pressure: planned(0) + 20 },
+        { time: '10:10', strokes: 300, drillpipe_pressure: planned(300) + 120 },
+        { time: '10:20', strokes: 600, drillpipe_pressure: planned(600) - 80 }
+    ]);
+
+    assert.deepStrictEqual(results.kill_log.map(reading => reading.status), ['ok', 'high', 'low']);
+    assert.ok(Math.abs(results.kill_log[1].deviation - 120) < 1e-9);
+    assert.strictEqual(results.kill_log_latest.time, '10:20');
+    assert.strictEqual(results.kill_log_deviations, 2);
+});
+
+test('the monitoring tolerance can be widened', () => {
+    const planned = killPressureAt(normalizeInputs(exampleWell), calculateKillSheet(exampleWell), 300);
+    const results = withLog([{ strokes: 300, drillpipe_pressure: planned + 120 }], { monitor_tolerance: 150 });
+
+    assert.strictEqual(results.kill_log[0].status, 'ok');
+    assert.strictEqual(results.kill_log_deviations, 0);
+});
+
+test('readings without strokes or drillpipe pressure are not rated', () => {
+    const results = withLog([{ time: '10:00', strokes: 100 }, { time: '10:05', drillpipe_pressure: 1200 }]);
+
+    assert.deepStrictEqual(results.kill_log.map(reading => reading.status), [null, null]);
+    assert.strictEqual(results.kill_log[0].planned_pressure, null);
+    assert.strictEqual(results.kill_log_latest, null);
+    assert.strictEqual(results.kill_log_deviations, 0);
+});
@@ -0,0 +1,71 @@
+// ===========================
+// KILL SHEET CALCULATOR - KILL MUD POLICY TESTS
+// ===========================
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    normalizeInputs,
+    applyKillMudPolicy,
+    killPressureAt,
+    calculateKillSheet
+} = require('../calculations');
+const exampleWell = require('../examples/vertical-well.json');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not ${expected}`);
+
+const balanced = 10 + 500 / 520;
+const withPolicy = policy => calculateKillSheet(Object.assign({}, exampleWell, policy));
+
+test('no policy leaves the kill balanced', () => {
+    const results = calculateKillSheet(exampleWell);
+
+    close(results.kill_mud_weight, balanced);
+    close(results.kill_mud_overbalance, 0);
+    assert.strictEqual(results.icp, results.balanced_icp);
+    assert.deepStrictEqual(results.kill_policy, []);
+});
+
+test('trip margins are added as ppg or as psi at the bit', () => {
+    close(withPolicy({ trip_margin_mud_weight: 0.3 }).kill_mud_weight, balanced + 0.3);
+
+    const pressure = withPolicy({ trip_margin_pressure: 200 });
+    close(pressure.kill_mud_weight, balanced + 200 / 520);
+    close(pressure.kill_mud_overbalance, 200);
+});
+
+test('the kill mud weight is rounded up to the increment', () => {
+    close(withPolicy({ kill_mud_weight_increment: 0.1 }).kill_mud_weight, 11.0);
+    close(withPolicy({ kill_mud_weight_increment: 0.5, trip_margin_mud_weight: 0.1 }).kill_mud_weight, 11.5);
+
+    // Already on a multiple: not pushed to the next one
+    const inputs = normalizeInputs({ kill_mud_weight_increment: 0.1 });
+    close(applyKillMudPolicy(inputs, { bit_tvd: 10000 }, 11.2), 11.2);
+});
+
+test('the safety margin raises the whole drillpipe schedule', () => {
+    const plain = calculateKillSheet(exampleWell);
+    const results = withPolicy({ schedule_safety_margin: 50 });
+    const inputs = normalizeInputs(Object.assign({}, exampleWell, { schedule_safety_margin: 50 }));
+
+    close(results.icp, plain.icp + 50);
+    close(results.fcp, plain.fcp + 50);
+    close(results.balanced_fcp, plain.fcp);
+    close(killPressureAt(inputs, results, results.surface_to_bit_strokes / 2), (plain.icp + plain.fcp) / 2 + 50);
+});
+
+test('a heavier kill mud never takes the drillpipe pressure below the friction', () => {
+    const results = withPolicy({ kill_method: 'concurrent', trip_margin_mud_weight: 2 });
+
+    assert.ok(results.concurrent_steps.every(step => step.pressure >= 800));
+});
+
+test('the policy in use is listed with the sheet', () => {
+    const results = withPolicy({ trip_margin_pressure: 200, schedule_safety_margin: 50, kill_mud_weight_increment: '' });
+
+    assert.deepStrictEqual(results.kill_policy.map(term => [term.key, term.value]),
+        [['trip_margin_pressure', 200], ['schedule_safety_margin', 50]]);
+});
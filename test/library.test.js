@@ -0,0 +1,134 @@
+// ===========================
+// KILL SHEET CALCULATOR - SAVED WELL LIBRARY TESTS
+// ===========================
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    LIBRARY_STORAGE_KEY,
+    POLICY_STORAGE_KEY,
+    LIBRARY_FILE_FORMAT,
+    LIBRARY_FILE_VERSION,
+    defaultSheetName,
+    createSheetRecord,
+    duplicateSheetRecord,
+    normalizeSheetRecord,
+    readLibrary,
+    writeLibrary,
+    upsertSheet,
+    removeSheet,
+    extractPolicy,
+    readPolicy,
+    writePolicy,
+    buildLibraryFile,
+    parseLibraryFile
+} = require('../library');
+const exampleWell = require('../examples/vertical-well.json');
+
+// In-memory stand-in for window.localStorage
+function memoryStorage(initial = {}) {
+    const items = Object.assign({}, initial);
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); }
+    };
+}
+
+test('defaultSheetName is built from the sheet details', () => {
+    assert.strictEqual(defaultSheetName({ well_name: 'A-12', wellbore: 'ST1', sheet_date: '2025-03-04' }),
+        'A-12 / ST1 (2025-03-04)');
+    assert.strictEqual(defaultSheetName({ well_name: 'A-12' }), 'A-12');
+    assert.strictEqual(defaultSheetName({}), 'Untitled kill sheet');
+});
+
+test('a duplicated sheet gets a new id and its own copy of the well', () => {
+    const record = createSheetRecord({ well_name: 'A-12', sidpp: 500 }, 'si');
+    const copy = duplicateSheetRecord(record);
+
+    assert.notStrictEqual(copy.id, record.id);
+    assert.strictEqual(copy.name, 'A-12 (copy)');
+    assert.strictEqual(copy.unit_system, 'si');
+    copy.well.sidpp = 600;
+    assert.strictEqual(record.well.sidpp, 500);
+});
+
+test('normalizeSheetRecord rejects records without a well and fills in the rest', () => {
+    assert.strictEqual(normalizeSheetRecord(null), null);
+    assert.strictEqual(normalizeSheetRecord({ name: 'No well' }), null);
+    assert.strictEqual(normalizeSheetRecord({ well: 'text' }), null);
+
+    const record = normalizeSheetRecord({ well: { well_name: 'B-3' } });
+    assert.ok(record.id);
+    assert.strictEqual(record.name, 'B-3');
+    assert.strictEqual(record.unit_system, 'oilfield');
+});
+
+test('the library is stored newest first and survives a round trip', () => {
+    const storage = memoryStorage();
+    const first = createSheetRecord({ well_name: 'A' }, 'oilfield');
+    const second = createSheetRecord({ well_name: 'B' }, 'oilfield');
+
+    let records = upsertSheet(upsertSheet([], first), second);
+    assert.deepStrictEqual(records.map(record => record.well.well_name), ['B', 'A']);
+
+    records = upsertSheet(records, Object.assign({}, first, { name: 'A again' }));
+    assert.deepStrictEqual(records.map(record => record.name), ['A again', 'B']);
+
+    writeLibrary(storage, records);
+    assert.deepStrictEqual(readLibrary(storage), records);
+    assert.deepStrictEqual(removeSheet(records, first.id).map(record => record.id), [second.id]);
+});
+
+test('unreadable storage gives an empty library, and bad records are dropped', () => {
+    assert.deepStrictEqual(readLibrary(memoryStorage({ [LIBRARY_STORAGE_KEY]: '{not json' })), []);
+    assert.deepStrictEqual(readLibrary(memoryStorage({ [LIBRARY_STORAGE_KEY]: '{"a":1}' })), []);
+    assert.deepStrictEqual(readLibrary(memoryStorage()), []);
+
+    const stored = JSON.stringify([null, { well: { well_name: 'C' } }, 7]);
+    assert.deepStrictEqual(readLibrary(memoryStorage({ [LIBRARY_STORAGE_KEY]: stored })).map(record => record.name), ['C']);
+});
+
+test('the default kill mud policy keeps only the policy fields', () => {
+    const storage = memoryStorage();
+    const well = Object.assign({}, exampleWell, { policy_name: 'Company', trip_margin_pressure: 200 });
+
+    assert.deepStrictEqual(extractPolicy(well), { policy_name: 'Company', trip_margin_pressure: 200 });
+    assert.strictEqual(readPolicy(storage), null);
+    writePolicy(storage, well);
+    assert.deepStrictEqual(readPolicy(storage), { policy_name: 'Company', trip_margin_pressure: 200 });
+});
+
+test('an unreadable default policy is ignored', () => {
+    assert.strictEqual(readPolicy(memoryStorage({ [POLICY_STORAGE_KEY]: '{not json' })), null);
+    assert.strictEqual(readPolicy(memoryStorage({ [POLICY_STORAGE_KEY]: '[200]' })), null);
+});
+
+test('an exported library file reads back as the same sheets', () => {
+    const records = [createSheetRecord(exampleWell, 'oilfield')];
+    const file = buildLibraryFile(records);
+
+    assert.strictEqual(file.format, LIBRARY_FILE_FORMAT);
+    assert.strictEqual(file.version, LIBRARY_FILE_VERSION);
+    assert.deepStrictEqual(parseLibraryFile(JSON.stringify(file)), records);
+});
+
+test('a plain well file is imported as a single sheet in its own units', () => {
+    const records = parseLibraryFile(JSON.stringify(Object.assign({ units: 'si' }, exampleWell)));
+
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].unit_system, 'si');
+    assert.strictEqual(records[0].name, exampleWell.well_name);
+});
+
+test('parseLibraryFile explains files it cannot use', () => {
+    assert.throws(() => parseLibraryFile('{'), /not valid JSON/);
+    assert.throws(() => parseLibraryFile('null'), /does not contain a kill sheet/);
+    assert.throws(() => parseLibraryFile('[1, 2]'), /does not contain a kill sheet/);
+    assert.throws(() => parseLibraryFile(JSON.stringify({ format: 'other' })), /Unknown file format "other"/);
+    assert.throws(() => parseLibraryFile(JSON.stringify({ format: LIBRARY_FILE_FORMAT, version: LIBRARY_FILE_VERSION + 1 })),
+        /is not supported/);
+    assert.throws(() => parseLibraryFile(JSON.stringify({ format: LIBRARY_FILE_FORMAT, version: 1, sheets: [null] })),
+        /does not contain any kill sheets/);
+});
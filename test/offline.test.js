@@ -0,0 +1,38 @@
+// ===========================
+// KILL SHEET CALCULATOR - OFFLINE APP TESTS
+// ===========================
+//
+// The service worker is a browser script, so its file list and version are
+// read from the source rather than loaded.
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SW = fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8');
+const INDEX = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+
+const appFiles = Array.from(SW.match(/const APP_FILES = \[([\s\S]*?)\];/)[1].matchAll(/'([^']+)'/g), match => match[1]);
+
+test('every cached file exists', () => {
+    appFiles.filter(file => file !== './').forEach(file => {
+        assert.ok(fs.existsSync(path.join(ROOT, file)), `${file} is missing`);
+    });
+});
+
+test('every file the page loads is cached', () => {
+    const loaded = Array.from(INDEX.matchAll(/(?:src|href)="(\.\/[^"]+)"/g), match => match[1]);
+
+    assert.ok(loaded.length > 0);
+    loaded.forEach(file => assert.ok(appFiles.includes(file), `${file} is not in APP_FILES`));
+});
+
+test('the cache version is the package version', () => {
+    const appVersion = SW.match(/const APP_VERSION = '([^']+)'/)[1];
+
+    assert.strictEqual(appVersion, require('../package.json').version);
+});
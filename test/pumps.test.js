@@ -0,0 +1,70 @@
+// ===========================
+// KILL SHEET CALCULATOR - RIG PUMP TESTS
+// ===========================
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    normalizeInputs,
+    normalizePumps,
+    pumpOutput,
+    calculateKillSheet
+} = require('../calculations');
+const exampleWell = require('../examples/vertical-well.json');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not ${expected}`);
+
+const triplex = { name: 'Mud pump 1', type: 'triplex', liner: 6, stroke: 12, efficiency: 100 };
+
+test('triplex output matches the 0.000243 × liner² × stroke rule', () => {
+    close(pumpOutput(normalizePumps([triplex])[0]), 0.000243 * 36 * 12, 1e-4);
+    close(pumpOutput(normalizePumps([Object.assign({}, triplex, { efficiency: 95 })])[0]),
+        0.95 * pumpOutput(normalizePumps([triplex])[0]));
+});
+
+test('duplex output takes the rod off the back stroke', () => {
+    const pump = normalizePumps([{ type: 'duplex', liner: 6, stroke: 16, rod: 2.5, efficiency: 90 }])[0];
+
+    // 0.000162 × stroke × (2 × liner² − rod²) at 100 %
+    close(pumpOutput(pump), 0.9 * 0.000162 * 16 * (2 * 36 - 6.25), 1e-4);
+    assert.strictEqual(pumpOutput(null), 0);
+});
+
+test('normalizePumps fills in names, types and efficiency', () => {
+    const pumps = normalizePumps([{ liner: '6', stroke: '12', efficiency: '' }, { type: 'quintuplex', efficiency: 140 }]);
+
+    assert.deepStrictEqual(pumps[0], { name: 'Pump 1', type: 'triplex', liner: 6, stroke: 12, rod: 0, efficiency: 100 });
+    assert.strictEqual(pumps[1].type, 'triplex');
+    assert.strictEqual(pumps[1].efficiency, 100);
+    assert.deepStrictEqual(normalizePumps('not a list'), []);
+});
+
+test('the kill pump sets the pump capacity', () => {
+    const inputs = normalizeInputs(Object.assign({}, exampleWell, { pumps: [triplex], kill_pump: '0' }));
+
+    assert.strictEqual(inputs.kill_pump, 0);
+    close(inputs.pump_capacity, pumpOutput(inputs.pumps[0]));
+    assert.ok(calculateKillSheet(Object.assign({}, exampleWell, { pumps: [triplex], kill_pump: 0 })).total_strokes > 0);
+});
+
+test('a kill pump without dimensions or out of range leaves the pump capacity as entered', () => {
+    const noSize = normalizeInputs(Object.assign({}, exampleWell, { pumps: [{ name: 'Spare' }], kill_pump: 0 }));
+    assert.strictEqual(noSize.kill_pump, null);
+    assert.strictEqual(noSize.pump_capacity, exampleWell.pump_capacity);
+
+    ['', '3', -1, 'abc'].forEach(value => {
+        assert.strictEqual(normalizeInputs({ pumps: [triplex], kill_pump: value }).kill_pump, null, String(value));
+    });
+});
+
+test('null pumps are dropped and the kill pump still points at the same pump', () => {
+    const pumps = [null, { name: 'Mud pump 2', liner: 5.5, stroke: 12 }, 'pump', triplex];
+
+    const inputs = normalizeInputs({ pumps: pumps, kill_pump: 3 });
+    assert.deepStrictEqual(inputs.pumps.map(pump => pump.name), ['Mud pump 2', 'Mud pump 1']);
+    assert.strictEqual(inputs.kill_pump, 1);
+    assert.strictEqual(normalizeInputs({ pumps: pumps, kill_pump: 0 }).kill_pump, null);
+});
@@ -0,0 +1,126 @@
+// ===========================
+// KILL SHEET CALCULATOR - PDF REPORT TESTS
+// ===========================
+//
+// report.js is a browser script using the globals of units.js and
+// calculations.js, so it is run in a context holding their exports. A fake
+// jsPDF records the text drawn on each page.
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const units = require('../units');
+const calculations = require('../calculations');
+const exampleWell = require('../examples/vertical-well.json');
+
+const context = vm.createContext(Object.assign({}, units, calculations));
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'report.js'), 'utf8'), context);
+const {
+    reportNumber,
+    reportCreationDate,
+    reportFileId,
+    reportAxisStep,
+    buildKillSheetReport
+} = context;
+
+class FakePdf {
+    constructor(options) {
+        this.options = options;
+        this.pages = [[]];
+        this.current = 0;
+    }
+    addPage() {
+        this.pages.push([]);
+        this.current = this.pages.length - 1;
+    }
+    getNumberOfPages() { return this.pages.length; }
+    setPage(pageNumber) { this.current = pageNumber - 1; }
+    text(text) { this.pages[this.current].push([].concat(text).join(' ')); }
+    getTextWidth(text) { return String(text).length * 4; }
+    splitTextToSize(text) { return [String(text)]; }
+    setCreationDate(date) { this.creationDate = date; }
+    setFileId(id) { this.fileId = id; }
+    setProperties(properties) { this.properties = properties; }
+}
+['line', 'lines', 'rect', 'setDrawColor', 'setFillColor', 'setFont', 'setFontSize', 'setLineDashPattern',
+    'setLineWidth', 'setTextColor'].forEach(method => { FakePdf.prototype[method] = () => {}; });
+
+const DETAILS = { well_name: 'Example 1', sheet_date: '2024-03-05', sheet_time: '14:30', supervisor: 'A. Driller' };
+
+const report = (changes = {}, details = DETAILS, systemKey = 'oilfield', options = {}) => {
+    const well = Object.assign({}, exampleWell, changes);
+    return buildKillSheetReport(FakePdf, details, calculations.normalizeInputs(well),
+        calculations.calculateKillSheet(well), systemKey, options);
+};
+const allText = doc => doc.pages.map(page => page.join('\n')).join('\n');
+
+test('reportNumber shows "--" for anything not a finite number', () => {
+    assert.strictEqual(reportNumber(1.236, 2), '1.24');
+    [NaN, Infinity, null, undefined, '12'].forEach(value => assert.strictEqual(reportNumber(value, 1), '--'));
+});
+
+test('the creation date comes from the sheet date and time', () => {
+    assert.strictEqual(reportCreationDate(DETAILS), 'D:20240305143000+00\'00\'');
+    assert.strictEqual(reportCreationDate({ sheet_date: '2024-03-05' }), 'D:20240305000000+00\'00\'');
+    ['', '05/03/2024', '1969-12-31'].forEach(date =>
+        assert.strictEqual(reportCreationDate({ sheet_date: date }), 'D:20000101000000+00\'00\''));
+    assert.strictEqual(reportCreationDate({}), 'D:20000101000000+00\'00\'');
+});
+
+test('the file id is 32 hex digits that follow the contents', () => {
+    assert.match(reportFileId('sheet'), /^[0-9a-f]{32}$/);
+    assert.strictEqual(reportFileId('sheet'), reportFileId('sheet'));
+    assert.notStrictEqual(reportFileId('sheet'), reportFileId('sheet '));
+    assert.match(reportFileId(''), /^[0-9a-f]{32}$/);
+});
+
+test('axis steps are round numbers', () => {
+    assert.strictEqual(reportAxisStep(1000, 5), 200);
+    assert.strictEqual(reportAxisStep(73, 5), 20);
+    assert.strictEqual(reportAxisStep(2, 8), 0.25);
+});
+
+test('the report has the kill sheet sections and numbered pages', () => {
+    const doc = report();
+    const text = allText(doc);
+    const pageCount = doc.pages.length;
+
+    assert.strictEqual(doc.options.format, 'letter');
+    assert.strictEqual(doc.properties.title, 'Kill Sheet - Example 1');
+    ['KICK DATA', 'CALCULATED KILL PARAMETERS', 'SIGNATURES', 'A. Driller'].forEach(part =>
+        assert.ok(text.includes(part), part));
+    doc.pages.forEach((page, index) => assert.ok(page.includes(`Page ${index + 1} of ${pageCount}`)));
+    assert.ok(!text.includes('NOT FOR USE'));
+    assert.ok(!text.includes('BULLHEAD PLAN'));
+});
+
+test('the same sheet gives the same file', () => {
+    const first = report();
+    const second = report();
+
+    assert.strictEqual(first.creationDate, 'D:20240305143000+00\'00\'');
+    assert.strictEqual(first.fileId, second.fileId);
+    assert.deepStrictEqual(first.pages, second.pages);
+    assert.notStrictEqual(report({ sidpp: 510 }).fileId, first.fileId);
+});
+
+test('sheets with errors are stamped on every page with the checks listed', () => {
+    const doc = report({ casing_setting_depth: 12000 }, DETAILS, 'oilfield', { notForUse: true });
+
+    doc.pages.forEach(page => assert.ok(page.includes('NOT FOR USE - THIS SHEET HAS ERRORS')));
+    assert.match(allText(doc), /Error: The casing shoe is deeper than the hole\./);
+});
+
+test('worksheets that apply are added, in the chosen units', () => {
+    const doc = report({ bullhead_path: 'annulus', stripping_bit_depth: 5000 }, {}, 'si');
+    const text = allText(doc);
+
+    assert.strictEqual(doc.properties.title, 'Kill Sheet');
+    assert.ok(text.includes('BULLHEAD PLAN (DOWN THE ANNULUS)'));
+    assert.ok(text.includes('STRIPPING WORKSHEET'));
+    assert.ok(text.includes('kPa'));
+});
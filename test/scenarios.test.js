@@ -0,0 +1,102 @@
+// ===========================
+// KILL SHEET CALCULATOR - SCENARIO AND SENSITIVITY TESTS
+// ===========================
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    SCENARIO_STORAGE_KEY,
+    SCENARIO_RESULT_KEYS,
+    SENSITIVITY_OUTPUTS,
+    MAX_SENSITIVITY_STEPS,
+    defaultScenarioName,
+    createScenario,
+    normalizeScenario,
+    sameScenarioValue,
+    scenarioChanges,
+    sensitivityValues,
+    readScenarios,
+    writeScenarios
+} = require('../scenarios');
+const { RESULT_SECTIONS } = require('../calculations');
+const exampleWell = require('../examples/vertical-well.json');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not ${expected}`);
+
+// In-memory stand-in for window.localStorage
+function memoryStorage(initial = {}) {
+    const items = Object.assign({}, initial);
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); }
+    };
+}
+
+test('compared and plotted results are all kill sheet results', () => {
+    const keys = RESULT_SECTIONS.reduce((all, section) => all.concat(section.fields.map(field => field.key)), []);
+
+    SCENARIO_RESULT_KEYS.concat(SENSITIVITY_OUTPUTS).forEach(key => assert.ok(keys.includes(key), key));
+});
+
+test('defaultScenarioName picks the first unused number', () => {
+    assert.strictEqual(defaultScenarioName([]), 'Scenario 1');
+    assert.strictEqual(defaultScenarioName([{ name: 'Scenario 2' }]), 'Scenario 3');
+    assert.strictEqual(defaultScenarioName([{ name: 'High SIDPP' }]), 'Scenario 2');
+});
+
+test('a scenario holds its own copy of the well', () => {
+    const scenario = createScenario(exampleWell, 'High SIDPP');
+    scenario.well.sidpp = 700;
+    scenario.well.string_components[0].od = 5.5;
+
+    assert.match(scenario.id, /^sc-/);
+    assert.strictEqual(exampleWell.sidpp, 500);
+    assert.strictEqual(exampleWell.string_components[0].od, 5);
+    assert.notStrictEqual(createScenario(exampleWell, 'A').id, scenario.id);
+});
+
+test('normalizeScenario fills in an id and name and rejects scenarios without a well', () => {
+    const scenario = normalizeScenario({ well: { sidpp: 600 } });
+
+    assert.match(scenario.id, /^sc-/);
+    assert.strictEqual(scenario.name, 'Scenario');
+    assert.deepStrictEqual(normalizeScenario({ id: 7, name: 'Slow', well: {} }), { id: '7', name: 'Slow', well: {} });
+    [null, 'x', {}, { well: null }, { well: 'well' }].forEach(bad =>
+        assert.strictEqual(normalizeScenario(bad), null, JSON.stringify(bad)));
+});
+
+test('scenario changes ignore rounding and blank against missing', () => {
+    assert.ok(sameScenarioValue(0.1 + 0.2, 0.3));
+    assert.ok(sameScenarioValue(undefined, ''));
+    assert.ok(!sameScenarioValue(0, ''));
+    assert.ok(sameScenarioValue(30, '30'));
+    assert.deepStrictEqual(scenarioChanges(exampleWell, Object.assign({}, exampleWell, { sidpp: 600, pit_gain: '' }),
+        ['sidpp', 'sicp', 'pit_gain']), ['sidpp', 'pit_gain']);
+});
+
+test('sensitivityValues spaces the points evenly, ends included', () => {
+    assert.deepStrictEqual(sensitivityValues(20, 40, 5), [20, 25, 30, 35, 40]);
+    const falling = sensitivityValues(1, 0, 4);
+    [1, 2 / 3, 1 / 3, 0].forEach((value, index) => close(falling[index], value));
+});
+
+test('sensitivityValues refuses ranges that cannot be swept', () => {
+    assert.throws(() => sensitivityValues(NaN, 10, 5), /Enter the start and end/);
+    assert.throws(() => sensitivityValues(-1, 10, 5), /negative/);
+    assert.throws(() => sensitivityValues(10, 10, 5), /are the same/);
+    [1, 2.5, MAX_SENSITIVITY_STEPS + 1, NaN].forEach(steps =>
+        assert.throws(() => sensitivityValues(0, 10, steps), /whole number from 2/, String(steps)));
+});
+
+test('scenarios round trip through storage; unreadable storage gives none', () => {
+    const storage = memoryStorage();
+    writeScenarios(storage, [createScenario({ sidpp: 600 }, 'A'), { name: 'no well' }]);
+
+    assert.deepStrictEqual(readScenarios(storage).map(scenario => scenario.name), ['A']);
+    assert.deepStrictEqual(readScenarios(memoryStorage({ [SCENARIO_STORAGE_KEY]: '{' })), []);
+    assert.deepStrictEqual(readScenarios(memoryStorage({ [SCENARIO_STORAGE_KEY]: '{"a": 1}' })), []);
+    assert.deepStrictEqual(readScenarios(memoryStorage()), []);
+});
@@ -0,0 +1,101 @@
+// ===========================
+// KILL SHEET CALCULATOR - SLOW CIRCULATING RATE TESTS
+// ===========================
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    normalizeInputs,
+    normalizeScrTable,
+    scrPressureAt,
+    selectScr
+} = require('../calculations');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not ${expected}`);
+
+const records = [{ pump: '', spm: 20, pressure: 400 }, { pump: '', spm: 40, pressure: 1000 }];
+const well = changes => Object.assign({
+    hole_depth: 10000,
+    current_mud_weight: 10,
+    pump_capacity: 0.1,
+    strokes_per_min: 30,
+    user_stroke_pressure: 800,
+    scr_table: records
+}, changes);
+
+test('normalizeScrTable drops records without a rate and pressure', () => {
+    const table = normalizeScrTable([
+        { pump: ' Pump 1 ', spm: '30', pressure: '650', date: '2025-03-04', depth: '', mud_weight: 10 },
+        { spm: 40, pressure: '' },
+        { spm: '', pressure: 900 }
+    ]);
+
+    assert.deepStrictEqual(table, [
+        { pump: 'Pump 1', spm: 30, pressure: 650, clf: 0, date: '2025-03-04', depth: 0, mud_weight: 10 }
+    ]);
+    assert.deepStrictEqual(normalizeScrTable('not a list'), []);
+});
+
+test('normalizeScrTable drops null and non-object records', () => {
+    assert.deepStrictEqual(normalizeScrTable([null, 'scr', [30, 650], { spm: 30, pressure: 650 }]).map(record => record.spm), [30]);
+    assert.doesNotThrow(() => normalizeInputs(well({ scr_table: [null] })));
+});
+
+test('scrPressureAt follows a power law between two records', () => {
+    const exponent = Math.log(1000 / 400) / Math.log(40 / 20);
+    const between = scrPressureAt(records, 30);
+
+    close(between.pressure, 400 * Math.pow(30 / 20, exponent));
+    assert.strictEqual(between.basis, 'interpolated');
+    assert.strictEqual(scrPressureAt(records, 40).basis, 'recorded');
+    assert.strictEqual(scrPressureAt(records, 40).pressure, 1000);
+
+    const beyond = scrPressureAt(records, 50);
+    close(beyond.pressure, 400 * Math.pow(50 / 20, exponent));
+    assert.strictEqual(beyond.basis, 'extrapolated');
+});
+
+test('a single record is scaled with the square of the rate', () => {
+    const scr = scrPressureAt([records[0]], 30);
+
+    close(scr.pressure, 400 * 2.25);
+    assert.strictEqual(scr.basis, 'scaled');
+});
+
+test('the SCR table sets the slow pump pressure at the kill rate', () => {
+    const inputs = normalizeInputs(well({}));
+    close(inputs.user_stroke_pressure, scrPressureAt(records, 30).pressure);
+
+    // No kill rate given: the slowest recorded rate is used
+    const slowest = normalizeInputs(well({ strokes_per_min: '' }));
+    assert.strictEqual(slowest.strokes_per_min, 20);
+    assert.strictEqual(slowest.user_stroke_pressure, 400);
+});
+
+test('only the SCRs of the kill pump are used', () => {
+    const inputs = normalizeInputs(well({
+        scr_table: [{ pump: 'Pump 1', spm: 30, pressure: 500 }, { pump: 'Pump 2', spm: 30, pressure: 700 }],
+        pumps: [{ name: 'Pump 1', liner: 6, stroke: 12 }, { name: 'pump 2', liner: 6, stroke: 12 }],
+        kill_pump: 1
+    }));
+
+    assert.strictEqual(inputs.user_stroke_pressure, 700);
+
+    const none = selectScr(normalizeInputs(well({ scr_table: [{ pump: 'Pump 3', spm: 30, pressure: 500 }],
+        pumps: [{ name: 'Pump 1', liner: 6, stroke: 12 }], kill_pump: 0 })));
+    assert.strictEqual(none.pressure, null);
+    assert.match(none.warnings[0], /No SCRs are recorded for the kill pump/);
+});
+
+test('old SCRs are flagged', () => {
+    const scr = selectScr(normalizeInputs(well({
+        scr_table: [{ spm: 30, pressure: 650, mud_weight: 11, depth: 8000 }]
+    })));
+
+    assert.strictEqual(scr.basis, 'recorded');
+    assert.match(scr.warnings.join(' '), /different mud weight/);
+    assert.match(scr.warnings.join(' '), /different depth/);
+});
@@ -0,0 +1,74 @@
+// ===========================
+// KILL SHEET CALCULATOR - SHEET CHECK TESTS
+// ===========================
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    VALIDATION_LEVELS,
+    VALIDATION_RULES,
+    normalizeInputs,
+    validateSheet,
+    calculateKillSheet
+} = require('../calculations');
+const exampleWell = require('../examples/vertical-well.json');
+
+const checks = changes => calculateKillSheet(Object.assign({}, exampleWell, changes)).sheet_checks;
+const rules = issues => issues.map(issue => issue.rule);
+
+test('the example well passes every check', () => {
+    assert.deepStrictEqual(checks({}), []);
+    assert.ok(VALIDATION_RULES.every(rule => rule.level in VALIDATION_LEVELS));
+});
+
+test('a blank sheet lists the missing inputs, errors first', () => {
+    const issues = validateSheet(normalizeInputs({}));
+
+    assert.deepStrictEqual(issues.filter(issue => issue.rule === 'required_inputs').map(issue => issue.fields[0]),
+        ['hole_depth', 'current_mud_weight', 'pump_capacity']);
+    assert.deepStrictEqual(rules(issues.filter(issue => issue.level === 'info')), ['shut_in_pressures_missing']);
+    const levels = issues.map(issue => Object.keys(VALIDATION_LEVELS).indexOf(issue.level));
+    assert.deepStrictEqual(levels, levels.slice().sort());
+});
+
+test('drill string components are checked against each other and the hole', () => {
+    const issues = checks({
+        string_components: [
+            { name: 'Bad DP', od: 5, id: 5, length: 9000 },
+            null,
+            { name: 'Big DC', od: 13, id: 3, length: 2000 }
+        ]
+    });
+    const bad = issues.find(issue => issue.rule === 'pipe_id_od');
+    const big = issues.find(issue => issue.rule === 'pipe_in_hole');
+
+    assert.match(bad.message, /^Bad DP:/);
+    assert.deepStrictEqual(bad.fields, ['string_components.0.id', 'string_components.0.od']);
+    assert.deepStrictEqual(big.fields[0], 'string_components.1.od');
+    assert.ok(rules(issues).includes('string_length'));
+});
+
+test('depths out of order are errors', () => {
+    assert.ok(rules(checks({ hole_tvd: 11000 })).includes('depth_order'));
+    assert.match(checks({ casing_setting_depth: 12000 }).map(issue => issue.message).join(' '),
+        /casing shoe is deeper than the hole/);
+    assert.ok(rules(checks({ casing_id: 14, casing_od: 13.375 })).includes('casing_id_od'));
+});
+
+test('a subsea BOP at or below the shoe or the bit is an error', () => {
+    const subsea = { bop_location: 'subsea', air_gap: 80 };
+
+    assert.deepStrictEqual(rules(checks(Object.assign({ water_depth: 3000 }, subsea))), []);
+    assert.match(checks(Object.assign({ water_depth: 5000 }, subsea))[0].message, /at or below the casing shoe/);
+    assert.match(checks(Object.assign({ water_depth: 10000 }, subsea))[0].message, /at or below the bit/);
+});
+
+test('warnings and info for inputs that are unusual but possible', () => {
+    assert.ok(rules(checks({ sicp: 400 })).includes('sicp_below_sidpp'));
+    assert.ok(rules(checks({ hole_diameter: 13 })).includes('hole_through_casing'));
+    assert.ok(rules(checks({ current_mud_weight: 1.2 })).includes('mud_weight_range'));
+    assert.ok(rules(checks({ lot_pressure: 100 })).includes('kill_mud_above_fracture'));
+    assert.deepStrictEqual(rules(checks({ lot_mud_weight: '' })), ['shoe_test_missing']);
+});
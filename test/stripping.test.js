@@ -0,0 +1,75 @@
+// ===========================
+// KILL SHEET CALCULATOR - STRIPPING WORKSHEET TESTS
+// ===========================
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    normalizeInputs,
+    normalizeStandList,
+    annularCapacity,
+    pipeCapacity,
+    calculateKillSheet
+} = require('../calculations');
+const exampleWell = require('../examples/vertical-well.json');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not ${expected}`);
+
+// Shut in with the bit at 5000 ft, 93 ft stands back to 10000 ft
+const stripping = changes => calculateKillSheet(Object.assign({}, exampleWell, { stripping_bit_depth: 5000 }, changes));
+
+test('normalizeStandList keeps whole stand numbers once each', () => {
+    assert.deepStrictEqual(normalizeStandList(['3', 1, 3, 0, -2, 'x', 2.7, null]), [1, 2, 3]);
+    assert.deepStrictEqual(normalizeStandList('1,2'), []);
+});
+
+test('one row per stand back to bottom, the last one short', () => {
+    const results = stripping({});
+    const schedule = results.stripping_schedule;
+
+    assert.strictEqual(results.stripping_stands, Math.ceil(5000 / 93));
+    assert.strictEqual(schedule[0].bit_md, 5093);
+    assert.strictEqual(schedule[schedule.length - 1].bit_md, 10000);
+    close(results.stripping_stand_displacement, 93 * pipeCapacity(5));
+    close(schedule[schedule.length - 1].displacement, (5000 - 53 * 93) * pipeCapacity(5));
+    close(results.stripping_total_bleed, 5000 * pipeCapacity(5));
+    assert.ok(schedule.every(row => row.pipe === '5" DP'));
+});
+
+test('the casing pressure rises as the bit goes into the influx', () => {
+    const results = stripping({});
+    const gradient = normalizeInputs(exampleWell).influx_gradient;
+    const offBottom = 20 / annularCapacity(12.25, 0);
+    const onBottom = 20 / annularCapacity(12.25, 8);
+
+    close(results.stripping_schedule[0].casing_pressure, 600);
+    close(results.stripping_schedule[0].influx_height, offBottom);
+    close(results.stripping_final_pressure, 600 + (0.52 - gradient) * (onBottom - offBottom));
+});
+
+test('stands ticked off add up the volume that should have been bled', () => {
+    const results = stripping({ stripping_completed: [1, '2', 2, 500] });
+
+    assert.strictEqual(results.stripping_completed_stands, 2);
+    close(results.stripping_completed_bleed, 2 * 93 * pipeCapacity(5));
+    assert.deepStrictEqual(results.stripping_schedule.slice(0, 3).map(row => row.completed), [true, true, false]);
+});
+
+test('warnings for no pit gain and a casing pressure above MAASP', () => {
+    const noGain = stripping({ pit_gain: '' });
+    assert.match(noGain.stripping_warnings.join(' '), /Enter the pit gain/);
+    assert.ok(noGain.stripping_schedule.every(row => row.casing_pressure === 600));
+
+    assert.match(stripping({ sicp: 1190 }).stripping_warnings.join(' '), /above MAASP/);
+});
+
+test('no shut-in bit depth, one on bottom or no stand length gives no worksheet', () => {
+    [{ stripping_bit_depth: '' }, { stripping_bit_depth: 10000 }, { stand_length: 0 }].forEach(changes => {
+        const results = stripping(changes);
+        assert.deepStrictEqual(results.stripping_schedule, [], JSON.stringify(changes));
+        assert.ok(isNaN(results.stripping_stands));
+    });
+});
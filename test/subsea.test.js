@@ -0,0 +1,113 @@
+// ===========================
+// KILL SHEET CALCULATOR - SUBSEA BOP TESTS
+// ===========================
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    SEA_WATER_DENSITY_PPG,
+    normalizeInputs,
+    pipeCapacity,
+    calculateKillSheet
+} = require('../calculations');
+const exampleWell = require('../examples/vertical-well.json');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not ${expected}`);
+
+// BOP at 80 + 3000 = 3080 ft below the rotary table, above the 5000 ft shoe
+const subsea = {
+    bop_location: 'subsea',
+    water_depth: 3000,
+    air_gap: 80,
+    riser_id: 19.5,
+    choke_line_id: 3,
+    kill_line_id: 3,
+    choke_line_friction: 150
+};
+const withSubsea = changes => calculateKillSheet(Object.assign({}, exampleWell, subsea, changes));
+
+test('a surface BOP leaves the subsea results blank', () => {
+    const results = calculateKillSheet(exampleWell);
+
+    assert.strictEqual(results.subsea, false);
+    assert.ok(isNaN(results.bop_md));
+    assert.strictEqual(results.choke_line_friction, 0);
+    assert.deepStrictEqual(results.subsea_warnings, []);
+    assert.ok(results.annular_sections.every(section => section.component !== null));
+});
+
+test('the choke line replaces the annulus above the BOP', () => {
+    const results = withSubsea({});
+    const chokeLine = results.annular_sections[results.annular_sections.length - 1];
+
+    close(results.bop_md, 3080);
+    close(results.choke_line_volume, pipeCapacity(3) * 3080);
+    close(results.kill_line_volume, pipeCapacity(3) * 3080);
+    close(results.choke_line_strokes, results.choke_line_volume / 0.1);
+    assert.strictEqual(chokeLine.name, 'Choke Line');
+    close(chokeLine.volume, results.choke_line_volume);
+    assert.ok(results.annular_sections.slice(0, -1).every(section => section.top >= 3080));
+    assert.ok(results.total_annular_capacity < calculateKillSheet(exampleWell).total_annular_capacity);
+});
+
+test('a choke line length overrides the BOP depth', () => {
+    close(withSubsea({ choke_line_length: 3500 }).choke_line_volume, pipeCapacity(3) * 3500);
+});
+
+test('choke line friction comes off the start-up casing pressure and MAASP', () => {
+    const results = withSubsea({});
+
+    close(results.startup_casing_pressure, 600 - 150);
+    close(results.maasp_circulating, results.maasp_initial - 150);
+    close(results.maasp_kill_circulating, results.maasp_kill - 150);
+    assert.match(withSubsea({ choke_line_friction: 700 }).subsea_warnings.join(' '), /higher than SICP/);
+});
+
+test('SCRs taken through the choke line have the friction taken off', () => {
+    const riser = withSubsea({});
+    const chokeLine = withSubsea({ scr_path: 'choke_line' });
+
+    close(riser.icp, 500 + 800);
+    close(chokeLine.slow_pump_pressure, 800 - 150);
+    close(chokeLine.icp, 500 + 650);
+    assert.strictEqual(normalizeInputs({ scr_path: 'kill_line' }).scr_path, 'riser');
+});
+
+test('the SCR table supplies the choke line friction at the kill rate', () => {
+    const inputs = normalizeInputs(Object.assign({}, exampleWell, subsea, {
+        strokes_per_min: 30,
+        scr_table: [{ spm: 20, pressure: 400, clf: 100 }, { spm: 40, pressure: 1000, clf: 250 }]
+    }));
+    const exponent = Math.log(250 / 100) / Math.log(40 / 20);
+
+    close(inputs.choke_line_friction, 100 * Math.pow(1.5, exponent));
+    assert.strictEqual(normalizeInputs(Object.assign({}, subsea, { scr_table: [{ spm: 30, pressure: 800 }] }))
+        .choke_line_friction, 150);
+});
+
+test('riser margin balances the well with seawater above the BOP', () => {
+    const results = withSubsea({});
+    const balanced = 10 + 500 / 520;
+    const margin = (balanced * 3080 - SEA_WATER_DENSITY_PPG * 3000) / (10000 - 3080);
+
+    close(results.riser_margin, margin);
+    close(results.riser_margin_mud_weight, balanced + margin);
+    assert.match(results.subsea_warnings.join(' '), /does not include the riser margin/);
+});
+
+test('a subsea BOP without a depth, or at or below the shoe or bit, is reported', () => {
+    assert.match(withSubsea({ water_depth: '', air_gap: '' }).subsea_warnings[0], /Enter the water depth and air gap/);
+    assert.match(withSubsea({ water_depth: 5000 }).subsea_warnings.join(' '), /at or below the casing shoe/);
+    assert.match(withSubsea({ water_depth: 10000 }).subsea_warnings.join(' '), /at or below the bit/);
+    assert.doesNotMatch(withSubsea({}).subsea_warnings.join(' '), /at or below/);
+});
+
+test('no choke line ID leaves the choke line out of the strokes', () => {
+    const results = withSubsea({ choke_line_id: '' });
+
+    assert.ok(isNaN(results.choke_line_volume));
+    assert.match(results.subsea_warnings.join(' '), /No choke line ID/);
+});
@@ -0,0 +1,123 @@
+// ===========================
+// KILL SHEET CALCULATOR - SURVEY AND TVD TESTS
+// ===========================
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    PRESSURE_GRADIENT,
+    normalizeInputs,
+    normalizeSurvey,
+    minimumCurvature,
+    buildTvdProfile,
+    tvdAtMd,
+    parseSurveyText,
+    scheduledPressureAt,
+    calculateKillSheet
+} = require('../calculations');
+const verticalWell = require('../examples/vertical-well.json');
+const deviatedWell = require('../examples/deviated-well.json');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not ${expected}`);
+
+test('normalizeSurvey sorts by MD and drops invalid stations', () => {
+    const survey = normalizeSurvey([
+        { md: '2000', inc: '10', azi: '' },
+        { md: 1000, inc: 5, azi: 90 },
+        { md: -5, inc: 1 },
+        { md: 1500, inc: 200 },
+        { md: 'x', inc: 3 }
+    ]);
+
+    assert.deepStrictEqual(survey, [{ md: 1000, inc: 5, azi: 90 }, { md: 2000, inc: 10, azi: 0 }]);
+    assert.deepStrictEqual(normalizeSurvey('not a list'), []);
+});
+
+test('normalizeSurvey drops null and non-object stations', () => {
+    const survey = normalizeSurvey([null, { md: 1000, inc: 5, azi: 0 }, 'station', 12, [1000, 5]]);
+
+    assert.deepStrictEqual(survey, [{ md: 1000, inc: 5, azi: 0 }]);
+    assert.doesNotThrow(() => normalizeInputs({ survey: [null] }));
+});
+
+test('minimumCurvature follows a constant build as a circular arc', () => {
+    // 0° to 30° over 1000 ft: radius R = 1000 / θ, TVD = R sin θ, departure = R (1 − cos θ)
+    const theta = 30 * Math.PI / 180;
+    const radius = 1000 / theta;
+    const trajectory = minimumCurvature([{ md: 1000, inc: 30, azi: 90 }]);
+    const bottom = trajectory[trajectory.length - 1];
+
+    assert.strictEqual(trajectory.length, 2);
+    close(bottom.tvd, radius * Math.sin(theta));
+    close(bottom.east, radius * (1 - Math.cos(theta)));
+    close(bottom.north, 0);
+    close(bottom.dls, 3);
+});
+
+test('minimumCurvature keeps a vertical well vertical', () => {
+    const trajectory = minimumCurvature([{ md: 0, inc: 0, azi: 0 }, { md: 5000, inc: 0, azi: 0 }]);
+
+    close(trajectory[1].tvd, 5000);
+    close(trajectory[1].dls, 0);
+});
+
+test('buildTvdProfile uses entered TVDs when there is no survey', () => {
+    const profile = buildTvdProfile({ survey: [], casing_setting_depth: 5000, casing_shoe_tvd: 4800, hole_depth: 10000, hole_tvd: 9000 });
+
+    assert.deepStrictEqual(profile, [{ md: 0, tvd: 0 }, { md: 5000, tvd: 4800 }, { md: 10000, tvd: 9000 }]);
+    close(tvdAtMd(profile, 7500), 6900);
+    close(tvdAtMd(profile, 11000), 9840);
+});
+
+test('tvdAtMd is MD in a well with no depth information', () => {
+    assert.strictEqual(tvdAtMd([{ md: 0, tvd: 0 }], 8000), 8000);
+});
+
+test('tvdAtMd extends the hole below the survey at the last inclination', () => {
+    const profile = buildTvdProfile({ survey: normalizeSurvey([{ md: 0, inc: 60, azi: 0 }, { md: 1000, inc: 60, azi: 0 }]) });
+
+    close(tvdAtMd(profile, 1000), 500);
+    close(tvdAtMd(profile, 2000), 1000);
+});
+
+test('parseSurveyText reads CSV and whitespace columns and skips headers', () => {
+    const stations = parseSurveyText('MD,Inc,Azi\n0,0,0\n1000 5 90\n\n1500;10\nnotes here');
+
+    assert.deepStrictEqual(stations, [
+        { md: 0, inc: 0, azi: 0 },
+        { md: 1000, inc: 5, azi: 90 },
+        { md: 1500, inc: 10, azi: 0 }
+    ]);
+});
+
+test('a vertical well is not treated as deviated', () => {
+    const results = calculateKillSheet(verticalWell);
+
+    assert.strictEqual(results.deviated, false);
+    assert.strictEqual(results.bit_tvd, results.bit_md);
+});
+
+test('the kill mud weight of a deviated well uses the bit TVD', () => {
+    const results = calculateKillSheet(deviatedWell);
+
+    assert.strictEqual(results.deviated, true);
+    assert.ok(results.bit_tvd < results.bit_md);
+    close(results.kill_mud_weight, 11 + 400 / (PRESSURE_GRADIENT * results.bit_tvd));
+});
+
+test('the deviated schedule adds friction with MD and hydrostatic gain with TVD', () => {
+    const inputs = normalizeInputs(deviatedWell);
+    const results = calculateKillSheet(deviatedWell);
+    const halfway = results.surface_to_bit_strokes / 2;
+    const frontMd = halfway * inputs.pump_capacity / results.string_sections[0].internal_capacity;
+    const expected = inputs.sidpp + inputs.user_stroke_pressure +
+        (results.fcp - inputs.user_stroke_pressure) * frontMd / results.string_length -
+        (results.kill_mud_weight - inputs.current_mud_weight) * PRESSURE_GRADIENT * tvdAtMd(results.tvd_profile, frontMd);
+
+    close(scheduledPressureAt(inputs, results, 0), results.icp);
+    close(scheduledPressureAt(inputs, results, halfway), expected);
+    assert.strictEqual(scheduledPressureAt(inputs, results, results.surface_to_bit_strokes), results.fcp);
+});
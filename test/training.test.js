@@ -0,0 +1,200 @@
+// ===========================
+// KILL SHEET CALCULATOR - TRAINING AND ASSESSMENT TESTS
+// ===========================
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    TRAINING_STORAGE_KEY,
+    TRAINING_RECORD_FORMAT,
+    TRAINING_LEVELS,
+    TRAINING_ANSWERS,
+    TRAINING_SCHEDULE_ANSWER,
+    DEFAULT_TRAINING_PASS_MARK,
+    seededRandom,
+    trainingExerciseId,
+    parseTrainingExerciseId,
+    generateTrainingExercise,
+    trainingGivenData,
+    trainingSchedule,
+    normalizeTrainingSettings,
+    gradeTrainingAnswers,
+    buildTrainingSolution,
+    createTrainingSession,
+    normalizeTrainingSession,
+    summarizeTrainingSession,
+    buildTrainingRecord,
+    readTrainingSession,
+    writeTrainingSession
+} = require('../training');
+const { normalizeInputs, calculateKillSheet } = require('../calculations');
+
+// In-memory stand-in for window.localStorage
+function memoryStorage(initial = {}) {
+    const items = Object.assign({}, initial);
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); }
+    };
+}
+
+// The answers a trainee who got everything right would give
+const perfectAnswers = results => {
+    const answers = { schedule: trainingSchedule(results).map(point => point.pressure) };
+    TRAINING_ANSWERS.forEach(answer => { answers[answer.key] = results[answer.key]; });
+    return answers;
+};
+
+test('seededRandom repeats for a seed and stays in [0, 1)', () => {
+    const first = seededRandom(42);
+    const second = seededRandom(42);
+    const values = Array.from({ length: 100 }, () => first());
+
+    assert.deepStrictEqual(Array.from({ length: 100 }, () => second()), values);
+    assert.ok(values.every(value => value >= 0 && value < 1));
+    assert.notStrictEqual(seededRandom(43)(), values[0]);
+});
+
+test('exercise ids name the level and seed', () => {
+    assert.strictEqual(trainingExerciseId('advanced', 123), 'advanced-123');
+    assert.deepStrictEqual(parseTrainingExerciseId(' basic-12345 '), { level: 'basic', seed: 12345 });
+    ['', 'basic', 'expert-5', 'basic-0', 'basic-x', null].forEach(id =>
+        assert.strictEqual(parseTrainingExerciseId(id), null, String(id)));
+});
+
+test('the same level and seed give the same well; an unknown level is basic', () => {
+    assert.deepStrictEqual(generateTrainingExercise('intermediate', 77), generateTrainingExercise('intermediate', 77));
+    assert.notDeepStrictEqual(generateTrainingExercise('intermediate', 77).well, generateTrainingExercise('intermediate', 78).well);
+
+    const unknown = generateTrainingExercise('expert', 77);
+    assert.strictEqual(unknown.level, 'basic');
+    assert.strictEqual(unknown.id, 'basic-77');
+});
+
+test('generated wells are sound and killable at every level', () => {
+    Object.keys(TRAINING_LEVELS).forEach(level => {
+        const settings = TRAINING_LEVELS[level];
+        for (let seed = 1; seed <= 20; seed++) {
+            const well = generateTrainingExercise(level, seed).well;
+            const results = calculateKillSheet(well);
+            const label = `${level}-${seed}`;
+
+            assert.deepStrictEqual(results.sheet_checks.filter(issue => issue.level === 'error'), [], label);
+            assert.ok(well.hole_tvd >= settings.min_tvd - 50 && well.hole_tvd <= settings.max_tvd + 50, label);
+            assert.ok(well.sicp > well.sidpp, label);
+            assert.ok(well.sicp <= 0.7 * results.maasp_initial + 1e-6, label);
+            assert.strictEqual(Array.isArray(well.survey), settings.deviated, label);
+            assert.strictEqual(Array.isArray(well.pumps), settings.rig_pump, label);
+        }
+    });
+});
+
+test('the given data follow the paper kill sheet', () => {
+    const basic = trainingGivenData(generateTrainingExercise('basic', 5).well).map(item => item.label);
+    const advanced = trainingGivenData(generateTrainingExercise('advanced', 5).well).map(item => item.label);
+
+    assert.strictEqual(basic[0], 'Hole');
+    assert.ok(basic.includes('Pump Output') && !basic.includes('Kill Pump'));
+    assert.ok(advanced.includes('Survey (MD ft / inclination °)'));
+    assert.ok(advanced.includes('Slow Circulating Rates') && advanced.includes('Upper Drill Pipe'));
+    assert.strictEqual(basic[basic.length - 1], 'Kill');
+});
+
+test('settings fill in the default pass mark and tolerances', () => {
+    const defaults = normalizeTrainingSettings();
+
+    assert.strictEqual(defaults.pass_mark, DEFAULT_TRAINING_PASS_MARK);
+    assert.strictEqual(defaults.tolerances.icp, 10);
+    assert.strictEqual(defaults.tolerances.schedule, TRAINING_SCHEDULE_ANSWER.tolerance);
+
+    const custom = normalizeTrainingSettings({ pass_mark: 150, tolerances: { icp: '25', fcp: -1, schedule: 0 } });
+    assert.strictEqual(custom.pass_mark, DEFAULT_TRAINING_PASS_MARK);
+    assert.strictEqual(custom.tolerances.icp, 25);
+    assert.strictEqual(custom.tolerances.fcp, 10);
+    assert.strictEqual(custom.tolerances.schedule, 0);
+});
+
+test('correct answers pass and blank answers fail', () => {
+    const results = calculateKillSheet(generateTrainingExercise('basic', 9).well);
+    const perfect = gradeTrainingAnswers(results, perfectAnswers(results), {});
+
+    assert.strictEqual(perfect.total, TRAINING_ANSWERS.length + 1);
+    assert.strictEqual(perfect.score, 100);
+    assert.strictEqual(perfect.passed, true);
+
+    const blank = gradeTrainingAnswers(results, { icp: null, fcp: '', schedule: [null] }, {});
+    assert.strictEqual(blank.correct, 0);
+    assert.strictEqual(blank.passed, false);
+    assert.ok(blank.items.every(item => item.answer === null));
+});
+
+test('answers are graded within their tolerance', () => {
+    const results = calculateKillSheet(generateTrainingExercise('basic', 9).well);
+    const answers = perfectAnswers(results);
+    const item = (graded, key) => graded.items.find(entry => entry.key === key);
+
+    answers.icp += 10;
+    answers.total_strokes *= 1.02;
+    answers.schedule[1] += 16;
+    const graded = gradeTrainingAnswers(results, answers, {});
+
+    assert.strictEqual(item(graded, 'icp').pass, true);
+    assert.strictEqual(item(graded, 'total_strokes').pass, false);
+    assert.strictEqual(item(graded, 'schedule').pass, false);
+    assert.deepStrictEqual(item(graded, 'schedule').steps.map(step => step.pass).indexOf(false), 1);
+    assert.strictEqual(graded.score, Math.round(6 / 8 * 100));
+    assert.strictEqual(item(gradeTrainingAnswers(results, answers, { tolerances: { icp: 5 } }), 'icp').pass, false);
+});
+
+test('the worked solution shows the working for each answer', () => {
+    const well = generateTrainingExercise('intermediate', 3).well;
+    const results = calculateKillSheet(well);
+    const solution = buildTrainingSolution(normalizeInputs(well), results);
+    const titles = solution.map(step => step.title);
+
+    assert.deepStrictEqual(titles.slice(0, 3), ['Kill Mud Weight', 'Kill Pump Output', 'Slow Circulating Rate Pressure']);
+    assert.ok(titles.includes('MAASP') && titles.includes('Drillpipe Pressure Schedule'));
+    assert.match(solution[0].lines.join('\n'), new RegExp(`KMW = ${results.kill_mud_weight.toFixed(1)} ppg`));
+    assert.match(solution[1].lines[0], /^Triplex output/);
+    assert.match(solution[2].lines[0], /From the SCR table/);
+});
+
+test('sessions are checked when read back and summarised', () => {
+    const session = createTrainingSession('A. Trainee', { pass_mark: 80 });
+    assert.strictEqual(session.settings.pass_mark, 80);
+    assert.deepStrictEqual(summarizeTrainingSession(session), { exercises: 0, passed: 0, average_score: null });
+
+    const read = normalizeTrainingSession({
+        trainee: 7,
+        current: { level: 'expert', seed: 3 },
+        attempts: [{ score: 100, passed: true }, null, 'x', { score: 50, passed: false }]
+    });
+    assert.strictEqual(read.trainee, '7');
+    assert.strictEqual(read.current, null);
+    assert.deepStrictEqual(summarizeTrainingSession(read), { exercises: 2, passed: 1, average_score: 75 });
+    assert.strictEqual(normalizeTrainingSession(null), null);
+    assert.strictEqual(normalizeTrainingSession('session'), null);
+});
+
+test('the training record carries the summary and attempts', () => {
+    const session = normalizeTrainingSession({ trainee: 'A. Trainee', attempts: [{ score: 90, passed: true }] });
+    const record = buildTrainingRecord(session);
+
+    assert.strictEqual(record.format, TRAINING_RECORD_FORMAT);
+    assert.strictEqual(record.pass_mark, DEFAULT_TRAINING_PASS_MARK);
+    assert.deepStrictEqual(record.summary, { exercises: 1, passed: 1, average_score: 90 });
+    assert.deepStrictEqual(record.attempts, session.attempts);
+});
+
+test('the session round trips through storage; unreadable storage gives none', () => {
+    const storage = memoryStorage();
+    const session = createTrainingSession('A. Trainee');
+    session.current = { level: 'advanced', seed: 12 };
+    writeTrainingSession(storage, session);
+
+    assert.deepStrictEqual(readTrainingSession(storage), session);
+    assert.strictEqual(readTrainingSession(memoryStorage({ [TRAINING_STORAGE_KEY]: '{' })), null);
+    assert.strictEqual(readTrainingSession(memoryStorage()), null);
+});
@@ -0,0 +1,123 @@
+// ===========================
+// KILL SHEET CALCULATOR - TUBULAR CATALOGUE AND CASING RATING TESTS
+// ===========================
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    TUBULAR_STORAGE_KEY,
+    TUBULAR_TYPES,
+    TUBULAR_CATALOGUE,
+    defaultTubularName,
+    normalizeTubular,
+    buildTubularCatalogue,
+    findTubular,
+    findCasing,
+    applyCasingRatings,
+    readCustomTubulars,
+    writeCustomTubulars
+} = require('../tubulars');
+const {
+    normalizeInputs,
+    calculateCasingRating,
+    calculateKillSheet
+} = require('../calculations');
+const exampleWell = require('../examples/vertical-well.json');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not ${expected}`);
+
+// In-memory stand-in for window.localStorage
+function memoryStorage(initial = {}) {
+    const items = Object.assign({}, initial);
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); }
+    };
+}
+
+test('every built-in entry is usable and named once', () => {
+    const names = TUBULAR_CATALOGUE.map(entry => entry.name.toLowerCase());
+
+    assert.strictEqual(new Set(names).size, names.length);
+    TUBULAR_CATALOGUE.forEach(entry => {
+        assert.ok(entry.type in TUBULAR_TYPES, entry.name);
+        assert.ok(entry.id > 0 && entry.id < entry.od, entry.name);
+        if (entry.type === 'casing') assert.ok(entry.burst > 0 && entry.collapse > 0 && entry.grade, entry.name);
+    });
+});
+
+test('normalizeTubular fills in a name and rejects unusable entries', () => {
+    const entry = normalizeTubular({ type: 'casing', od: '9.625', id: 8.681, weight: 47, grade: ' P-110 ', burst: -5 });
+
+    assert.deepStrictEqual(entry, {
+        type: 'casing', name: '9.625" Casing 47 lb/ft P-110', od: 9.625, id: 8.681, weight: 47, grade: 'P-110',
+        burst: 0, collapse: 0
+    });
+    assert.strictEqual(defaultTubularName({ type: 'drill_collar', od: 8 }), '8" Drill Collar');
+    [null, 'DP', {}, { type: 'riser', od: 21 }, { type: 'drill_pipe', od: '' }, { type: 'drill_pipe', od: 5, id: 5 }]
+        .forEach(bad => assert.strictEqual(normalizeTubular(bad), null, JSON.stringify(bad)));
+});
+
+test('company entries are found before built-in ones of the same name', () => {
+    const catalogue = buildTubularCatalogue([{ type: 'drill_pipe', name: '5" DP 19.50 lb/ft', od: 5, id: 4.2 }]);
+
+    assert.strictEqual(findTubular(catalogue, ' 5" dp 19.50 LB/FT ').id, 4.2);
+    assert.strictEqual(findTubular(catalogue, '5" DP 19.50 lb/ft').custom, true);
+    assert.strictEqual(findTubular(catalogue, ''), null);
+    assert.strictEqual(findTubular(catalogue, null), null);
+});
+
+test('findCasing matches OD, weight and grade however the grade is written', () => {
+    assert.strictEqual(findCasing(TUBULAR_CATALOGUE, 9.625, 47, 'p110').burst, 9440);
+    assert.strictEqual(findCasing(TUBULAR_CATALOGUE, 9.625, 47, 'Q-125'), null);
+    assert.strictEqual(findCasing(TUBULAR_CATALOGUE, 9.625, 47, ''), null);
+    assert.strictEqual(findCasing(TUBULAR_CATALOGUE, 0, 47, 'P-110'), null);
+});
+
+test('applyCasingRatings fills in only the blank ratings', () => {
+    const inputs = normalizeInputs(exampleWell);
+    const rated = applyCasingRatings(inputs, TUBULAR_CATALOGUE);
+
+    assert.strictEqual(rated.casing_burst, 5020);
+    assert.strictEqual(rated.casing_collapse, 2260);
+    assert.strictEqual(inputs.casing_burst, 0);
+    assert.strictEqual(applyCasingRatings(Object.assign({}, inputs, { casing_burst: 4000 }), TUBULAR_CATALOGUE)
+        .casing_burst, 4000);
+    assert.deepStrictEqual(applyCasingRatings(Object.assign({}, inputs, { casing_grade: '' }), TUBULAR_CATALOGUE),
+        Object.assign({}, inputs, { casing_grade: '' }));
+});
+
+test('company entries round trip through storage; unreadable storage gives none', () => {
+    const storage = memoryStorage();
+    writeCustomTubulars(storage, [{ type: 'hwdp', name: 'Rig HWDP', od: 5, id: 3 }]);
+
+    assert.deepStrictEqual(readCustomTubulars(storage).map(entry => entry.name), ['Rig HWDP']);
+    assert.deepStrictEqual(readCustomTubulars(memoryStorage({ [TUBULAR_STORAGE_KEY]: '{' })), []);
+    assert.deepStrictEqual(readCustomTubulars(memoryStorage({ [TUBULAR_STORAGE_KEY]: '[null, {"type": "x"}]' })), []);
+    assert.deepStrictEqual(readCustomTubulars(memoryStorage()), []);
+});
+
+test('surface pressures are compared with the derated burst', () => {
+    const results = calculateKillSheet(Object.assign({}, exampleWell, { casing_burst: 900, casing_collapse: 800 }));
+
+    close(results.derated_casing_burst, 720);
+    close(results.sicp_burst_percent, 600 / 7.2);
+    close(results.peak_casing_burst_percent, results.peak_casing_pressure / 7.2);
+    assert.strictEqual(results.casing_collapse, 800);
+    assert.doesNotMatch(results.casing_rating_warnings.join(' '), /SICP/);
+    assert.match(results.casing_rating_warnings.join(' '), /peak casing pressure during the kill is above/);
+});
+
+test('no burst rating or derating leaves the casing rating blank', () => {
+    const inputs = normalizeInputs(exampleWell);
+
+    [{ casing_burst: 0 }, { casing_burst: 5000, casing_burst_derating: 0 }].forEach(changes => {
+        const rating = calculateCasingRating(Object.assign({}, inputs, changes), { peak_casing_pressure: 900 });
+        assert.ok(isNaN(rating.derated_casing_burst), JSON.stringify(changes));
+        assert.ok(isNaN(rating.sicp_burst_percent));
+        assert.deepStrictEqual(rating.casing_rating_warnings, []);
+    });
+});
@@ -0,0 +1,92 @@
+// ===========================
+// KILL SHEET CALCULATOR - UNIT SYSTEM TESTS
+// ===========================
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    UNITS,
+    UNIT_SYSTEMS,
+    DEFAULT_UNIT_SYSTEM,
+    getUnitSystem,
+    getUnit,
+    fromOilfield,
+    toOilfield,
+    convertInputsToOilfield
+} = require('../units');
+
+const close = (actual, expected, tolerance = 1e-9) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not ${expected}`);
+
+test('every unit system names a defined unit for every quantity', () => {
+    Object.keys(UNIT_SYSTEMS).forEach(systemKey => {
+        Object.keys(UNITS).forEach(quantity => {
+            assert.ok(getUnit(quantity, systemKey), `${systemKey} ${quantity}`);
+        });
+    });
+    assert.strictEqual(DEFAULT_UNIT_SYSTEM, 'oilfield');
+});
+
+test('getUnitSystem rejects an unknown system', () => {
+    assert.throws(() => getUnitSystem('imperial'), /Unknown unit system "imperial"/);
+});
+
+test('values convert to and from oilfield units and back', () => {
+    Object.keys(UNIT_SYSTEMS).forEach(systemKey => {
+        Object.keys(UNITS).forEach(quantity => {
+            close(toOilfield(fromOilfield(1234.5, quantity, systemKey), quantity, systemKey), 1234.5, 1e-9);
+        });
+    });
+});
+
+test('known conversions match the published factors', () => {
+    close(fromOilfield(10000, 'depth', 'si'), 3048);
+    close(fromOilfield(1000, 'pressure', 'si'), 6894.757);
+    close(fromOilfield(1000, 'pressure', 'mixed'), 68.94757);
+    close(fromOilfield(10, 'mud_weight', 'si'), 1198.26427);
+    close(fromOilfield(8.345404, 'mud_weight', 'mixed'), 1, 1e-6);
+    close(fromOilfield(1, 'volume', 'si'), 0.158987295);
+    close(fromOilfield(12.25, 'diameter', 'si'), 311.15);
+});
+
+test('quantity-less values pass through untouched', () => {
+    assert.strictEqual(fromOilfield(250, undefined, 'si'), 250);
+    assert.strictEqual(toOilfield(250, null, 'si'), 250);
+});
+
+test('convertInputsToOilfield converts unit-bearing fields only', () => {
+    const converted = convertInputsToOilfield({
+        hole_depth: 3048,
+        sidpp: 3447.3785,
+        strokes_per_min: 30,
+        well_name: 'A-1'
+    }, 'si');
+
+    close(converted.hole_depth, 10000);
+    close(converted.sidpp, 500);
+    assert.strictEqual(converted.strokes_per_min, 30);
+    assert.strictEqual(converted.well_name, 'A-1');
+});
+
+test('convertInputsToOilfield converts numbers stored as text and leaves blanks alone', () => {
+    const converted = convertInputsToOilfield({ hole_depth: '3048', sidpp: '', sicp: 'abc', pit_gain: null }, 'si');
+
+    close(converted.hole_depth, 10000);
+    assert.strictEqual(converted.sidpp, '');
+    assert.strictEqual(converted.sicp, 'abc');
+    assert.strictEqual(converted.pit_gain, null);
+});
+
+test('convertInputsToOilfield passes null list entries through for the engine to drop', () => {
+    const converted = convertInputsToOilfield({
+        string_components: [null, { length: 304.8, od: 127 }],
+        survey: [null, { md: 3048, inc: 5, azi: 0 }]
+    }, 'si');
+
+    assert.strictEqual(converted.string_components[0], null);
+    close(converted.string_components[1].length, 1000);
+    assert.strictEqual(converted.survey[0], null);
+    close(converted.survey[1].md, 10000);
+});
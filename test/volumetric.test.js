@@ -0,0 +1,96 @@
+// ===========================
+// KILL SHEET CALCULATOR - VOLUMETRIC METHOD TESTS
+// ===========================
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    annularCapacity,
+    calculateKillSheet
+} = require('../calculations');
+const exampleWell = require('../examples/vertical-well.json');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not ${expected}`);
+
+// A stronger shoe (MAASP 3000 psi) lets the gas reach surface
+const withChanges = changes => calculateKillSheet(Object.assign({}, exampleWell, { lot_pressure: 3000 }, changes));
+
+// The 20 bbl influx sits around the 8" collars in 12.25" hole
+const collarPsiPerBbl = 0.52 / annularCapacity(12.25, 8);
+
+test('the volume to bleed comes from the hydrostatic per barrel around the influx', () => {
+    const results = withChanges({});
+
+    close(results.volumetric_psi_per_bbl, collarPsiPerBbl);
+    close(results.volumetric_bleed_volume, 100 / collarPsiPerBbl);
+    assert.strictEqual(results.volumetric_first_pressure, 600 + 100 + 100);
+    assert.match(results.volumetric_warnings.join(' '), /changes along the annulus/);
+});
+
+test('each cycle holds the casing pressure one increment higher', () => {
+    const cycles = withChanges({}).volumetric_cycles;
+
+    cycles.forEach((cycle, index) => {
+        assert.strictEqual(cycle.cycle, index + 1);
+        assert.strictEqual(cycle.pressure, 700 + 100 * (index + 1));
+        close(cycle.cumulative_volume, (index + 1) * cycle.bleed_volume);
+    });
+});
+
+test('bleeding stops once the mud bled matches the gas expansion', () => {
+    const results = withChanges({});
+    const cycles = results.volumetric_cycles;
+    const last = cycles[cycles.length - 1];
+    const expansion = pressure => 20 * ((5700 + 14.7) / (pressure + 14.7) - 1);
+
+    assert.strictEqual(last.gas_at_surface, true);
+    assert.ok(cycles.slice(0, -1).every(cycle => !cycle.gas_at_surface));
+    assert.ok(last.cumulative_volume >= expansion(last.pressure));
+    assert.ok(cycles[cycles.length - 2].cumulative_volume < expansion(cycles[cycles.length - 2].pressure));
+    close(results.volumetric_total_bleed, last.cumulative_volume);
+});
+
+test('lubricate and bleed replaces the gas at surface with mud', () => {
+    const results = withChanges({ lubricate_mud_weight: 11 });
+    const cycles = results.lubricate_cycles;
+    const start = results.volumetric_cycles[results.volumetric_cycles.length - 1].pressure;
+
+    assert.strictEqual(results.lubricate_mud_weight, 11);
+    assert.strictEqual(cycles[0].start_pressure, start);
+    cycles.forEach((cycle, index) => {
+        assert.strictEqual(cycle.lubricate_pressure, cycle.start_pressure + 100);
+        close(cycle.hydrostatic_gain, cycle.lubricate_volume * results.lubricate_psi_per_bbl);
+        close(cycle.bleed_pressure, Math.max(cycle.start_pressure - cycle.hydrostatic_gain, 0));
+        if (index > 0) assert.strictEqual(cycle.start_pressure, cycles[index - 1].bleed_pressure);
+    });
+    assert.ok(cycles.reduce((sum, cycle) => sum + cycle.lubricate_volume, 0) < results.lubricate_gas_volume);
+    close(results.lubricate_final_pressure, Math.max(start - results.lubricate_gas_volume * results.lubricate_psi_per_bbl, 0));
+});
+
+test('a cycle above MAASP stops the worksheet', () => {
+    const results = calculateKillSheet(exampleWell);
+
+    assert.ok(results.volumetric_cycles.every(cycle => cycle.pressure <= results.maasp_initial));
+    assert.match(results.volumetric_warnings.join(' '), /is above MAASP/);
+    assert.ok(isNaN(results.volumetric_total_bleed));
+});
+
+test('without a pit gain the cycles are listed but not the gas arrival', () => {
+    const results = withChanges({ pit_gain: '' });
+
+    assert.strictEqual(results.volumetric_cycles.length, 10);
+    assert.ok(results.volumetric_cycles.every(cycle => !cycle.gas_at_surface));
+    assert.match(results.volumetric_warnings.join(' '), /Enter the pit gain/);
+    assert.deepStrictEqual(results.lubricate_cycles, []);
+});
+
+test('no SICP, pressure increment or annular capacity leaves the worksheet blank', () => {
+    [{ sicp: '' }, { volumetric_pressure_step: 0 }, { hole_diameter: 0, casing_id: 0 }].forEach(changes => {
+        const results = withChanges(changes);
+        assert.ok(isNaN(results.volumetric_bleed_volume), JSON.stringify(changes));
+        assert.deepStrictEqual(results.volumetric_cycles, []);
+    });
+});
@@ -0,0 +1,79 @@
+// ===========================
+// KILL SHEET CALCULATOR - MUD WEIGHT-UP TESTS
+// ===========================
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    WEIGHTING_MATERIALS,
+    normalizeInputs,
+    calculateWeightUp,
+    calculateKillSheet
+} = require('../calculations');
+const exampleWell = require('../examples/vertical-well.json');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not ${expected}`);
+
+const plan = changes => {
+    const raw = Object.assign({}, exampleWell, { active_pit_volume: 1000, weight_up_mud_weight: 11 }, changes);
+    return calculateWeightUp(normalizeInputs(raw), calculateKillSheet(raw));
+};
+
+test('barite for 1000 bbl from 10 to 11 ppg', () => {
+    // ρ = 4.2 × 8.33 ppg; lb/bbl = 42 ρ (11 − 10) / (ρ − 11)
+    const density = 4.2 * 8.33;
+    const result = plan({});
+
+    close(result.weighting_material_mass, 1000 * 42 * density / (density - 11), 1e-6);
+    assert.strictEqual(result.weight_up_sacks, Math.ceil(result.weighting_material_mass / 100));
+    close(result.weight_up_volume_increase, 1000 / (density - 11));
+    close(result.weight_up_final_volume, 1000 + result.weight_up_volume_increase);
+    assert.strictEqual(result.weighting_material_label, WEIGHTING_MATERIALS.barite.label);
+});
+
+test('sack size and mixing rate set the sack count and mixing time', () => {
+    const result = plan({ sack_size: 50, mixing_rate: 20 });
+
+    assert.strictEqual(result.weight_up_sacks, Math.ceil(result.weighting_material_mass / 50));
+    close(result.weight_up_mixing_time, result.weight_up_sacks / 20);
+    assert.ok(isNaN(plan({}).weight_up_mixing_time));
+});
+
+test('the target defaults to the kill mud weight', () => {
+    const result = plan({ weight_up_mud_weight: '' });
+
+    close(result.weight_up_mud_weight, 10 + 500 / 520);
+});
+
+test('a denser material needs less of it', () => {
+    assert.ok(plan({ weighting_material: 'hematite' }).weighting_material_mass < plan({}).weighting_material_mass);
+    assert.strictEqual(normalizeInputs({ weighting_material: 'lead' }).weighting_material, 'barite');
+});
+
+test('impossible and unneeded weight-ups are reported', () => {
+    const tooHeavy = plan({ weighting_material: 'calcium_carbonate', weight_up_mud_weight: 23 });
+    assert.ok(isNaN(tooHeavy.weight_up_sacks));
+    assert.match(tooHeavy.weight_up_warnings[0], /cannot weight mud up/);
+
+    const lighter = plan({ weight_up_mud_weight: 9.5 });
+    assert.strictEqual(lighter.weighting_material_mass, 0);
+    assert.match(lighter.weight_up_warnings[0], /not above the current mud weight/);
+});
+
+test('pit capacity and kill mud volume are checked', () => {
+    assert.match(plan({ pit_capacity: 1020 }).weight_up_warnings.join(' '), /will not fit in the pits/);
+    assert.match(plan({}).weight_up_warnings.join(' '), /will not hold enough kill mud/);
+    assert.deepStrictEqual(plan({ active_pit_volume: 2000 }).weight_up_warnings, []);
+});
+
+test('no active pit volume leaves the plan blank', () => {
+    const result = plan({ active_pit_volume: '' });
+
+    assert.ok(isNaN(result.weight_up_sacks));
+    assert.ok(isNaN(result.weight_up_final_volume));
+    assert.ok(result.kill_mud_required > 0);
+    assert.deepStrictEqual(result.weight_up_warnings, []);
+});
@@ -0,0 +1,149 @@
+// ===========================
+// KILL SHEET CALCULATOR - WELL DATA IMPORT TESTS
+// ===========================
+//
+// parseWitsml takes a parsed XML document; the tests build the few parts of
+// the DOM it reads (localName, children, textContent, getAttribute) by hand.
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    IMPORT_FIELDS,
+    IMPORT_CSV_TEMPLATE,
+    sameImportValue,
+    importToOilfield,
+    parseWellCsv,
+    parseWitsml
+} = require('../wellimport');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not ${expected}`);
+
+// XML element: `content` is its text or its child elements
+function element(localName, attributes = {}, content = []) {
+    const children = typeof content === 'string' ? [] : content;
+    return {
+        localName: localName,
+        namespaceURI: attributes.xmlns || null,
+        children: children,
+        textContent: typeof content === 'string' ? content : children.map(child => child.textContent).join(''),
+        getAttribute: name => (attributes.hasOwnProperty(name) ? attributes[name] : null)
+    };
+}
+const witsml141 = objects => ({
+    documentElement: element('wellbores', { xmlns: 'http://www.witsml.org/schemas/1series', version: '1.4.1.1' }, objects)
+});
+
+test('values are compared to 0.01%, text ignoring case', () => {
+    assert.ok(sameImportValue(1000, 1000.05));
+    assert.ok(!sameImportValue(1000, 1000.5));
+    assert.ok(sameImportValue(' L-80', 'l-80'));
+});
+
+test('import units convert to oilfield, unknown units give null', () => {
+    close(importToOilfield(1000, 'm', 'depth'), 3280.839895);
+    close(importToOilfield(1.2, 'g/cm³', 'mud_weight'), 1.2 * 8.345404);
+    close(importToOilfield(100, 'bar', 'pressure'), 1450.3774);
+    assert.strictEqual(importToOilfield(1, 'furlong', 'depth'), null);
+    assert.strictEqual(importToOilfield(1, '', 'depth'), null);
+});
+
+test('the CSV template lists every input an import can fill', () => {
+    Object.keys(IMPORT_FIELDS).forEach(key => assert.match(IMPORT_CSV_TEMPLATE, new RegExp(`^${key},`, 'm'), key));
+    assert.throws(() => parseWellCsv(IMPORT_CSV_TEMPLATE), /no values to import/);
+});
+
+test('CSV values are mapped with their units and line numbers', () => {
+    const result = parseWellCsv([
+        'field,value,unit',
+        'well_name,"Alpha ""A-1""",',
+        'hole_depth,3048,m',
+        'current_mud_weight,1.2,sg',
+        'casing_grade,L-80',
+        'hole_depth,3048.1,m',
+        'hole_depth,9000,'
+    ].join('\r\n'));
+
+    assert.strictEqual(result.format, 'CSV');
+    assert.strictEqual(result.values.well_name, 'Alpha "A-1"');
+    close(result.values.hole_depth, 10000);
+    close(result.values.current_mud_weight, 1.2 * 8.345404);
+    assert.strictEqual(result.sources.hole_depth, 'CSV line 3');
+    assert.deepStrictEqual(result.alternatives.hole_depth, [{ value: 9000, source: 'CSV line 7' }]);
+    assert.strictEqual(result.string_components, null);
+    assert.strictEqual(result.survey, null);
+});
+
+test('CSV string fields become drill string rows, surface first', () => {
+    const result = parseWellCsv('dc_od,8\ndc_length,600\ndp_od,5\ndp_id,4.276\n');
+
+    assert.deepStrictEqual(result.string_components, [
+        { name: 'Drill Pipe', od: 5, id: 4.276, length: 0 },
+        { name: 'Drill Collars', od: 8, id: 0, length: 600 }
+    ]);
+});
+
+test('CSV rows that cannot be used are reported, not guessed', () => {
+    const result = parseWellCsv('mud_type,OBM\nhole_depth,-5\nhole_tvd,abc\ncasing_od,13.375,furlong\n');
+
+    assert.deepStrictEqual(result.values, {});
+    assert.deepStrictEqual(result.unmapped, [
+        'CSV line 1: "mud_type" is not a kill sheet field.',
+        'CSV line 2: "-5" is not a valid hole_depth.',
+        'CSV line 3: "abc" is not a valid hole_tvd.',
+        'CSV line 4: the unit "furlong" is not recognised for casing_od.'
+    ]);
+    assert.throws(() => parseWellCsv(''), /no values to import/);
+    assert.throws(() => parseWellCsv('# only a comment\n\n'), /no values to import/);
+});
+
+test('a document that is not WITSML is refused', () => {
+    assert.throws(() => parseWitsml({ documentElement: element('html') }), /not WITSML/);
+});
+
+test('WITSML 1.4.1 wellbore, drill string and trajectory are read', () => {
+    const component = (sequence, type, od, id, length) => element('tubularComponent', {}, [
+        element('typeTubularComp', {}, type),
+        element('sequence', {}, String(sequence)),
+        element('od', { uom: 'in' }, String(od)),
+        element('id', { uom: 'in' }, String(id)),
+        element('len', { uom: 'm' }, String(length))
+    ]);
+    const station = (md, incl) => element('trajectoryStation', {}, [
+        element('md', { uom: 'ft' }, String(md)),
+        element('incl', { uom: 'dega' }, String(incl))
+    ]);
+    const result = parseWitsml(witsml141([
+        element('trajectory', { uid: 't1' }, [element('name', {}, 'Survey'), station(0, 0), station(5000, 12), station('', 3)]),
+        element('tubular', { uid: 's1' }, [
+            element('name', {}, 'Drilling BHA'),
+            component(1, 'drill collar', 8, 2.8125, 100),
+            component(2, 'jar', 6.5, 2.75, 0),
+            component(3, 'drill pipe', 5, 4.276, 2900)
+        ]),
+        element('wellbore', { uid: 'wb1' }, [
+            element('name', {}, 'ST1'),
+            element('nameWell', {}, 'Alpha'),
+            element('md', { uom: 'm' }, '3048'),
+            element('statusWellbore', {}, 'active')
+        ]),
+        element('rig', { uid: 'r1' })
+    ]));
+
+    assert.strictEqual(result.format, 'WITSML 1.4.1');
+    assert.strictEqual(result.values.wellbore, 'ST1');
+    assert.strictEqual(result.values.well_name, 'Alpha');
+    close(result.values.hole_depth, 10000);
+    assert.deepStrictEqual(result.string_components.map(component => component.name), ['Drill Pipe', 'Drill Collar']);
+    close(result.string_components[1].length, 100 / 0.3048);
+    assert.strictEqual(result.sources.string_components, 'tubular "Drilling BHA"');
+    assert.deepStrictEqual(result.survey, [{ md: 0, inc: 0, azi: 0 }, { md: 5000, inc: 12, azi: 0 }]);
+    assert.deepStrictEqual(result.unmapped, [
+        'Not mapped from wellbore "ST1": statusWellbore.',
+        'tubular "Drilling BHA": Jar (sequence 2) has no OD, ID or length and was left out of the string.',
+        'trajectory "Survey": 1 station without an MD or inclination left out of the survey.',
+        'rig objects are not imported.'
+    ]);
+});
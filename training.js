@@ -0,0 +1,653 @@
+// ===========================
+// KILL SHEET CALCULATOR - TRAINING AND ASSESSMENT
+// ===========================
+//
+// Generated kick exercises for well control training. Each exercise is a
+// well object in oilfield units, like those saved in the library (see
+// library.js), made from a level and a seed: the same level and seed always
+// give the same well, so an exercise can be set again from its id. The
+// trainee's answers are graded against the calculator's own results for
+// that well. Like calculations.js this file has no DOM dependency; the
+// storage object (window.localStorage in the browser) is passed in.
+//
+// A training session is
+//   { trainee, started_at, settings, current, attempts }
+// where `current` is the { level, seed } of the exercise being worked and
+// `attempts` the graded exercises, oldest first.
+
+const TRAINING_STORAGE_KEY = 'killSheet.training';
+
+// Identifies an exported training record
+const TRAINING_RECORD_FORMAT = 'kill-sheet-training-record';
+const TRAINING_RECORD_VERSION = 1;
+
+// Exercise levels. Basic gives the pump output and one slow pump pressure;
+// the others give the rig pump and an SCR table to read the kill rate
+// from. Advanced wells are deviated (build and hold) with a tapered string.
+const TRAINING_LEVELS = {
+    basic: {
+        label: 'Basic (vertical, pump output given)',
+        min_tvd: 6000, max_tvd: 10000, hwdp: false, rig_pump: false, deviated: false, tapered: false
+    },
+    intermediate: {
+        label: 'Intermediate (vertical, rig pump and SCR table)',
+        min_tvd: 8000, max_tvd: 12000, hwdp: true, rig_pump: true, deviated: false, tapered: false
+    },
+    advanced: {
+        label: 'Advanced (deviated, tapered string)',
+        min_tvd: 9000, max_tvd: 14000, hwdp: true, rig_pump: true, deviated: true, tapered: true
+    }
+};
+
+const DEFAULT_TRAINING_LEVEL = 'basic';
+
+// Hole sections exercises are drilled in: casing { od, id }, drill pipe,
+// the larger pipe above it in a tapered string, HWDP and drill collars
+// { od, id }, all in inches
+const TRAINING_HOLE_SIZES = [
+    {
+        hole: 12.25, casing: { od: 13.375, id: 12.415 }, pipe: { od: 5, id: 4.276 },
+        taper: { od: 5.5, id: 4.778 }, hwdp: { od: 5, id: 3 }, collar: { od: 8, id: 2.8125 }
+    },
+    {
+        hole: 8.5, casing: { od: 9.625, id: 8.681 }, pipe: { od: 5, id: 4.276 },
+        taper: { od: 5.5, id: 4.778 }, hwdp: { od: 5, id: 3 }, collar: { od: 6.5, id: 2.8125 }
+    },
+    {
+        hole: 6, casing: { od: 7, id: 6.184 }, pipe: { od: 3.5, id: 2.764 },
+        taper: { od: 4, id: 3.34 }, hwdp: { od: 3.5, id: 2.0625 }, collar: { od: 4.75, id: 2.25 }
+    }
+];
+
+// Gradient of the gas influx the shut-in pressures are worked out for (psi/ft)
+const TRAINING_INFLUX_GRADIENT = 0.1;
+
+// SICP is kept below this share of MAASP so exercises stay killable by the
+// standard methods
+const TRAINING_MAX_SICP_RATIO = 0.7;
+
+// Answers graded, with the tolerance allowed either way by default: in the
+// answer's unit, or in percent of the expected value when `percent` is set
+const TRAINING_ANSWERS = [
+    { key: 'kill_mud_weight', label: 'Kill Mud Weight', unit: 'ppg', decimals: 1, tolerance: 0.05 },
+    { key: 'icp', label: 'Initial Circulating Pressure (ICP)', unit: 'psi', decimals: 0, tolerance: 10 },
+    { key: 'fcp', label: 'Final Circulating Pressure (FCP)', unit: 'psi', decimals: 0, tolerance: 10 },
+    { key: 'surface_to_bit_strokes', label: 'Surface-to-Bit Strokes', unit: 'strokes', decimals: 0, tolerance: 1, percent: true },
+    { key: 'bit_to_surface_strokes', label: 'Bit-to-Surface Strokes', unit: 'strokes', decimals: 0, tolerance: 1, percent: true },
+    { key: 'total_strokes', label: 'Total Strokes', unit: 'strokes', decimals: 0, tolerance: 1, percent: true },
+    { key: 'maasp_initial', label: 'MAASP', unit: 'psi', decimals: 0, tolerance: 10 }
+];
+
+// The drillpipe pressure schedule, graded as one answer that is correct
+// when every step is within the tolerance
+const TRAINING_SCHEDULE_ANSWER = {
+    key: 'schedule', label: 'Drillpipe Pressure Schedule', unit: 'psi', decimals: 0, tolerance: 15
+};
+
+// Score (percent of answers correct) needed to pass an exercise
+const DEFAULT_TRAINING_PASS_MARK = 70;
+
+// ===========================
+// EXERCISE GENERATION
+// ===========================
+// Random numbers from 0 (inclusive) to 1 (exclusive) repeatable from a
+// 32-bit seed (mulberry32)
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function createTrainingSeed() {
+    return Math.floor(Math.random() * 999999999) + 1;
+}
+
+function trainingExerciseId(level, seed) {
+    return `${level}-${seed}`;
+}
+
+// { level, seed } of an exercise id such as "basic-12345", or null when it
+// is not one
+function parseTrainingExerciseId(id) {
+    const match = /^\s*([a-z]+)-(\d+)\s*$/.exec(String(id));
+    if (!match || !TRAINING_LEVELS.hasOwnProperty(match[1]) || !(parseInt(match[2], 10) > 0)) return null;
+    return { level: match[1], seed: parseInt(match[2], 10) };
+}
+
+// TVD of a measured depth along a vertical, or build-and-hold, well path
+// { kop, build_rate, inclination } (ft, °/100 ft, degrees)
+function trainingPathTvd(path, md) {
+    if (!path || md <= path.kop) return md;
+
+    const radius = 18000 / (Math.PI * path.build_rate);
+    const endOfBuild = path.kop + path.inclination / path.build_rate * 100;
+    const angle = path.inclination * Math.PI / 180;
+
+    if (md <= endOfBuild) return path.kop + radius * Math.sin((md - path.kop) / radius);
+    return path.kop + radius * Math.sin(angle) + (md - endOfBuild) * Math.cos(angle);
+}
+
+// Measured height of a pit gain in the annulus above the bit, using the
+// annular capacities (hole² − OD²) ÷ 1029.4 of the components from the bit up
+function trainingInfluxLength(hole, components, pitGain) {
+    let remaining = pitGain;
+    let length = 0;
+
+    for (let i = components.length - 1; i >= 0 && remaining > 0; i--) {
+        const capacity = (hole * hole - components[i].od * components[i].od) / 1029.4;
+        const height = components[i].length > 0 ? Math.min(remaining / capacity, components[i].length) : remaining / capacity;
+        length += height;
+        remaining -= height * capacity;
+    }
+    return length;
+}
+
+// A kick exercise of the given level. The same level and seed always give
+// the same well. Returns { id, level, seed, well } with the well in
+// oilfield units, shut in on a gas kick taken on bottom with the bit at TD.
+function generateTrainingExercise(level, seed) {
+    const levelKey = TRAINING_LEVELS.hasOwnProperty(level) ? level : DEFAULT_TRAINING_LEVEL;
+    const settings = TRAINING_LEVELS[levelKey];
+    const random = seededRandom(seed);
+
+    const pick = list => list[Math.floor(random() * list.length)];
+    const step = (min, max, increment) => {
+        const count = Math.round((max - min) / increment) + 1;
+        return parseFloat((min + increment * Math.floor(random() * count)).toFixed(4));
+    };
+    const round = (value, increment) => parseFloat((Math.round(value / increment) * increment).toFixed(4));
+
+    // Hole section and well path
+    const size = pick(TRAINING_HOLE_SIZES);
+    const targetTvd = step(settings.min_tvd, settings.max_tvd, 100);
+
+    let path = null;
+    let holeMd = targetTvd;
+    if (settings.deviated) {
+        path = {
+            kop: step(1500, 3000, 100),
+            build_rate: pick([2, 2.5]),
+            inclination: step(20, 50, 5),
+            azimuth: step(0, 350, 10)
+        };
+        path.end_of_build = path.kop + path.inclination / path.build_rate * 100;
+        const holdLength = (targetTvd - trainingPathTvd(path, path.end_of_build)) /
+            Math.cos(path.inclination * Math.PI / 180);
+        holeMd = round(path.end_of_build + holdLength, 10);
+    }
+    const holeTvd = Math.round(trainingPathTvd(path, holeMd));
+    const shoeMd = round(holeMd * step(0.5, 0.75, 0.05), 10);
+    const shoeTvd = Math.round(trainingPathTvd(path, shoeMd));
+
+    // Drill string, top first: the top pipe has no length and fills the
+    // string down to the bit
+    const components = [];
+    if (settings.tapered) {
+        components.push({ name: 'Upper Drill Pipe', od: size.taper.od, id: size.taper.id, length: 0 });
+        components.push({ name: 'Lower Drill Pipe', od: size.pipe.od, id: size.pipe.id, length: step(1500, 3000, 30) });
+    } else {
+        components.push({ name: 'Drill Pipe', od: size.pipe.od, id: size.pipe.id, length: 0 });
+    }
+    if (settings.hwdp) {
+        components.push({ name: 'HWDP', od: size.hwdp.od, id: size.hwdp.id, length: step(450, 900, 30) });
+    }
+    components.push({ name: 'Drill Collars', od: size.collar.od, id: size.collar.id, length: step(300, 900, 30) });
+
+    // Mud and kick: SICP from SIDPP and the hydrostatic lost to a gas
+    // influx standing around the BHA
+    const mudWeight = step(9, 13, 0.1);
+    const kickIntensity = step(0.2, 1, 0.1);
+    const pitGain = step(10, 30, 1);
+    const sidpp = Math.max(round(kickIntensity * 0.052 * holeTvd, 10), 100);
+    const influxTop = Math.max(holeMd - trainingInfluxLength(size.hole, components, pitGain), 0);
+    const influxHeight = holeTvd - trainingPathTvd(path, influxTop);
+    const sicp = round(sidpp + (0.052 * mudWeight - TRAINING_INFLUX_GRADIENT) * influxHeight, 10);
+
+    // Leak-off test taken with a lighter mud, with a fracture gradient
+    // leaving MAASP well above SICP
+    const lotMudWeight = parseFloat(Math.max(mudWeight - step(0, 0.8, 0.1), 8.6).toFixed(1));
+    const minimumMargin = sicp / (TRAINING_MAX_SICP_RATIO * 0.052 * shoeTvd);
+    const fractureMudWeight = mudWeight + Math.max(step(1.2, 3, 0.1), Math.ceil(minimumMargin * 10) / 10);
+    const lotPressure = Math.ceil((fractureMudWeight - lotMudWeight) * 0.052 * shoeTvd / 10) * 10;
+
+    // Kill pump and slow circulating rate
+    const pump = {
+        name: 'Pump 1',
+        type: 'triplex',
+        liner: pick([5.5, 6, 6.5]),
+        stroke: pick([10, 12]),
+        rod: 0,
+        efficiency: pick([95, 97])
+    };
+    const killRate = pick([30, 40]);
+    const scrPressure = step(400, 900, 10);
+
+    const well = {
+        well_name: `Training ${trainingExerciseId(levelKey, seed)}`,
+        hole_diameter: size.hole,
+        hole_depth: holeMd,
+        hole_tvd: holeTvd,
+        current_mud_weight: mudWeight,
+        sidpp: sidpp,
+        sicp: sicp,
+        pit_gain: pitGain,
+        strokes_per_min: killRate,
+        casing_od: size.casing.od,
+        casing_id: size.casing.id,
+        casing_setting_depth: shoeMd,
+        casing_shoe_tvd: shoeTvd,
+        lot_pressure: lotPressure,
+        lot_mud_weight: lotMudWeight,
+        kill_method: 'wait_and_weight',
+        bop_location: 'surface',
+        policy_name: 'Kill mud rounded up to 0.1 ppg',
+        kill_mud_weight_increment: 0.1,
+        string_components: components
+    };
+
+    if (settings.rig_pump) {
+        // SCRs at two rates, taken on bottom with the current mud; the kill
+        // rate is one of them
+        const otherRate = killRate === 30 ? 40 : 30;
+        const otherPressure = round(scrPressure * Math.pow(otherRate / killRate, 2), 10);
+        const records = [
+            { pump: pump.name, spm: killRate, pressure: scrPressure },
+            { pump: pump.name, spm: otherRate, pressure: otherPressure }
+        ].sort((a, b) => a.spm - b.spm);
+
+        well.pumps = [pump];
+        well.kill_pump = 0;
+        well.scr_table = records.map(record => Object.assign(record, {
+            clf: 0, date: '', depth: holeMd, mud_weight: mudWeight
+        }));
+    } else {
+        well.pump_capacity = parseFloat((3 * Math.PI / 4 * pump.liner * pump.liner * pump.stroke / 9702 *
+            pump.efficiency / 100).toFixed(4));
+        well.user_stroke_pressure = scrPressure;
+    }
+
+    if (path) {
+        well.survey = [
+            { md: 0, inc: 0, azi: 0 },
+            { md: path.kop, inc: 0, azi: path.azimuth },
+            { md: path.end_of_build, inc: path.inclination, azi: path.azimuth },
+            { md: holeMd, inc: path.inclination, azi: path.azimuth }
+        ];
+    }
+
+    return { id: trainingExerciseId(levelKey, seed), level: levelKey, seed: seed, well: well };
+}
+
+// The data given to the trainee, as [{ label, value }] in the order of a
+// paper kill sheet
+function trainingGivenData(well) {
+    const given = [];
+    const add = (label, value) => given.push({ label: label, value: value });
+
+    add('Hole', `${well.hole_diameter} in to ${well.hole_depth} ft MD, ${well.hole_tvd} ft TVD`);
+    if (Array.isArray(well.survey)) {
+        add('Survey (MD ft / inclination °)', well.survey.map(station => `${station.md} / ${station.inc}`).join(', '));
+    }
+    add('Casing', `${well.casing_od} in (ID ${well.casing_id} in), shoe at ${well.casing_setting_depth} ft MD, ` +
+        `${well.casing_shoe_tvd} ft TVD`);
+    well.string_components.forEach(component => {
+        add(component.name, `${component.od} in OD × ${component.id} in ID, ` +
+            (component.length > 0 ? `${component.length} ft` : 'the rest of the string to the bit'));
+    });
+    add('Mud Weight', `${well.current_mud_weight.toFixed(1)} ppg`);
+    add('Leak-Off Test', `${well.lot_pressure} psi with ${well.lot_mud_weight.toFixed(1)} ppg mud`);
+    add('SIDPP', `${well.sidpp} psi`);
+    add('SICP', `${well.sicp} psi`);
+    add('Pit Gain', `${well.pit_gain} bbl`);
+
+    if (Array.isArray(well.pumps) && well.pumps.length > 0) {
+        const pump = well.pumps[well.kill_pump || 0];
+        add('Kill Pump', `${pump.name}: ${pump.type}, ${pump.liner} in liner, ${pump.stroke} in stroke, ` +
+            `${pump.efficiency} % volumetric efficiency`);
+        add('Slow Circulating Rates', well.scr_table.map(record => `${record.pressure} psi at ${record.spm} spm`).join('; '));
+        add('Kill Rate', `${well.strokes_per_min} spm`);
+    } else {
+        add('Pump Output', `${well.pump_capacity} bbl/stroke`);
+        add('Slow Circulating Rate', `${well.user_stroke_pressure} psi at ${well.strokes_per_min} spm`);
+    }
+
+    add('Kill', `Wait and weight method; round the kill mud weight up to the next ${well.kill_mud_weight_increment} ppg`);
+    return given;
+}
+
+// ===========================
+// GRADING
+// ===========================
+// Points of the drillpipe pressure schedule a trainee works out: the rows
+// from the start of the kill until kill mud reaches the bit
+function trainingSchedule(results) {
+    return (results.pressure_schedule || [])
+        .filter(row => row.strokes <= results.surface_to_bit_strokes + 1e-6)
+        .map(row => ({ strokes: row.strokes, pressure: row.pressure }));
+}
+
+// Settings with every field filled in: { pass_mark, tolerances } where
+// `tolerances` maps each answer key to its tolerance
+function normalizeTrainingSettings(settings = {}) {
+    const tolerances = {};
+    const given = settings.tolerances || {};
+
+    TRAINING_ANSWERS.concat(TRAINING_SCHEDULE_ANSWER).forEach(answer => {
+        const value = parseFloat(given[answer.key]);
+        tolerances[answer.key] = value >= 0 ? value : answer.tolerance;
+    });
+
+    const passMark = parseFloat(settings.pass_mark);
+    return {
+        pass_mark: passMark >= 0 && passMark <= 100 ? passMark : DEFAULT_TRAINING_PASS_MARK,
+        tolerances: tolerances
+    };
+}
+
+// Whether `answer` is within the tolerance of `expected`
+function trainingAnswerCorrect(definition, tolerance, expected, answer) {
+    if (typeof answer !== 'number' || !isFinite(answer) || !isFinite(expected)) return false;
+
+    const allowed = definition.percent ? Math.abs(expected) * tolerance / 100 : tolerance;
+    return Math.abs(answer - expected) <= allowed + 1e-9;
+}
+
+// Grades `answers` ({ key: number, schedule: [number per step] }, a value
+// not given being null) against the results for the exercise. Returns
+// { items, correct, total, score, passed }, one item per graded answer.
+function gradeTrainingAnswers(results, answers, settings) {
+    const normalized = normalizeTrainingSettings(settings);
+    const tolerances = normalized.tolerances;
+    const given = value => (typeof value === 'number' && isFinite(value) ? value : null);
+
+    const items = TRAINING_ANSWERS.map(definition => {
+        const answer = given(answers[definition.key]);
+        return {
+            key: definition.key,
+            label: definition.label,
+            unit: definition.unit,
+            expected: results[definition.key],
+            answer: answer,
+            tolerance: tolerances[definition.key],
+            percent: Boolean(definition.percent),
+            pass: trainingAnswerCorrect(definition, tolerances[definition.key], results[definition.key], answer)
+        };
+    });
+
+    const scheduleAnswers = Array.isArray(answers.schedule) ? answers.schedule : [];
+    const steps = trainingSchedule(results).map((point, index) => {
+        const answer = given(scheduleAnswers[index]);
+        return {
+            strokes: point.strokes,
+            expected: point.pressure,
+            answer: answer,
+            pass: trainingAnswerCorrect(TRAINING_SCHEDULE_ANSWER, tolerances.schedule, point.pressure, answer)
+        };
+    });
+    items.push({
+        key: TRAINING_SCHEDULE_ANSWER.key,
+        label: TRAINING_SCHEDULE_ANSWER.label,
+        unit: TRAINING_SCHEDULE_ANSWER.unit,
+        expected: null,
+        answer: null,
+        tolerance: tolerances.schedule,
+        percent: false,
+        pass: steps.length > 0 && steps.every(point => point.pass),
+        steps: steps
+    });
+
+    const correct = items.filter(item => item.pass).length;
+    const score = Math.round(correct / items.length * 100);
+    return {
+        items: items,
+        correct: correct,
+        total: items.length,
+        score: score,
+        passed: score >= normalized.pass_mark
+    };
+}
+
+// ===========================
+// WORKED SOLUTION
+// ===========================
+// The working for an exercise, as a paper kill sheet sets it out:
+// [{ title, lines }] with `inputs` the normalized inputs and `results`
+// their performCalculations results.
+function buildTrainingSolution(inputs, results) {
+    const fixed = (value, decimals) => Number(value).toFixed(decimals);
+    const steps = [];
+
+    // Kill mud weight
+    const killMud = [
+        'KMW = OMW + SIDPP ÷ (0.052 × TVD)',
+        `    = ${fixed(inputs.current_mud_weight, 1)} + ${fixed(inputs.sidpp, 0)} ÷ (0.052 × ${fixed(results.bit_tvd, 0)})` +
+            ` = ${fixed(results.balanced_kill_mud_weight, 3)} ppg`
+    ];
+    if (inputs.kill_mud_weight_increment > 0) {
+        killMud.push(`Rounded up to the next ${inputs.kill_mud_weight_increment} ppg: KMW = ${fixed(results.kill_mud_weight, 1)} ppg`);
+    }
+    steps.push({ title: 'Kill Mud Weight', lines: killMud });
+
+    // Pump output
+    const pump = inputs.kill_pump !== null ? inputs.pumps[inputs.kill_pump] : null;
+    if (pump && pump.type === 'duplex') {
+        steps.push({ title: 'Kill Pump Output', lines: [
+            'Duplex output = 0.000162 × (2 × Liner² − Rod²) × Stroke × Efficiency',
+            `    = 0.000162 × (2 × ${pump.liner}² − ${pump.rod}²) × ${pump.stroke} × ${fixed(pump.efficiency / 100, 2)}` +
+                ` = ${fixed(results.pump_capacity, 4)} bbl/stroke`
+        ] });
+    } else if (pump) {
+        steps.push({ title: 'Kill Pump Output', lines: [
+            'Triplex output = 0.000243 × Liner² × Stroke × Efficiency',
+            `    = 0.000243 × ${pump.liner}² × ${pump.stroke} × ${fixed(pump.efficiency / 100, 2)}` +
+                ` = ${fixed(results.pump_capacity, 4)} bbl/stroke`
+        ] });
+    } else {
+        steps.push({ title: 'Kill Pump Output', lines: [`Given: ${fixed(results.pump_capacity, 4)} bbl/stroke`] });
+    }
+
+    // Slow pump pressure
+    steps.push({ title: 'Slow Circulating Rate Pressure', lines: [
+        results.scr_basis
+            ? `From the SCR table for ${results.kill_pump_name} at the ${fixed(results.kill_rate, 0)} spm kill rate: ` +
+                `${fixed(results.slow_pump_pressure, 0)} psi`
+            : `Given: ${fixed(results.slow_pump_pressure, 0)} psi at ${fixed(results.kill_rate, 0)} spm`
+    ] });
+
+    // Circulating pressures
+    const margin = inputs.schedule_safety_margin > 0 ? ` + ${fixed(inputs.schedule_safety_margin, 0)}` : '';
+    steps.push({ title: 'Initial Circulating Pressure', lines: [
+        `ICP = SIDPP + SCR${margin ? ' + safety margin' : ''}`,
+        `    = ${fixed(inputs.sidpp, 0)} + ${fixed(results.slow_pump_pressure, 0)}${margin} = ${fixed(results.icp, 0)} psi`
+    ] });
+    steps.push({ title: 'Final Circulating Pressure', lines: [
+        `FCP = SCR × KMW ÷ OMW${margin ? ' + safety margin' : ''}`,
+        `    = ${fixed(results.slow_pump_pressure, 0)} × ${fixed(results.kill_mud_weight, 1)} ÷ ` +
+            `${fixed(inputs.current_mud_weight, 1)}${margin} = ${fixed(results.fcp, 0)} psi`
+    ] });
+
+    // Volumes and strokes. The capacity constant is worked back from the
+    // calculator's own capacities so the lines agree with its results.
+    const divisor = section => section.internal_capacity > 0 ? section.id * section.id / section.internal_capacity : 0;
+    const constant = results.string_sections.length > 0 ? fixed(divisor(results.string_sections[0]), 1) : '1029.4';
+
+    const stringLines = [`Capacity = ID² ÷ ${constant} bbl/ft (paper sheets often use 1029.4, about 0.1 % less volume)`];
+    results.string_sections.forEach(section => {
+        stringLines.push(`${section.name}: ${section.id}² ÷ ${constant} × ${fixed(section.length, 0)} ft = ` +
+            `${fixed(section.internal_volume, 2)} bbl`);
+    });
+    stringLines.push(`Drill string volume = ${fixed(results.drill_string_volume, 2)} bbl`);
+    stringLines.push(`Surface-to-bit strokes = ${fixed(results.drill_string_volume, 2)} ÷ ${fixed(results.pump_capacity, 4)}` +
+        ` = ${fixed(results.surface_to_bit_strokes, 0)} strokes`);
+    steps.push({ title: 'Drill String Volume and Strokes', lines: stringLines });
+
+    const annulusLines = ['Capacity = (Hole or casing ID² − OD²) ÷ ' + constant + ' bbl/ft'];
+    results.annular_sections.forEach(section => {
+        annulusLines.push(`${section.name} in ${section.cased ? 'casing' : 'open hole'}: ` +
+            `(${section.hole_id}² − ${section.od}²) ÷ ${constant} × ${fixed(section.length, 0)} ft = ` +
+            `${fixed(section.volume, 2)} bbl`);
+    });
+    annulusLines.push(`Annular volume = ${fixed(results.total_annular_capacity, 2)} bbl`);
+    annulusLines.push(`Bit-to-surface strokes = ${fixed(results.total_annular_capacity, 2)} ÷ ${fixed(results.pump_capacity, 4)}` +
+        ` = ${fixed(results.bit_to_surface_strokes, 0)} strokes`);
+    annulusLines.push(`Total strokes = ${fixed(results.surface_to_bit_strokes, 0)} + ${fixed(results.bit_to_surface_strokes, 0)}` +
+        ` = ${fixed(results.total_strokes, 0)} strokes`);
+    steps.push({ title: 'Annular Volume and Strokes', lines: annulusLines });
+
+    // MAASP
+    if (isFinite(results.maasp_initial)) {
+        steps.push({ title: 'MAASP', lines: [
+            'Maximum allowable mud weight = LOT mud weight + LOT pressure ÷ (0.052 × shoe TVD)',
+            `    = ${fixed(inputs.lot_mud_weight, 1)} + ${fixed(inputs.lot_pressure, 0)} ÷ (0.052 × ` +
+                `${fixed(results.shoe_tvd, 0)}) = ${fixed(results.max_allowable_mud_weight, 2)} ppg`,
+            'MAASP = (Maximum allowable mud weight − OMW) × 0.052 × shoe TVD',
+            `    = (${fixed(results.max_allowable_mud_weight, 2)} − ${fixed(inputs.current_mud_weight, 1)}) × 0.052 × ` +
+                `${fixed(results.shoe_tvd, 0)} = ${fixed(results.maasp_initial, 0)} psi`
+        ] });
+    }
+
+    // Drillpipe pressure schedule
+    const schedule = trainingSchedule(results);
+    const scheduleLines = results.deviated
+        ? [
+            'In a deviated well the pressure does not fall in a straight line. With the kill mud front at ' +
+                'measured depth x along the string:',
+            'DPP = SIDPP − (KMW − OMW) × 0.052 × TVD at x + SCR + (FCP − SCR) × x ÷ string length',
+            'Friction builds with measured depth while the hydrostatic gain follows the TVD; the gain taken off ' +
+                'is never more than SIDPP.'
+        ]
+        : [
+            `Pressure drop per step = (ICP − FCP) ÷ ${Math.max(schedule.length - 1, 1)} = ` +
+                `(${fixed(results.icp, 0)} − ${fixed(results.fcp, 0)}) ÷ ${Math.max(schedule.length - 1, 1)} = ` +
+                `${fixed((results.icp - results.fcp) / Math.max(schedule.length - 1, 1), 1)} psi every ` +
+                `${fixed(results.surface_to_bit_strokes / Math.max(schedule.length - 1, 1), 0)} strokes`
+        ];
+    schedule.forEach((point, index) => {
+        scheduleLines.push(`Step ${index}: ${fixed(point.strokes, 0)} strokes, ${fixed(point.pressure, 0)} psi`);
+    });
+    steps.push({ title: 'Drillpipe Pressure Schedule', lines: scheduleLines });
+
+    // Time
+    if (results.kill_rate > 0) {
+        steps.push({ title: 'Pumping Time', lines: [
+            `Total time = total strokes ÷ kill rate = ${fixed(results.kill_strokes, 0)} ÷ ${fixed(results.kill_rate, 0)}` +
+                ` = ${fixed(results.total_pumping_time, 0)} min`
+        ] });
+    }
+
+    return steps;
+}
+
+// ===========================
+// SESSION AND RESULT RECORD
+// ===========================
+function createTrainingSession(trainee = '', settings = {}) {
+    return {
+        trainee: String(trainee),
+        started_at: new Date().toISOString(),
+        settings: normalizeTrainingSettings(settings),
+        current: null,
+        attempts: []
+    };
+}
+
+// Checks a session read from storage. Returns null when it is not usable.
+function normalizeTrainingSession(session) {
+    if (!session || typeof session !== 'object') return null;
+
+    const current = session.current && TRAINING_LEVELS.hasOwnProperty(session.current.level) &&
+        session.current.seed > 0
+        ? { level: session.current.level, seed: session.current.seed }
+        : null;
+
+    return {
+        trainee: session.trainee ? String(session.trainee) : '',
+        started_at: session.started_at ? String(session.started_at) : new Date().toISOString(),
+        settings: normalizeTrainingSettings(session.settings),
+        current: current,
+        attempts: Array.isArray(session.attempts)
+            ? session.attempts.filter(attempt => attempt && typeof attempt === 'object')
+            : []
+    };
+}
+
+// { exercises, passed, average_score } over the graded attempts
+function summarizeTrainingSession(session) {
+    const attempts = session.attempts;
+    return {
+        exercises: attempts.length,
+        passed: attempts.filter(attempt => attempt.passed).length,
+        average_score: attempts.length > 0
+            ? Math.round(attempts.reduce((sum, attempt) => sum + attempt.score, 0) / attempts.length)
+            : null
+    };
+}
+
+// The session as handed to the training coordinator
+function buildTrainingRecord(session) {
+    return {
+        format: TRAINING_RECORD_FORMAT,
+        version: TRAINING_RECORD_VERSION,
+        exported_at: new Date().toISOString(),
+        trainee: session.trainee,
+        started_at: session.started_at,
+        pass_mark: session.settings.pass_mark,
+        tolerances: session.settings.tolerances,
+        summary: summarizeTrainingSession(session),
+        attempts: session.attempts
+    };
+}
+
+// ===========================
+// BROWSER STORAGE
+// ===========================
+// The saved session, or null. Unreadable storage gives none rather than an
+// error so the calculator still opens.
+function readTrainingSession(storage) {
+    try {
+        return normalizeTrainingSession(JSON.parse(storage.getItem(TRAINING_STORAGE_KEY) || 'null'));
+    } catch (error) {
+        return null;
+    }
+}
+
+function writeTrainingSession(storage, session) {
+    storage.setItem(TRAINING_STORAGE_KEY, JSON.stringify(session));
+}
+
+// ===========================
+// MODULE EXPORTS (Node)
+// ===========================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TRAINING_STORAGE_KEY,
+        TRAINING_RECORD_FORMAT,
+        TRAINING_RECORD_VERSION,
+        TRAINING_LEVELS,
+        DEFAULT_TRAINING_LEVEL,
+        TRAINING_ANSWERS,
+        TRAINING_SCHEDULE_ANSWER,
+        DEFAULT_TRAINING_PASS_MARK,
+        seededRandom,
+        createTrainingSeed,
+        trainingExerciseId,
+        parseTrainingExerciseId,
+        generateTrainingExercise,
+        trainingGivenData,
+        trainingSchedule,
+        normalizeTrainingSettings,
+        gradeTrainingAnswers,
+        buildTrainingSolution,
+        createTrainingSession,
+        normalizeTrainingSession,
+        summarizeTrainingSession,
+        buildTrainingRecord,
+        readTrainingSession,
+        writeTrainingSession
+    };
+}
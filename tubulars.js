@@ -0,0 +1,191 @@
+// ===========================
+// KILL SHEET CALCULATOR - TUBULAR CATALOGUE
+// ===========================
+//
+// API drill pipe, HWDP, drill collar and casing sizes for filling in the
+// drill string and casing data, plus company entries kept in browser
+// storage. Like calculations.js this file has no DOM dependency; the storage
+// object (window.localStorage in the browser) is passed in.
+//
+// An entry is
+//   { type, name, od, id, weight, grade, burst, collapse }
+// in oilfield units: od and id in inches, nominal weight in lb/ft and the
+// casing burst (minimum internal yield) and collapse ratings in psi. Only
+// casing has a grade and ratings.
+
+const TUBULAR_STORAGE_KEY = 'killSheet.tubulars';
+
+const TUBULAR_TYPES = {
+    drill_pipe: { label: 'Drill Pipe' },
+    hwdp: { label: 'HWDP' },
+    drill_collar: { label: 'Drill Collar' },
+    casing: { label: 'Casing' }
+};
+
+// Types offered for drill string components
+const STRING_TUBULAR_TYPES = ['drill_pipe', 'hwdp', 'drill_collar'];
+
+// Built-in entries. Drill pipe IDs are for the nominal weight (API RP 7G);
+// drill collar weights are for slick collars. Casing ratings are the API
+// TR 5C3 minimums for new pipe; check them against the mill certificates
+// for the string actually run.
+const TUBULAR_CATALOGUE = [
+    { type: 'drill_pipe', name: '2-7/8" DP 10.40 lb/ft', od: 2.875, id: 2.151, weight: 10.4 },
+    { type: 'drill_pipe', name: '3-1/2" DP 13.30 lb/ft', od: 3.5, id: 2.764, weight: 13.3 },
+    { type: 'drill_pipe', name: '3-1/2" DP 15.50 lb/ft', od: 3.5, id: 2.602, weight: 15.5 },
+    { type: 'drill_pipe', name: '4" DP 14.00 lb/ft', od: 4, id: 3.34, weight: 14 },
+    { type: 'drill_pipe', name: '4-1/2" DP 16.60 lb/ft', od: 4.5, id: 3.826, weight: 16.6 },
+    { type: 'drill_pipe', name: '4-1/2" DP 20.00 lb/ft', od: 4.5, id: 3.64, weight: 20 },
+    { type: 'drill_pipe', name: '5" DP 19.50 lb/ft', od: 5, id: 4.276, weight: 19.5 },
+    { type: 'drill_pipe', name: '5" DP 25.60 lb/ft', od: 5, id: 4, weight: 25.6 },
+    { type: 'drill_pipe', name: '5-1/2" DP 21.90 lb/ft', od: 5.5, id: 4.778, weight: 21.9 },
+    { type: 'drill_pipe', name: '5-1/2" DP 24.70 lb/ft', od: 5.5, id: 4.67, weight: 24.7 },
+    { type: 'drill_pipe', name: '6-5/8" DP 25.20 lb/ft', od: 6.625, id: 5.965, weight: 25.2 },
+    { type: 'drill_pipe', name: '6-5/8" DP 27.70 lb/ft', od: 6.625, id: 5.901, weight: 27.7 },
+
+    { type: 'hwdp', name: '3-1/2" HWDP', od: 3.5, id: 2.0625, weight: 25.3 },
+    { type: 'hwdp', name: '4" HWDP', od: 4, id: 2.5625, weight: 29.7 },
+    { type: 'hwdp', name: '4-1/2" HWDP', od: 4.5, id: 2.75, weight: 41 },
+    { type: 'hwdp', name: '5" HWDP', od: 5, id: 3, weight: 49.3 },
+    { type: 'hwdp', name: '5-1/2" HWDP', od: 5.5, id: 3.375, weight: 57 },
+    { type: 'hwdp', name: '6-5/8" HWDP', od: 6.625, id: 4.5, weight: 70.5 },
+
+    { type: 'drill_collar', name: '4-3/4" x 2-1/4" DC', od: 4.75, id: 2.25, weight: 46.7 },
+    { type: 'drill_collar', name: '6-1/4" x 2-13/16" DC', od: 6.25, id: 2.8125, weight: 83.2 },
+    { type: 'drill_collar', name: '6-1/2" x 2-13/16" DC', od: 6.5, id: 2.8125, weight: 91.7 },
+    { type: 'drill_collar', name: '6-3/4" x 2-13/16" DC', od: 6.75, id: 2.8125, weight: 100.5 },
+    { type: 'drill_collar', name: '8" x 2-13/16" DC', od: 8, id: 2.8125, weight: 149.8 },
+    { type: 'drill_collar', name: '8-1/4" x 2-13/16" DC', od: 8.25, id: 2.8125, weight: 160.6 },
+    { type: 'drill_collar', name: '9-1/2" x 3" DC', od: 9.5, id: 3, weight: 216.9 },
+
+    { type: 'casing', name: '5-1/2" 17.00 lb/ft L-80', od: 5.5, id: 4.892, weight: 17, grade: 'L-80', burst: 7740, collapse: 6290 },
+    { type: 'casing', name: '5-1/2" 20.00 lb/ft P-110', od: 5.5, id: 4.778, weight: 20, grade: 'P-110', burst: 12640, collapse: 11100 },
+    { type: 'casing', name: '7" 23.00 lb/ft L-80', od: 7, id: 6.366, weight: 23, grade: 'L-80', burst: 6340, collapse: 3830 },
+    { type: 'casing', name: '7" 26.00 lb/ft L-80', od: 7, id: 6.276, weight: 26, grade: 'L-80', burst: 7240, collapse: 5410 },
+    { type: 'casing', name: '7" 29.00 lb/ft L-80', od: 7, id: 6.184, weight: 29, grade: 'L-80', burst: 8160, collapse: 7020 },
+    { type: 'casing', name: '7" 29.00 lb/ft P-110', od: 7, id: 6.184, weight: 29, grade: 'P-110', burst: 11220, collapse: 8530 },
+    { type: 'casing', name: '7" 32.00 lb/ft P-110', od: 7, id: 6.094, weight: 32, grade: 'P-110', burst: 12460, collapse: 10760 },
+    { type: 'casing', name: '9-5/8" 36.00 lb/ft J-55', od: 9.625, id: 8.921, weight: 36, grade: 'J-55', burst: 3520, collapse: 2020 },
+    { type: 'casing', name: '9-5/8" 40.00 lb/ft L-80', od: 9.625, id: 8.835, weight: 40, grade: 'L-80', burst: 5750, collapse: 3090 },
+    { type: 'casing', name: '9-5/8" 43.50 lb/ft L-80', od: 9.625, id: 8.755, weight: 43.5, grade: 'L-80', burst: 6330, collapse: 3810 },
+    { type: 'casing', name: '9-5/8" 47.00 lb/ft L-80', od: 9.625, id: 8.681, weight: 47, grade: 'L-80', burst: 6870, collapse: 4750 },
+    { type: 'casing', name: '9-5/8" 47.00 lb/ft P-110', od: 9.625, id: 8.681, weight: 47, grade: 'P-110', burst: 9440, collapse: 5310 },
+    { type: 'casing', name: '9-5/8" 53.50 lb/ft P-110', od: 9.625, id: 8.535, weight: 53.5, grade: 'P-110', burst: 10900, collapse: 7950 },
+    { type: 'casing', name: '10-3/4" 45.50 lb/ft J-55', od: 10.75, id: 9.95, weight: 45.5, grade: 'J-55', burst: 3580, collapse: 2090 },
+    { type: 'casing', name: '13-3/8" 54.50 lb/ft J-55', od: 13.375, id: 12.615, weight: 54.5, grade: 'J-55', burst: 2730, collapse: 1130 },
+    { type: 'casing', name: '13-3/8" 68.00 lb/ft J-55', od: 13.375, id: 12.415, weight: 68, grade: 'J-55', burst: 3450, collapse: 1950 },
+    { type: 'casing', name: '13-3/8" 68.00 lb/ft L-80', od: 13.375, id: 12.415, weight: 68, grade: 'L-80', burst: 5020, collapse: 2260 },
+    { type: 'casing', name: '13-3/8" 72.00 lb/ft L-80', od: 13.375, id: 12.347, weight: 72, grade: 'L-80', burst: 5380, collapse: 2670 },
+    { type: 'casing', name: '13-3/8" 72.00 lb/ft P-110', od: 13.375, id: 12.347, weight: 72, grade: 'P-110', burst: 7400, collapse: 2880 },
+    { type: 'casing', name: '20" 94.00 lb/ft K-55', od: 20, id: 19.124, weight: 94, grade: 'K-55', burst: 2110, collapse: 520 },
+    { type: 'casing', name: '20" 133.00 lb/ft K-55', od: 20, id: 18.73, weight: 133, grade: 'K-55', burst: 3060, collapse: 1500 }
+];
+
+// ===========================
+// ENTRIES
+// ===========================
+// Name for an entry that was not given one, e.g. '9.625" Casing 47 lb/ft P-110'
+function defaultTubularName(entry) {
+    const parts = [`${entry.od}" ${TUBULAR_TYPES[entry.type].label}`];
+    if (entry.weight > 0) parts.push(`${entry.weight} lb/ft`);
+    if (entry.grade) parts.push(entry.grade);
+    return parts.join(' ');
+}
+
+// Checks an entry read from storage or typed in and fills in what it may
+// lack. Returns null when it is not a usable entry.
+function normalizeTubular(entry) {
+    if (!entry || typeof entry !== 'object' || !TUBULAR_TYPES.hasOwnProperty(entry.type)) return null;
+
+    const number = value => {
+        const parsed = parseFloat(value);
+        return isNaN(parsed) || parsed < 0 ? 0 : parsed;
+    };
+    const tubular = {
+        type: entry.type,
+        name: '',
+        od: number(entry.od),
+        id: number(entry.id),
+        weight: number(entry.weight),
+        grade: entry.grade ? String(entry.grade).trim() : '',
+        burst: number(entry.burst),
+        collapse: number(entry.collapse)
+    };
+    if (!(tubular.od > 0) || tubular.id >= tubular.od) return null;
+
+    tubular.name = entry.name && String(entry.name).trim() ? String(entry.name).trim() : defaultTubularName(tubular);
+    return tubular;
+}
+
+// Company entries first, so they are found before a built-in one of the
+// same name
+function buildTubularCatalogue(customEntries) {
+    return customEntries.map(entry => Object.assign({ custom: true }, entry)).concat(TUBULAR_CATALOGUE);
+}
+
+function findTubular(catalogue, name) {
+    const wanted = String(name || '').trim().toLowerCase();
+    return wanted ? catalogue.find(entry => entry.name.toLowerCase() === wanted) || null : null;
+}
+
+// Casing entry with the given OD (in), nominal weight (lb/ft) and grade, or
+// null. Grades match ignoring case and dashes ("P110" is "P-110").
+function findCasing(catalogue, od, weight, grade) {
+    const gradeKey = value => String(value || '').replace(/[\s-]/g, '').toUpperCase();
+    if (!(od > 0) || !(weight > 0) || !gradeKey(grade)) return null;
+
+    return catalogue.find(entry => entry.type === 'casing' &&
+        Math.abs(entry.od - od) < 0.01 &&
+        Math.abs(entry.weight - weight) < 0.05 &&
+        gradeKey(entry.grade) === gradeKey(grade)) || null;
+}
+
+// Inputs (oilfield units) with blank casing burst and collapse ratings
+// filled in from the catalogue entry for the casing OD, weight and grade
+function applyCasingRatings(inputs, catalogue) {
+    const casing = findCasing(catalogue, inputs.casing_od, inputs.casing_linear_weight, inputs.casing_grade);
+    const rated = Object.assign({}, inputs);
+    if (!casing) return rated;
+
+    if (!(rated.casing_burst > 0)) rated.casing_burst = casing.burst;
+    if (!(rated.casing_collapse > 0)) rated.casing_collapse = casing.collapse;
+    return rated;
+}
+
+// ===========================
+// BROWSER STORAGE
+// ===========================
+// Company entries. Unreadable storage gives none rather than an error so
+// the calculator still opens.
+function readCustomTubulars(storage) {
+    try {
+        const entries = JSON.parse(storage.getItem(TUBULAR_STORAGE_KEY) || '[]');
+        return Array.isArray(entries) ? entries.map(normalizeTubular).filter(Boolean) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function writeCustomTubulars(storage, entries) {
+    storage.setItem(TUBULAR_STORAGE_KEY, JSON.stringify(entries));
+}
+
+// ===========================
+// MODULE EXPORTS (Node)
+// ===========================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TUBULAR_STORAGE_KEY,
+        TUBULAR_TYPES,
+        STRING_TUBULAR_TYPES,
+        TUBULAR_CATALOGUE,
+        defaultTubularName,
+        normalizeTubular,
+        buildTubularCatalogue,
+        findTubular,
+        findCasing,
+        applyCasingRatings,
+        readCustomTubulars,
+        writeCustomTubulars
+    };
+}
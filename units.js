@@ -0,0 +1,290 @@
+// ===========================
+// KILL SHEET CALCULATOR - UNIT SYSTEMS
+// ===========================
+//
+// calculations.js always works in oilfield units (ppg, psi, ft, in, bbl).
+// Values entered or shown in another unit system are converted at the edge
+// with toOilfield()/fromOilfield().
+
+// Units per quantity. `factor` converts from the oilfield unit:
+// value_in_unit = value_in_oilfield × factor. `decimals` overrides the
+// display precision of a result when the unit needs more or fewer places.
+const UNITS = {
+    depth: {
+        ft: { symbol: 'ft', factor: 1 },
+        m: { symbol: 'm', factor: 0.3048 }
+    },
+    diameter: {
+        in: { symbol: 'in', factor: 1 },
+        mm: { symbol: 'mm', factor: 25.4 }
+    },
+    mud_weight: {
+        ppg: { symbol: 'ppg', factor: 1 },
+        kg_m3: { symbol: 'kg/m³', factor: 119.826427, decimals: 1 },
+        // Specific gravity relative to fresh water at 1000 kg/m³
+        sg: { symbol: 'SG', factor: 0.119826427, decimals: 3 }
+    },
+    pressure: {
+        psi: { symbol: 'psi', factor: 1 },
+        kpa: { symbol: 'kPa', factor: 6.894757 },
+        bar: { symbol: 'bar', factor: 0.06894757 }
+    },
+    volume: {
+        bbl: { symbol: 'bbl', factor: 1 },
+        m3: { symbol: 'm³', factor: 0.158987295 }
+    },
+    pump_output: {
+        bbl_stk: { symbol: 'bbl/stroke', factor: 1 },
+        m3_stk: { symbol: 'm³/stroke', factor: 0.158987295 },
+        l_stk: { symbol: 'L/stroke', factor: 158.987295 }
+    },
+    pressure_gradient: {
+        psi_ft: { symbol: 'psi/ft', factor: 1, decimals: 3 },
+        kpa_m: { symbol: 'kPa/m', factor: 22.62059 },
+        bar_m: { symbol: 'bar/m', factor: 0.2262059, decimals: 4 }
+    },
+    linear_weight: {
+        lb_ft: { symbol: 'lb/ft', factor: 1 },
+        kg_m: { symbol: 'kg/m', factor: 1.488164 }
+    },
+    mass: {
+        lb: { symbol: 'lb', factor: 1 },
+        kg: { symbol: 'kg', factor: 0.45359237 }
+    },
+    migration_rate: {
+        ft_hr: { symbol: 'ft/hr', factor: 1, decimals: 0 },
+        m_hr: { symbol: 'm/hr', factor: 0.3048, decimals: 0 }
+    },
+    // Hydrostatic pressure per volume of mud in the annulus
+    pressure_per_volume: {
+        psi_bbl: { symbol: 'psi/bbl', factor: 1 },
+        kpa_m3: { symbol: 'kPa/m³', factor: 43.366496, decimals: 1 },
+        bar_m3: { symbol: 'bar/m³', factor: 0.43366496 }
+    }
+};
+
+// Unit system presets offered in the selector
+const UNIT_SYSTEMS = {
+    oilfield: {
+        label: 'Oilfield (ppg, psi, ft, in, bbl)',
+        units: {
+            depth: 'ft', diameter: 'in', mud_weight: 'ppg', pressure: 'psi',
+            volume: 'bbl', pump_output: 'bbl_stk', pressure_gradient: 'psi_ft', linear_weight: 'lb_ft',
+            migration_rate: 'ft_hr', mass: 'lb', pressure_per_volume: 'psi_bbl'
+        }
+    },
+    si: {
+        label: 'SI (kg/m³, kPa, m, mm, m³)',
+        units: {
+            depth: 'm', diameter: 'mm', mud_weight: 'kg_m3', pressure: 'kpa',
+            volume: 'm3', pump_output: 'l_stk', pressure_gradient: 'kpa_m', linear_weight: 'kg_m',
+            migration_rate: 'm_hr', mass: 'kg', pressure_per_volume: 'kpa_m3'
+        }
+    },
+    mixed: {
+        label: 'Mixed (SG, bar, m, in, m³)',
+        units: {
+            depth: 'm', diameter: 'in', mud_weight: 'sg', pressure: 'bar',
+            volume: 'm3', pump_output: 'm3_stk', pressure_gradient: 'bar_m', linear_weight: 'kg_m',
+            migration_rate: 'm_hr', mass: 'kg', pressure_per_volume: 'bar_m3'
+        }
+    }
+};
+
+const DEFAULT_UNIT_SYSTEM = 'oilfield';
+
+// Quantity of every unit-bearing kill sheet input
+const INPUT_QUANTITIES = {
+    hole_diameter: 'diameter',
+    hole_depth: 'depth',
+    hole_tvd: 'depth',
+    current_mud_weight: 'mud_weight',
+    sidpp: 'pressure',
+    sicp: 'pressure',
+    pit_gain: 'volume',
+    normal_circulating_pressure: 'pressure',
+    user_stroke_pressure: 'pressure',
+    pump_capacity: 'pump_output',
+    casing_id: 'diameter',
+    casing_od: 'diameter',
+    casing_linear_weight: 'linear_weight',
+    casing_setting_depth: 'depth',
+    casing_shoe_tvd: 'depth',
+    casing_burst: 'pressure',
+    casing_collapse: 'pressure',
+    lot_pressure: 'pressure',
+    lot_mud_weight: 'mud_weight',
+    kick_intensity: 'mud_weight',
+    influx_gradient: 'pressure_gradient',
+    gas_migration_rate: 'migration_rate',
+    active_pit_volume: 'volume',
+    pit_capacity: 'volume',
+    weight_up_mud_weight: 'mud_weight',
+    sack_size: 'mass',
+    trip_margin_mud_weight: 'mud_weight',
+    trip_margin_pressure: 'pressure',
+    kill_mud_weight_increment: 'mud_weight',
+    schedule_safety_margin: 'pressure',
+    water_depth: 'depth',
+    air_gap: 'depth',
+    riser_id: 'diameter',
+    choke_line_id: 'diameter',
+    choke_line_length: 'depth',
+    kill_line_id: 'diameter',
+    kill_line_length: 'depth',
+    choke_line_friction: 'pressure',
+    volumetric_safety_margin: 'pressure',
+    volumetric_pressure_step: 'pressure',
+    lubricate_mud_weight: 'mud_weight',
+    bullhead_mud_weight: 'mud_weight',
+    bullhead_overdisplacement: 'volume',
+    bullhead_pressure_limit: 'pressure',
+    stripping_bit_depth: 'depth',
+    stand_length: 'depth',
+    concurrent_weight_step: 'mud_weight',
+    monitor_tolerance: 'pressure'
+};
+
+// Quantity of every unit-bearing field of a drill string component
+const COMPONENT_QUANTITIES = {
+    od: 'diameter',
+    id: 'diameter',
+    length: 'depth'
+};
+
+// Quantity of every unit-bearing field of a survey station (angles are
+// always degrees)
+const SURVEY_QUANTITIES = {
+    md: 'depth'
+};
+
+// Quantity of every unit-bearing field of a rig pump (the stroke length is
+// converted like a diameter: in <-> mm)
+const PUMP_QUANTITIES = {
+    liner: 'diameter',
+    stroke: 'diameter',
+    rod: 'diameter'
+};
+
+// Quantity of every unit-bearing field of an SCR record
+const SCR_QUANTITIES = {
+    pressure: 'pressure',
+    clf: 'pressure',
+    depth: 'depth',
+    mud_weight: 'mud_weight'
+};
+
+// Quantity of every unit-bearing field of a kill log reading (strokes and
+// pump rate are counts)
+const KILL_LOG_QUANTITIES = {
+    drillpipe_pressure: 'pressure',
+    casing_pressure: 'pressure',
+    pit_volume: 'volume'
+};
+
+// ===========================
+// LOOKUPS
+// ===========================
+function getUnitSystem(systemKey) {
+    const system = UNIT_SYSTEMS[systemKey];
+    if (!system) {
+        throw new Error(`Unknown unit system "${systemKey}" (expected one of: ${Object.keys(UNIT_SYSTEMS).join(', ')})`);
+    }
+    return system;
+}
+
+// Unit definition used for `quantity` in the given system
+function getUnit(quantity, systemKey) {
+    const unitKey = getUnitSystem(systemKey).units[quantity];
+    return UNITS[quantity][unitKey];
+}
+
+// ===========================
+// CONVERSIONS
+// ===========================
+// Unit-less quantities (strokes, spm, minutes) pass through untouched.
+function fromOilfield(value, quantity, systemKey) {
+    if (!quantity) return value;
+    return value * getUnit(quantity, systemKey).factor;
+}
+
+function toOilfield(value, quantity, systemKey) {
+    if (!quantity) return value;
+    return value / getUnit(quantity, systemKey).factor;
+}
+
+// Converts every unit-bearing field of an object to oilfield units. Numbers
+// stored as text ("2500") are converted too, so they are not read later as
+// oilfield values; other text is left for the calculation to reject.
+function convertFieldsToOilfield(values, quantities, systemKey) {
+    const converted = Object.assign({}, values);
+
+    Object.keys(quantities).forEach(key => {
+        const value = typeof converted[key] === 'string' && converted[key].trim() !== ''
+            ? Number(converted[key])
+            : converted[key];
+        if (typeof value === 'number' && isFinite(value)) {
+            converted[key] = toOilfield(value, quantities[key], systemKey);
+        }
+    });
+
+    return converted;
+}
+
+// Converts each object in a list; anything else (a null left in a saved or
+// imported list) is passed through for the calculation to drop.
+function convertListToOilfield(list, quantities, systemKey) {
+    return list.map(entry => entry !== null && typeof entry === 'object'
+        ? convertFieldsToOilfield(entry, quantities, systemKey)
+        : entry);
+}
+
+// Converts a whole input object, drill string, survey, pumps, SCRs and kill
+// log included, to oilfield units.
+function convertInputsToOilfield(inputs, systemKey) {
+    const converted = convertFieldsToOilfield(inputs, INPUT_QUANTITIES, systemKey);
+
+    if (Array.isArray(inputs.string_components)) {
+        converted.string_components = convertListToOilfield(inputs.string_components, COMPONENT_QUANTITIES, systemKey);
+    }
+
+    if (Array.isArray(inputs.survey)) {
+        converted.survey = convertListToOilfield(inputs.survey, SURVEY_QUANTITIES, systemKey);
+    }
+
+    if (Array.isArray(inputs.pumps)) {
+        converted.pumps = convertListToOilfield(inputs.pumps, PUMP_QUANTITIES, systemKey);
+    }
+
+    if (Array.isArray(inputs.scr_table)) {
+        converted.scr_table = convertListToOilfield(inputs.scr_table, SCR_QUANTITIES, systemKey);
+    }
+
+    if (Array.isArray(inputs.kill_log)) {
+        converted.kill_log = convertListToOilfield(inputs.kill_log, KILL_LOG_QUANTITIES, systemKey);
+    }
+
+    return converted;
+}
+
+// ===========================
+// MODULE EXPORTS (Node)
+// ===========================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        UNITS,
+        UNIT_SYSTEMS,
+        DEFAULT_UNIT_SYSTEM,
+        INPUT_QUANTITIES,
+        COMPONENT_QUANTITIES,
+        SURVEY_QUANTITIES,
+        PUMP_QUANTITIES,
+        SCR_QUANTITIES,
+        KILL_LOG_QUANTITIES,
+        getUnitSystem,
+        getUnit,
+        fromOilfield,
+        toOilfield,
+        convertInputsToOilfield
+    };
+}
@@ -0,0 +1,591 @@
+// ===========================
+// KILL SHEET CALCULATOR - WELL DATA IMPORT
+// ===========================
+//
+// Reads well data exported from the rig's data systems, WITSML 1.4.1 / 2.0
+// XML or the CSV template below, and maps it onto the kill sheet inputs.
+// Like calculations.js this file has no DOM dependency of its own; the XML
+// is parsed by the caller (DOMParser in the browser) and the document
+// passed in.
+//
+// Both readers return an import
+//   { format, values, sources, alternatives, string_components, survey, unmapped }
+// in oilfield units: `values` maps input keys to the value found, `sources`
+// says where each came from, `alternatives` lists other, different values
+// for the same input found elsewhere in the file, `string_components` and
+// `survey` are null when the file has none, and `unmapped` lists what was in
+// the file but could not be used.
+
+// Inputs an import can fill in, in the order they are previewed
+const IMPORT_FIELDS = {
+    well_name: { type: 'text' },
+    wellbore: { type: 'text' },
+    rig: { type: 'text' },
+    operator: { type: 'text' },
+    hole_diameter: { quantity: 'diameter' },
+    hole_depth: { quantity: 'depth' },
+    hole_tvd: { quantity: 'depth' },
+    current_mud_weight: { quantity: 'mud_weight' },
+    casing_od: { quantity: 'diameter' },
+    casing_id: { quantity: 'diameter' },
+    casing_grade: { type: 'text' },
+    casing_linear_weight: { quantity: 'linear_weight' },
+    casing_setting_depth: { quantity: 'depth' },
+    casing_shoe_tvd: { quantity: 'depth' },
+    casing_burst: { quantity: 'pressure' },
+    casing_collapse: { quantity: 'pressure' }
+};
+
+// Units accepted in import files, as the factor to the oilfield unit
+// (value_in_oilfield = value × factor). Keys are lower case without spaces;
+// WITSML unit symbols (lbm/galUS, g/cm3, dega...) are included.
+const IMPORT_UOMS = {
+    depth: { ft: 1, usft: 1, ftus: 1, m: 1 / 0.3048, in: 1 / 12 },
+    diameter: { in: 1, mm: 1 / 25.4, cm: 1 / 2.54, m: 1 / 0.0254, ft: 12 },
+    mud_weight: {
+        ppg: 1, 'lbm/galus': 1, 'lbm/gal': 1, 'lb/gal': 1,
+        sg: 8.345404, 'g/cm3': 8.345404, 'kg/l': 8.345404, 'kg/m3': 0.008345404
+    },
+    linear_weight: { 'lb/ft': 1, 'lbm/ft': 1, 'kg/m': 1 / 1.488164 },
+    pressure: { psi: 1, kpa: 1 / 6.894757, bar: 14.503774, mpa: 145.03774 },
+    angle: { deg: 1, dega: 1, rad: 180 / Math.PI }
+};
+
+// Fixed drill string fields of the CSV template (the same names as the
+// older well files), turned into Drill Pipe / HWDP / Drill Collars rows
+const IMPORT_STRING_FIELDS = {
+    dp_od: ['Drill Pipe', 'od'],
+    dp_id: ['Drill Pipe', 'id'],
+    hwdp_od: ['HWDP', 'od'],
+    hwdp_id: ['HWDP', 'id'],
+    hwdp_length: ['HWDP', 'length'],
+    dc_od: ['Drill Collars', 'od'],
+    dc_id: ['Drill Collars', 'id'],
+    dc_length: ['Drill Collars', 'length']
+};
+
+// CSV template offered for download: one `field,value,unit` row per value
+const IMPORT_CSV_TEMPLATE = [
+    '# Kill sheet well data import. One row per value: field,value,unit.',
+    '# Leave the unit blank for oilfield units (ft, in, ppg, lb/ft, psi);',
+    '# otherwise use m, mm, sg, kg/m3, kg/m, kPa, bar... Delete rows you do not need.',
+    '# The drill pipe runs from surface down to the HWDP, so it has no length.',
+    'field,value,unit',
+    'well_name,,',
+    'wellbore,,',
+    'rig,,',
+    'operator,,',
+    'hole_diameter,,in',
+    'hole_depth,,ft',
+    'hole_tvd,,ft',
+    'current_mud_weight,,ppg',
+    'casing_od,,in',
+    'casing_id,,in',
+    'casing_grade,,',
+    'casing_linear_weight,,lb/ft',
+    'casing_setting_depth,,ft',
+    'casing_shoe_tvd,,ft',
+    'casing_burst,,psi',
+    'casing_collapse,,psi',
+    'dp_od,,in',
+    'dp_id,,in',
+    'hwdp_od,,in',
+    'hwdp_id,,in',
+    'hwdp_length,,ft',
+    'dc_od,,in',
+    'dc_id,,in',
+    'dc_length,,ft'
+].join('\n') + '\n';
+
+// ===========================
+// IMPORT RESULT
+// ===========================
+function createImport(format) {
+    return {
+        format: format,
+        values: {},
+        sources: {},
+        alternatives: {},
+        string_components: null,
+        survey: null,
+        unmapped: []
+    };
+}
+
+// Numbers agree to 0.01%; text ignoring case
+function sameImportValue(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return Math.abs(a - b) <= 1e-4 * Math.max(Math.abs(a), Math.abs(b), 1);
+    }
+    return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+// Records a value for an input. The first one found is used; a different
+// value found later is kept as an alternative so the preview can flag it.
+function mapImportValue(result, key, value, source) {
+    if (value === null || value === undefined || value === '' || (typeof value === 'number' && !(value >= 0))) return;
+
+    if (!result.values.hasOwnProperty(key)) {
+        result.values[key] = value;
+        result.sources[key] = source;
+    } else if (!sameImportValue(result.values[key], value) &&
+        !(result.alternatives[key] || []).some(other => sameImportValue(other.value, value))) {
+        result.alternatives[key] = (result.alternatives[key] || []).concat({ value: value, source: source });
+    }
+}
+
+// Oilfield value of `value` given in `uom`, or null when the unit is not
+// one IMPORT_UOMS knows for the quantity
+function importToOilfield(value, uom, quantity) {
+    const key = String(uom || '').replace(/\s+/g, '').replace('³', '3').toLowerCase();
+    const factors = IMPORT_UOMS[quantity];
+    return factors.hasOwnProperty(key) ? value * factors[key] : null;
+}
+
+// ===========================
+// CSV
+// ===========================
+// Splits a CSV line, honouring double-quoted fields ("9-5/8"" casing")
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',' || char === ';' || char === '\t') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+
+    return fields;
+}
+
+// Reads a CSV file in the IMPORT_CSV_TEMPLATE layout. Throws when the file
+// has nothing that could be imported.
+function parseWellCsv(text) {
+    const result = createImport('CSV');
+    const strings = {};
+    let rows = 0;
+
+    String(text).split(/\r?\n/).forEach((line, index) => {
+        if (line.trim() === '' || line.trim().startsWith('#')) return;
+
+        const [rawField, value = '', unit = ''] = splitCsvLine(line);
+        const field = rawField.toLowerCase();
+        const source = `CSV line ${index + 1}`;
+        if (field === 'field' || value === '') return;
+        rows++;
+
+        const stringField = IMPORT_STRING_FIELDS[field];
+        const definition = IMPORT_FIELDS[field];
+        if (!stringField && !definition) {
+            result.unmapped.push(`${source}: "${rawField}" is not a kill sheet field.`);
+            return;
+        }
+        if (definition && definition.type === 'text') {
+            mapImportValue(result, field, value, source);
+            return;
+        }
+
+        const number = parseFloat(value);
+        const quantity = stringField ? (stringField[1] === 'length' ? 'depth' : 'diameter') : definition.quantity;
+        const converted = isNaN(number) || number < 0 ? null
+            : unit === '' ? number : importToOilfield(number, unit, quantity);
+        if (converted === null) {
+            result.unmapped.push(isNaN(number) || number < 0
+                ? `${source}: "${value}" is not a valid ${rawField}.`
+                : `${source}: the unit "${unit}" is not recognised for ${rawField}.`);
+        } else if (stringField) {
+            strings[stringField[0]] = Object.assign(strings[stringField[0]] || {}, { [stringField[1]]: converted });
+        } else {
+            mapImportValue(result, field, converted, source);
+        }
+    });
+
+    const names = Object.keys(strings);
+    if (names.length > 0) {
+        // Listed top down; the drill pipe's length is left to fill the string
+        // down to hole depth
+        result.string_components = ['Drill Pipe', 'HWDP', 'Drill Collars']
+            .filter(name => names.includes(name))
+            .map(name => Object.assign({ name: name, od: 0, id: 0, length: 0 }, strings[name]));
+    }
+
+    if (rows === 0) {
+        throw new Error('The CSV file has no values to import (see the template).');
+    }
+    return result;
+}
+
+// ===========================
+// WITSML
+// ===========================
+// Objects read from a WITSML file, by lower-case element name: 1.4.1
+// (camelCase) and 2.0 (PascalCase) names are matched alike. A reader
+// returns false when it passes the object over.
+const WITSML_OBJECTS = {
+    wellbore: readWitsmlWellbore,
+    wbgeometry: readWitsmlGeometry,
+    wellboregeometry: readWitsmlGeometry,
+    bharun: readWitsmlBhaRun,
+    tubular: readWitsmlTubular,
+    trajectory: readWitsmlTrajectory,
+    fluidsreport: readWitsmlFluidsReport
+};
+
+// Objects read before the rest, in this order
+const WITSML_READ_ORDER = ['wellbore', 'wbgeometry', 'wellboregeometry', 'bharun', 'tubular'];
+
+// Elements that only describe the object itself, left out of the report of
+// data that was not mapped
+const WITSML_METADATA = ['commondata', 'customdata', 'extensionnamevalue', 'citation', 'aliases', 'name', 'namewell',
+    'namewellbore', 'uid', 'objectversion', 'existencekind'];
+
+const witsmlName = element => element.localName.toLowerCase();
+
+// uid in 1.4.1, uuid in 2.0
+const witsmlUid = object => object.getAttribute('uid') || object.getAttribute('uuid') || '';
+
+function witsmlChildren(element, name) {
+    return Array.from(element.children).filter(child => witsmlName(child) === name.toLowerCase());
+}
+
+// First child named any of `names`, marked as read
+function witsmlChild(context, element, names) {
+    for (const name of names) {
+        const child = witsmlChildren(element, name)[0];
+        if (child) {
+            context.used.add(child);
+            return child;
+        }
+    }
+    return null;
+}
+
+function witsmlText(context, element, names) {
+    const child = witsmlChild(context, element, names);
+    return child && child.textContent.trim() !== '' ? child.textContent.trim() : null;
+}
+
+// Measure in oilfield units, or null when absent. A unit that is not
+// recognised is reported rather than guessed.
+function witsmlMeasure(context, element, names, quantity, source) {
+    const child = witsmlChild(context, element, names);
+    if (!child) return null;
+
+    const value = parseFloat(child.textContent);
+    if (isNaN(value)) return null;
+
+    const uom = child.getAttribute('uom');
+    const converted = importToOilfield(value, uom, quantity);
+    if (converted === null) {
+        context.result.unmapped.push(`${source}: ${child.localName} is in "${uom || 'no unit'}", which is not a ` +
+            'recognised unit.');
+    }
+    return converted;
+}
+
+// Object name: <name> in 1.4.1, <Citation><Title> in 2.0
+function witsmlObjectName(context, object) {
+    const citation = witsmlChild(context, object, ['Citation']);
+    return (citation && witsmlText(context, citation, ['Title'])) || witsmlText(context, object, ['name']) || '';
+}
+
+function witsmlSource(context, object) {
+    const name = witsmlObjectName(context, object);
+    return name ? `${object.localName} "${name}"` : object.localName;
+}
+
+// Title-case label of a WITSML enumeration, e.g. "drill pipe" -> "Drill Pipe"
+function witsmlLabel(value) {
+    return String(value).replace(/([a-z])([A-Z])/g, '$1 $2')
+        .replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+function readWitsmlWellbore(context, object) {
+    const source = witsmlSource(context, object);
+    const result = context.result;
+
+    mapImportValue(result, 'wellbore', witsmlObjectName(context, object), source);
+    const well = witsmlChild(context, object, ['Well']);
+    mapImportValue(result, 'well_name', witsmlText(context, object, ['nameWell']) ||
+        (well && witsmlText(context, well, ['Title'])), source);
+    mapImportValue(result, 'hole_depth', witsmlMeasure(context, object, ['md', 'mdCurrent'], 'depth', source), source);
+    mapImportValue(result, 'hole_tvd', witsmlMeasure(context, object, ['tvd', 'tvdCurrent'], 'depth', source), source);
+}
+
+// Last casing (or liner) and the open hole below it from the wellbore
+// geometry sections
+function readWitsmlGeometry(context, object) {
+    const source = witsmlSource(context, object);
+    const result = context.result;
+    const sections = witsmlChildren(object, 'wbGeometrySection').concat(witsmlChildren(object, 'WellboreGeometrySection'))
+        .map(section => {
+            context.used.add(section);
+            // 2.0 keeps the section depths in <SectionMdInterval><MdBase>
+            const bottom = (names, interval, base) => {
+                const range = witsmlChild(context, section, [interval]);
+                return range ? witsmlMeasure(context, range, [base], 'depth', source)
+                    : witsmlMeasure(context, section, names, 'depth', source);
+            };
+            return {
+                type: (witsmlText(context, section, ['typeHoleCasing']) || '').toLowerCase(),
+                md_bottom: bottom(['mdBottom'], 'SectionMdInterval', 'MdBase'),
+                tvd_bottom: bottom(['tvdBottom'], 'SectionTvdInterval', 'TvdBase'),
+                id: witsmlMeasure(context, section, ['idSection'], 'diameter', source),
+                od: witsmlMeasure(context, section, ['odSection'], 'diameter', source),
+                weight: witsmlMeasure(context, section, ['wtPerLen'], 'linear_weight', source),
+                grade: witsmlText(context, section, ['grade'])
+            };
+        })
+        .sort((a, b) => (a.md_bottom || 0) - (b.md_bottom || 0));
+
+    const casing = sections.filter(section => section.type === 'casing' || section.type === 'liner').pop();
+    if (casing) {
+        mapImportValue(result, 'casing_od', casing.od, source);
+        mapImportValue(result, 'casing_id', casing.id, source);
+        mapImportValue(result, 'casing_linear_weight', casing.weight, source);
+        mapImportValue(result, 'casing_grade', casing.grade, source);
+        mapImportValue(result, 'casing_setting_depth', casing.md_bottom, source);
+        mapImportValue(result, 'casing_shoe_tvd', casing.tvd_bottom, source);
+    }
+
+    const openHole = sections.filter(section => section.type === 'open hole').pop();
+    if (openHole) {
+        mapImportValue(result, 'hole_diameter', openHole.id, source);
+        mapImportValue(result, 'hole_depth', openHole.md_bottom, source);
+        mapImportValue(result, 'hole_tvd', openHole.tvd_bottom, source);
+    }
+}
+
+// Bit size, hole depth and drill string of the latest BHA run (runs are
+// read latest first)
+function readWitsmlBhaRun(context, object) {
+    const source = witsmlSource(context, object);
+    const result = context.result;
+    if (context.bha_run) {
+        result.unmapped.push(`${source}: only the latest BHA run (${context.bha_run}) is imported; this one was not used.`);
+        return false;
+    }
+    context.bha_run = source;
+    witsmlChild(context, object, ['dTimStart']);
+
+    const bit = witsmlChild(context, object, ['bitRecord']);
+    if (bit) {
+        mapImportValue(result, 'hole_diameter', witsmlMeasure(context, bit, ['diaBit'], 'diameter', source), source);
+    }
+    witsmlChildren(object, 'drillingParams').forEach(params => {
+        context.used.add(params);
+        mapImportValue(result, 'hole_depth',
+            witsmlMeasure(context, params, ['mdHoleStop'], 'depth', source), source);
+        mapImportValue(result, 'hole_tvd',
+            witsmlMeasure(context, params, ['tvdHoleStop'], 'depth', source), source);
+    });
+
+    // The drill string this run used, when it is in the file, is the one
+    // imported
+    const tubular = witsmlChild(context, object, ['tubular']);
+    const reference = tubular && (tubular.getAttribute('uidRef') || witsmlText(context, tubular, ['Uuid']));
+    if (reference && context.tubulars.includes(reference)) {
+        context.tubular = reference;
+    }
+}
+
+// Drill string components from the bit up (WITSML sequence 1 entered the
+// hole first), turned round to the kill sheet's surface-first order
+function readWitsmlTubular(context, object) {
+    const source = witsmlSource(context, object);
+    const uid = witsmlUid(object);
+    if (context.tubular && uid !== context.tubular) {
+        context.result.unmapped.push(`${source}: only the drill string of ${context.bha_run} is imported; this one ` +
+            'was not used.');
+        return false;
+    }
+    if (context.result.string_components !== null) {
+        context.result.unmapped.push(`${source}: only one drill string is imported; this one was not used.`);
+        return false;
+    }
+
+    const components = witsmlChildren(object, 'tubularComponent')
+        .map((component, index) => {
+            context.used.add(component);
+            const type = witsmlText(context, component, ['typeTubularComp', 'TypeTubularComponent']) || 'component';
+            return {
+                name: witsmlText(context, component, ['description']) || witsmlLabel(type),
+                sequence: parseInt(witsmlText(context, component, ['sequence']), 10) || index + 1,
+                od: witsmlMeasure(context, component, ['od'], 'diameter', source),
+                id: witsmlMeasure(context, component, ['id'], 'diameter', source),
+                length: witsmlMeasure(context, component, ['len', 'Length'], 'depth', source)
+            };
+        })
+        .sort((a, b) => b.sequence - a.sequence);
+
+    context.result.string_components = components
+        .filter(component => {
+            const usable = component.od > 0 && component.id > 0 && component.length > 0;
+            if (!usable) {
+                context.result.unmapped.push(`${source}: ${component.name} (sequence ${component.sequence}) has ` +
+                    'no OD, ID or length and was left out of the string.');
+            }
+            return usable;
+        })
+        .map(component => ({ name: component.name, od: component.od, id: component.id, length: component.length }));
+    context.result.sources.string_components = source;
+}
+
+function readWitsmlTrajectory(context, object) {
+    const source = witsmlSource(context, object);
+    if (context.result.survey !== null) {
+        context.result.unmapped.push(`${source}: only one trajectory is imported; this one was not used.`);
+        return false;
+    }
+
+    let skipped = 0;
+    const stations = [];
+    witsmlChildren(object, 'trajectoryStation').forEach(station => {
+        context.used.add(station);
+        const md = witsmlMeasure(context, station, ['md'], 'depth', source);
+        const inc = witsmlMeasure(context, station, ['incl'], 'angle', source);
+        const azi = witsmlMeasure(context, station, ['azi'], 'angle', source);
+        if (md === null || inc === null) {
+            skipped++;
+        } else {
+            stations.push({ md: md, inc: inc, azi: azi === null ? 0 : azi });
+        }
+    });
+
+    if (skipped > 0) {
+        context.result.unmapped.push(`${source}: ${skipped} station${skipped === 1 ? '' : 's'} without an MD or ` +
+            'inclination left out of the survey.');
+    }
+    if (stations.length > 0) {
+        context.result.survey = stations;
+        context.result.sources.survey = source;
+    }
+}
+
+// Mud weight from the latest fluid check of the report
+function readWitsmlFluidsReport(context, object) {
+    const source = witsmlSource(context, object);
+    const fluids = witsmlChildren(object, 'fluid')
+        .map((fluid, index) => {
+            context.used.add(fluid);
+            return {
+                time: witsmlText(context, fluid, ['dTim']) || '',
+                index: index,
+                density: witsmlMeasure(context, fluid, ['density'], 'mud_weight', source)
+            };
+        })
+        .filter(fluid => fluid.density !== null)
+        .sort((a, b) => a.time === b.time ? a.index - b.index : a.time < b.time ? -1 : 1);
+
+    if (fluids.length > 0) {
+        mapImportValue(context.result, 'current_mud_weight', fluids[fluids.length - 1].density, source);
+    }
+}
+
+// Paths of the data elements of an object that were not read, e.g.
+// "tubularComponent/connection/typeThread"
+function witsmlUnreadPaths(context, object) {
+    const paths = [];
+    const visit = (element, path) => {
+        Array.from(element.children).forEach(child => {
+            if (WITSML_METADATA.includes(witsmlName(child))) return;
+
+            const childPath = path ? `${path}/${child.localName}` : child.localName;
+            if (child.children.length > 0) {
+                visit(child, childPath);
+            } else if (!context.used.has(child) && child.textContent.trim() !== '' && !paths.includes(childPath)) {
+                paths.push(childPath);
+            }
+        });
+    };
+    visit(object, '');
+    return paths;
+}
+
+// Reads a parsed WITSML 1.4.1 or 2.0 document. 1.4.1 files hold the
+// objects in a plural container (<wellbores><wellbore>...); a 2.0 file is a
+// single object. Throws when the document is not WITSML.
+function parseWitsml(doc) {
+    const root = doc.documentElement;
+    const namespace = root.namespaceURI || '';
+    const version = /witsmlv2|energyml/i.test(namespace) || /^2/.test(root.getAttribute('schemaVersion') || '')
+        ? '2.0'
+        : /1series/i.test(namespace) || /^1\./.test(root.getAttribute('version') || '') ? '1.4.1' : null;
+    if (!version) {
+        throw new Error('The file is not WITSML: expected a WITSML 1.4.1 or 2.0 document.');
+    }
+
+    const objects = version === '2.0' ? [root] : Array.from(root.children);
+    const context = {
+        result: createImport(`WITSML ${version}`),
+        used: new Set(),
+        bha_run: null,
+        tubular: null,
+        tubulars: objects.filter(object => witsmlName(object) === 'tubular').map(witsmlUid)
+    };
+
+    // Wellbore data first, then the BHA runs, latest first, so the string
+    // the latest run names is the one imported
+    const order = object => {
+        const position = WITSML_READ_ORDER.indexOf(witsmlName(object));
+        return position < 0 ? WITSML_READ_ORDER.length : position;
+    };
+    const started = object => {
+        const time = witsmlChildren(object, 'dTimStart')[0];
+        return time ? time.textContent.trim() : '';
+    };
+    objects
+        .map((object, index) => ({ object: object, index: index }))
+        .sort((a, b) => order(a.object) - order(b.object) ||
+            (started(a.object) === started(b.object) ? a.index - b.index : started(a.object) > started(b.object) ? -1 : 1))
+        .forEach(({ object }) => {
+            const read = WITSML_OBJECTS[witsmlName(object)];
+            if (!read) {
+                context.result.unmapped.push(`${object.localName} objects are not imported.`);
+                return;
+            }
+            // Objects passed over (false) are reported by the reader
+            if (read(context, object) === false) return;
+
+            const unread = witsmlUnreadPaths(context, object);
+            if (unread.length > 0) {
+                context.result.unmapped.push(`Not mapped from ${witsmlSource(context, object)}: ${unread.join(', ')}.`);
+            }
+        });
+
+    return context.result;
+}
+
+// ===========================
+// MODULE EXPORTS (Node)
+// ===========================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        IMPORT_FIELDS,
+        IMPORT_UOMS,
+        IMPORT_STRING_FIELDS,
+        IMPORT_CSV_TEMPLATE,
+        sameImportValue,
+        importToOilfield,
+        parseWellCsv,
+        parseWitsml
+    };
+}